@@ -0,0 +1,23 @@
+import js from '@eslint/js'
+import globals from 'globals'
+
+export default [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.node
+    },
+    rules: {
+      // Adapter methods and Express handlers keep their full signatures
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['**/*.test.js', 'src/test/**'],
+    languageOptions: {
+      globals: globals.jest
+    }
+  }
+]
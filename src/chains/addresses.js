@@ -0,0 +1,101 @@
+import { bech32, bech32m, base58, base58xrp, createBase58check } from '@scure/base'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { toChecksumAddress } from './xpub.js'
+
+// Address format checks for withdrawals. Each validator returns the address in
+// its canonical form (lower-case bech32, EIP-55 checksummed EVM) or null.
+
+const base58check = createBase58check(sha256)
+
+function decodeBase58check(address, alphabet = base58) {
+  try {
+    const bytes = alphabet.decode(address)
+    if (bytes.length < 5) return null
+
+    const payload = bytes.slice(0, -4)
+    const checksum = sha256(sha256(payload)).slice(0, 4)
+    return checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i]) ? payload : null
+  } catch {
+    return null
+  }
+}
+
+// Segwit: v0 uses bech32 with a 20 or 32 byte program, v1+ (taproot) uses bech32m
+function validateSegwit(address, hrp) {
+  const lower = address.toLowerCase()
+  if (address !== lower && address !== address.toUpperCase()) return null
+  if (!lower.startsWith(`${hrp}1`)) return null
+
+  const encoding = lower[hrp.length + 1] === 'q' ? bech32 : bech32m
+  try {
+    const { prefix, words } = encoding.decode(lower)
+    if (prefix !== hrp || !words.length) return null
+
+    const [version, ...rest] = words
+    const program = encoding.fromWords(rest)
+    if (version > 16) return null
+    if (version === 0 && program.length !== 20 && program.length !== 32) return null
+    if (program.length < 2 || program.length > 40) return null
+    return lower
+  } catch {
+    return null
+  }
+}
+
+const VALIDATORS = {
+  // Native segwit, or legacy base58 addresses with the network's version bytes
+  bech32(address, network) {
+    const segwit = validateSegwit(address, network.hrp)
+    if (segwit) return segwit
+
+    const payload = decodeBase58check(address)
+    if (payload?.length === 21 && (network.base58Versions || []).includes(payload[0])) return address
+    return null
+  },
+
+  // All-lower or all-upper case is unchecksummed; mixed case must match EIP-55
+  evm(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return null
+
+    const checksummed = toChecksumAddress(address)
+    const body = address.slice(2)
+    if (body !== body.toLowerCase() && body !== body.toUpperCase() && address !== checksummed) return null
+    return checksummed
+  },
+
+  tron(address) {
+    try {
+      const payload = base58check.decode(address)
+      return payload.length === 21 && payload[0] === 0x41 ? address : null
+    } catch {
+      return null
+    }
+  },
+
+  // Classic addresses (r...); X-addresses that embed the tag are not accepted
+  xrp(address) {
+    if (!address.startsWith('r')) return null
+    const payload = decodeBase58check(address, base58xrp)
+    return payload?.length === 21 && payload[0] === 0 ? address : null
+  }
+}
+
+// Memo / destination tag formats for networks that use them
+const MEMO_VALIDATORS = {
+  // Destination tag: unsigned 32-bit integer
+  xrp(memo) {
+    return /^\d{1,10}$/.test(memo) && Number(memo) <= 0xffffffff ? String(Number(memo)) : null
+  }
+}
+
+export function validateAddress(network, address) {
+  const validate = VALIDATORS[network.format]
+  if (!validate || typeof address !== 'string') return null
+  return validate(address.trim(), network)
+}
+
+export function validateMemo(network, memo) {
+  const validate = MEMO_VALIDATORS[network.format]
+  if (!validate) return null
+  return validate(String(memo).trim())
+}
@@ -0,0 +1,125 @@
+import { createXpubSource } from './xpub.js'
+import { createIndexerClient } from './indexer.js'
+import * as stub from './stub.js'
+
+// Blockchain networks for crypto deposits.
+//
+// Each network gets an address source and a watcher:
+//   address source  CRYPTO_XPUB_<NETWORK>      derive from an account xpub
+//                   CRYPTO_CUSTODIAN_URL/_KEY  ask the custodian for an address
+//                   stub chain                 development only
+//   watcher         CRYPTO_INDEXER_<NETWORK>_URL/_KEY, else the custodian, else the stub
+//
+// The stub chain lets admins mint deposits, so it is off unless CRYPTO_STUB_CHAIN=true.
+// Withdrawals are checked against each network's address format (see addresses.js).
+// Confirmation thresholds can be overridden with CRYPTO_CONFIRMATIONS='{"bitcoin": 2}'.
+
+const NETWORKS = {
+  bitcoin: { id: 'bitcoin', name: 'Bitcoin', format: 'bech32', hrp: 'bc', base58Versions: [0x00, 0x05], currencies: ['BTC'], confirmations: 3 },
+  litecoin: { id: 'litecoin', name: 'Litecoin', format: 'bech32', hrp: 'ltc', base58Versions: [0x30, 0x32, 0x05], currencies: ['LTC'], confirmations: 6 },
+  ethereum: { id: 'ethereum', name: 'Ethereum (ERC-20)', format: 'evm', currencies: ['ETH', 'USDT', 'USDC'], confirmations: 12 },
+  tron: { id: 'tron', name: 'Tron (TRC-20)', format: 'tron', currencies: ['TRX', 'USDT'], confirmations: 20 },
+  ripple: { id: 'ripple', name: 'XRP Ledger', format: 'xrp', currencies: ['XRP'], confirmations: 1, memo: true }
+}
+
+function envKey(id) {
+  return id.toUpperCase().replace(/[^A-Z0-9]/g, '_')
+}
+
+function loadConfirmations() {
+  try {
+    return JSON.parse(process.env.CRYPTO_CONFIRMATIONS || '{}')
+  } catch (error) {
+    console.error('Invalid CRYPTO_CONFIRMATIONS, using defaults:', error)
+    return {}
+  }
+}
+
+const confirmationOverrides = loadConfirmations()
+
+export const stubEnabled = process.env.CRYPTO_STUB_CHAIN === 'true'
+
+if (stubEnabled) {
+  console.warn('Warning: CRYPTO_STUB_CHAIN is on, deposits can be faked through /api/crypto/stub')
+}
+
+const custodian = process.env.CRYPTO_CUSTODIAN_URL && process.env.CRYPTO_CUSTODIAN_KEY
+  ? createIndexerClient({
+      id: 'custodian',
+      baseUrl: process.env.CRYPTO_CUSTODIAN_URL,
+      apiKey: process.env.CRYPTO_CUSTODIAN_KEY,
+      issuesAddresses: true
+    })
+  : null
+
+function loadNetwork(network) {
+  const key = envKey(network.id)
+  let addressSource = null
+  let watcher = null
+
+  const xpub = process.env[`CRYPTO_XPUB_${key}`]
+  if (xpub) {
+    try {
+      addressSource = createXpubSource({ network, xpub })
+    } catch (error) {
+      console.error(`Invalid CRYPTO_XPUB_${key}:`, error.message)
+    }
+  }
+  addressSource = addressSource || custodian?.addressSource || (stubEnabled ? stub.addressSource : null)
+
+  const indexerUrl = process.env[`CRYPTO_INDEXER_${key}_URL`]
+  const indexerKey = process.env[`CRYPTO_INDEXER_${key}_KEY`]
+  if (indexerUrl && indexerKey) {
+    watcher = createIndexerClient({ id: `indexer:${network.id}`, baseUrl: indexerUrl, apiKey: indexerKey }).watcher
+  }
+  watcher = watcher || custodian?.watcher || (stubEnabled ? stub.watcher : null)
+
+  if (addressSource && !watcher) {
+    console.warn(`Warning: ${network.id} deposit addresses are enabled but nothing watches them`)
+  }
+
+  return {
+    ...network,
+    confirmations: confirmationOverrides[network.id] ?? network.confirmations,
+    addressSource,
+    watcher
+  }
+}
+
+const networks = Object.values(NETWORKS)
+  .map(loadNetwork)
+  .filter(network => network.addressSource)
+
+export function getNetworks() {
+  return networks
+}
+
+export function getNetwork(id) {
+  return networks.find(network => network.id === id) || null
+}
+
+// Networks a currency can be deposited on, first one being the default
+export function getNetworksForCurrency(currency) {
+  return networks.filter(network => network.currencies.includes(currency))
+}
+
+// Withdrawals can go to any supported network, whether or not deposits are enabled on it
+export function getWithdrawalNetworks(currency) {
+  return Object.values(NETWORKS).filter(network => network.currencies.includes(currency))
+}
+
+export function getWithdrawalNetwork(id) {
+  return NETWORKS[id] || null
+}
+
+export function toPublicNetwork(network) {
+  return {
+    id: network.id,
+    name: network.name,
+    currencies: network.currencies,
+    confirmations: network.confirmations,
+    memo: !!network.memo
+  }
+}
+
+export { stub }
@@ -0,0 +1,30 @@
+import { jest } from '@jest/globals'
+
+const env = { ...process.env }
+
+afterEach(() => {
+  process.env = { ...env }
+  jest.resetModules()
+})
+
+describe('stub chain', () => {
+  test('is off unless asked for, whatever NODE_ENV says', async () => {
+    delete process.env.CRYPTO_STUB_CHAIN
+    delete process.env.NODE_ENV
+    const { stubEnabled, getNetworks } = await import('./index.js')
+
+    expect(stubEnabled).toBe(false)
+    expect(getNetworks()).toEqual([])
+  })
+
+  test('is on with CRYPTO_STUB_CHAIN=true', async () => {
+    process.env.CRYPTO_STUB_CHAIN = 'true'
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const { stubEnabled, getNetwork } = await import('./index.js')
+
+    expect(stubEnabled).toBe(true)
+    expect(getNetwork('bitcoin').addressSource).toBeTruthy()
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('CRYPTO_STUB_CHAIN'))
+    warn.mockRestore()
+  })
+})
@@ -0,0 +1,73 @@
+import fetch from 'node-fetch'
+
+// Generic JSON client for a custodian or chain indexer (Bearer API key).
+//
+// Watching (any indexer):
+//   GET  /networks/:network/height                  -> { height }
+//   GET  /networks/:network/transfers?cursor=       -> { transfers: [...], cursor }
+//        transfer: { tx_hash, output_index?, address, memo?, amount, currency, block_height }
+// Address issuing (custodians only):
+//   POST /networks/:network/addresses { currency, reference } -> { address, memo? }
+
+export function createIndexerClient({ id, baseUrl, apiKey, issuesAddresses = false }) {
+  async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+        ...options.headers
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`${id} error: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  const watcher = {
+    id,
+
+    async getHeight(network) {
+      const data = await request(`/networks/${network.id}/height`)
+      return Number(data.height)
+    },
+
+    async getTransfers(network, cursor) {
+      const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''
+      const data = await request(`/networks/${network.id}/transfers${query}`)
+
+      return {
+        transfers: (data.transfers || []).map(transfer => ({
+          tx_hash: transfer.tx_hash,
+          output_index: transfer.output_index || 0,
+          address: transfer.address,
+          memo: transfer.memo || null,
+          amount: Number(transfer.amount),
+          currency: transfer.currency,
+          block_height: transfer.block_height != null ? Number(transfer.block_height) : null
+        })),
+        cursor: data.cursor ?? cursor
+      }
+    }
+  }
+
+  const addressSource = issuesAddresses
+    ? {
+        id,
+        derives: false,
+
+        async createAddress({ network, currency, reference }) {
+          const data = await request(`/networks/${network.id}/addresses`, {
+            method: 'POST',
+            body: JSON.stringify({ currency, reference })
+          })
+          return { address: data.address, memo: data.memo || null }
+        }
+      }
+    : null
+
+  return { watcher, addressSource }
+}
@@ -0,0 +1,88 @@
+import crypto from 'crypto'
+
+// Local stub chain for development and tests: one in-memory chain per network.
+// Transfers sent with send() are included in the next mined block; blocks are
+// mined with mine(), or automatically every CRYPTO_STUB_BLOCK_MS if set.
+// It both issues addresses and acts as the watcher for every network.
+
+const chains = new Map()
+
+// Cursors are '<instance>:<sequence>' so a restarted stub doesn't trust old cursors
+const instance = crypto.randomBytes(4).toString('hex')
+
+function getChain(networkId) {
+  if (!chains.has(networkId)) {
+    chains.set(networkId, { height: 0, mempool: [], transfers: [] })
+  }
+  return chains.get(networkId)
+}
+
+export function send({ network, address, amount, currency, memo = null }) {
+  const chain = getChain(network)
+  const transfer = {
+    tx_hash: crypto.randomBytes(32).toString('hex'),
+    output_index: 0,
+    address,
+    memo,
+    amount,
+    currency
+  }
+  chain.mempool.push(transfer)
+  return transfer
+}
+
+export function mine(network, blocks = 1) {
+  const chain = getChain(network)
+  const included = chain.mempool.splice(0)
+
+  for (const transfer of included) {
+    chain.transfers.push({ ...transfer, block_height: chain.height + 1, sequence: chain.transfers.length + 1 })
+  }
+
+  chain.height += blocks
+  return { height: chain.height, included: included.length }
+}
+
+export function getStatus(network) {
+  const chain = getChain(network)
+  return { network, height: chain.height, mempool: chain.mempool.length, transfers: chain.transfers.length }
+}
+
+const blockMs = parseInt(process.env.CRYPTO_STUB_BLOCK_MS || '0')
+if (blockMs > 0) {
+  setInterval(() => {
+    for (const network of chains.keys()) mine(network)
+  }, blockMs).unref()
+}
+
+export const watcher = {
+  id: 'stub',
+
+  async getHeight(network) {
+    return getChain(network.id).height
+  },
+
+  // The cursor holds the sequence number of the last transfer returned
+  async getTransfers(network, cursor) {
+    const [cursorInstance, sequence] = (cursor || '').split(':')
+    const after = cursorInstance === instance ? parseInt(sequence) : 0
+    const transfers = getChain(network.id).transfers.filter(transfer => transfer.sequence > after)
+
+    return {
+      transfers: transfers.map(({ sequence, ...transfer }) => transfer),
+      cursor: `${instance}:${transfers.length ? transfers[transfers.length - 1].sequence : after}`
+    }
+  }
+}
+
+export const addressSource = {
+  id: 'stub',
+  derives: false,
+
+  async createAddress({ network, currency }) {
+    return {
+      address: `stub-${network.id}-${crypto.randomBytes(10).toString('hex')}`,
+      memo: network.memo ? String(crypto.randomInt(1e8, 1e9)) : null
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import { HDKey } from '@scure/bip32'
+import { bech32, createBase58check } from '@scure/base'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { keccak_256 } from '@noble/hashes/sha3.js'
+import { ripemd160 } from '@noble/hashes/legacy.js'
+import { secp256k1 } from '@noble/curves/secp256k1.js'
+
+// Address derivation from an account-level extended public key (e.g. m/84'/0'/0'
+// for Bitcoin, m/44'/60'/0' for Ethereum). Deposit addresses use the external
+// chain: <xpub>/0/<index>. Private keys never touch this server.
+
+const base58check = createBase58check(sha256)
+
+function hash160(bytes) {
+  return ripemd160(sha256(bytes))
+}
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex')
+}
+
+// Last 20 bytes of keccak256 of the uncompressed public key
+function evmAddressBytes(publicKey) {
+  const uncompressed = secp256k1.Point.fromBytes(publicKey).toBytes(false)
+  return keccak_256(uncompressed.slice(1)).slice(-20)
+}
+
+// EIP-55 mixed-case checksum
+export function toChecksumAddress(hex) {
+  const lower = hex.toLowerCase().replace(/^0x/, '')
+  const hash = toHex(keccak_256(new TextEncoder().encode(lower)))
+  return '0x' + [...lower].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('')
+}
+
+// Address encoders by network format
+const ENCODERS = {
+  // Native segwit P2WPKH
+  bech32: (publicKey, network) => bech32.encode(network.hrp, [0, ...bech32.toWords(hash160(publicKey))]),
+  evm: publicKey => toChecksumAddress(toHex(evmAddressBytes(publicKey))),
+  tron: publicKey => base58check.encode(Uint8Array.from([0x41, ...evmAddressBytes(publicKey)]))
+}
+
+export function createXpubSource({ network, xpub }) {
+  const encode = ENCODERS[network.format]
+  if (!encode) throw new Error(`xpub derivation is not supported for ${network.id}`)
+
+  const account = HDKey.fromExtendedKey(xpub).deriveChild(0)
+
+  return {
+    id: 'xpub',
+    derives: true,
+
+    deriveAddress(index) {
+      return { address: encode(account.deriveChild(index).publicKey, network), memo: null }
+    }
+  }
+}
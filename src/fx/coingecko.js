@@ -0,0 +1,55 @@
+import fetch from 'node-fetch'
+
+// CoinGecko simple price API. Crypto is priced in USD directly; fiat rates are
+// derived from Tether's price in that fiat (USDT/USD ÷ USDT/<fiat>).
+// FX_COINGECKO_URL switches to the pro API, FX_COINGECKO_KEY is sent as the API key.
+
+const BASE_URL = process.env.FX_COINGECKO_URL || 'https://api.coingecko.com/api/v3'
+const API_KEY = process.env.FX_COINGECKO_KEY
+
+const COIN_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  LTC: 'litecoin',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+  TRX: 'tron',
+  XRP: 'ripple'
+}
+
+export const provider = {
+  id: 'coingecko',
+  name: 'CoinGecko',
+
+  async getRates(currencies) {
+    const fiats = currencies.filter(currency => !COIN_IDS[currency] && currency !== 'USD')
+    const ids = [...new Set([...currencies.filter(currency => COIN_IDS[currency]).map(currency => COIN_IDS[currency]), 'tether'])]
+    const vs = ['usd', ...fiats.map(currency => currency.toLowerCase())]
+
+    const response = await fetch(`${BASE_URL}/simple/price?ids=${ids.join(',')}&vs_currencies=${vs.join(',')}`, {
+      headers: API_KEY ? { 'x-cg-demo-api-key': API_KEY, 'x-cg-pro-api-key': API_KEY } : {}
+    })
+
+    if (!response.ok) {
+      throw new Error(`CoinGecko error: ${response.status}`)
+    }
+
+    const prices = await response.json()
+    const rates = {}
+
+    for (const currency of currencies) {
+      if (currency === 'USD') {
+        rates.USD = 1
+      } else if (COIN_IDS[currency]) {
+        const price = prices[COIN_IDS[currency]]?.usd
+        if (price > 0) rates[currency] = price
+      } else {
+        const tether = prices.tether
+        const inFiat = tether?.[currency.toLowerCase()]
+        if (tether?.usd > 0 && inFiat > 0) rates[currency] = tether.usd / inFiat
+      }
+    }
+
+    return rates
+  }
+}
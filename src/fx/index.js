@@ -0,0 +1,27 @@
+import { provider as staticRates } from './static.js'
+import { provider as coingecko } from './coingecko.js'
+
+// Exchange rate provider registry.
+//
+// Every provider implements:
+//   id, name
+//   getRates(currencies) -> { [currency]: USD price of one unit }
+//       currencies it can't price are left out
+//
+// FX_PROVIDER picks the provider (default 'static' outside production, 'coingecko' in it).
+
+const BUILT_IN = { static: staticRates, coingecko }
+
+function loadProvider() {
+  const id = process.env.FX_PROVIDER || (process.env.NODE_ENV === 'production' ? 'coingecko' : 'static')
+
+  if (BUILT_IN[id]) return BUILT_IN[id]
+  console.warn(`Warning: FX provider '${id}' is not available, using static rates`)
+  return staticRates
+}
+
+const provider = loadProvider()
+
+export function getRateProvider() {
+  return provider
+}
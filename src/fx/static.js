@@ -0,0 +1,34 @@
+// Fixed rates for development and tests, overridable with FX_STATIC_RATES
+// ('{"BTC": 65000}'). Values are the USD price of one unit.
+
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  BTC: 60000,
+  ETH: 3000,
+  LTC: 80,
+  USDT: 1,
+  USDC: 1,
+  TRX: 0.12,
+  XRP: 0.5
+}
+
+function loadRates() {
+  try {
+    return { ...DEFAULT_RATES, ...JSON.parse(process.env.FX_STATIC_RATES || '{}') }
+  } catch (error) {
+    console.error('Invalid FX_STATIC_RATES, using defaults:', error)
+    return DEFAULT_RATES
+  }
+}
+
+const rates = loadRates()
+
+export const provider = {
+  id: 'static',
+  name: 'Static Rates',
+
+  async getRates(currencies) {
+    return Object.fromEntries(currencies.filter(currency => rates[currency] > 0).map(currency => [currency, rates[currency]]))
+  }
+}
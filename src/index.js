@@ -8,10 +8,29 @@ import gamesRoutes from './routes/games.js'
 import walletRoutes from './routes/wallet.js'
 import usersRoutes from './routes/users.js'
 import reportsRoutes from './routes/reports.js'
+import providerRoutes from './routes/provider.js'
+import fairnessRoutes from './routes/fairness.js'
+import bonusesRoutes from './routes/bonuses.js'
+import promotionsRoutes from './routes/promotions.js'
+import cashbackRoutes from './routes/cashback.js'
+import paymentsRoutes from './routes/payments.js'
+import cryptoRoutes from './routes/crypto.js'
+import fxRoutes from './routes/fx.js'
+import responsibleGamingRoutes from './routes/responsibleGaming.js'
+import kycRoutes from './routes/kyc.js'
+import amlRoutes from './routes/aml.js'
+import { attachCrashServer } from './realtime/crash.js'
+import { startJobs } from './jobs/index.js'
 
 const app = express()
 const PORT = process.env.PORT || 4000
 
+// Behind a load balancer, TRUST_PROXY (hop count or addresses) makes req.ip the client's IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy)
+}
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Allow inline scripts for development
@@ -25,9 +44,14 @@ app.use(cors({
   ].filter(Boolean),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key', 'X-Device-Fingerprint'],
+  exposedHeaders: ['Idempotent-Replayed']
+}))
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for HMAC-signed provider callbacks and payment webhooks
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8') }
 }))
-app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
 // Request logging
@@ -47,6 +71,17 @@ app.use('/api/games', gamesRoutes)
 app.use('/api/wallet', walletRoutes)
 app.use('/api/users', usersRoutes)
 app.use('/api/reports', reportsRoutes)
+app.use('/api/provider', providerRoutes)
+app.use('/api/fairness', fairnessRoutes)
+app.use('/api/bonuses', bonusesRoutes)
+app.use('/api/promotions', promotionsRoutes)
+app.use('/api/cashback', cashbackRoutes)
+app.use('/api/payments', paymentsRoutes)
+app.use('/api/crypto', cryptoRoutes)
+app.use('/api/fx', fxRoutes)
+app.use('/api/responsible-gaming', responsibleGamingRoutes)
+app.use('/api/kyc', kycRoutes)
+app.use('/api/aml', amlRoutes)
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -62,7 +97,13 @@ app.use((req, res) => {
   res.status(404).json({ ok: false, message: 'Not found' })
 })
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`)
   console.log(`📋 Environment: ${process.env.NODE_ENV || 'development'}`)
 })
+
+// Real-time crash rounds share the HTTP server
+attachCrashServer(server)
+
+// Background jobs (catalog sync, ...)
+startJobs()
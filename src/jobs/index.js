@@ -0,0 +1,68 @@
+import { schedule } from './scheduler.js'
+import { syncCatalog } from '../lib/catalog.js'
+import { expireSessions } from '../lib/gameSessions.js'
+import { expireBonuses } from '../lib/bonuses.js'
+import { reviewLevels } from '../lib/vip.js'
+import { runScheduledCashback, retryFailedPayouts } from '../lib/cashback.js'
+import { scanDeposits } from '../lib/cryptoDeposits.js'
+import { processPayouts } from '../lib/payouts.js'
+import { refreshRates } from '../lib/fx.js'
+import { runMonitor } from '../lib/amlMonitor.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// Register all background jobs
+export function startJobs() {
+  schedule('catalog-sync', parseInt(process.env.CATALOG_SYNC_INTERVAL_MS || String(6 * HOUR)), async () => {
+    const summary = await syncCatalog()
+    console.log('Catalog sync:', summary.map(s => `${s.provider}=${s.ok ? s.synced : 'failed'}`).join(' '))
+  }, { runOnStart: true })
+
+  schedule('game-session-expiry', MINUTE, async () => {
+    const expired = await expireSessions()
+    if (expired) console.log(`Expired ${expired} game sessions`)
+  })
+
+  schedule('bonus-expiry', 5 * MINUTE, async () => {
+    const expired = await expireBonuses()
+    if (expired) console.log(`Expired ${expired} bonuses`)
+  })
+
+  schedule('vip-review', parseInt(process.env.VIP_REVIEW_INTERVAL_MS || String(24 * HOUR)), async () => {
+    const demoted = await reviewLevels()
+    if (demoted) console.log(`VIP review demoted ${demoted} players`)
+  })
+
+  // Hourly check; each period is only paid once, on the first check after it ends.
+  // Payouts that failed in an earlier run are retried first.
+  schedule('cashback', HOUR, async () => {
+    const retried = await retryFailedPayouts()
+    if (retried.issued || retried.failed) console.log(`Cashback retries: ${retried.issued} issued, ${retried.failed} failed`)
+
+    const runs = await runScheduledCashback()
+    for (const run of runs) console.log(`Cashback run ${run.type}/${run.period}: ${run.issued} payouts`)
+  })
+
+  schedule('fx-rates', parseInt(process.env.FX_REFRESH_INTERVAL_MS || String(15 * MINUTE)), async () => {
+    await refreshRates()
+  }, { runOnStart: true })
+
+  schedule('withdrawal-payouts', parseInt(process.env.PAYOUT_INTERVAL_MS || '30000'), async () => {
+    const { sent, failed, confirmed } = await processPayouts()
+    if (sent || failed || confirmed) console.log(`Payouts: ${sent} sent, ${confirmed} confirmed, ${failed} failed`)
+  })
+
+  schedule('crypto-deposit-watcher', parseInt(process.env.CRYPTO_WATCH_INTERVAL_MS || '30000'), async () => {
+    const summary = await scanDeposits()
+    const active = summary.filter(s => !s.ok || s.detected || s.credited)
+    if (active.length) {
+      console.log('Deposit watcher:', active.map(s => `${s.network}=${s.ok ? `+${s.detected}/${s.credited} credited` : 'failed'}`).join(' '))
+    }
+  })
+
+  schedule('aml-monitor', parseInt(process.env.AML_MONITOR_INTERVAL_MS || String(15 * MINUTE)), async () => {
+    const { alerts, opened, failed } = await runMonitor()
+    if (alerts || failed.length) console.log(`AML monitor: ${alerts} alerts, ${opened} new cases${failed.length ? `, failed: ${failed.join(' ')}` : ''}`)
+  })
+}
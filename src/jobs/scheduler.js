@@ -0,0 +1,51 @@
+// Minimal in-process job scheduler.
+// Each job runs on a fixed interval; a run is skipped if the previous one is still going.
+
+const jobs = new Map()
+
+export function schedule(name, intervalMs, task, { runOnStart = false } = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already scheduled`)
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null, timer: null }
+
+  async function run() {
+    if (job.running) return
+    job.running = true
+    try {
+      await task()
+      job.lastError = null
+    } catch (error) {
+      job.lastError = error.message
+      console.error(`Job ${name} error:`, error)
+    } finally {
+      job.running = false
+      job.lastRunAt = new Date().toISOString()
+    }
+  }
+
+  job.run = run
+  job.timer = setInterval(run, intervalMs)
+  job.timer.unref?.()
+  jobs.set(name, job)
+
+  if (runOnStart) run()
+
+  return job
+}
+
+export function getJobs() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    interval_ms: intervalMs,
+    running,
+    last_run_at: lastRunAt,
+    last_error: lastError
+  }))
+}
+
+export function stopAll() {
+  for (const job of jobs.values()) clearInterval(job.timer)
+  jobs.clear()
+}
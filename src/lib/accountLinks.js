@@ -0,0 +1,208 @@
+import { supabase } from './supabase.js'
+
+// Links between player accounts, found through what they share:
+//
+//   device           the same client device fingerprint
+//   ip               the same IP within LINK_IP_LOOKBACK_DAYS (default 30); IPs used by
+//                    more than LINK_IP_MAX_ACCOUNTS (default 10) accounts are ignored
+//                    as public networks
+//   payout_address   withdrawals to, or a saved withdrawal address of, the same address
+//
+// LINK_BLOCK_SIGNALS (default 'device,payout_address') are the signals that count
+// when promotions or bonus issuance refuse linked accounts.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PAGE_SIZE = 1000
+
+export const LINK_SIGNALS = ['device', 'ip', 'payout_address']
+
+const IP_LOOKBACK_DAYS = parseInt(process.env.LINK_IP_LOOKBACK_DAYS || '30')
+const IP_MAX_ACCOUNTS = parseInt(process.env.LINK_IP_MAX_ACCOUNTS || '10')
+const BLOCK_SIGNALS = (process.env.LINK_BLOCK_SIGNALS || 'device,payout_address')
+  .split(',')
+  .map(signal => signal.trim())
+  .filter(signal => LINK_SIGNALS.includes(signal))
+
+export function getBlockSignals() {
+  return BLOCK_SIGNALS
+}
+
+export class LinkedAccountError extends Error {
+  constructor(message, linkedAccounts, status = 409) {
+    super(message)
+    this.name = 'LinkedAccountError'
+    this.status = status
+    this.linkedAccounts = linkedAccounts
+  }
+}
+
+async function fetchAll(buildQuery) {
+  const rows = []
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return rows
+  }
+}
+
+// Other users in the rows buildQuery finds for each chunk of values: { value: Set(userIds) }
+async function sharedWith(userId, values, buildQuery) {
+  const shared = {}
+  if (!values.length) return shared
+
+  for (let i = 0; i < values.length; i += 100) {
+    const rows = await fetchAll(() => buildQuery(values.slice(i, i + 100)))
+    for (const row of rows) {
+      if (row.user_id === userId) continue
+      (shared[row.value] ||= new Set()).add(row.user_id)
+    }
+  }
+
+  return shared
+}
+
+const unique = values => [...new Set(values.filter(Boolean))]
+
+async function deviceLinks(userId) {
+  const own = await fetchAll(() => supabase
+    .from('device_fingerprints')
+    .select('id, device_id')
+    .eq('user_id', userId)
+    .neq('device_id', ''))
+
+  return sharedWith(userId, unique(own.map(row => row.device_id)), devices => supabase
+    .from('device_fingerprints')
+    .select('id, user_id, value:device_id')
+    .in('device_id', devices))
+}
+
+async function ipLinks(userId) {
+  const since = new Date(Date.now() - IP_LOOKBACK_DAYS * DAY_MS).toISOString()
+
+  const own = await fetchAll(() => supabase
+    .from('device_fingerprints')
+    .select('id, ip')
+    .eq('user_id', userId)
+    .neq('ip', '')
+    .gte('last_seen_at', since))
+
+  const shared = await sharedWith(userId, unique(own.map(row => row.ip)), ips => supabase
+    .from('device_fingerprints')
+    .select('id, user_id, value:ip')
+    .in('ip', ips)
+    .gte('last_seen_at', since))
+
+  // The user counts towards the limit too
+  return Object.fromEntries(Object.entries(shared).filter(([, users]) => users.size + 1 <= IP_MAX_ACCOUNTS))
+}
+
+async function payoutAddressLinks(userId) {
+  const [withdrawals, saved] = await Promise.all([
+    fetchAll(() => supabase
+      .from('transactions')
+      .select('id, destination_address')
+      .eq('user_id', userId)
+      .eq('type', 'withdrawal')
+      .not('destination_address', 'is', null)),
+    fetchAll(() => supabase
+      .from('withdrawal_addresses')
+      .select('id, address')
+      .eq('user_id', userId))
+  ])
+
+  const addresses = unique([...withdrawals.map(tx => tx.destination_address), ...saved.map(row => row.address)])
+
+  const [byWithdrawal, bySaved] = await Promise.all([
+    sharedWith(userId, addresses, chunk => supabase
+      .from('transactions')
+      .select('id, user_id, value:destination_address')
+      .eq('type', 'withdrawal')
+      .in('destination_address', chunk)),
+    sharedWith(userId, addresses, chunk => supabase
+      .from('withdrawal_addresses')
+      .select('id, user_id, value:address')
+      .in('address', chunk))
+  ])
+
+  for (const [address, users] of Object.entries(bySaved)) {
+    for (const user of users) (byWithdrawal[address] ||= new Set()).add(user)
+  }
+  return byWithdrawal
+}
+
+const FINDERS = {
+  device: deviceLinks,
+  ip: ipLinks,
+  payout_address: payoutAddressLinks
+}
+
+// Accounts linked to the user, strongest first:
+// [{ user_id, username, email, account_state, signals: [{ type, value }] }]
+export async function getLinkedAccounts(userId, { signals = LINK_SIGNALS } = {}) {
+  const linked = new Map()
+
+  for (const type of signals) {
+    for (const [value, users] of Object.entries(await FINDERS[type](userId))) {
+      for (const linkedId of users) {
+        if (!linked.has(linkedId)) linked.set(linkedId, [])
+        linked.get(linkedId).push({ type, value })
+      }
+    }
+  }
+
+  if (!linked.size) return []
+
+  const ids = [...linked.keys()]
+  const profiles = []
+  for (let i = 0; i < ids.length; i += 500) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, username, email, account_state, created_at')
+      .in('id', ids.slice(i, i + 500))
+
+    if (error) throw error
+    profiles.push(...(data || []))
+  }
+
+  const profilesById = Object.fromEntries(profiles.map(profile => [profile.id, profile]))
+
+  return ids
+    .map(id => ({
+      user_id: id,
+      username: profilesById[id]?.username || null,
+      email: profilesById[id]?.email || null,
+      account_state: profilesById[id]?.account_state || null,
+      created_at: profilesById[id]?.created_at || null,
+      signals: linked.get(id)
+    }))
+    .sort((a, b) => new Set(b.signals.map(s => s.type)).size - new Set(a.signals.map(s => s.type)).size ||
+      b.signals.length - a.signals.length)
+}
+
+// Refuse when the user is linked to other accounts through a blocking signal
+export async function assertNotLinked(userId, message = 'Not available to linked accounts') {
+  if (!BLOCK_SIGNALS.length) return
+
+  const linked = await getLinkedAccounts(userId, { signals: BLOCK_SIGNALS })
+  if (linked.length) {
+    throw new LinkedAccountError(message, linked)
+  }
+}
+
+// Summary for staff views
+export function toLinkSummary(linkedAccounts) {
+  const counts = Object.fromEntries(LINK_SIGNALS.map(type => [
+    type,
+    linkedAccounts.filter(account => account.signals.some(signal => signal.type === type)).length
+  ]))
+
+  return {
+    flagged: linkedAccounts.some(account => account.signals.some(signal => BLOCK_SIGNALS.includes(signal.type))),
+    counts,
+    accounts: linkedAccounts
+  }
+}
@@ -0,0 +1,306 @@
+import { supabase } from './supabase.js'
+import { listActiveSessions, closeSession } from './gameSessions.js'
+
+// Account states and what each one may do.
+//
+//   active                 full access
+//   timeout                restricted until account_state_until, then active again
+//   self_excluded          restricted until account_state_until; after that the player
+//                          asks to come back and an admin reinstates the account
+//   permanently_excluded   restricted; only an admin can reinstate
+//   banned                 no access; the state underneath is kept and comes back
+//                          when the ban is lifted
+//
+// Restricted accounts can read everything of their own and withdraw their funds,
+// manage withdrawal addresses, their responsible gaming settings and KYC documents,
+// but nothing else.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const ACCOUNT_STATES = ['active', 'timeout', 'self_excluded', 'permanently_excluded', 'banned']
+
+const ACCESS = {
+  active: 'full',
+  timeout: 'restricted',
+  self_excluded: 'restricted',
+  permanently_excluded: 'restricted',
+  banned: 'none'
+}
+
+// Writes a restricted account may still make
+const RESTRICTED_WRITES = [
+  /^\/api\/wallet\/withdraw$/,
+  /^\/api\/wallet\/addresses(\/|$)/,
+  /^\/api\/responsible-gaming\//,
+  /^\/api\/kyc\//
+]
+
+// How strict each state is. An exclusion in force can't be swapped for a looser one.
+const STRICTNESS = {
+  active: 0,
+  timeout: 1,
+  self_excluded: 2,
+  permanently_excluded: 3
+}
+
+// Player-chosen exclusion lengths in days
+export const EXCLUSION_DAYS = {
+  timeout: { min: 1, max: 42 },
+  self_excluded: { min: 180, max: 1825 }
+}
+
+export class AccountStateError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'AccountStateError'
+    this.status = status
+  }
+}
+
+// State in force now (timeouts lift by themselves)
+export function getAccountState(profile, now = new Date()) {
+  const state = profile.account_state || 'active'
+  if (state === 'timeout' && profile.account_state_until && new Date(profile.account_state_until) <= now) {
+    return 'active'
+  }
+  return state
+}
+
+export function getAccess(profile) {
+  return ACCESS[getAccountState(profile)]
+}
+
+export function isAllowedWhileRestricted(method, path) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(method)) return true
+  return RESTRICTED_WRITES.some(pattern => pattern.test(path))
+}
+
+export function describeAccountState(profile, now = new Date()) {
+  const state = getAccountState(profile, now)
+  const until = profile.account_state_until
+
+  switch (state) {
+    case 'timeout':
+      return `Your account is on a break until ${until}`
+    case 'self_excluded':
+      return until && new Date(until) > now
+        ? `Your account is self-excluded until ${until}`
+        : 'Your self-exclusion has ended. Request reinstatement to play again'
+    case 'permanently_excluded':
+      return 'Your account is permanently self-excluded'
+    case 'banned':
+      return 'Account is banned'
+    default:
+      return 'Account is active'
+  }
+}
+
+export function toPublicAccountState(profile, now = new Date()) {
+  const state = getAccountState(profile, now)
+  return {
+    state,
+    access: ACCESS[state],
+    until: state === 'active' ? null : profile.account_state_until,
+    message: describeAccountState(profile, now),
+    reinstatement_requested_at: profile.reinstatement_requested_at || null,
+    can_request_reinstatement: canRequestReinstatement(profile, now)
+  }
+}
+
+function canRequestReinstatement(profile, now) {
+  return getAccountState(profile, now) === 'self_excluded' &&
+    !!profile.account_state_until &&
+    new Date(profile.account_state_until) <= now &&
+    !profile.reinstatement_requested_at
+}
+
+async function updateState(userId, fields) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({ ...fields, account_state_changed_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// An exclusion in force can only be made longer or stricter, whoever asks
+function assertNotWeaker(profile, state, until, now) {
+  const current = getAccountState(profile, now)
+  const currentUntil = profile.account_state_until ? new Date(profile.account_state_until) : null
+  const weaker = STRICTNESS[state] < STRICTNESS[current]
+  const shorter = state === current && currentUntil && until < currentUntil
+
+  if (weaker || shorter) {
+    throw new AccountStateError(`${describeAccountState(profile, now)}. It can only be extended`, 409)
+  }
+}
+
+// Close open game sessions so providers stop accepting bets for the account
+async function closeGameSessions(userId) {
+  const sessions = await listActiveSessions(userId)
+  await Promise.all(sessions.map(session => closeSession(session.id, userId)))
+}
+
+// Player: take a timeout, self-exclude for a period, or self-exclude permanently.
+// An exclusion already in force can only be made longer or stricter.
+export async function selfExclude(profile, { type, days }) {
+  const now = new Date()
+  const current = getAccountState(profile, now)
+
+  if (!['timeout', 'self_excluded', 'permanently_excluded'].includes(type)) {
+    throw new AccountStateError('type must be timeout, self_excluded or permanently_excluded')
+  }
+  if (current === 'banned' || current === 'permanently_excluded') {
+    throw new AccountStateError(describeAccountState(profile, now), 409)
+  }
+
+  let until = null
+  if (type !== 'permanently_excluded') {
+    const { min, max } = EXCLUSION_DAYS[type]
+    if (!Number.isInteger(days) || days < min || days > max) {
+      throw new AccountStateError(`days must be a whole number from ${min} to ${max}`)
+    }
+    until = new Date(now.getTime() + days * DAY_MS)
+  }
+  assertNotWeaker(profile, type, until, now)
+
+  const updated = await updateState(profile.id, {
+    account_state: type,
+    account_state_until: until?.toISOString() || null,
+    account_state_reason: 'Requested by player',
+    account_state_changed_by: profile.id,
+    reinstatement_requested_at: null
+  })
+
+  await closeGameSessions(profile.id)
+
+  return updated
+}
+
+// Player: ask to come back once a self-exclusion has run its course
+export async function requestReinstatement(profile) {
+  if (!canRequestReinstatement(profile, new Date())) {
+    throw new AccountStateError(profile.reinstatement_requested_at
+      ? 'Reinstatement already requested'
+      : describeAccountState(profile), 409)
+  }
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({ reinstatement_requested_at: new Date().toISOString() })
+    .eq('id', profile.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Admin: put an account into a restricted state. Going back to active is done with
+// reinstate(), and lifting a ban with liftBan(). Like the player, staff can only make
+// an exclusion in force longer or stricter.
+export async function setAccountState(profile, { state, until, reason, adminId }) {
+  const now = new Date()
+  const current = getAccountState(profile, now)
+
+  if (state === 'active') {
+    throw new AccountStateError('Use reinstate to make an account active again')
+  }
+  if (!ACCOUNT_STATES.includes(state)) {
+    throw new AccountStateError(`state must be one of: ${ACCOUNT_STATES.join(', ')}`)
+  }
+  if (current === 'banned') {
+    throw new AccountStateError(state === 'banned' ? 'Account is already banned' : 'Account is banned. Lift the ban first', 409)
+  }
+  if (state === 'banned') {
+    return ban(profile, { current, reason, adminId })
+  }
+  if (['timeout', 'self_excluded'].includes(state) && !(until && new Date(until) > now)) {
+    throw new AccountStateError('A future until date is required for this state')
+  }
+
+  const untilDate = state === 'permanently_excluded' ? null : new Date(until)
+  assertNotWeaker(profile, state, untilDate, now)
+
+  const updated = await updateState(profile.id, {
+    account_state: state,
+    account_state_until: untilDate?.toISOString() || null,
+    account_state_reason: reason || null,
+    account_state_changed_by: adminId,
+    reinstatement_requested_at: null
+  })
+
+  await closeGameSessions(profile.id)
+
+  return updated
+}
+
+// Ban an account, keeping the state underneath for when the ban is lifted
+async function ban(profile, { current, reason, adminId }) {
+  const excluded = current !== 'active'
+
+  const updated = await updateState(profile.id, {
+    account_state: 'banned',
+    account_state_until: null,
+    account_state_reason: reason || null,
+    account_state_changed_by: adminId,
+    account_state_before_ban: current,
+    account_state_until_before_ban: excluded ? profile.account_state_until : null,
+    account_state_reason_before_ban: excluded ? profile.account_state_reason : null
+  })
+
+  await closeGameSessions(profile.id)
+
+  return updated
+}
+
+// Admin: lift a ban, putting back the state the account was in before it. An
+// exclusion that was in force then still runs to its original end.
+export async function liftBan(profile, { reason, adminId }) {
+  if (getAccountState(profile) !== 'banned') {
+    throw new AccountStateError('Account is not banned', 409)
+  }
+
+  const state = profile.account_state_before_ban || 'active'
+
+  return updateState(profile.id, {
+    account_state: state,
+    account_state_until: profile.account_state_until_before_ban || null,
+    account_state_reason: state === 'active' ? reason || null : profile.account_state_reason_before_ban,
+    account_state_changed_by: adminId,
+    account_state_before_ban: null,
+    account_state_until_before_ban: null,
+    account_state_reason_before_ban: null
+  })
+}
+
+// Admin: reinstate an excluded account. Self-exclusions can't be lifted before they
+// end, and lifting a permanent exclusion needs a reason on record.
+export async function reinstate(profile, { reason, adminId }) {
+  const now = new Date()
+  const state = getAccountState(profile, now)
+
+  if (state === 'active') {
+    throw new AccountStateError('Account is already active', 409)
+  }
+  if (state === 'banned') {
+    throw new AccountStateError('Account is banned. Lift the ban instead', 409)
+  }
+  if (state === 'self_excluded' && profile.account_state_until && new Date(profile.account_state_until) > now) {
+    throw new AccountStateError(`Self-exclusion runs until ${profile.account_state_until}`, 409)
+  }
+  if (state === 'permanently_excluded' && !reason) {
+    throw new AccountStateError('A reason is required to lift a permanent exclusion')
+  }
+
+  return updateState(profile.id, {
+    account_state: 'active',
+    account_state_until: null,
+    account_state_reason: reason || null,
+    account_state_changed_by: adminId,
+    reinstatement_requested_at: null
+  })
+}
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./gameSessions.js', () => ({
+  listActiveSessions: jest.fn(async () => []),
+  closeSession: jest.fn()
+}))
+
+const { setAccountState, liftBan, reinstate, selfExclude, getAccountState } = await import('./accountState.js')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function inDays(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString()
+}
+
+function givenProfile(fields = {}) {
+  const profile = { id: 'u1', account_state: 'active', account_state_until: null, account_state_reason: null, ...fields }
+  db.tables.profiles = [profile]
+  return profile
+}
+
+function stored() {
+  return db.tables.profiles[0]
+}
+
+describe('setAccountState', () => {
+  test('refuses to swap an active self-exclusion for a timeout', async () => {
+    const profile = givenProfile({ account_state: 'self_excluded', account_state_until: inDays(200) })
+
+    await expect(setAccountState(profile, { state: 'timeout', until: inDays(1), adminId: 'a1' }))
+      .rejects.toMatchObject({ status: 409 })
+    expect(stored().account_state).toBe('self_excluded')
+  })
+
+  test('refuses to shorten an active self-exclusion', async () => {
+    const profile = givenProfile({ account_state: 'self_excluded', account_state_until: inDays(200) })
+
+    await expect(setAccountState(profile, { state: 'self_excluded', until: inDays(10), adminId: 'a1' }))
+      .rejects.toMatchObject({ status: 409 })
+    expect(stored().account_state_until).toBe(profile.account_state_until)
+  })
+
+  test('refuses to put a permanently excluded player on a timeout', async () => {
+    const profile = givenProfile({ account_state: 'permanently_excluded' })
+
+    await expect(setAccountState(profile, { state: 'timeout', until: inDays(1), adminId: 'a1' }))
+      .rejects.toMatchObject({ status: 409 })
+    expect(stored().account_state).toBe('permanently_excluded')
+  })
+
+  test('extends an exclusion', async () => {
+    const profile = givenProfile({ account_state: 'timeout', account_state_until: inDays(1) })
+
+    const updated = await setAccountState(profile, { state: 'self_excluded', until: inDays(365), reason: 'Support request', adminId: 'a1' })
+
+    expect(updated).toMatchObject({ account_state: 'self_excluded', account_state_changed_by: 'a1' })
+  })
+
+  test('treats a timeout that has run out as active', async () => {
+    const profile = givenProfile({ account_state: 'timeout', account_state_until: inDays(-1) })
+
+    const updated = await setAccountState(profile, { state: 'timeout', until: inDays(1), adminId: 'a1' })
+
+    expect(getAccountState(updated)).toBe('timeout')
+  })
+})
+
+describe('bans', () => {
+  test('keep the exclusion underneath and put it back when lifted', async () => {
+    const until = inDays(200)
+    const profile = givenProfile({ account_state: 'self_excluded', account_state_until: until, account_state_reason: 'Requested by player' })
+
+    const banned = await setAccountState(profile, { state: 'banned', reason: 'Fraud', adminId: 'a1' })
+    expect(banned).toMatchObject({ account_state: 'banned', account_state_before_ban: 'self_excluded', account_state_until_before_ban: until })
+
+    const unbanned = await liftBan(banned, { reason: 'Cleared', adminId: 'a1' })
+    expect(unbanned).toMatchObject({
+      account_state: 'self_excluded',
+      account_state_until: until,
+      account_state_reason: 'Requested by player',
+      account_state_before_ban: null
+    })
+  })
+
+  test('lifting a ban on an active account makes it active again', async () => {
+    const banned = await setAccountState(givenProfile(), { state: 'banned', reason: 'Fraud', adminId: 'a1' })
+
+    const unbanned = await liftBan(banned, { reason: 'Cleared', adminId: 'a1' })
+
+    expect(unbanned).toMatchObject({ account_state: 'active', account_state_until: null, account_state_reason: 'Cleared' })
+  })
+
+  test('other states wait until the ban is lifted', async () => {
+    const profile = givenProfile({ account_state: 'banned', account_state_before_ban: 'permanently_excluded' })
+
+    await expect(setAccountState(profile, { state: 'timeout', until: inDays(1), adminId: 'a1' }))
+      .rejects.toMatchObject({ status: 409 })
+    await expect(setAccountState(profile, { state: 'banned', adminId: 'a1' }))
+      .rejects.toMatchObject({ status: 409 })
+  })
+
+  test('reinstating can not lift a ban and the exclusion under it', async () => {
+    const profile = givenProfile({ account_state: 'banned', account_state_before_ban: 'self_excluded', account_state_until_before_ban: inDays(200) })
+
+    await expect(reinstate(profile, { reason: 'Appeal', adminId: 'a1' })).rejects.toMatchObject({ status: 409 })
+    expect(stored().account_state).toBe('banned')
+  })
+
+  test('only a banned account can be unbanned', async () => {
+    const profile = givenProfile({ account_state: 'self_excluded', account_state_until: inDays(200) })
+
+    await expect(liftBan(profile, { adminId: 'a1' })).rejects.toMatchObject({ status: 409 })
+  })
+})
+
+describe('selfExclude', () => {
+  test('refuses a timeout during a self-exclusion', async () => {
+    const profile = givenProfile({ account_state: 'self_excluded', account_state_until: inDays(200) })
+
+    await expect(selfExclude(profile, { type: 'timeout', days: 1 })).rejects.toMatchObject({ status: 409 })
+  })
+})
@@ -0,0 +1,276 @@
+import { supabase } from './supabase.js'
+
+// AML cases. Alerts from the monitor are filed into an open case for any of the
+// same users (or a new one); staff assign, annotate, escalate and close cases.
+// Every step is recorded in aml_case_events, which makes up the case file.
+//
+// Escalated cases can only be closed by an admin.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PAGE_SIZE = 1000
+
+// Activity included in an export: from this long before the first alert until now
+const EXPORT_LOOKBACK_DAYS = parseInt(process.env.AML_EXPORT_LOOKBACK_DAYS || '90')
+
+export const CASE_STATUSES = ['open', 'escalated', 'closed']
+export const CASE_RESOLUTIONS = ['no_action', 'false_positive', 'sar_filed', 'account_restricted']
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 }
+
+export class AmlError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'AmlError'
+    this.status = status
+  }
+}
+
+async function addEvent(caseId, { actorId = null, type, body = null, details = {} }) {
+  const { data, error } = await supabase
+    .from('aml_case_events')
+    .insert({ case_id: caseId, actor_id: actorId, type, body, details })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Update a case that is still in one of `statuses`; null if it has moved on
+async function updateCase(caseId, statuses, fields) {
+  const { data } = await supabase
+    .from('aml_cases')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', caseId)
+    .in('status', statuses)
+    .select()
+    .single()
+
+  return data || null
+}
+
+// Record an alert and file it into a case. Returns null if the alert was raised before.
+export async function fileAlert({ rule, subjectKey, userIds, severity, title, details }) {
+  const { data: alert, error } = await supabase
+    .from('aml_alerts')
+    .insert({ rule, subject_key: subjectKey, user_ids: userIds, severity, details })
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') return null
+    throw error
+  }
+
+  const { data: existing } = await supabase
+    .from('aml_cases')
+    .select('*')
+    .neq('status', 'closed')
+    .overlaps('user_ids', userIds)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .single()
+
+  let amlCase = existing
+  if (existing) {
+    amlCase = await updateCase(existing.id, ['open', 'escalated'], {
+      user_ids: [...new Set([...existing.user_ids, ...userIds])],
+      severity: SEVERITY_RANK[severity] > SEVERITY_RANK[existing.severity] ? severity : existing.severity
+    }) || existing
+  } else {
+    const { data: created, error: caseError } = await supabase
+      .from('aml_cases')
+      .insert({ user_ids: userIds, title, severity })
+      .select()
+      .single()
+
+    if (caseError) throw caseError
+    amlCase = created
+  }
+
+  await supabase.from('aml_alerts').update({ case_id: amlCase.id }).eq('id', alert.id)
+  await addEvent(amlCase.id, {
+    type: existing ? 'alert' : 'opened',
+    body: title,
+    details: { alert_id: alert.id, rule, severity }
+  })
+
+  return { alert: { ...alert, case_id: amlCase.id }, case: amlCase, opened: !existing }
+}
+
+export async function getCase(caseId) {
+  const { data: amlCase } = await supabase
+    .from('aml_cases')
+    .select('*')
+    .eq('id', caseId)
+    .single()
+
+  if (!amlCase) return null
+
+  const [{ data: alerts }, { data: events }] = await Promise.all([
+    supabase.from('aml_alerts').select('*').eq('case_id', caseId).order('created_at'),
+    supabase.from('aml_case_events').select('*').eq('case_id', caseId).order('id')
+  ])
+
+  return { ...amlCase, alerts: alerts || [], events: events || [] }
+}
+
+function requireOpen(amlCase) {
+  if (amlCase.status === 'closed') {
+    throw new AmlError('Case is closed', 409)
+  }
+}
+
+// Assign a case to a staff member (null unassigns it)
+export async function assignCase(amlCase, { assigneeId, actorId }) {
+  requireOpen(amlCase)
+
+  if (assigneeId) {
+    const { data: assignee } = await supabase
+      .from('profiles')
+      .select('id, role')
+      .eq('id', assigneeId)
+      .single()
+
+    if (!assignee || !['admin', 'staff'].includes(assignee.role)) {
+      throw new AmlError('Cases can only be assigned to staff')
+    }
+  }
+
+  const updated = await updateCase(amlCase.id, ['open', 'escalated'], { assigned_to: assigneeId || null })
+  if (!updated) throw new AmlError('Case is closed', 409)
+
+  await addEvent(amlCase.id, {
+    actorId,
+    type: 'assigned',
+    details: { from: amlCase.assigned_to, to: assigneeId || null }
+  })
+
+  return updated
+}
+
+export async function addNote(amlCase, { body, actorId }) {
+  if (!body || !String(body).trim()) {
+    throw new AmlError('Note text required')
+  }
+
+  return addEvent(amlCase.id, { actorId, type: 'note', body: String(body).trim() })
+}
+
+export async function escalateCase(amlCase, { reason, actorId }) {
+  if (!reason) {
+    throw new AmlError('A reason is required to escalate a case')
+  }
+
+  const updated = await updateCase(amlCase.id, ['open'], {
+    status: 'escalated',
+    severity: 'high',
+    escalated_at: new Date().toISOString(),
+    escalated_by: actorId
+  })
+
+  if (!updated) {
+    throw new AmlError(`Case is ${amlCase.status}`, 409)
+  }
+
+  await addEvent(amlCase.id, { actorId, type: 'escalated', body: reason })
+  return updated
+}
+
+export async function closeCase(amlCase, { resolution, notes, actorId, isAdmin }) {
+  if (!CASE_RESOLUTIONS.includes(resolution)) {
+    throw new AmlError(`resolution must be one of: ${CASE_RESOLUTIONS.join(', ')}`)
+  }
+  if (!notes) {
+    throw new AmlError('Closing notes are required')
+  }
+  if (amlCase.status === 'escalated' && !isAdmin) {
+    throw new AmlError('Escalated cases can only be closed by an admin', 403)
+  }
+
+  const updated = await updateCase(amlCase.id, isAdmin ? ['open', 'escalated'] : ['open'], {
+    status: 'closed',
+    resolution,
+    closed_at: new Date().toISOString(),
+    closed_by: actorId
+  })
+
+  if (!updated) {
+    throw new AmlError('Case is already closed or has been escalated', 409)
+  }
+
+  await addEvent(amlCase.id, { actorId, type: 'closed', body: notes, details: { resolution } })
+  return updated
+}
+
+async function fetchAll(buildQuery) {
+  const rows = []
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery()
+      .order('created_at')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return rows
+  }
+}
+
+// Everything about a case in one document: the case and its history, the alerts,
+// the users involved and their transactions and betting over the period
+export async function exportCase(caseId, { actorId }) {
+  const amlCase = await getCase(caseId)
+  if (!amlCase) return null
+
+  const firstAlertAt = amlCase.alerts.length ? Date.parse(amlCase.alerts[0].created_at) : Date.parse(amlCase.created_at)
+  const since = new Date(firstAlertAt - EXPORT_LOOKBACK_DAYS * DAY_MS).toISOString()
+
+  const { data: subjects } = await supabase
+    .from('profiles')
+    .select('id, email, username, role, vip_level, kyc_level, account_state, account_state_until, created_at')
+    .in('id', amlCase.user_ids)
+
+  const transactions = await fetchAll(() => supabase
+    .from('transactions')
+    .select('id, user_id, type, amount, currency, status, notes, destination_network, destination_address, destination_memo, tx_hash, risk_decision, created_at')
+    .in('user_id', amlCase.user_ids)
+    .gte('created_at', since))
+
+  const swaps = await fetchAll(() => supabase
+    .from('currency_swaps')
+    .select('id, user_id, from_currency, to_currency, from_amount, to_amount, rate, created_at')
+    .in('user_id', amlCase.user_ids)
+    .gte('created_at', since))
+
+  const bets = await fetchAll(() => supabase
+    .from('bets')
+    .select('user_id, stake, win_amount, currency, created_at')
+    .in('user_id', amlCase.user_ids)
+    .gte('created_at', since))
+
+  // Betting is summarised per user and currency; individual bets add little to a case file
+  const betting = {}
+  for (const bet of bets) {
+    const key = `${bet.user_id}:${bet.currency}`
+    const summary = betting[key] ||= { user_id: bet.user_id, currency: bet.currency, bets: 0, staked: 0, won: 0 }
+    summary.bets += 1
+    summary.staked += bet.stake || 0
+    summary.won += bet.win_amount || 0
+  }
+
+  const exportedAt = new Date().toISOString()
+  await addEvent(caseId, { actorId, type: 'exported', details: { period_start: since } })
+
+  return {
+    exported_at: exportedAt,
+    exported_by: actorId,
+    period: { start: since, end: exportedAt },
+    case: { ...amlCase, alerts: undefined, events: undefined },
+    alerts: amlCase.alerts,
+    events: amlCase.events,
+    subjects: subjects || [],
+    transactions,
+    swaps,
+    betting: Object.values(betting)
+  }
+}
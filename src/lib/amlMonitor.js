@@ -0,0 +1,312 @@
+import { supabase } from './supabase.js'
+import { getLatestRates } from './fx.js'
+import { fileAlert } from './amlCases.js'
+
+// AML transaction monitoring. The aml-monitor job runs each enabled rule over recent
+// transactions, bets and swaps; every finding becomes an alert (raised once per
+// subject_key) filed into a case (see lib/amlCases.js). Amounts are compared in USD
+// at current rates.
+//
+// AML_RULES overrides rule settings by rule ID, e.g.
+//   '{"structuring": {"thresholds": [10000, 3000]}, "currency_cycling": {"enabled": false}}'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const PAGE_SIZE = 1000
+
+const SEVERITIES = ['low', 'medium', 'high']
+
+const DEFAULT_RULES = {
+  // At least min_count deposits (or withdrawals) within window_hours that each fall
+  // just under a threshold: between threshold × (1 - margin) and the threshold
+  structuring: { enabled: true, severity: 'high', thresholds: [10000], margin: 0.1, min_count: 3, window_hours: 24 },
+  // Withdrawal of at least min_amount deposited in the window_hours before it, with
+  // less than min_turnover × the deposits wagered in between
+  deposit_withdraw: { enabled: true, severity: 'medium', min_amount: 500, min_turnover: 0.5, window_hours: 72 },
+  // At least min_swaps swaps within window_hours, with funds swapped back into a
+  // currency they were swapped out of
+  currency_cycling: { enabled: true, severity: 'medium', min_swaps: 4, window_hours: 24 },
+  // Withdrawals from at least min_accounts accounts to one address within lookback_days
+  shared_address: { enabled: true, severity: 'high', min_accounts: 3, lookback_days: 90 }
+}
+
+function loadRules() {
+  let overrides = {}
+  try {
+    overrides = JSON.parse(process.env.AML_RULES || 'null') ?? {}
+  } catch (error) {
+    console.error('Invalid AML_RULES, using defaults:', error)
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_RULES).map(([id, defaults]) => {
+    const rule = { ...defaults, ...overrides[id] }
+    if (!SEVERITIES.includes(rule.severity)) {
+      console.error(`Invalid severity for AML rule ${id}, using '${defaults.severity}'`)
+      rule.severity = defaults.severity
+    }
+    return [id, rule]
+  }))
+}
+
+const rules = loadRules()
+
+export function getRules() {
+  return rules
+}
+
+async function fetchAll(buildQuery) {
+  const rows = []
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery()
+      .order('created_at')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return rows
+  }
+}
+
+function groupBy(rows, key) {
+  const groups = new Map()
+  for (const row of rows) {
+    const value = key(row)
+    if (!groups.has(value)) groups.set(value, [])
+    groups.get(value).push(row)
+  }
+  return groups
+}
+
+function roundUsd(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+// USD value of an amount at current rates, or null if the currency has no rate
+async function getUsdConverter() {
+  const rates = await getLatestRates()
+  return (amount, currency) => {
+    const rate = currency === 'USD' ? 1 : rates[currency]?.rate
+    return rate ? Math.abs(amount || 0) * rate : null
+  }
+}
+
+// Rule checks: each returns findings ({ subjectKey, userIds, title, details })
+const CHECKS = {
+  async structuring(rule, { toUsd, now }) {
+    const transactions = await fetchAll(() => supabase
+      .from('transactions')
+      .select('id, user_id, type, amount, currency, status, created_at')
+      .in('type', ['deposit', 'withdrawal'])
+      .gte('created_at', new Date(now - rule.window_hours * HOUR_MS).toISOString()))
+
+    const findings = []
+
+    for (const [key, rows] of groupBy(transactions, tx => `${tx.user_id}:${tx.type}`)) {
+      const [userId, type] = key.split(':')
+
+      for (const threshold of rule.thresholds) {
+        const near = rows
+          .map(tx => ({ ...tx, usd: toUsd(tx.amount, tx.currency) }))
+          .filter(tx => tx.usd !== null && tx.usd < threshold && tx.usd >= threshold * (1 - rule.margin))
+
+        if (near.length < rule.min_count) continue
+
+        const latest = near[near.length - 1]
+        findings.push({
+          subjectKey: `${userId}:${type}:${threshold}:${latest.id}`,
+          userIds: [userId],
+          title: `${near.length} ${type}s just under ${threshold} USD within ${rule.window_hours}h`,
+          details: {
+            type,
+            threshold,
+            count: near.length,
+            total_usd: roundUsd(near.reduce((sum, tx) => sum + tx.usd, 0)),
+            transactions: near.map(tx => ({
+              id: tx.id,
+              amount: Math.abs(tx.amount),
+              currency: tx.currency,
+              usd: roundUsd(tx.usd),
+              status: tx.status,
+              created_at: tx.created_at
+            }))
+          }
+        })
+      }
+    }
+
+    return findings
+  },
+
+  async deposit_withdraw(rule, { toUsd, now }) {
+    const windowMs = rule.window_hours * HOUR_MS
+
+    // Withdrawals requested since the window started, checked against the window before each
+    const withdrawals = await fetchAll(() => supabase
+      .from('transactions')
+      .select('id, user_id, amount, currency, status, created_at')
+      .eq('type', 'withdrawal')
+      .not('status', 'in', '(rejected,blocked)')
+      .gte('created_at', new Date(now - windowMs).toISOString()))
+
+    const findings = []
+
+    for (const [userId, userWithdrawals] of groupBy(withdrawals, tx => tx.user_id)) {
+      const since = new Date(Date.parse(userWithdrawals[0].created_at) - windowMs).toISOString()
+
+      const deposits = await fetchAll(() => supabase
+        .from('transactions')
+        .select('id, amount, currency, created_at')
+        .eq('user_id', userId)
+        .eq('type', 'deposit')
+        .eq('status', 'completed')
+        .gte('created_at', since))
+
+      if (!deposits.length) continue
+
+      const bets = await fetchAll(() => supabase
+        .from('bets')
+        .select('stake, currency, created_at')
+        .eq('user_id', userId)
+        .gte('created_at', since))
+
+      for (const withdrawal of userWithdrawals) {
+        const at = Date.parse(withdrawal.created_at)
+        const inWindow = row => Date.parse(row.created_at) < at && Date.parse(row.created_at) >= at - windowMs
+
+        const recent = deposits.filter(inWindow)
+        const deposited = recent.reduce((sum, tx) => sum + (toUsd(tx.amount, tx.currency) || 0), 0)
+        if (!recent.length || deposited < rule.min_amount) continue
+
+        const firstDepositAt = Date.parse(recent[0].created_at)
+        const wagered = bets
+          .filter(bet => Date.parse(bet.created_at) >= firstDepositAt && Date.parse(bet.created_at) < at)
+          .reduce((sum, bet) => sum + (toUsd(bet.stake, bet.currency) || 0), 0)
+
+        const turnover = wagered / deposited
+        if (turnover >= rule.min_turnover) continue
+
+        findings.push({
+          subjectKey: withdrawal.id,
+          userIds: [userId],
+          title: `Withdrawal after deposit with ${Math.round(turnover * 100)}% wagered`,
+          details: {
+            withdrawal_id: withdrawal.id,
+            withdrawal_amount: Math.abs(withdrawal.amount),
+            withdrawal_currency: withdrawal.currency,
+            deposited_usd: roundUsd(deposited),
+            wagered_usd: roundUsd(wagered),
+            turnover: Math.round(turnover * 100) / 100,
+            min_turnover: rule.min_turnover,
+            deposit_ids: recent.map(tx => tx.id)
+          }
+        })
+      }
+    }
+
+    return findings
+  },
+
+  async currency_cycling(rule, { toUsd, now }) {
+    const swaps = await fetchAll(() => supabase
+      .from('currency_swaps')
+      .select('id, user_id, from_currency, to_currency, from_amount, to_amount, created_at')
+      .gte('created_at', new Date(now - rule.window_hours * HOUR_MS).toISOString()))
+
+    const findings = []
+
+    for (const [userId, userSwaps] of groupBy(swaps, swap => swap.user_id)) {
+      if (userSwaps.length < rule.min_swaps) continue
+
+      // Swaps that move funds back into a currency swapped out of earlier
+      const swappedOut = new Set()
+      const roundTrips = []
+      for (const swap of userSwaps) {
+        if (swappedOut.has(swap.to_currency)) roundTrips.push(swap.id)
+        swappedOut.add(swap.from_currency)
+      }
+      if (!roundTrips.length) continue
+
+      const latest = userSwaps[userSwaps.length - 1]
+      findings.push({
+        subjectKey: `${userId}:${latest.id}`,
+        userIds: [userId],
+        title: `${userSwaps.length} currency swaps within ${rule.window_hours}h`,
+        details: {
+          count: userSwaps.length,
+          round_trips: roundTrips.length,
+          volume_usd: roundUsd(userSwaps.reduce((sum, swap) => sum + (toUsd(swap.from_amount, swap.from_currency) || 0), 0)),
+          currencies: [...new Set(userSwaps.flatMap(swap => [swap.from_currency, swap.to_currency]))],
+          swap_ids: userSwaps.map(swap => swap.id)
+        }
+      })
+    }
+
+    return findings
+  },
+
+  async shared_address(rule, { now }) {
+    // Only addresses used in the last day need checking; older ones were checked before
+    const recent = await fetchAll(() => supabase
+      .from('transactions')
+      .select('destination_address')
+      .eq('type', 'withdrawal')
+      .not('destination_address', 'is', null)
+      .gte('created_at', new Date(now - DAY_MS).toISOString()))
+
+    const addresses = [...new Set(recent.map(tx => tx.destination_address))]
+    const findings = []
+
+    for (let i = 0; i < addresses.length; i += 100) {
+      const withdrawals = await fetchAll(() => supabase
+        .from('transactions')
+        .select('id, user_id, destination_network, destination_address, created_at')
+        .eq('type', 'withdrawal')
+        .in('destination_address', addresses.slice(i, i + 100))
+        .gte('created_at', new Date(now - rule.lookback_days * DAY_MS).toISOString()))
+
+      for (const [key, rows] of groupBy(withdrawals, tx => `${tx.destination_network}:${tx.destination_address}`)) {
+        const userIds = [...new Set(rows.map(tx => tx.user_id))]
+        if (userIds.length < rule.min_accounts) continue
+
+        findings.push({
+          // A new alert each time another account starts using the address
+          subjectKey: `${key}:${userIds.length}`,
+          userIds,
+          title: `${userIds.length} accounts withdrawing to one address`,
+          details: {
+            network: rows[0].destination_network,
+            address: rows[0].destination_address,
+            accounts: userIds.length,
+            withdrawal_ids: rows.map(tx => tx.id)
+          }
+        })
+      }
+    }
+
+    return findings
+  }
+}
+
+// Run every enabled rule and file what they find
+export async function runMonitor() {
+  const context = { toUsd: await getUsdConverter(), now: Date.now() }
+  const summary = { alerts: 0, opened: 0, failed: [] }
+
+  for (const [id, rule] of Object.entries(rules)) {
+    if (!rule.enabled) continue
+
+    try {
+      for (const finding of await CHECKS[id](rule, context)) {
+        const filed = await fileAlert({ rule: id, severity: rule.severity, ...finding })
+        if (!filed) continue
+        summary.alerts += 1
+        if (filed.opened) summary.opened += 1
+      }
+    } catch (error) {
+      console.error(`AML rule ${id} error:`, error)
+      summary.failed.push(id)
+    }
+  }
+
+  return summary
+}
@@ -0,0 +1,164 @@
+import { randomUUID } from 'crypto'
+import { supabase } from './supabase.js'
+import { ACCOUNTS, BALANCES, callLedger, walletMovement } from './ledger.js'
+
+// Order stakes are drawn from the balance parts, e.g. BET_DRAW_ORDER='bonus,cash,locked'
+const DEFAULT_DRAW_ORDER = ['cash', 'bonus', 'locked']
+
+function loadDrawOrder() {
+  const order = (process.env.BET_DRAW_ORDER || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+
+  if (!order.length) return DEFAULT_DRAW_ORDER
+
+  if (order.some(part => !BALANCES.includes(part))) {
+    console.error(`Invalid BET_DRAW_ORDER '${process.env.BET_DRAW_ORDER}', using ${DEFAULT_DRAW_ORDER.join(',')}`)
+    return DEFAULT_DRAW_ORDER
+  }
+
+  // Parts left out can still be drawn from, after the listed ones
+  return [...order, ...BALANCES.filter(part => !order.includes(part))]
+}
+
+const drawOrder = loadDrawOrder()
+
+function roundAmount(value) {
+  return Math.round(value * 1e8) / 1e8
+}
+
+// The movement debiting stake for a bet, drawing from the balance parts in the configured order
+export function stakeMovement({ bet, wallet, amount }) {
+  return {
+    wallet,
+    amount: -amount,
+    type: 'bet',
+    account: ACCOUNTS.GAMING,
+    draw: drawOrder,
+    referenceId: bet.id,
+    referenceType: 'bet'
+  }
+}
+
+// Create a pending bet and debit its stake from the wallet in one transaction,
+// so the bet only exists if the ledger accepted the stake
+export async function placeBet({ wallet, gameId, stake, fields = {} }) {
+  const bet = {
+    id: randomUUID(),
+    user_id: wallet.user_id,
+    game_id: gameId,
+    stake,
+    currency: wallet.currency,
+    outcome: 'pending',
+    win_amount: 0,
+    ...fields
+  }
+
+  const result = await callLedger('bet_place', {
+    p_bet: bet,
+    ...walletMovement(stakeMovement({ bet, wallet, amount: stake }))
+  })
+
+  return { bet: result.bet, wallet: result.wallets[0], transaction: result.transactions[0] }
+}
+
+// Update a still-pending bet and post a wallet movement for it (if given) in one
+// transaction. Returns null, with nothing posted, if the bet is no longer pending.
+// increment adds to totals in the database instead of setting them ({ stake: 5 }),
+// so concurrent changes to the same bet all count; the multiplier, and whether the
+// bet is cancelled, won or lost, then follow from the totals (see bet_transition).
+export async function transitionBet({ bet, update = {}, increment = null, movement }) {
+  const { p_journal = null, p_legs = null } = movement ? walletMovement(movement) : {}
+
+  const result = await callLedger('bet_transition', {
+    p_bet_id: bet.id,
+    p_update: update,
+    p_increment: increment,
+    p_journal,
+    p_legs
+  })
+
+  if (!result) return null
+
+  return {
+    bet: result.bet,
+    wallet: result.wallets?.[0] || null,
+    transaction: result.transactions?.[0] || null
+  }
+}
+
+// How much of a bet's net stake came from each balance part
+export async function getStakeFunding(bet) {
+  const { data: rows, error } = await supabase
+    .from('transactions')
+    .select('cash_amount, bonus_amount, locked_amount')
+    .eq('reference_id', bet.id)
+    .eq('reference_type', 'bet')
+    .in('type', ['bet', 'rollback'])
+
+  if (error) throw error
+
+  return (rows || []).reduce((funding, row) => ({
+    cash: funding.cash - (row.cash_amount || 0),
+    bonus: funding.bonus - (row.bonus_amount || 0),
+    locked: funding.locked - (row.locked_amount || 0)
+  }), { cash: 0, bonus: 0, locked: 0 })
+}
+
+// Cancel a still-pending bet and refund its stake into the balance parts it was
+// drawn from. Returns null if the bet was settled in the meantime.
+export async function cancelBet({ bet, wallet }) {
+  const funding = await getStakeFunding(bet)
+
+  return transitionBet({
+    bet,
+    update: { outcome: 'cancelled', settled_at: new Date().toISOString() },
+    movement: {
+      wallet,
+      amount: funding.cash + funding.bonus + funding.locked,
+      type: 'rollback',
+      account: ACCOUNTS.GAMING,
+      split: funding,
+      referenceId: bet.id,
+      referenceType: 'bet'
+    }
+  })
+}
+
+// Split a payout in proportion to how the stake was funded. The cash-funded
+// share is paid as cash; the bonus- and locked-funded share stays locked.
+export function splitWinnings(amount, funding) {
+  const funded = funding.cash + funding.bonus + funding.locked
+  if (!(funded > 0) || funding.cash >= funded) return { cash: amount }
+
+  const cash = Math.min(roundAmount(amount * funding.cash / funded), amount)
+  return { cash, locked: roundAmount(amount - cash) }
+}
+
+// The movement paying winnings for a bet into the wallet it was placed from
+export async function winningsMovement({ bet, wallet, amount }) {
+  const funding = await getStakeFunding(bet)
+
+  return {
+    wallet,
+    amount,
+    type: 'win',
+    account: ACCOUNTS.GAMING,
+    split: splitWinnings(amount, funding),
+    referenceId: bet.id,
+    referenceType: 'bet'
+  }
+}
+
+// Get the wallet a bet was placed from
+export async function getBetWallet(bet) {
+  const { data: wallet } = await supabase
+    .from('wallets')
+    .select('*')
+    .eq('user_id', bet.user_id)
+    .eq('currency', bet.currency)
+    .single()
+
+  return wallet
+}
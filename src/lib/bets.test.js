@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock, betPlace, betTransition, ledgerPost } from '../test/supabase.js'
+
+const db = createSupabaseMock({
+  rpc: { ledger_post: ledgerPost, bet_place: betPlace, bet_transition: betTransition }
+})
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { placeBet, cancelBet, transitionBet, stakeMovement, splitWinnings } = await import('./bets.js')
+const { LedgerError } = await import('./ledger.js')
+
+const wallet = { id: 'w1', user_id: 'u1', currency: 'USD' }
+
+beforeEach(() => {
+  db.tables.wallets = [{ ...wallet, balance: 50 }]
+  db.tables.transactions = []
+  db.tables.bets = []
+})
+
+describe('placeBet', () => {
+  test('creates the bet and debits its stake in one call', async () => {
+    const { bet, wallet: updated, transaction } = await placeBet({
+      wallet,
+      gameId: 'dice',
+      stake: 20,
+      fields: { provider: 'inhouse' }
+    })
+
+    expect(bet).toMatchObject({ user_id: 'u1', game_id: 'dice', stake: 20, outcome: 'pending', provider: 'inhouse' })
+    expect(updated.balance).toBe(30)
+    expect(transaction).toMatchObject({ type: 'bet', amount: -20, reference_id: bet.id, reference_type: 'bet' })
+    expect(db.calls.filter(call => call.rpc)).toHaveLength(1)
+  })
+
+  test('leaves no bet behind when the stake is refused', async () => {
+    const error = await placeBet({ wallet, gameId: 'dice', stake: 80 }).catch(error => error)
+
+    expect(error).toBeInstanceOf(LedgerError)
+    expect(error.code).toBe('insufficient_funds')
+    expect(db.tables.bets).toHaveLength(0)
+    expect(db.tables.wallets[0].balance).toBe(50)
+  })
+})
+
+describe('transitionBet', () => {
+  test('updates a pending bet and posts its movement', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 10 })
+
+    const result = await transitionBet({
+      bet,
+      update: { stake: 15 },
+      movement: stakeMovement({ bet, wallet, amount: 5 })
+    })
+
+    expect(result.bet.stake).toBe(15)
+    expect(result.wallet.balance).toBe(35)
+    expect(result.transaction.reference_id).toBe(bet.id)
+  })
+
+  test('returns null and posts nothing once the bet is settled', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 10 })
+    db.tables.bets[0].outcome = 'loss'
+
+    const result = await transitionBet({
+      bet,
+      update: { stake: 15 },
+      movement: stakeMovement({ bet, wallet, amount: 5 })
+    })
+
+    expect(result).toBeNull()
+    expect(db.tables.wallets[0].balance).toBe(40)
+  })
+
+  test('updates without a movement', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 10 })
+
+    const result = await transitionBet({ bet, update: { win_amount: 0 } })
+
+    expect(result).toMatchObject({ wallet: null, transaction: null })
+    expect(db.calls.at(-1).params).toMatchObject({ p_journal: null, p_legs: null })
+  })
+
+  test('adds increments to the stored totals, not to a stale copy of the bet', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 10 })
+    db.tables.bets[0].win_amount = 5
+
+    // The caller still thinks nothing has been won and settles the round as lost
+    const result = await transitionBet({
+      bet,
+      update: { outcome: 'loss', settled_at: new Date().toISOString() },
+      increment: { win_amount: 0 }
+    })
+
+    expect(result.bet).toMatchObject({ win_amount: 5, multiplier: 0.5, outcome: 'win' })
+  })
+
+  test('cancels a bet whose stake is taken back in full', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 10 })
+
+    const result = await transitionBet({ bet, increment: { stake: -10 } })
+
+    expect(result.bet).toMatchObject({ stake: 0, outcome: 'cancelled' })
+  })
+})
+
+describe('cancelBet', () => {
+  test('cancels a pending bet and refunds its stake', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 20 })
+
+    const result = await cancelBet({ bet, wallet })
+
+    expect(result.bet.outcome).toBe('cancelled')
+    expect(result.transaction).toMatchObject({ type: 'rollback', amount: 20, reference_id: bet.id })
+    expect(db.tables.wallets[0].balance).toBe(50)
+  })
+
+  test('leaves a settled bet alone', async () => {
+    const { bet } = await placeBet({ wallet, gameId: 'dice', stake: 20 })
+    db.tables.bets[0].outcome = 'win'
+
+    expect(await cancelBet({ bet, wallet })).toBeNull()
+    expect(db.tables.wallets[0].balance).toBe(30)
+  })
+})
+
+describe('splitWinnings', () => {
+  test('pays cash-funded stakes as cash', () => {
+    expect(splitWinnings(30, { cash: 10, bonus: 0, locked: 0 })).toEqual({ cash: 30 })
+  })
+
+  test('locks the share won with bonus or locked funds', () => {
+    expect(splitWinnings(30, { cash: 5, bonus: 5, locked: 5 })).toEqual({ cash: 10, locked: 20 })
+  })
+})
@@ -0,0 +1,383 @@
+import { randomUUID } from 'crypto'
+import { supabase } from './supabase.js'
+import {
+  ACCOUNTS,
+  LedgerError,
+  callLedger,
+  journal,
+  walletMovement,
+  getOrCreateWallet
+} from './ledger.js'
+import { assertNotLinked } from './accountLinks.js'
+
+// Bonus lifecycle:
+//   available -> offered (e.g. cashback), nothing credited until the player claims it
+//   pending  -> wagering in progress, funds playable from the wallet's bonus balance
+//   claimed  -> paid as cash (immediately, or once wagering is met)
+//   expired  -> expires_at passed before it was claimed or wagered, funds removed
+//   forfeited -> given up by the player or removed by an admin, funds removed
+//
+// Bonus and locked balances are shared by a wallet's pending bonuses; each one
+// owns a share in proportion to its amount.
+//
+// A bonus changes status in the same database transaction as the funds it moves
+// (bonus_place / bonus_transition), so neither can happen without the other.
+
+const DEFAULT_EXPIRY_DAYS = 30
+
+// Share of each stake that counts towards wagering, by game category.
+// Override with BONUS_WAGER_WEIGHTS='{"live": 0.2}'.
+const DEFAULT_WEIGHTS = {
+  slots: 1,
+  crash: 1,
+  lottery: 1,
+  sports: 0.5,
+  table: 0.1,
+  live: 0.1,
+  default: 1
+}
+
+function loadWeights() {
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.BONUS_WAGER_WEIGHTS || '{}') }
+  } catch (error) {
+    console.error('Invalid BONUS_WAGER_WEIGHTS, using defaults:', error)
+    return DEFAULT_WEIGHTS
+  }
+}
+
+const weights = loadWeights()
+
+export function getWagerWeight(category) {
+  const weight = weights[category?.toLowerCase()]
+  return typeof weight === 'number' ? weight : weights.default
+}
+
+// Category from the synced catalog; unknown games use the default weight
+async function getGameCategory(gameId) {
+  if (!gameId) return null
+
+  const { data: row } = await supabase
+    .from('games')
+    .select('category')
+    .eq('id', String(gameId))
+    .single()
+
+  return row?.category || null
+}
+
+function roundAmount(value) {
+  return Math.floor(value * 1e8) / 1e8
+}
+
+// Movement crediting a bonus amount to the user's wallet, as cash or as bonus funds
+async function creditMovement(bonus, { balance = 'cash', notes, adminId } = {}) {
+  const wallet = await getOrCreateWallet(bonus.user_id, bonus.currency)
+
+  return walletMovement({
+    wallet,
+    amount: bonus.amount,
+    type: 'bonus',
+    account: ACCOUNTS.BONUSES,
+    balance,
+    referenceId: bonus.id,
+    referenceType: 'bonus',
+    notes: notes || bonus.notes,
+    adminId
+  })
+}
+
+// Share of the wallet's bonus and locked funds belonging to a bonus that has just
+// left pending, measured against the bonuses still pending
+async function getBonusShare(bonus) {
+  const wallet = await getOrCreateWallet(bonus.user_id, bonus.currency)
+
+  const { data: others, error } = await supabase
+    .from('bonuses')
+    .select('amount')
+    .eq('user_id', bonus.user_id)
+    .eq('currency', bonus.currency)
+    .eq('status', 'pending')
+    .neq('id', bonus.id)
+
+  if (error) throw error
+
+  const othersTotal = (others || []).reduce((sum, other) => sum + other.amount, 0)
+  if (othersTotal <= 0) {
+    return { wallet, bonus: wallet.bonus_balance, locked: wallet.locked_balance }
+  }
+
+  const ratio = bonus.amount / (bonus.amount + othersTotal)
+  return {
+    wallet,
+    bonus: roundAmount(wallet.bonus_balance * ratio),
+    locked: roundAmount(wallet.locked_balance * ratio)
+  }
+}
+
+// Move a bonus out of one of the from statuses and post its journal (if any) in one
+// transaction. Returns the updated bonus, or null if its status had already moved on.
+async function transitionBonus({ bonus, from, update, posting }) {
+  const { p_journal = null, p_legs = null } = posting || {}
+
+  const result = await callLedger('bonus_transition', {
+    p_bonus_id: bonus.id,
+    p_from: from,
+    p_update: { ...update, updated_at: new Date().toISOString() },
+    p_journal,
+    p_legs
+  })
+
+  return result?.bonus || null
+}
+
+// Take a bonus out of pending together with its share of bonus and locked funds.
+// toPosting(share, amount) builds the journal for the share; if a bet drew on the
+// share meanwhile it is measured again. Returns null if the bonus had already left pending.
+async function leavePending(bonus, update, toPosting) {
+  for (let attempt = 1; ; attempt++) {
+    const share = await getBonusShare(bonus)
+    const amount = Number((share.bonus + share.locked).toFixed(8))
+
+    try {
+      return await transitionBonus({
+        bonus,
+        from: ['pending'],
+        update,
+        posting: amount > 0 ? toPosting(share, amount) : null
+      })
+    } catch (error) {
+      if (!(error instanceof LedgerError) || error.code !== 'insufficient_funds' || attempt >= 3) throw error
+    }
+  }
+}
+
+// Journal converting a released bonus's share of bonus and locked funds into cash
+function conversionPosting(bonus) {
+  return ({ wallet, bonus: fromBonus, locked: fromLocked }, amount) => journal({
+    type: 'bonus_release',
+    referenceId: bonus.id,
+    referenceType: 'bonus',
+    legs: [
+      {
+        wallet_id: wallet.id,
+        amount: -amount,
+        split: { bonus: -fromBonus, locked: -fromLocked },
+        record: false
+      },
+      {
+        wallet_id: wallet.id,
+        amount,
+        split: { cash: amount },
+        type: 'bonus_release',
+        reference_id: bonus.id,
+        reference_type: 'bonus',
+        notes: 'Wagering requirement met'
+      }
+    ]
+  })
+}
+
+// Journal taking an expired or forfeited bonus's share of bonus and locked funds back out of the wallet
+function removalPosting(bonus, notes) {
+  return ({ wallet, bonus: fromBonus, locked: fromLocked }, amount) => walletMovement({
+    wallet,
+    amount: -amount,
+    type: 'bonus_removed',
+    account: ACCOUNTS.BONUSES,
+    split: { bonus: -fromBonus, locked: -fromLocked },
+    referenceId: bonus.id,
+    referenceType: 'bonus',
+    notes
+  })
+}
+
+// Create a bonus. Without a wagering requirement it's paid as cash straight away,
+// otherwise it goes to the bonus balance and stays pending until recordWager()
+// sees enough play. Claimable bonuses wait as 'available' until claimBonus().
+export async function issueBonus({
+  userId,
+  amount,
+  currency = 'USD',
+  type = 'admin_bonus',
+  wageringRequirement = 0,
+  reason,
+  adminId,
+  expiresInDays = DEFAULT_EXPIRY_DAYS,
+  claimable = false,
+  // Refuse players linked to other accounts (throws LinkedAccountError)
+  blockLinked = false,
+  fields = {}
+}) {
+  if (blockLinked) {
+    await assertNotLinked(userId, 'Bonuses are not available to accounts linked to other accounts')
+  }
+
+  const status = claimable ? 'available' : wageringRequirement > 0 ? 'pending' : 'claimed'
+
+  const bonus = {
+    id: randomUUID(),
+    user_id: userId,
+    type,
+    amount,
+    currency,
+    wagering_requirement: wageringRequirement,
+    wagering_progress: 0,
+    status,
+    expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+    released_at: status === 'claimed' ? new Date().toISOString() : null,
+    notes: reason,
+    ...fields
+  }
+
+  const { p_journal = null, p_legs = null } = claimable
+    ? {}
+    : await creditMovement(bonus, { balance: wageringRequirement > 0 ? 'bonus' : 'cash', notes: reason, adminId })
+
+  const result = await callLedger('bonus_place', { p_bonus: bonus, p_journal, p_legs })
+  return result.bonus
+}
+
+// Claim an available bonus for its owner: paid as cash, or moved into the
+// bonus balance if it carries a wagering requirement. The claim and the credit
+// are one database transaction.
+export async function claimBonus(bonusId, userId) {
+  const { data: bonus } = await supabase
+    .from('bonuses')
+    .select('*')
+    .eq('id', bonusId)
+    .eq('user_id', userId)
+    .eq('status', 'available')
+    .gt('expires_at', new Date().toISOString())
+    .single()
+
+  if (!bonus) return null
+
+  const wagering = bonus.wagering_requirement > 0
+
+  return transitionBonus({
+    bonus,
+    from: ['available'],
+    update: {
+      status: wagering ? 'pending' : 'claimed',
+      released_at: wagering ? null : new Date().toISOString()
+    },
+    posting: await creditMovement(bonus, { balance: wagering ? 'bonus' : 'cash' })
+  })
+}
+
+// Release a pending bonus whose wagering is complete, converting its funds to cash.
+// Safe to call concurrently: only one caller gets it out of pending.
+export function releaseBonus(bonus) {
+  return leavePending(bonus, { status: 'claimed', released_at: new Date().toISOString() }, conversionPosting(bonus))
+}
+
+// Count a settled bet towards the user's active bonuses in the bet's currency
+export async function recordWager(bet) {
+  if (!bet || !['win', 'loss'].includes(bet.outcome) || !(bet.stake > 0)) return []
+
+  const { data: bonuses, error } = await supabase
+    .from('bonuses')
+    .select('*')
+    .eq('user_id', bet.user_id)
+    .eq('currency', bet.currency)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+
+  if (error) throw error
+  if (!bonuses?.length) return []
+
+  const contribution = bet.stake * getWagerWeight(await getGameCategory(bet.game_id))
+  if (contribution <= 0) return []
+
+  const released = []
+
+  for (const bonus of bonuses) {
+    const { data: rows, error: wagerError } = await supabase.rpc('bonus_add_wager', {
+      p_bonus_id: bonus.id,
+      p_bet_id: bet.id,
+      p_amount: contribution
+    })
+
+    if (wagerError) throw wagerError
+
+    const updated = rows?.[0]
+    if (updated && updated.wagering_progress >= updated.wagering_requirement) {
+      const result = await releaseBonus(updated)
+      if (result) released.push(result)
+    }
+  }
+
+  return released
+}
+
+// Same as recordWager, but never fails the caller (settlement must not roll back over it)
+export function trackWager(bet) {
+  return recordWager(bet).catch(error => {
+    console.error('Bonus wagering error:', error)
+    return []
+  })
+}
+
+// Expire pending and unclaimed bonuses past their expiry (run by the scheduler)
+export async function expireBonuses() {
+  const now = new Date().toISOString()
+
+  const { count: unclaimed, error: unclaimedError } = await supabase
+    .from('bonuses')
+    .update({ status: 'expired', expired_at: now, updated_at: now }, { count: 'exact' })
+    .eq('status', 'available')
+    .lt('expires_at', now)
+
+  if (unclaimedError) throw unclaimedError
+
+  const { data: due, error } = await supabase
+    .from('bonuses')
+    .select('*')
+    .eq('status', 'pending')
+    .lt('expires_at', now)
+    .limit(500)
+
+  if (error) throw error
+
+  let expired = unclaimed || 0
+
+  // A bonus whose funds can't be removed stays pending and is tried again next run
+  for (const bonus of due || []) {
+    try {
+      const result = await leavePending(bonus, { status: 'expired', expired_at: now }, removalPosting(bonus, 'Bonus expired'))
+      if (result) expired++
+    } catch (expireError) {
+      console.error(`Expire bonus error (${bonus.id}):`, expireError)
+    }
+  }
+
+  return expired
+}
+
+// Give up a pending bonus
+export async function forfeitBonus(bonusId, userId) {
+  let query = supabase
+    .from('bonuses')
+    .select('*')
+    .eq('id', bonusId)
+    .eq('status', 'pending')
+
+  if (userId) query = query.eq('user_id', userId)
+
+  const { data: bonus } = await query.single()
+  if (!bonus) return null
+
+  return leavePending(bonus, { status: 'forfeited', forfeited_at: new Date().toISOString() }, removalPosting(bonus, 'Bonus forfeited'))
+}
+
+export function toPublicBonus(bonus) {
+  const requirement = bonus.wagering_requirement || 0
+  return {
+    ...bonus,
+    wagering_remaining: Math.max(requirement - (bonus.wagering_progress || 0), 0),
+    wagering_percent: requirement > 0
+      ? Math.min(100, Math.round(((bonus.wagering_progress || 0) / requirement) * 10000) / 100)
+      : 100
+  }
+}
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock, ledgerPost, bonusPlace, bonusTransition } from '../test/supabase.js'
+
+const db = createSupabaseMock({
+  rpc: { ledger_post: ledgerPost, bonus_place: bonusPlace, bonus_transition: bonusTransition }
+})
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./accountLinks.js', () => ({ assertNotLinked: jest.fn() }))
+
+const { issueBonus, claimBonus, releaseBonus, expireBonuses, forfeitBonus } = await import('./bonuses.js')
+
+const past = () => new Date(Date.now() - 1000).toISOString()
+
+beforeEach(() => {
+  db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'USD', balance: 0, bonus_balance: 0, locked_balance: 0 }]
+  db.tables.bonuses = []
+  db.tables.transactions = []
+})
+
+function pendingBonus(fields = {}) {
+  const bonus = { id: `b${db.tables.bonuses.length + 1}`, user_id: 'u1', currency: 'USD', amount: 10, status: 'pending', ...fields }
+  db.tables.bonuses.push(bonus)
+  return bonus
+}
+
+describe('issueBonus', () => {
+  test('records the bonus and its credit together', async () => {
+    const bonus = await issueBonus({ userId: 'u1', amount: 25, wageringRequirement: 250, reason: 'Welcome' })
+
+    expect(db.tables.bonuses).toMatchObject([{ id: bonus.id, status: 'pending', amount: 25 }])
+    expect(db.tables.transactions).toMatchObject([{ type: 'bonus', amount: 25, reference_id: bonus.id }])
+    expect(db.tables.wallets[0].balance).toBe(25)
+  })
+
+  test('leaves no bonus behind when the credit fails', async () => {
+    const rpc = db.client.rpc
+    db.client.rpc = async () => ({ data: null, error: { message: 'connection reset' } })
+
+    try {
+      await expect(issueBonus({ userId: 'u1', amount: 25, reason: 'Welcome' })).rejects.toBeTruthy()
+    } finally {
+      db.client.rpc = rpc
+    }
+    expect(db.tables.bonuses).toHaveLength(0)
+    expect(db.tables.transactions).toHaveLength(0)
+  })
+
+  test('credits nothing for a claimable bonus', async () => {
+    await issueBonus({ userId: 'u1', amount: 25, claimable: true, reason: 'Cashback' })
+
+    expect(db.tables.bonuses).toMatchObject([{ status: 'available' }])
+    expect(db.tables.transactions).toHaveLength(0)
+  })
+})
+
+describe('claimBonus', () => {
+  const future = () => new Date(Date.now() + 86400000).toISOString()
+
+  test('claims and credits in one step, once', async () => {
+    const bonus = pendingBonus({ status: 'available', wagering_requirement: 0, expires_at: future() })
+
+    const [first, second] = await Promise.all([claimBonus(bonus.id, 'u1'), claimBonus(bonus.id, 'u1')])
+
+    expect([first, second].filter(Boolean)).toMatchObject([{ status: 'claimed' }])
+    expect(db.tables.transactions).toMatchObject([{ type: 'bonus', amount: 10, reference_id: bonus.id }])
+    expect(db.tables.wallets[0].balance).toBe(10)
+  })
+
+  test('stays available when the credit fails', async () => {
+    const bonus = pendingBonus({ status: 'available', wagering_requirement: 100, expires_at: future() })
+    const rpc = db.client.rpc
+    db.client.rpc = async () => ({ data: null, error: { message: 'wallet_not_found' } })
+
+    try {
+      await expect(claimBonus(bonus.id, 'u1')).rejects.toThrow('Wallet not found')
+    } finally {
+      db.client.rpc = rpc
+    }
+    expect(bonus.status).toBe('available')
+  })
+
+  test('refuses someone else\'s or an expired bonus', async () => {
+    const expired = pendingBonus({ status: 'available', expires_at: past() })
+    const other = pendingBonus({ status: 'available', user_id: 'u2', expires_at: future() })
+
+    expect(await claimBonus(expired.id, 'u1')).toBeNull()
+    expect(await claimBonus(other.id, 'u1')).toBeNull()
+    expect(db.tables.transactions).toHaveLength(0)
+  })
+})
+
+describe('expireBonuses', () => {
+  test('expires a bonus and removes its funds in one step', async () => {
+    Object.assign(db.tables.wallets[0], { balance: 10, bonus_balance: 10 })
+    const bonus = pendingBonus({ expires_at: past() })
+
+    expect(await expireBonuses()).toBe(1)
+    expect(bonus.status).toBe('expired')
+    expect(db.tables.transactions).toMatchObject([{ type: 'bonus_removed', amount: -10, reference_id: bonus.id }])
+  })
+
+  test('keeps a bonus pending when its funds can not be removed, to retry next run', async () => {
+    Object.assign(db.tables.wallets[0], { balance: 0, bonus_balance: 10 })
+    const bonus = pendingBonus({ expires_at: past() })
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    expect(await expireBonuses()).toBe(0)
+    expect(bonus.status).toBe('pending')
+    expect(db.tables.transactions).toHaveLength(0)
+    expect(error).toHaveBeenCalledWith(expect.stringContaining(bonus.id), expect.anything())
+    error.mockRestore()
+  })
+})
+
+describe('forfeitBonus and releaseBonus', () => {
+  test('forfeiting removes the funds with the status change', async () => {
+    Object.assign(db.tables.wallets[0], { balance: 10, bonus_balance: 10 })
+    const bonus = pendingBonus()
+
+    const forfeited = await forfeitBonus(bonus.id, 'u1')
+
+    expect(forfeited.status).toBe('forfeited')
+    expect(db.tables.transactions).toMatchObject([{ type: 'bonus_removed', amount: -10 }])
+    expect(await forfeitBonus(bonus.id, 'u1')).toBeNull()
+  })
+
+  test('releasing converts the funds once, however often it is called', async () => {
+    Object.assign(db.tables.wallets[0], { balance: 10, bonus_balance: 10 })
+    const bonus = pendingBonus()
+
+    const [first, second] = await Promise.all([releaseBonus(bonus), releaseBonus(bonus)])
+
+    expect([first, second].filter(Boolean)).toHaveLength(1)
+    expect(bonus.status).toBe('claimed')
+    expect(new Set(db.tables.transactions.map(tx => tx.journal_id)).size).toBe(1)
+  })
+})
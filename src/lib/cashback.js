@@ -0,0 +1,403 @@
+import { supabase } from './supabase.js'
+import { issueBonus } from './bonuses.js'
+
+// Cashback and rakeback runs. Each run covers one completed period and pays every
+// player a rate tied to their VIP level (index 0-10 in the rate tables):
+//   cashback -> rate × net loss (stakes minus winnings) over the period
+//   rakeback -> rate × house edge contribution (stake × (1 - RTP)) over the period
+// Payouts are issued as claimable bonuses, one per player and currency per run.
+// A payout that fails is recorded in cashback_payout_failures and retried by the
+// scheduler, up to CASHBACK_PAYOUT_ATTEMPTS times in all.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PAGE_SIZE = 1000
+
+export const RUN_TYPES = ['cashback', 'rakeback']
+export const RUN_PERIODS = ['daily', 'weekly']
+
+const DEFAULT_RATES = {
+  cashback: [0, 0.05, 0.05, 0.06, 0.07, 0.08, 0.1, 0.12, 0.15, 0.18, 0.2],
+  rakeback: [0, 0.05, 0.07, 0.1, 0.12, 0.15, 0.18, 0.2, 0.25, 0.3, 0.35]
+}
+
+// House edge for games without an RTP in the catalog
+const DEFAULT_EDGE = parseFloat(process.env.RAKEBACK_DEFAULT_EDGE || '0.03')
+const WAGERING_MULTIPLIER = parseFloat(process.env.CASHBACK_WAGERING_MULTIPLIER || '0')
+const CLAIM_DAYS = parseInt(process.env.CASHBACK_CLAIM_DAYS || '7')
+const BLOCK_LINKED = process.env.CASHBACK_BLOCK_LINKED_ACCOUNTS === 'true'
+const PAYOUT_ATTEMPTS = parseInt(process.env.CASHBACK_PAYOUT_ATTEMPTS || '5')
+
+// Runs the scheduler commits on its own, e.g. 'cashback:weekly,rakeback:daily'
+const SCHEDULE = (process.env.CASHBACK_SCHEDULE || 'cashback:weekly,rakeback:daily')
+  .split(',')
+  .map(entry => entry.trim().split(':'))
+  .filter(([type, period]) => RUN_TYPES.includes(type) && RUN_PERIODS.includes(period))
+
+function loadRates(type) {
+  const name = `${type.toUpperCase()}_RATES`
+  try {
+    const rates = JSON.parse(process.env[name] || 'null')
+    if (!rates) return DEFAULT_RATES[type]
+    if (!Array.isArray(rates) || rates.length !== 11 || rates.some(rate => typeof rate !== 'number' || rate < 0 || rate > 1)) {
+      throw new Error('expected 11 rates between 0 and 1 (VIP levels 0-10)')
+    }
+    return rates
+  } catch (error) {
+    console.error(`Invalid ${name}, using defaults:`, error)
+    return DEFAULT_RATES[type]
+  }
+}
+
+const rates = {
+  cashback: loadRates('cashback'),
+  rakeback: loadRates('rakeback')
+}
+
+export class CashbackError extends Error {
+  constructor(code, message, status = 400) {
+    super(message)
+    this.name = 'CashbackError'
+    this.code = code
+    this.status = status
+  }
+}
+
+function roundAmount(value) {
+  return Math.floor(value * 1e8) / 1e8
+}
+
+export function getRate(type, vipLevel) {
+  return rates[type][Math.min(Math.max(vipLevel || 0, 0), 10)]
+}
+
+// Start of the UTC day, or of the UTC week (Monday) for weekly periods
+function startOfPeriod(period, date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7))
+  }
+  return start
+}
+
+// Bounds of the period starting at periodStart, or of the last completed period
+export function resolvePeriod(period, periodStart) {
+  if (!RUN_PERIODS.includes(period)) {
+    throw new CashbackError('invalid_period', `period must be one of: ${RUN_PERIODS.join(', ')}`)
+  }
+
+  const length = (period === 'weekly' ? 7 : 1) * DAY_MS
+  let start
+
+  if (periodStart) {
+    const date = new Date(periodStart)
+    if (isNaN(date)) throw new CashbackError('invalid_period', 'Invalid period_start')
+    start = startOfPeriod(period, date)
+  } else {
+    start = new Date(startOfPeriod(period, new Date()).getTime() - length)
+  }
+
+  const end = new Date(start.getTime() + length)
+  if (end > new Date()) {
+    throw new CashbackError('period_open', 'The period has not finished yet')
+  }
+
+  return { start, end }
+}
+
+// House edge per game from the catalog RTP (percent)
+async function loadEdges(gameIds, edges) {
+  const missing = gameIds.filter(id => id && !edges.has(id))
+  if (!missing.length) return
+
+  const { data: games, error } = await supabase
+    .from('games')
+    .select('id, rtp')
+    .in('id', missing)
+
+  if (error) throw error
+
+  for (const id of missing) edges.set(id, DEFAULT_EDGE)
+  for (const game of games || []) {
+    if (game.rtp > 0 && game.rtp <= 100) edges.set(game.id, 1 - game.rtp / 100)
+  }
+}
+
+// Stakes, winnings and edge contribution per player and currency for settled bets in the period
+async function aggregateBets(start, end) {
+  const totals = new Map()
+  const edges = new Map()
+
+  for (let page = 0; ; page++) {
+    const { data: bets, error } = await supabase
+      .from('bets')
+      .select('id, user_id, game_id, currency, stake, win_amount')
+      .in('outcome', ['win', 'loss', 'push'])
+      .gte('settled_at', start.toISOString())
+      .lt('settled_at', end.toISOString())
+      .order('id')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    if (!bets?.length) break
+
+    await loadEdges([...new Set(bets.map(bet => String(bet.game_id)))], edges)
+
+    for (const bet of bets) {
+      const key = `${bet.user_id}:${bet.currency}`
+      const entry = totals.get(key) || { user_id: bet.user_id, currency: bet.currency, stake: 0, won: 0, edge: 0 }
+      entry.stake += bet.stake || 0
+      entry.won += bet.win_amount || 0
+      entry.edge += (bet.stake || 0) * (edges.get(String(bet.game_id)) ?? DEFAULT_EDGE)
+      totals.set(key, entry)
+    }
+
+    if (bets.length < PAGE_SIZE) break
+  }
+
+  return [...totals.values()]
+}
+
+async function loadVipLevels(userIds) {
+  const levels = new Map()
+
+  for (let i = 0; i < userIds.length; i += 500) {
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, vip_level')
+      .in('id', userIds.slice(i, i + 500))
+
+    if (error) throw error
+    for (const profile of profiles || []) levels.set(profile.id, profile.vip_level || 0)
+  }
+
+  return levels
+}
+
+// Work out a run without paying anything (used for previews and before committing)
+export async function calculateRun({ type, period, periodStart }) {
+  if (!RUN_TYPES.includes(type)) {
+    throw new CashbackError('invalid_type', `type must be one of: ${RUN_TYPES.join(', ')}`)
+  }
+
+  const { start, end } = resolvePeriod(period, periodStart)
+  const players = await aggregateBets(start, end)
+  const levels = await loadVipLevels([...new Set(players.map(player => player.user_id))])
+
+  const payouts = []
+  const totals = {}
+
+  for (const player of players) {
+    const vipLevel = levels.get(player.user_id) || 0
+    const rate = getRate(type, vipLevel)
+    const basis = type === 'cashback' ? Math.max(player.stake - player.won, 0) : player.edge
+    const amount = roundAmount(basis * rate)
+
+    if (amount <= 0) continue
+
+    payouts.push({
+      user_id: player.user_id,
+      currency: player.currency,
+      vip_level: vipLevel,
+      rate,
+      wagered: roundAmount(player.stake),
+      won: roundAmount(player.won),
+      basis: roundAmount(basis),
+      amount
+    })
+
+    const currencyTotals = totals[player.currency] || { players: 0, basis: 0, amount: 0 }
+    currencyTotals.players++
+    currencyTotals.basis = roundAmount(currencyTotals.basis + basis)
+    currencyTotals.amount = roundAmount(currencyTotals.amount + amount)
+    totals[player.currency] = currencyTotals
+  }
+
+  return {
+    type,
+    period,
+    period_start: start.toISOString(),
+    period_end: end.toISOString(),
+    payouts,
+    totals
+  }
+}
+
+// Calculate a run and issue its payouts as claimable bonuses.
+// Each type/period can only be committed once.
+export async function commitRun({ type, period, periodStart, adminId }) {
+  const calculation = await calculateRun({ type, period, periodStart })
+
+  const { data: run, error } = await supabase
+    .from('cashback_runs')
+    .insert({
+      type,
+      period,
+      period_start: calculation.period_start,
+      period_end: calculation.period_end,
+      players: calculation.payouts.length,
+      totals: calculation.totals,
+      created_by: adminId || null
+    })
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new CashbackError('already_run', `This ${period} ${type} period has already been paid`, 409)
+    }
+    throw error
+  }
+
+  let issued = 0
+  const failed = []
+
+  for (const payout of calculation.payouts) {
+    try {
+      await issuePayout(run, payout, adminId)
+      issued++
+    } catch (issueError) {
+      console.error(`Cashback payout error (${run.id}, ${payout.user_id}):`, issueError)
+      failed.push({ user_id: payout.user_id, currency: payout.currency, error: issueError.message })
+      await recordFailure(run, payout, issueError)
+    }
+  }
+
+  return { run, issued, failed }
+}
+
+function runLabel(run) {
+  return `${run.type === 'cashback' ? 'Cashback' : 'Rakeback'} for ${run.period_start.slice(0, 10)}` +
+    (run.period === 'weekly' ? ` to ${new Date(new Date(run.period_end) - DAY_MS).toISOString().slice(0, 10)}` : '')
+}
+
+function issuePayout(run, payout, adminId) {
+  return issueBonus({
+    userId: payout.user_id,
+    amount: payout.amount,
+    currency: payout.currency,
+    type: run.type,
+    wageringRequirement: roundAmount(payout.amount * WAGERING_MULTIPLIER),
+    reason: runLabel(run),
+    adminId,
+    expiresInDays: CLAIM_DAYS,
+    claimable: true,
+    blockLinked: BLOCK_LINKED,
+    fields: { cashback_run_id: run.id }
+  })
+}
+
+async function recordFailure(run, payout, issueError) {
+  const { error } = await supabase
+    .from('cashback_payout_failures')
+    .insert({
+      run_id: run.id,
+      user_id: payout.user_id,
+      currency: payout.currency,
+      amount: payout.amount,
+      payout,
+      last_error: issueError.message
+    })
+
+  if (error) console.error(`Record cashback payout failure error (${run.id}, ${payout.user_id}):`, error)
+}
+
+async function resolveFailure(failure, bonusId) {
+  const now = new Date().toISOString()
+  const { error } = await supabase
+    .from('cashback_payout_failures')
+    .update({ bonus_id: bonusId, resolved_at: now, updated_at: now })
+    .eq('id', failure.id)
+
+  if (error) throw error
+}
+
+// Retry payouts that failed in earlier runs (run by the scheduler). A payout whose
+// bonus turns out to exist already is only marked resolved.
+export async function retryFailedPayouts() {
+  const { data: failures, error } = await supabase
+    .from('cashback_payout_failures')
+    .select('*')
+    .is('resolved_at', null)
+    .lt('attempts', PAYOUT_ATTEMPTS)
+    .order('created_at')
+    .limit(PAGE_SIZE)
+
+  if (error) throw error
+
+  const runs = new Map()
+  let issued = 0
+  let failed = 0
+
+  for (const failure of failures || []) {
+    if (!runs.has(failure.run_id)) {
+      const { data: run, error: runError } = await supabase
+        .from('cashback_runs')
+        .select('*')
+        .eq('id', failure.run_id)
+        .single()
+
+      if (runError) throw runError
+      runs.set(failure.run_id, run)
+    }
+    const run = runs.get(failure.run_id)
+
+    const { data: existing } = await supabase
+      .from('bonuses')
+      .select('id')
+      .eq('cashback_run_id', run.id)
+      .eq('user_id', failure.user_id)
+      .eq('currency', failure.currency)
+      .single()
+
+    if (existing) {
+      await resolveFailure(failure, existing.id)
+      continue
+    }
+
+    try {
+      const bonus = await issuePayout(run, failure, run.created_by)
+      await resolveFailure(failure, bonus.id)
+      issued++
+    } catch (issueError) {
+      console.error(`Cashback payout retry error (${run.id}, ${failure.user_id}):`, issueError)
+      failed++
+
+      const { error: updateError } = await supabase
+        .from('cashback_payout_failures')
+        .update({ attempts: failure.attempts + 1, last_error: issueError.message, updated_at: new Date().toISOString() })
+        .eq('id', failure.id)
+
+      if (updateError) throw updateError
+    }
+  }
+
+  return { issued, failed }
+}
+
+// Commit any scheduled run whose last period hasn't been paid yet (run by the scheduler)
+export async function runScheduledCashback() {
+  const results = []
+
+  for (const [type, period] of SCHEDULE) {
+    const { start } = resolvePeriod(period)
+
+    const { data: existing } = await supabase
+      .from('cashback_runs')
+      .select('id')
+      .eq('type', type)
+      .eq('period', period)
+      .eq('period_start', start.toISOString())
+      .single()
+
+    if (existing) continue
+
+    try {
+      const { run, issued } = await commitRun({ type, period })
+      results.push({ type, period, run_id: run.id, issued })
+    } catch (error) {
+      if (!(error instanceof CashbackError && error.code === 'already_run')) throw error
+    }
+  }
+
+  return results
+}
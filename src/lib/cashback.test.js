@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock({
+  unique: {
+    cashback_runs: [['type', 'period', 'period_start']],
+    cashback_payout_failures: [['run_id', 'user_id', 'currency']]
+  }
+})
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const issueBonus = jest.fn()
+jest.unstable_mockModule('./bonuses.js', () => ({ issueBonus }))
+
+const { commitRun, retryFailedPayouts } = await import('./cashback.js')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function settledBet(userId, stake) {
+  return {
+    id: `bet-${userId}`,
+    user_id: userId,
+    game_id: 'dice',
+    currency: 'USD',
+    stake,
+    win_amount: 0,
+    outcome: 'loss',
+    settled_at: new Date(Date.now() - DAY_MS).toISOString()
+  }
+}
+
+function issueInto(bonuses) {
+  return async ({ userId, amount, currency, fields }) => {
+    const bonus = { id: `bonus-${bonuses.length + 1}`, user_id: userId, amount, currency, ...fields }
+    bonuses.push(bonus)
+    return bonus
+  }
+}
+
+beforeEach(() => {
+  db.tables.bets = [settledBet('u1', 100), settledBet('u2', 100)]
+  db.tables.games = []
+  db.tables.profiles = [{ id: 'u1', vip_level: 1 }, { id: 'u2', vip_level: 1 }]
+  db.tables.cashback_runs = []
+  db.tables.cashback_payout_failures = []
+  db.tables.bonuses = []
+  issueBonus.mockReset()
+  issueBonus.mockImplementation(issueInto(db.tables.bonuses))
+})
+
+describe('commitRun', () => {
+  test('records a payout that fails so it can be retried', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    issueBonus.mockImplementationOnce(async () => { throw new Error('connection reset') })
+
+    const { run, issued, failed } = await commitRun({ type: 'cashback', period: 'daily', adminId: 'a1' })
+    error.mockRestore()
+
+    expect(issued).toBe(1)
+    expect(failed).toHaveLength(1)
+    expect(db.tables.cashback_payout_failures).toMatchObject([{
+      run_id: run.id,
+      user_id: failed[0].user_id,
+      currency: 'USD',
+      amount: 5,
+      last_error: 'connection reset'
+    }])
+  })
+})
+
+describe('retryFailedPayouts', () => {
+  async function runWithFailure() {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+    issueBonus.mockImplementationOnce(async () => { throw new Error('connection reset') })
+    const result = await commitRun({ type: 'cashback', period: 'daily', adminId: 'a1' })
+    error.mockRestore()
+    // The column default
+    db.tables.cashback_payout_failures[0].attempts = 1
+    return result
+  }
+
+  test('issues a failed payout on the next run', async () => {
+    const { run, failed } = await runWithFailure()
+
+    expect(await retryFailedPayouts()).toEqual({ issued: 1, failed: 0 })
+
+    expect(issueBonus).toHaveBeenLastCalledWith(expect.objectContaining({
+      userId: failed[0].user_id,
+      amount: 5,
+      claimable: true,
+      fields: { cashback_run_id: run.id }
+    }))
+    expect(db.tables.cashback_payout_failures[0]).toMatchObject({ bonus_id: expect.any(String), resolved_at: expect.any(String) })
+    expect(await retryFailedPayouts()).toEqual({ issued: 0, failed: 0 })
+  })
+
+  test('counts a failed retry and gives up after the last attempt', async () => {
+    await runWithFailure()
+    issueBonus.mockImplementation(async () => { throw new Error('still down') })
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    for (let attempt = 0; attempt < 6; attempt++) await retryFailedPayouts()
+    error.mockRestore()
+
+    expect(db.tables.cashback_payout_failures[0]).toMatchObject({ attempts: 5, last_error: 'still down' })
+    expect(db.tables.cashback_payout_failures[0].resolved_at).toBeUndefined()
+  })
+
+  test('only marks a payout resolved when its bonus was issued after all', async () => {
+    const { run, failed } = await runWithFailure()
+    db.tables.bonuses.push({ id: 'late', cashback_run_id: run.id, user_id: failed[0].user_id, currency: 'USD' })
+    const calls = issueBonus.mock.calls.length
+
+    expect(await retryFailedPayouts()).toEqual({ issued: 0, failed: 0 })
+    expect(issueBonus.mock.calls).toHaveLength(calls)
+    expect(db.tables.cashback_payout_failures[0].bonus_id).toBe('late')
+  })
+})
@@ -0,0 +1,107 @@
+import { supabase } from './supabase.js'
+import { getAdapters, getAdapter, getGame } from '../providers/index.js'
+
+const UPSERT_BATCH_SIZE = 500
+
+// Curation fields admins may edit; syncs never write these
+export const CURATION_FIELDS = ['enabled', 'featured', 'sort_order', 'custom_thumbnail', 'restricted_countries']
+
+// Shape a catalog row like the games returned by provider adapters
+export function toPublicGame(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    provider: row.provider,
+    provider_id: row.adapter_id,
+    category: row.category,
+    thumbnail: row.custom_thumbnail || row.thumbnail,
+    description: row.description,
+    rtp: row.rtp,
+    isNew: row.is_new,
+    isHot: row.is_hot,
+    featured: row.featured
+  }
+}
+
+// Provider-owned columns only, so an upsert leaves curation untouched
+function toCatalogRow(game, adapterId, syncedAt) {
+  return {
+    id: String(game.id),
+    adapter_id: adapterId,
+    external_id: game.external_id || String(game.id),
+    name: game.name,
+    provider: game.provider,
+    category: game.category,
+    thumbnail: game.thumbnail || null,
+    description: game.description || null,
+    rtp: game.rtp ? parseFloat(game.rtp) : null,
+    is_new: !!game.isNew,
+    is_hot: !!game.isHot,
+    metadata: game,
+    available: true,
+    synced_at: syncedAt
+  }
+}
+
+// Country the request comes from (profile first, then the CDN's geo header)
+export function getRequestCountry(req) {
+  const country = req.profile?.country || req.get('CF-IPCountry') || req.get('X-Country-Code')
+  return country ? country.toUpperCase() : null
+}
+
+// Look up a game for launching: the catalog first (respecting curation), then the live adapter
+export async function findPlayableGame(gameId, country) {
+  const { data: row } = await supabase
+    .from('games')
+    .select('*')
+    .eq('id', gameId)
+    .single()
+
+  if (row) {
+    if (!row.enabled || !row.available) return null
+    if (country && row.restricted_countries?.includes(country)) return null
+    return { ...row.metadata, ...toPublicGame(row), external_id: row.external_id }
+  }
+
+  return getGame(gameId)
+}
+
+// Upsert every game from the enabled adapters (or one of them) into `games`.
+// Games a provider stopped listing are marked unavailable rather than deleted.
+export async function syncCatalog({ provider } = {}) {
+  const adapters = provider ? [getAdapter(provider)].filter(Boolean) : getAdapters()
+  const summary = []
+
+  for (const adapter of adapters) {
+    const syncedAt = new Date().toISOString()
+
+    try {
+      const games = await adapter.listGames()
+      const rows = games.map(game => toCatalogRow(game, adapter.id, syncedAt))
+
+      for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+        const { error } = await supabase
+          .from('games')
+          .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'id' })
+
+        if (error) throw error
+      }
+
+      const { count: removed, error: staleError } = await supabase
+        .from('games')
+        .update({ available: false }, { count: 'exact' })
+        .eq('adapter_id', adapter.id)
+        .eq('available', true)
+        .lt('synced_at', syncedAt)
+
+      if (staleError) throw staleError
+
+      summary.push({ provider: adapter.id, ok: true, synced: rows.length, removed: removed || 0 })
+    } catch (error) {
+      console.error(`Catalog sync error (${adapter.id}):`, error)
+      summary.push({ provider: adapter.id, ok: false, error: error.message })
+    }
+  }
+
+  return summary
+}
@@ -0,0 +1,337 @@
+import { supabase } from './supabase.js'
+import { getOrCreateWallet } from './ledger.js'
+import { completeDeposit } from './deposits.js'
+import { ResponsibleGamingError, checkDeposit } from './responsibleGaming.js'
+import { getNetworks, getNetwork, getNetworksForCurrency } from '../chains/index.js'
+
+// On-chain deposits: each user gets one address per currency and network.
+// The watcher records transfers to those addresses, tracks their confirmations
+// and credits the wallet through completeDeposit() once the network's threshold
+// is reached. A deposit that would take the player over a deposit limit is held
+// instead, until an admin releases it.
+
+export class CryptoDepositError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'CryptoDepositError'
+    this.status = status
+  }
+}
+
+// Network to use for a currency (the first one that supports it unless one is named)
+export function resolveNetwork(currency, networkId) {
+  const candidates = getNetworksForCurrency(currency)
+
+  if (!candidates.length) {
+    throw new CryptoDepositError(`On-chain deposits are not available for ${currency}`)
+  }
+
+  if (!networkId) return candidates[0]
+
+  const network = candidates.find(candidate => candidate.id === networkId)
+  if (!network) {
+    throw new CryptoDepositError(`${currency} cannot be deposited on ${networkId}. Use one of: ${candidates.map(c => c.id).join(', ')}`)
+  }
+  return network
+}
+
+export function toPublicAddress(row) {
+  const network = getNetwork(row.network)
+  return {
+    currency: row.currency,
+    network: row.network,
+    address: row.address,
+    memo: row.memo,
+    confirmations_required: network?.confirmations ?? null,
+    created_at: row.created_at
+  }
+}
+
+// Get the user's deposit address for a currency, creating it on first use
+export async function getDepositAddress(userId, currency, networkId) {
+  const network = resolveNetwork(currency, networkId)
+
+  const findExisting = async () => {
+    const { data } = await supabase
+      .from('crypto_addresses')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .eq('network', network.id)
+      .single()
+    return data
+  }
+
+  const existing = await findExisting()
+  if (existing) return existing
+
+  let issued
+  let derivationIndex = null
+
+  if (network.addressSource.derives) {
+    const { data: index, error } = await supabase.rpc('crypto_allocate_index', { p_network: network.id })
+    if (error) throw error
+    derivationIndex = index
+    issued = network.addressSource.deriveAddress(index)
+  } else {
+    issued = await network.addressSource.createAddress({ network, currency, reference: `${userId}:${currency}` })
+  }
+
+  const { data: created, error } = await supabase
+    .from('crypto_addresses')
+    .insert({
+      user_id: userId,
+      currency,
+      network: network.id,
+      address: issued.address,
+      memo: issued.memo,
+      source: network.addressSource.id,
+      derivation_index: derivationIndex
+    })
+    .select()
+    .single()
+
+  if (error) {
+    // A concurrent request created it first
+    if (error.code === '23505') return findExisting()
+    throw error
+  }
+
+  return created
+}
+
+// Store transfers that pay one of our addresses; repeats are ignored
+async function recordTransfers(network, transfers) {
+  let recorded = 0
+
+  for (let i = 0; i < transfers.length; i += 500) {
+    const batch = transfers.slice(i, i + 500).filter(transfer =>
+      transfer.amount > 0 && network.currencies.includes(transfer.currency)
+    )
+    if (!batch.length) continue
+
+    const { data: addresses, error } = await supabase
+      .from('crypto_addresses')
+      .select('user_id, address, memo')
+      .eq('network', network.id)
+      .in('address', [...new Set(batch.map(transfer => transfer.address))])
+
+    if (error) throw error
+
+    const rows = batch.flatMap(transfer => {
+      const owner = (addresses || []).find(row =>
+        row.address === transfer.address && (row.memo || null) === (transfer.memo || null)
+      )
+      if (!owner) return []
+
+      return [{
+        network: network.id,
+        currency: transfer.currency,
+        tx_hash: transfer.tx_hash,
+        output_index: transfer.output_index || 0,
+        address: transfer.address,
+        memo: transfer.memo || null,
+        user_id: owner.user_id,
+        amount: transfer.amount,
+        block_height: transfer.block_height,
+        required_confirmations: network.confirmations
+      }]
+    })
+
+    if (!rows.length) continue
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('crypto_deposits')
+      .upsert(rows, { onConflict: 'network,tx_hash,output_index', ignoreDuplicates: true })
+      .select('id')
+
+    if (insertError) throw insertError
+    recorded += inserted?.length || 0
+  }
+
+  return recorded
+}
+
+// Hold a deposit that goes over one of the player's deposit limits. Returns the held
+// deposit, or null if it may be credited.
+async function holdOverLimit(deposit) {
+  try {
+    await checkDeposit(deposit.user_id, { amount: Number(deposit.amount), currency: deposit.currency })
+    return null
+  } catch (error) {
+    if (!(error instanceof ResponsibleGamingError) || error.code !== 'deposit_limit') throw error
+
+    const { data: held } = await supabase
+      .from('crypto_deposits')
+      .update({ status: 'held', hold_reason: error.message })
+      .eq('id', deposit.id)
+      .select()
+      .single()
+
+    await supabase.from('activity_logs').insert({
+      user_id: deposit.user_id,
+      action: 'crypto_deposit_held',
+      details: { deposit_id: deposit.id, amount: deposit.amount, currency: deposit.currency, reason: error.message }
+    })
+
+    return held
+  }
+}
+
+// Credit a confirmed deposit exactly once. The wallet transaction is created on the
+// first attempt and reused by retries; completeDeposit() only credits it once.
+// Returns null if the deposit was held or someone else is crediting it.
+export async function creditCryptoDeposit(deposit) {
+  const { data: claimed } = await supabase
+    .from('crypto_deposits')
+    .update({ status: 'crediting' })
+    .eq('id', deposit.id)
+    .eq('status', 'confirming')
+    .select()
+    .single()
+
+  if (!claimed) return null
+
+  try {
+    let transactionId = claimed.transaction_id
+
+    // Limits are checked when the funds arrive, since the address was handed out
+    // without knowing how much would be sent. Released deposits skip the check.
+    if (!transactionId && !claimed.released_at && await holdOverLimit(claimed)) {
+      return null
+    }
+
+    if (!transactionId) {
+      const wallet = await getOrCreateWallet(claimed.user_id, claimed.currency)
+
+      const { data: transaction, error } = await supabase
+        .from('transactions')
+        .insert({
+          user_id: claimed.user_id,
+          wallet_id: wallet.id,
+          type: 'deposit',
+          amount: claimed.amount,
+          currency: claimed.currency,
+          status: 'pending',
+          payment_address: claimed.address,
+          notes: `${claimed.network} deposit ${claimed.tx_hash}`
+        })
+        .select()
+        .single()
+
+      if (error) throw error
+      transactionId = transaction.id
+
+      await supabase
+        .from('crypto_deposits')
+        .update({ transaction_id: transactionId })
+        .eq('id', claimed.id)
+    }
+
+    await completeDeposit(transactionId)
+
+    const { data: credited } = await supabase
+      .from('crypto_deposits')
+      .update({ status: 'credited', credited_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .select()
+      .single()
+
+    return credited
+  } catch (error) {
+    await supabase
+      .from('crypto_deposits')
+      .update({ status: 'confirming' })
+      .eq('id', claimed.id)
+    throw error
+  }
+}
+
+// Admin: release a held deposit and credit it despite the limit
+export async function releaseCryptoDeposit(depositId, adminId) {
+  const { data: released } = await supabase
+    .from('crypto_deposits')
+    .update({ status: 'confirming', released_by: adminId, released_at: new Date().toISOString() })
+    .eq('id', depositId)
+    .eq('status', 'held')
+    .select()
+    .single()
+
+  if (!released) {
+    throw new CryptoDepositError('Held deposit not found', 404)
+  }
+
+  return creditCryptoDeposit(released)
+}
+
+// Refresh confirmations for a network's unconfirmed deposits and credit those past the threshold
+async function updateConfirmations(network, height) {
+  const { data: deposits, error } = await supabase
+    .from('crypto_deposits')
+    .select('*')
+    .eq('network', network.id)
+    .eq('status', 'confirming')
+
+  if (error) throw error
+
+  let credited = 0
+
+  for (const deposit of deposits || []) {
+    const confirmations = deposit.block_height != null ? Math.max(height - deposit.block_height + 1, 0) : 0
+
+    if (confirmations !== deposit.confirmations) {
+      await supabase
+        .from('crypto_deposits')
+        .update({ confirmations })
+        .eq('id', deposit.id)
+    }
+
+    if (confirmations >= deposit.required_confirmations) {
+      try {
+        if (await creditCryptoDeposit(deposit)) credited++
+      } catch (creditError) {
+        console.error(`Credit crypto deposit error (${deposit.id}):`, creditError)
+      }
+    }
+  }
+
+  return credited
+}
+
+// Pull new transfers for one network, then update confirmations
+export async function scanNetwork(network) {
+  const { data: state } = await supabase
+    .from('crypto_watch_state')
+    .select('*')
+    .eq('network', network.id)
+    .single()
+
+  const { transfers, cursor } = await network.watcher.getTransfers(network, state?.cursor || null)
+  const detected = await recordTransfers(network, transfers)
+  const height = await network.watcher.getHeight(network)
+
+  const { error } = await supabase
+    .from('crypto_watch_state')
+    .upsert({ network: network.id, cursor, height, updated_at: new Date().toISOString() })
+
+  if (error) throw error
+
+  const credited = await updateConfirmations(network, height)
+  return { network: network.id, height, detected, credited }
+}
+
+// Scan every watched network (run by the scheduler)
+export async function scanDeposits() {
+  const summary = []
+
+  for (const network of getNetworks().filter(network => network.watcher)) {
+    try {
+      summary.push({ ok: true, ...await scanNetwork(network) })
+    } catch (error) {
+      console.error(`Deposit watcher error (${network.id}):`, error)
+      summary.push({ network: network.id, ok: false, error: error.message })
+    }
+  }
+
+  return summary
+}
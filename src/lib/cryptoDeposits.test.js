@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./fx.js', () => ({
+  getLatestRates: async () => ({ BTC: { rate: 50000 } })
+}))
+
+const completeDeposit = jest.fn(async id => ({ id, status: 'completed' }))
+jest.unstable_mockModule('./deposits.js', () => ({ completeDeposit }))
+
+const { creditCryptoDeposit, releaseCryptoDeposit } = await import('./cryptoDeposits.js')
+
+function confirmedDeposit(amount) {
+  const deposit = {
+    id: 'd1',
+    network: 'bitcoin',
+    currency: 'BTC',
+    tx_hash: 'abc',
+    address: 'bc1qexample',
+    user_id: 'u1',
+    amount,
+    status: 'confirming',
+    transaction_id: null
+  }
+  db.tables.crypto_deposits = [deposit]
+  return deposit
+}
+
+beforeEach(() => {
+  db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'BTC', balance: 0 }]
+  db.tables.transactions = []
+  db.tables.activity_logs = []
+  db.tables.responsible_gaming_limits = [
+    { id: 'l1', user_id: 'u1', type: 'deposit', period: 'day', amount: 1000, currency: 'USD' }
+  ]
+  completeDeposit.mockClear()
+})
+
+describe('creditCryptoDeposit', () => {
+  test('credits a deposit within the player\'s deposit limit', async () => {
+    const deposit = confirmedDeposit(0.01)
+
+    const credited = await creditCryptoDeposit(deposit)
+
+    expect(credited.status).toBe('credited')
+    expect(completeDeposit).toHaveBeenCalledWith(db.tables.transactions[0].id)
+  })
+
+  test('holds a deposit that goes over the limit instead of crediting it', async () => {
+    const deposit = confirmedDeposit(0.5)
+
+    expect(await creditCryptoDeposit(deposit)).toBeNull()
+
+    expect(db.tables.crypto_deposits[0]).toMatchObject({ status: 'held', hold_reason: expect.stringContaining('deposit limit') })
+    expect(db.tables.transactions).toHaveLength(0)
+    expect(completeDeposit).not.toHaveBeenCalled()
+    expect(db.tables.activity_logs).toMatchObject([{ user_id: 'u1', action: 'crypto_deposit_held' }])
+  })
+
+  test('credits a held deposit once an admin releases it', async () => {
+    const deposit = confirmedDeposit(0.5)
+    await creditCryptoDeposit(deposit)
+
+    const credited = await releaseCryptoDeposit('d1', 'a1')
+
+    expect(credited).toMatchObject({ status: 'credited', released_by: 'a1' })
+    expect(completeDeposit).toHaveBeenCalledTimes(1)
+    await expect(releaseCryptoDeposit('d1', 'a1')).rejects.toMatchObject({ status: 404 })
+  })
+})
@@ -0,0 +1,152 @@
+import { supabase } from './supabase.js'
+import { ACCOUNTS, postJournal, getOrCreateWallet } from './ledger.js'
+import { trackDepositMatch } from './promotions.js'
+
+export class DepositError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'DepositError'
+    this.status = status
+  }
+}
+
+// Create a pending deposit and, when a gateway is given, an invoice to pay it
+export async function createDeposit({ userId, amount, currency, method, gateway, baseUrl }) {
+  const wallet = await getOrCreateWallet(userId, currency)
+
+  const { data: transaction, error: txError } = await supabase
+    .from('transactions')
+    .insert({
+      user_id: userId,
+      wallet_id: wallet.id,
+      type: 'deposit',
+      amount,
+      currency,
+      status: 'pending',
+      gateway: gateway?.id || null,
+      notes: `${method} deposit`
+    })
+    .select()
+    .single()
+
+  if (txError) throw txError
+  if (!gateway) return { transaction, invoice: null }
+
+  let invoice
+  try {
+    invoice = await gateway.createInvoice({ transaction, amount, currency, method, baseUrl })
+  } catch (error) {
+    console.error(`Create invoice error (${gateway.id}):`, error)
+    await closeDeposit(transaction.id, 'failed', { notes: `${method} deposit - invoice failed` })
+    throw new DepositError('Payment gateway unavailable', 502)
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('transactions')
+    .update({
+      gateway_invoice_id: invoice.invoice_id,
+      payment_url: invoice.payment_url,
+      payment_address: invoice.address || null
+    })
+    .eq('id', transaction.id)
+    .select()
+    .single()
+
+  if (updateError) throw updateError
+
+  return { transaction: updated, invoice }
+}
+
+// Find a deposit by the gateway's invoice ID
+export async function findDepositByInvoice(gatewayId, invoiceId) {
+  const { data } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('type', 'deposit')
+    .eq('gateway', gatewayId)
+    .eq('gateway_invoice_id', invoiceId)
+    .single()
+
+  return data
+}
+
+// Complete a pending deposit: credit its amount (or the amount actually received)
+// as cash and run deposit-match campaigns. Returns null if the deposit was no
+// longer pending, so a repeated confirmation never credits twice.
+export async function completeDeposit(depositId, { adminId, notes, amount } = {}) {
+  const { data: deposit } = await supabase
+    .from('transactions')
+    .update({
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      ...(amount > 0 && { amount }),
+      ...(adminId && { admin_id: adminId }),
+      ...(notes && { notes })
+    })
+    .eq('id', depositId)
+    .eq('type', 'deposit')
+    .eq('status', 'pending')
+    .select()
+    .single()
+
+  if (!deposit) return null
+
+  let result
+  try {
+    // The deposit row already exists, so the wallet leg doesn't record another one
+    result = await postJournal({
+      type: 'deposit',
+      referenceId: deposit.id,
+      referenceType: 'deposit',
+      legs: [
+        { wallet_id: deposit.wallet_id, amount: deposit.amount, balance: 'cash', record: false },
+        { account: ACCOUNTS.DEPOSITS, currency: deposit.currency, amount: -deposit.amount }
+      ]
+    })
+  } catch (error) {
+    await supabase
+      .from('transactions')
+      .update({ status: 'pending', completed_at: null })
+      .eq('id', deposit.id)
+    throw error
+  }
+
+  const { data: completed } = await supabase
+    .from('transactions')
+    .update({ journal_id: result.journal_id, cash_amount: deposit.amount })
+    .eq('id', deposit.id)
+    .select()
+    .single()
+
+  const bonuses = await trackDepositMatch(completed || deposit)
+
+  return { transaction: completed || deposit, wallet: result.wallets[0], bonuses }
+}
+
+// Close a pending deposit without crediting it; returns null if it was no longer pending
+async function closeDeposit(depositId, status, { adminId, notes } = {}) {
+  const { data: deposit } = await supabase
+    .from('transactions')
+    .update({
+      status,
+      ...(adminId && { admin_id: adminId }),
+      ...(notes && { notes })
+    })
+    .eq('id', depositId)
+    .eq('type', 'deposit')
+    .eq('status', 'pending')
+    .select()
+    .single()
+
+  return deposit
+}
+
+// Reject a pending deposit (staff decision)
+export function rejectDeposit(depositId, options) {
+  return closeDeposit(depositId, 'rejected', options)
+}
+
+// Mark a pending deposit as failed (reported by the gateway)
+export function failDeposit(depositId, options) {
+  return closeDeposit(depositId, 'failed', options)
+}
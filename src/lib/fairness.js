@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+
+// Provably-fair seeds.
+// Each player has one active server seed whose SHA-256 hash is shown up front.
+// Round results are derived from HMAC-SHA256(server seed, "client seed:nonce:cursor"),
+// and the server seed is only revealed once the player rotates to a new one.
+
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex')
+}
+
+export function generateClientSeed() {
+  return crypto.randomBytes(8).toString('hex')
+}
+
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex')
+}
+
+// Deterministic floats in [0, 1), four bytes each, 8 per HMAC block
+export function generateFloats({ serverSeed, clientSeed, nonce, count }) {
+  const floats = []
+
+  for (let cursor = 0; floats.length < count; cursor++) {
+    const bytes = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}:${cursor}`)
+      .digest()
+
+    for (let i = 0; i < bytes.length && floats.length < count; i += 4) {
+      floats.push(
+        bytes[i] / 256 +
+        bytes[i + 1] / 256 ** 2 +
+        bytes[i + 2] / 256 ** 3 +
+        bytes[i + 3] / 256 ** 4
+      )
+    }
+  }
+
+  return floats
+}
+
+// Public view of a seed (never includes the unrevealed server seed)
+export function toPublicSeed(seed) {
+  return {
+    id: seed.id,
+    server_seed_hash: seed.server_seed_hash,
+    server_seed: seed.status === 'revealed' ? seed.server_seed : undefined,
+    client_seed: seed.client_seed,
+    nonce: seed.nonce,
+    status: seed.status,
+    created_at: seed.created_at,
+    revealed_at: seed.revealed_at
+  }
+}
+
+async function createSeed(userId, clientSeed) {
+  const serverSeed = generateServerSeed()
+
+  const { data, error } = await supabase
+    .from('fairness_seeds')
+    .insert({
+      user_id: userId,
+      server_seed: serverSeed,
+      server_seed_hash: hashServerSeed(serverSeed),
+      client_seed: clientSeed || generateClientSeed(),
+      nonce: 0,
+      status: 'active'
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Get the player's active seed, creating one on first play
+export async function getActiveSeed(userId) {
+  const { data: seed } = await supabase
+    .from('fairness_seeds')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .single()
+
+  if (seed) return seed
+
+  try {
+    return await createSeed(userId)
+  } catch (error) {
+    // 23505 = another request created the active seed first
+    if (error.code !== '23505') throw error
+    return getActiveSeed(userId)
+  }
+}
+
+// Reveal the active server seed and start a new one
+export async function rotateSeed(userId, clientSeed) {
+  const { data: revealed } = await supabase
+    .from('fairness_seeds')
+    .update({ status: 'revealed', revealed_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .select()
+    .single()
+
+  const active = await createSeed(userId, clientSeed)
+
+  return { previous: revealed || null, active }
+}
+
+// Reserve the next nonce on the active seed.
+// Uses compare-and-set on the nonce so concurrent rounds never share one.
+export async function nextRound(userId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const seed = await getActiveSeed(userId)
+
+    const { data: updated } = await supabase
+      .from('fairness_seeds')
+      .update({ nonce: seed.nonce + 1 })
+      .eq('id', seed.id)
+      .eq('status', 'active')
+      .eq('nonce', seed.nonce)
+      .select()
+      .single()
+
+    if (updated) {
+      return {
+        seedId: seed.id,
+        serverSeed: seed.server_seed,
+        serverSeedHash: seed.server_seed_hash,
+        clientSeed: seed.client_seed,
+        nonce: seed.nonce
+      }
+    }
+  }
+
+  throw new Error('Could not reserve a round nonce')
+}
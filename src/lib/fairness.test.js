@@ -0,0 +1,50 @@
+import crypto from 'crypto'
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { generateFloats, hashServerSeed, generateServerSeed } = await import('./fairness.js')
+
+describe('hashServerSeed', () => {
+  test('is the SHA-256 hex digest of the seed', () => {
+    expect(hashServerSeed('abc')).toBe(crypto.createHash('sha256').update('abc').digest('hex'))
+  })
+})
+
+describe('generateFloats', () => {
+  const seeds = { serverSeed: 'server', clientSeed: 'client', nonce: 3 }
+
+  test('returns the same floats for the same seeds and nonce', () => {
+    expect(generateFloats({ ...seeds, count: 12 })).toEqual(generateFloats({ ...seeds, count: 12 }))
+  })
+
+  test('returns floats in [0, 1), spanning several HMAC blocks', () => {
+    const floats = generateFloats({ ...seeds, count: 20 })
+
+    expect(floats).toHaveLength(20)
+    expect(floats.every(value => value >= 0 && value < 1)).toBe(true)
+  })
+
+  test('derives the first float from the first four HMAC bytes', () => {
+    const bytes = crypto.createHmac('sha256', 'server').update('client:3:0').digest()
+    const expected = bytes[0] / 256 + bytes[1] / 256 ** 2 + bytes[2] / 256 ** 3 + bytes[3] / 256 ** 4
+
+    expect(generateFloats({ ...seeds, count: 1 })).toEqual([expected])
+  })
+
+  test('changes with the nonce and client seed', () => {
+    const base = generateFloats({ ...seeds, count: 1 })
+
+    expect(generateFloats({ ...seeds, nonce: 4, count: 1 })).not.toEqual(base)
+    expect(generateFloats({ ...seeds, clientSeed: 'other', count: 1 })).not.toEqual(base)
+  })
+})
+
+describe('generateServerSeed', () => {
+  test('returns 32 random bytes as hex', () => {
+    expect(generateServerSeed()).toMatch(/^[0-9a-f]{64}$/)
+    expect(generateServerSeed()).not.toBe(generateServerSeed())
+  })
+})
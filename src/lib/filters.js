@@ -0,0 +1,16 @@
+// Helpers for building PostgREST filter strings from user input
+
+// ILIKE pattern matching term as a literal substring (LIKE wildcards escaped),
+// for .ilike(column, pattern)
+export function containsPattern(term) {
+  return `%${String(term).replace(/[\\%_]/g, '\\$&')}%`
+}
+
+// An .or() filter matching term as a literal substring of any of the columns.
+// LIKE wildcards in the term are escaped, and the pattern is double-quoted so
+// commas, dots and parentheses can't add conditions of their own.
+export function orIlike(columns, term) {
+  const quoted = `"${containsPattern(term).replace(/[\\"]/g, '\\$&')}"`
+
+  return columns.map(column => `${column}.ilike.${quoted}`).join(',')
+}
@@ -0,0 +1,27 @@
+import { containsPattern, orIlike } from './filters.js'
+
+describe('containsPattern', () => {
+  test('escapes LIKE wildcards so the term matches literally', () => {
+    expect(containsPattern('gates')).toBe('%gates%')
+    expect(containsPattern('100%_\\')).toBe('%100\\%\\_\\\\%')
+  })
+})
+
+describe('orIlike', () => {
+  test('matches the term in any of the columns', () => {
+    expect(orIlike(['name', 'provider'], 'gates')).toBe('name.ilike."%gates%",provider.ilike."%gates%"')
+  })
+
+  test('keeps filter syntax in the term inside the quoted value', () => {
+    expect(orIlike(['name'], 'x%,enabled.eq.false')).toBe('name.ilike."%x\\\\%,enabled.eq.false%"')
+    expect(orIlike(['name'], 'a"),id.gt.(0')).toBe('name.ilike."%a\\"),id.gt.(0%"')
+  })
+
+  test('escapes LIKE wildcards and backslashes', () => {
+    expect(orIlike(['name'], '50_off\\')).toBe('name.ilike."%50\\\\_off\\\\\\\\%"')
+  })
+
+  test('stringifies non-string input', () => {
+    expect(orIlike(['name'], ['a', 'b'])).toBe('name.ilike."%a,b%"')
+  })
+})
@@ -0,0 +1,54 @@
+import NodeCache from 'node-cache'
+import { supabase } from './supabase.js'
+
+// Records where each player uses their account from: IP, user agent and the
+// optional client device fingerprint (X-Device-Fingerprint header). Each
+// combination is written at most once per FINGERPRINT_THROTTLE_SECONDS (default
+// 300) per source, so authenticated traffic doesn't turn into a write per request.
+// Staff and admin sessions are never recorded: they would link every account
+// worked on from the office to each other.
+
+export const FINGERPRINT_HEADER = 'X-Device-Fingerprint'
+
+const STAFF_ROLES = ['admin', 'staff']
+const MAX_USER_AGENT_LENGTH = 512
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/
+
+const recent = new NodeCache({ stdTTL: parseInt(process.env.FINGERPRINT_THROTTLE_SECONDS || '300') })
+
+export function getFingerprint(req) {
+  const deviceId = req.get(FINGERPRINT_HEADER) || ''
+
+  return {
+    ip: req.ip || '',
+    // Anything that doesn't look like a fingerprint is ignored rather than stored
+    device_id: DEVICE_ID_PATTERN.test(deviceId) ? deviceId : '',
+    user_agent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH)
+  }
+}
+
+// Save the request's fingerprint for the authenticated player. Never fails the request.
+export async function recordFingerprint(req, source) {
+  if (!req.user || STAFF_ROLES.includes(req.profile?.role)) return
+
+  const fingerprint = getFingerprint(req)
+  const key = [req.user.id, source, fingerprint.ip, fingerprint.device_id, fingerprint.user_agent].join('|')
+  if (recent.has(key)) return
+  recent.set(key, true)
+
+  try {
+    const { error } = await supabase
+      .from('device_fingerprints')
+      .upsert({
+        user_id: req.user.id,
+        source,
+        ...fingerprint,
+        last_seen_at: new Date().toISOString()
+      }, { onConflict: 'user_id,ip,device_id,user_agent,source' })
+
+    if (error) throw error
+  } catch (error) {
+    recent.del(key)
+    console.error('Record fingerprint error:', error)
+  }
+}
@@ -0,0 +1,36 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { recordFingerprint } = await import('./fingerprints.js')
+
+function request(userId, role) {
+  const headers = { 'user-agent': 'jest' }
+  return {
+    ip: '203.0.113.7',
+    user: { id: userId },
+    profile: { id: userId, role },
+    get: name => headers[name.toLowerCase()]
+  }
+}
+
+beforeEach(() => {
+  db.tables.device_fingerprints = []
+})
+
+describe('recordFingerprint', () => {
+  test('records a player\'s request', async () => {
+    await recordFingerprint(request('u1', 'user'), 'auth')
+
+    expect(db.tables.device_fingerprints).toMatchObject([{ user_id: 'u1', source: 'auth', ip: '203.0.113.7', user_agent: 'jest' }])
+  })
+
+  test('skips staff and admins on every route', async () => {
+    await recordFingerprint(request('s1', 'staff'), 'auth')
+    await recordFingerprint(request('a1', 'admin'), 'bet')
+
+    expect(db.tables.device_fingerprints).toHaveLength(0)
+  })
+})
@@ -0,0 +1,265 @@
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+import { ACCOUNTS, postJournal, getOrCreateWallet } from './ledger.js'
+import { getRateProvider } from '../fx/index.js'
+
+// Exchange rates, stored as the USD price of one unit of each currency.
+//
+//   FX_CURRENCIES        currencies to price (default USD,EUR,BTC,ETH,LTC,USDT,USDC,TRX,XRP)
+//   FX_SWAP_SPREAD       share kept on swaps (default 0.005)
+//   FX_SWAP_MAX_AGE_MS   swaps refresh rates older than this first (default 60s)
+//   FX_SWAP_STALE_MS     swaps are refused if rates can't be refreshed past this age (default 10 min)
+//   REPORTING_CURRENCY   default currency for reports (default USD)
+//
+// Rates are captured by the fx-rates job and stored, so reports can convert each
+// bet or transaction at the rate in force when it happened.
+
+const PAGE_SIZE = 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const FX_CURRENCIES = (process.env.FX_CURRENCIES || 'USD,EUR,BTC,ETH,LTC,USDT,USDC,TRX,XRP')
+  .split(',')
+  .map(currency => currency.trim().toUpperCase())
+  .filter(Boolean)
+
+export const REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || 'USD'
+
+const SWAP_SPREAD = parseFloat(process.env.FX_SWAP_SPREAD || '0.005')
+const SWAP_MAX_AGE_MS = parseInt(process.env.FX_SWAP_MAX_AGE_MS || '60000')
+const SWAP_STALE_MS = parseInt(process.env.FX_SWAP_STALE_MS || String(10 * 60 * 1000))
+
+export class FxError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'FxError'
+    this.status = status
+  }
+}
+
+export function roundAmount(amount) {
+  return Number(amount.toFixed(8))
+}
+
+// Latest rates: { [currency]: { rate, captured_at } }
+let latest = {}
+let latestAt = 0
+
+// Fetch current rates from the provider and store them
+export async function refreshRates() {
+  const provider = getRateProvider()
+  const rates = await provider.getRates(FX_CURRENCIES)
+  const capturedAt = new Date().toISOString()
+
+  const rows = Object.entries(rates).map(([currency, rate]) => ({
+    currency,
+    rate,
+    source: provider.id,
+    captured_at: capturedAt
+  }))
+
+  if (!rows.length) {
+    throw new Error(`FX provider ${provider.id} returned no rates`)
+  }
+
+  const { error } = await supabase.from('fx_rates').insert(rows)
+  if (error) throw error
+
+  latest = Object.fromEntries(rows.map(row => [row.currency, { rate: row.rate, captured_at: capturedAt }]))
+  latestAt = Date.now()
+
+  return rows
+}
+
+// Most recent stored rate per currency, refreshed when older than maxAgeMs
+export async function getLatestRates({ maxAgeMs } = {}) {
+  if (maxAgeMs !== undefined && Date.now() - latestAt > maxAgeMs) {
+    try {
+      await refreshRates()
+    } catch (error) {
+      console.error('FX refresh error:', error)
+    }
+  }
+
+  if (Object.keys(latest).length) return latest
+
+  const rates = {}
+  for (const currency of FX_CURRENCIES) {
+    const { data } = await supabase
+      .from('fx_rates')
+      .select('rate, captured_at')
+      .eq('currency', currency)
+      .order('captured_at', { ascending: false })
+      .limit(1)
+      .single()
+
+    if (data) rates[currency] = { rate: Number(data.rate), captured_at: data.captured_at }
+  }
+
+  return rates
+}
+
+// Price of one unit of `from` in `to`
+function crossRate(rates, from, to) {
+  if (from === to) return 1
+  if (!rates[from] || !rates[to]) return null
+  return rates[from].rate / rates[to].rate
+}
+
+// Quote a swap at current rates, less the spread
+export async function quoteSwap({ from, to, amount }) {
+  if (!from || !to || from === to) {
+    throw new FxError('Choose two different currencies')
+  }
+  if (!(amount > 0)) {
+    throw new FxError('Invalid amount')
+  }
+
+  const rates = await getLatestRates({ maxAgeMs: SWAP_MAX_AGE_MS })
+  const rate = crossRate(rates, from, to)
+
+  if (!rate) {
+    throw new FxError(`No exchange rate for ${from} to ${to}`, 422)
+  }
+
+  const oldest = Math.min(Date.parse(rates[from].captured_at), Date.parse(rates[to].captured_at))
+  if (Date.now() - oldest > SWAP_STALE_MS) {
+    throw new FxError('Exchange rates are out of date, try again shortly', 503)
+  }
+
+  const toAmount = roundAmount(amount * rate * (1 - SWAP_SPREAD))
+  if (!(toAmount > 0)) {
+    throw new FxError('Amount too small to swap')
+  }
+
+  return {
+    from_currency: from,
+    to_currency: to,
+    from_amount: amount,
+    to_amount: toAmount,
+    rate,
+    spread: SWAP_SPREAD,
+    rates_at: new Date(oldest).toISOString()
+  }
+}
+
+// Swap cash between two of the user's wallets in one balanced journal
+// (each currency balances against the FX account)
+export async function swapCurrency({ userId, from, to, amount }) {
+  const quote = await quoteSwap({ from, to, amount })
+
+  const { data: fromWallet } = await supabase
+    .from('wallets')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('currency', from)
+    .single()
+
+  if (!fromWallet) {
+    throw new FxError(`No ${from} wallet`, 404)
+  }
+
+  const toWallet = await getOrCreateWallet(userId, to)
+  const swapId = crypto.randomUUID()
+  const notes = `Swap ${quote.from_amount} ${from} to ${quote.to_amount} ${to}`
+
+  const result = await postJournal({
+    type: 'swap',
+    referenceId: swapId,
+    referenceType: 'currency_swap',
+    metadata: { rate: quote.rate, spread: quote.spread },
+    legs: [
+      { wallet_id: fromWallet.id, amount: -quote.from_amount, type: 'swap', balance: 'cash', notes },
+      { account: ACCOUNTS.FX, currency: from, amount: quote.from_amount },
+      { wallet_id: toWallet.id, amount: quote.to_amount, type: 'swap', balance: 'cash', notes },
+      { account: ACCOUNTS.FX, currency: to, amount: -quote.to_amount }
+    ]
+  })
+
+  const { data: swap, error } = await supabase
+    .from('currency_swaps')
+    .insert({
+      id: swapId,
+      user_id: userId,
+      from_currency: from,
+      to_currency: to,
+      from_amount: quote.from_amount,
+      to_amount: quote.to_amount,
+      rate: quote.rate,
+      spread: quote.spread,
+      journal_id: result.journal_id
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  return { swap, wallets: result.wallets, transactions: result.transactions }
+}
+
+// Converter for reports: loads the rate history for a period once, then converts
+// each amount at the last rate captured at or before its timestamp (or the first
+// one after, for activity older than the history). Currencies with no rates at all
+// are skipped and listed in `missing`.
+export async function createConverter(to, { start, end } = {}) {
+  const history = {}
+
+  for (let page = 0; ; page++) {
+    let query = supabase
+      .from('fx_rates')
+      .select('id, currency, rate, captured_at')
+      .order('id')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    // A week's margin finds the rate in force at the start of the period
+    if (start) query = query.gte('captured_at', new Date(new Date(start).getTime() - 7 * DAY_MS).toISOString())
+    if (end) query = query.lte('captured_at', new Date(end).toISOString())
+
+    const { data, error } = await query
+    if (error) throw error
+
+    for (const row of data || []) {
+      (history[row.currency] ||= []).push({ at: Date.parse(row.captured_at), rate: Number(row.rate) })
+    }
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  for (const rows of Object.values(history)) rows.sort((a, b) => a.at - b.at)
+
+  const missing = new Set()
+
+  function rateAt(currency, at) {
+    const rows = history[currency]
+    if (!rows?.length) return null
+
+    let low = 0
+    let high = rows.length - 1
+    if (rows[0].at > at) return rows[0].rate
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (rows[mid].at <= at) low = mid
+      else high = mid - 1
+    }
+    return rows[low].rate
+  }
+
+  return {
+    currency: to,
+    missing,
+
+    convert(amount, currency, timestamp) {
+      if (!amount) return 0
+      if (!currency || currency === to) return amount
+
+      const at = timestamp ? Date.parse(timestamp) : Date.now()
+      const fromRate = currency === 'USD' ? 1 : rateAt(currency, at)
+      const toRate = to === 'USD' ? 1 : rateAt(to, at)
+
+      if (!fromRate || !toRate) {
+        missing.add(fromRate ? to : currency)
+        return 0
+      }
+      return amount * fromRate / toRate
+    }
+  }
+}
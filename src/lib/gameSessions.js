@@ -0,0 +1,159 @@
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+
+// Game sessions tie a launched game to a user, wallet currency and mode.
+// The launch token is "<session id>.<expiry ms>.<HMAC>" signed with LAUNCH_TOKEN_SECRET,
+// so it can be checked without a lookup and then resolved to the stored session.
+
+const SESSION_TTL_MS = parseInt(process.env.GAME_SESSION_TTL_MS || String(30 * 60 * 1000))
+const MAX_ACTIVE_SESSIONS = parseInt(process.env.MAX_ACTIVE_GAME_SESSIONS || '5')
+
+const LAUNCH_TOKEN_SECRET = process.env.LAUNCH_TOKEN_SECRET
+
+if (!LAUNCH_TOKEN_SECRET) {
+  console.warn('Warning: LAUNCH_TOKEN_SECRET not set, using a per-process secret (tokens will not survive restarts)')
+}
+
+const secret = LAUNCH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex')
+
+function sign(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url')
+}
+
+export function createLaunchToken(sessionId, expiresAt) {
+  const payload = `${sessionId}.${new Date(expiresAt).getTime()}`
+  return `${payload}.${sign(payload)}`
+}
+
+// Verify a token's signature and expiry; returns the session ID or null
+export function verifyLaunchToken(token) {
+  if (typeof token !== 'string') return null
+
+  const [sessionId, expiresAt, signature] = token.split('.')
+  if (!sessionId || !expiresAt || !signature) return null
+
+  const expected = Buffer.from(sign(`${sessionId}.${expiresAt}`))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+
+  if (Date.now() > Number(expiresAt)) return null
+
+  return sessionId
+}
+
+export function toPublicSession(session) {
+  return {
+    id: session.id,
+    game_id: session.game_id,
+    provider: session.adapter_id,
+    currency: session.currency,
+    mode: session.mode,
+    status: session.status,
+    created_at: session.created_at,
+    expires_at: session.expires_at,
+    last_seen_at: session.last_seen_at
+  }
+}
+
+// Open a session, closing the user's oldest ones beyond the active-session limit
+export async function createSession({ userId, game, wallet, currency, mode, ip, userAgent }) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString()
+
+  const { data: session, error } = await supabase
+    .from('game_sessions')
+    .insert({
+      user_id: userId,
+      game_id: game.id,
+      adapter_id: game.provider_id,
+      wallet_id: wallet?.id || null,
+      currency,
+      mode,
+      ip,
+      user_agent: userAgent,
+      expires_at: expiresAt
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const { data: active } = await supabase
+    .from('game_sessions')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .order('created_at', { ascending: false })
+
+  const overflow = (active || []).slice(MAX_ACTIVE_SESSIONS).map(s => s.id)
+  if (overflow.length) {
+    await supabase
+      .from('game_sessions')
+      .update({ status: 'closed', closed_at: new Date().toISOString() })
+      .in('id', overflow)
+  }
+
+  return { session, token: createLaunchToken(session.id, expiresAt) }
+}
+
+// Resolve a launch token to its active session, or null if invalid/expired/closed
+export async function resolveLaunchToken(token) {
+  const sessionId = verifyLaunchToken(token)
+  if (!sessionId) return null
+
+  const { data: session } = await supabase
+    .from('game_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single()
+
+  if (!session || session.status !== 'active' || new Date(session.expires_at) < new Date()) {
+    return null
+  }
+
+  return session
+}
+
+export async function touchSession(sessionId) {
+  await supabase
+    .from('game_sessions')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', sessionId)
+}
+
+export async function closeSession(sessionId, userId) {
+  const { data } = await supabase
+    .from('game_sessions')
+    .update({ status: 'closed', closed_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .select()
+    .single()
+
+  return data
+}
+
+export async function listActiveSessions(userId) {
+  const { data, error } = await supabase
+    .from('game_sessions')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+// Mark sessions past their expiry as expired (run by the scheduler)
+export async function expireSessions() {
+  const { count, error } = await supabase
+    .from('game_sessions')
+    .update({ status: 'expired' }, { count: 'exact' })
+    .eq('status', 'active')
+    .lt('expires_at', new Date().toISOString())
+
+  if (error) throw error
+  return count || 0
+}
@@ -0,0 +1,368 @@
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+import { getLatestRates } from './fx.js'
+import { getStorageAdapter } from '../storage/index.js'
+
+// KYC (identity verification).
+//
+// Players upload documents, staff approve or reject each one, and the approved
+// documents set the player's KYC level:
+//
+//   0  unverified
+//   1  identity document approved
+//   2  identity and proof of address approved
+//
+// Each level caps lifetime deposits and the size of a single withdrawal, in
+// KYC_LIMIT_CURRENCY (default USD). KYC_LIMITS overrides the caps per level, e.g.
+//   '[{"deposit_total": 1000, "withdrawal_max": 250}, ...]'   (null means no cap)
+// KYC_MAX_DOCUMENT_BYTES caps the size of an upload (default 5 MB).
+
+const PAGE_SIZE = 1000
+const MAX_PENDING_PER_TYPE = 3
+
+export const KYC_LEVELS = [0, 1, 2]
+
+export const DOCUMENT_TYPES = {
+  identity: ['passport', 'national_id', 'driving_licence'],
+  address: ['utility_bill', 'bank_statement', 'government_letter']
+}
+
+// Accepted files, recognised by their first bytes
+const FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: '.png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  'application/pdf': { extension: '.pdf', magic: Buffer.from('%PDF') }
+}
+
+const DEFAULT_LIMITS = [
+  { deposit_total: 2000, withdrawal_max: 500 },
+  { deposit_total: 20000, withdrawal_max: 5000 },
+  { deposit_total: null, withdrawal_max: null }
+]
+
+const LIMIT_CURRENCY = process.env.KYC_LIMIT_CURRENCY || 'USD'
+const MAX_DOCUMENT_BYTES = parseInt(process.env.KYC_MAX_DOCUMENT_BYTES || String(5 * 1024 * 1024))
+
+function loadLimits() {
+  try {
+    const limits = JSON.parse(process.env.KYC_LIMITS || 'null') ?? DEFAULT_LIMITS
+    return KYC_LEVELS.map(level => ({ ...DEFAULT_LIMITS[level], ...limits[level] }))
+  } catch (error) {
+    console.error('Invalid KYC_LIMITS, using defaults:', error)
+    return DEFAULT_LIMITS
+  }
+}
+
+const limits = loadLimits()
+
+export class KycError extends Error {
+  constructor(code, message, status = 400, details = {}) {
+    super(message)
+    this.name = 'KycError'
+    this.code = code
+    this.status = status
+    this.details = details
+  }
+}
+
+export function getKycLimits(level) {
+  return { ...limits[level], currency: LIMIT_CURRENCY }
+}
+
+// Lowest level that allows `amount` under the given cap, or null if none does
+function requiredLevel(cap, amount) {
+  return KYC_LEVELS.find(level => limits[level][cap] === null || amount <= limits[level][cap]) ?? null
+}
+
+export function toPublicDocument(document) {
+  return {
+    id: document.id,
+    type: document.type,
+    kind: document.kind,
+    file_name: document.file_name,
+    content_type: document.content_type,
+    size: document.size,
+    status: document.status,
+    rejection_reason: document.rejection_reason,
+    reviewed_at: document.reviewed_at,
+    created_at: document.created_at
+  }
+}
+
+export async function listDocuments(userId) {
+  const { data, error } = await supabase
+    .from('kyc_documents')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+// Level the approved documents qualify for
+function levelFor(documents) {
+  const approved = new Set(documents.filter(doc => doc.status === 'approved').map(doc => doc.type))
+  if (!approved.has('identity')) return 0
+  return approved.has('address') ? 2 : 1
+}
+
+// Store an uploaded document (data is base64) and queue it for review
+export async function uploadDocument(userId, { type, kind, fileName, contentType, data }) {
+  const storage = getStorageAdapter()
+  if (!storage) {
+    throw new KycError('storage_unavailable', 'Document uploads are not available right now', 503)
+  }
+
+  if (!DOCUMENT_TYPES[type]) {
+    throw new KycError('invalid_document', `type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`)
+  }
+  if (!DOCUMENT_TYPES[type].includes(kind)) {
+    throw new KycError('invalid_document', `kind must be one of: ${DOCUMENT_TYPES[type].join(', ')}`)
+  }
+
+  const fileType = FILE_TYPES[contentType]
+  if (!fileType) {
+    throw new KycError('invalid_document', `content_type must be one of: ${Object.keys(FILE_TYPES).join(', ')}`)
+  }
+  if (typeof data !== 'string' || !data) {
+    throw new KycError('invalid_document', 'data must be the base64 encoded file')
+  }
+
+  const file = Buffer.from(data, 'base64')
+  if (!file.length || file.length > MAX_DOCUMENT_BYTES) {
+    throw new KycError('invalid_document', `Files must be at most ${Math.floor(MAX_DOCUMENT_BYTES / 1024 / 1024)} MB`)
+  }
+  if (!file.subarray(0, fileType.magic.length).equals(fileType.magic)) {
+    throw new KycError('invalid_document', `File is not a valid ${contentType} file`)
+  }
+
+  const documents = await listDocuments(userId)
+  if (documents.filter(doc => doc.type === type && doc.status === 'pending').length >= MAX_PENDING_PER_TYPE) {
+    throw new KycError('too_many_pending', 'You already have documents of this type waiting for review', 409)
+  }
+
+  const id = crypto.randomUUID()
+  const { key } = await storage.put(`kyc/${userId}/${id}${fileType.extension}`, file, { contentType })
+
+  const { data: document, error } = await supabase
+    .from('kyc_documents')
+    .insert({
+      id,
+      user_id: userId,
+      type,
+      kind,
+      file_name: fileName ? String(fileName).slice(0, 255) : null,
+      content_type: contentType,
+      size: file.length,
+      sha256: crypto.createHash('sha256').update(file).digest('hex'),
+      storage_adapter: storage.id,
+      storage_key: key
+    })
+    .select()
+    .single()
+
+  if (error) {
+    await storage.remove(key).catch(removeError => console.error('KYC upload cleanup error:', removeError))
+    throw error
+  }
+
+  return document
+}
+
+export async function getDocument(documentId) {
+  const { data } = await supabase
+    .from('kyc_documents')
+    .select('*')
+    .eq('id', documentId)
+    .single()
+
+  return data || null
+}
+
+// File contents for staff review
+export async function getDocumentFile(document) {
+  const storage = getStorageAdapter()
+  if (!storage || storage.id !== document.storage_adapter) {
+    throw new KycError('storage_unavailable', `Storage '${document.storage_adapter}' is not available`, 503)
+  }
+
+  const data = await storage.get(document.storage_key)
+  if (!data) {
+    throw new KycError('file_missing', 'Document file not found', 404)
+  }
+
+  return data
+}
+
+async function updateLevel(userId, level) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({ kyc_level: level, kyc_level_changed_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Staff: approve or reject a pending document. Approvals raise the player's level
+// to what their approved documents qualify for; they never lower it.
+export async function reviewDocument(documentId, { decision, reason, reviewerId }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new KycError('invalid_decision', 'decision must be approve or reject')
+  }
+  if (decision === 'reject' && !reason) {
+    throw new KycError('invalid_decision', 'A reason is required to reject a document')
+  }
+
+  const { data: document } = await supabase
+    .from('kyc_documents')
+    .update({
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      rejection_reason: decision === 'reject' ? reason : null,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', documentId)
+    .eq('status', 'pending')
+    .select()
+    .single()
+
+  if (!document) {
+    throw new KycError('not_pending', 'Pending document not found', 404)
+  }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, kyc_level')
+    .eq('id', document.user_id)
+    .single()
+
+  const previousLevel = profile?.kyc_level || 0
+  let level = previousLevel
+
+  if (decision === 'approve') {
+    const qualified = levelFor(await listDocuments(document.user_id))
+    if (qualified > previousLevel) {
+      level = (await updateLevel(document.user_id, qualified)).kyc_level
+    }
+  }
+
+  return { document, previousLevel, level }
+}
+
+// Admin: set a player's level directly
+export async function setKycLevel(userId, level) {
+  if (!KYC_LEVELS.includes(level)) {
+    throw new KycError('invalid_level', `level must be one of: ${KYC_LEVELS.join(', ')}`)
+  }
+  return updateLevel(userId, level)
+}
+
+async function convertToLimitCurrency(amount, currency) {
+  if (!amount || currency === LIMIT_CURRENCY) return amount || 0
+
+  const rates = await getLatestRates()
+  const fromRate = currency === 'USD' ? 1 : rates[currency]?.rate
+  const toRate = LIMIT_CURRENCY === 'USD' ? 1 : rates[LIMIT_CURRENCY]?.rate
+  if (!fromRate || !toRate) {
+    throw new KycError('rates_unavailable', 'Unable to check your verification limits right now, try again shortly', 503)
+  }
+  return amount * fromRate / toRate
+}
+
+// Everything deposited so far (including deposits still pending), in the limit currency
+async function depositTotal(userId) {
+  const totals = {}
+
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, amount, currency')
+      .eq('user_id', userId)
+      .eq('type', 'deposit')
+      .in('status', ['pending', 'completed'])
+      .order('id')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    for (const tx of data || []) {
+      totals[tx.currency] = (totals[tx.currency] || 0) + Math.abs(tx.amount)
+    }
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  let total = 0
+  for (const [currency, amount] of Object.entries(totals)) {
+    total += await convertToLimitCurrency(amount, currency)
+  }
+  return Number(total.toFixed(8))
+}
+
+function limitError(profile, cap, message, required, extra = {}) {
+  const level = profile.kyc_level || 0
+  return new KycError('kyc_required', message, 403, {
+    kyc_level: level,
+    required_level: required,
+    limit: limits[level][cap],
+    limit_currency: LIMIT_CURRENCY,
+    ...extra
+  })
+}
+
+// Refuse a deposit that would take the player's lifetime deposits over their
+// level's cap. Without an amount (crypto addresses) it is refused only once the
+// cap is already reached.
+export async function checkKycDeposit(profile, { amount = 0, currency }) {
+  const level = profile.kyc_level || 0
+  const cap = limits[level].deposit_total
+  if (cap === null) return
+
+  const deposited = await depositTotal(profile.id)
+  const requested = await convertToLimitCurrency(amount, currency)
+  const total = deposited + requested
+
+  if (requested > 0 ? total > cap : total >= cap) {
+    const required = requiredLevel('deposit_total', total)
+    throw limitError(profile, 'deposit_total', required === null
+      ? 'This deposit would exceed the maximum total deposits'
+      : `Verify your account to level ${required} to deposit more`, required, { deposited })
+  }
+}
+
+// Refuse a withdrawal over the player's level's single withdrawal cap
+export async function checkKycWithdrawal(profile, { amount, currency }) {
+  const level = profile.kyc_level || 0
+  const cap = limits[level].withdrawal_max
+  if (cap === null) return
+
+  const requested = await convertToLimitCurrency(amount, currency)
+  if (requested > cap) {
+    const required = requiredLevel('withdrawal_max', requested)
+    throw limitError(profile, 'withdrawal_max', required === null
+      ? 'This withdrawal is over the maximum withdrawal amount'
+      : `Verify your account to level ${required} to withdraw this amount`, required)
+  }
+}
+
+// Level, caps and documents, for the player and staff
+export async function getKycStatus(profile) {
+  const level = profile.kyc_level || 0
+  const documents = await listDocuments(profile.id)
+  const deposited = await depositTotal(profile.id).catch(error => {
+    console.error('KYC deposit total error:', error)
+    return null
+  })
+
+  return {
+    level,
+    limits: getKycLimits(level),
+    deposited,
+    next_level: level < KYC_LEVELS.length - 1
+      ? { level: level + 1, requires: level === 0 ? 'identity' : 'address', limits: getKycLimits(level + 1) }
+      : null,
+    documents: documents.map(toPublicDocument)
+  }
+}
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./fx.js', () => ({
+  getLatestRates: async () => ({ BTC: { rate: 50000 } })
+}))
+jest.unstable_mockModule('../storage/index.js', () => ({ getStorageAdapter: () => null }))
+
+const { checkKycDeposit, checkKycWithdrawal, getKycLimits, reviewDocument, setKycLevel, KycError } =
+  await import('./kyc.js')
+
+function deposit(amount, status = 'completed', currency = 'USD') {
+  return { id: `tx-${db.tables.transactions.length}`, user_id: 'u1', type: 'deposit', status, amount, currency }
+}
+
+async function refusal(promise) {
+  const error = await promise.catch(error => error)
+  expect(error).toBeInstanceOf(KycError)
+  return error
+}
+
+beforeEach(() => {
+  db.tables.transactions = []
+  db.tables.kyc_documents = []
+  db.tables.profiles = [{ id: 'u1', kyc_level: 0 }]
+})
+
+describe('getKycLimits', () => {
+  test('caps unverified and partly verified players and not fully verified ones', () => {
+    expect(getKycLimits(0)).toEqual({ deposit_total: 2000, withdrawal_max: 500, currency: 'USD' })
+    expect(getKycLimits(1)).toEqual({ deposit_total: 20000, withdrawal_max: 5000, currency: 'USD' })
+    expect(getKycLimits(2)).toEqual({ deposit_total: null, withdrawal_max: null, currency: 'USD' })
+  })
+})
+
+describe('checkKycDeposit', () => {
+  const profile = { id: 'u1', kyc_level: 0 }
+
+  test('allows deposits up to the level cap, counting pending deposits', async () => {
+    db.tables.transactions.push(deposit(1000), deposit(500, 'pending'), deposit(5000, 'failed'))
+
+    await expect(checkKycDeposit(profile, { amount: 500, currency: 'USD' })).resolves.toBeUndefined()
+
+    const error = await refusal(checkKycDeposit(profile, { amount: 501, currency: 'USD' }))
+    expect(error).toMatchObject({
+      code: 'kyc_required',
+      status: 403,
+      details: { kyc_level: 0, required_level: 1, limit: 2000, deposited: 1500 }
+    })
+  })
+
+  test('converts deposits in other currencies', async () => {
+    db.tables.transactions.push(deposit(0.03, 'completed', 'BTC'))
+
+    await expect(checkKycDeposit(profile, { amount: 500, currency: 'USD' })).resolves.toBeUndefined()
+    await refusal(checkKycDeposit(profile, { amount: 0.011, currency: 'BTC' }))
+  })
+
+  test('without an amount, refuses only once the cap is reached', async () => {
+    db.tables.transactions.push(deposit(1999))
+    await expect(checkKycDeposit(profile, { currency: 'USD' })).resolves.toBeUndefined()
+
+    db.tables.transactions.push(deposit(1))
+    await refusal(checkKycDeposit(profile, { currency: 'USD' }))
+  })
+
+  test('names the level needed for the deposit', async () => {
+    const error = await refusal(checkKycDeposit(profile, { amount: 50000, currency: 'USD' }))
+    expect(error.details.required_level).toBe(2)
+  })
+
+  test('does not cap fully verified players', async () => {
+    db.tables.transactions.push(deposit(1000000))
+    await expect(checkKycDeposit({ id: 'u1', kyc_level: 2 }, { amount: 1000000, currency: 'USD' })).resolves.toBeUndefined()
+  })
+})
+
+describe('checkKycWithdrawal', () => {
+  test('refuses a single withdrawal over the level cap', async () => {
+    await expect(checkKycWithdrawal({ id: 'u1', kyc_level: 0 }, { amount: 500, currency: 'USD' })).resolves.toBeUndefined()
+
+    const error = await refusal(checkKycWithdrawal({ id: 'u1', kyc_level: 0 }, { amount: 0.02, currency: 'BTC' }))
+    expect(error.details).toMatchObject({ required_level: 1, limit: 500 })
+  })
+})
+
+describe('reviewDocument', () => {
+  function upload(type, status = 'pending') {
+    const document = { id: `d-${type}-${status}`, user_id: 'u1', type, kind: 'passport', status }
+    db.tables.kyc_documents.push(document)
+    return document
+  }
+
+  test('raises the level as documents are approved', async () => {
+    const identity = upload('identity')
+    const address = upload('address')
+
+    expect(await reviewDocument(address.id, { decision: 'approve', reviewerId: 's1' }))
+      .toMatchObject({ previousLevel: 0, level: 0 })
+    expect(await reviewDocument(identity.id, { decision: 'approve', reviewerId: 's1' }))
+      .toMatchObject({ previousLevel: 0, level: 2 })
+    expect(db.tables.profiles[0].kyc_level).toBe(2)
+  })
+
+  test('requires a reason to reject and never lowers the level', async () => {
+    db.tables.profiles[0].kyc_level = 2
+    const identity = upload('identity')
+
+    await refusal(reviewDocument(identity.id, { decision: 'reject', reviewerId: 's1' }))
+
+    const { document, level } = await reviewDocument(identity.id, { decision: 'reject', reason: 'Blurry', reviewerId: 's1' })
+    expect(document).toMatchObject({ status: 'rejected', rejection_reason: 'Blurry', reviewed_by: 's1' })
+    expect(level).toBe(2)
+  })
+
+  test('refuses documents already reviewed', async () => {
+    const identity = upload('identity', 'approved')
+
+    expect((await refusal(reviewDocument(identity.id, { decision: 'approve', reviewerId: 's1' }))).status).toBe(404)
+  })
+})
+
+describe('setKycLevel', () => {
+  test('sets a valid level and rejects others', async () => {
+    await setKycLevel('u1', 1)
+    expect(db.tables.profiles[0].kyc_level).toBe(1)
+
+    await refusal(setKycLevel('u1', 3))
+  })
+})
@@ -0,0 +1,157 @@
+import { supabase } from './supabase.js'
+
+// System accounts on the other side of every wallet movement
+export const ACCOUNTS = {
+  DEPOSITS: 'system:deposits',
+  WITHDRAWALS: 'system:withdrawals',
+  GAMING: 'system:gaming',
+  BONUSES: 'system:bonuses',
+  ADJUSTMENTS: 'system:adjustments',
+  FX: 'system:fx'
+}
+
+// Parts of a wallet balance; only cash can be withdrawn
+export const BALANCES = ['cash', 'bonus', 'locked']
+
+// Errors raised by the ledger_post database function
+const ERRORS = {
+  insufficient_funds: { message: 'Insufficient balance', status: 400 },
+  wallet_not_found: { message: 'Wallet not found', status: 404 },
+  invalid_amount: { message: 'Invalid amount', status: 400 },
+  unbalanced_journal: { message: 'Ledger journal does not balance', status: 500 }
+}
+
+export class LedgerError extends Error {
+  constructor(code, message, status = 400) {
+    super(message)
+    this.name = 'LedgerError'
+    this.code = code
+    this.status = status
+  }
+}
+
+function toLedgerError(error) {
+  const code = Object.keys(ERRORS).find(key => error.message?.includes(key))
+  if (!code) return error
+  return new LedgerError(code, ERRORS[code].message, ERRORS[code].status)
+}
+
+function toJournal({ type, referenceId, referenceType, metadata }) {
+  return {
+    type,
+    reference_id: referenceId || null,
+    reference_type: referenceType || null,
+    metadata: metadata || {}
+  }
+}
+
+// Call a function that posts a journal (ledger_post, or one that also changes
+// another row in the same transaction), mapping ledger failures to LedgerError
+export async function callLedger(fn, params) {
+  const { data, error } = await supabase.rpc(fn, params)
+
+  if (error) throw toLedgerError(error)
+  return data
+}
+
+// ledger_post parameters for a journal, for functions that post one alongside
+// another change. Legs are { wallet_id, amount, ...transaction fields } or
+// { account, currency, amount }, with amount signed from that account's side
+// (positive raises a wallet balance).
+export function journal({ type, referenceId, referenceType, metadata, legs }) {
+  return {
+    p_journal: toJournal({ type, referenceId, referenceType, metadata }),
+    p_legs: legs
+  }
+}
+
+// Post a balanced journal in a single database transaction (legs as for journal())
+export function postJournal(entry) {
+  return callLedger('ledger_post', journal(entry))
+}
+
+// The p_journal and p_legs parameters for moving funds between a wallet and a
+// system account; see postWalletMovement.
+export function walletMovement({
+  wallet,
+  amount,
+  type,
+  account,
+  balance,
+  split,
+  draw,
+  status = 'completed',
+  referenceId,
+  referenceType,
+  notes,
+  adminId
+}) {
+  return {
+    p_journal: toJournal({ type, referenceId, referenceType }),
+    p_legs: [
+      {
+        wallet_id: wallet.id,
+        amount,
+        type,
+        status,
+        reference_id: referenceId || null,
+        reference_type: referenceType || null,
+        notes: notes || null,
+        admin_id: adminId || null,
+        ...(balance && { balance }),
+        ...(split && { split }),
+        ...(draw && { draw })
+      },
+      { account, currency: wallet.currency, amount: -amount }
+    ]
+  }
+}
+
+// Move funds between a wallet and a system account.
+// A positive amount credits the wallet, a negative amount debits it and fails
+// with 'insufficient_funds' if the balance would go below zero.
+// By default the cash balance moves; pass balance ('bonus'/'locked'), an explicit
+// split ({ cash, bonus, locked }) or, for debits, a draw order to use the others.
+export async function postWalletMovement(movement) {
+  const result = await callLedger('ledger_post', walletMovement(movement))
+
+  return {
+    journal_id: result.journal_id,
+    wallet: result.wallets[0],
+    transaction: result.transactions[0]
+  }
+}
+
+// Get a user's wallet for a currency, creating an empty one if needed
+export async function getOrCreateWallet(userId, currency) {
+  const { data: wallet } = await supabase
+    .from('wallets')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('currency', currency)
+    .single()
+
+  if (wallet) return wallet
+
+  const { data: newWallet, error } = await supabase
+    .from('wallets')
+    .insert({ user_id: userId, currency, balance: 0 })
+    .select()
+    .single()
+
+  if (error) throw error
+  return newWallet
+}
+
+// Wallet with its balance broken down into cash, bonus and locked funds
+export function toPublicWallet(wallet) {
+  return {
+    ...wallet,
+    withdrawable_balance: wallet.cash_balance ?? wallet.balance,
+    breakdown: {
+      cash: wallet.cash_balance ?? wallet.balance,
+      bonus: wallet.bonus_balance ?? 0,
+      locked: wallet.locked_balance ?? 0
+    }
+  }
+}
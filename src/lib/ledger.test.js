@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock, ledgerPost } from '../test/supabase.js'
+
+const db = createSupabaseMock({ rpc: { ledger_post: ledgerPost } })
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { ACCOUNTS, LedgerError, postJournal, postWalletMovement, getOrCreateWallet, toPublicWallet } = await import('./ledger.js')
+
+beforeEach(() => {
+  db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'USD', balance: 100 }]
+  db.tables.transactions = []
+  db.calls.length = 0
+})
+
+describe('postWalletMovement', () => {
+  test('posts a balanced two-leg journal against the system account', async () => {
+    const { wallet, transaction } = await postWalletMovement({
+      wallet: db.tables.wallets[0],
+      amount: -40,
+      type: 'bet',
+      account: ACCOUNTS.GAMING,
+      referenceId: 'b1',
+      referenceType: 'bet'
+    })
+
+    const { params } = db.calls.find(call => call.rpc === 'ledger_post')
+    expect(params.p_legs).toEqual([
+      expect.objectContaining({ wallet_id: 'w1', amount: -40, type: 'bet', status: 'completed', reference_id: 'b1' }),
+      { account: ACCOUNTS.GAMING, currency: 'USD', amount: 40 }
+    ])
+    expect(wallet.balance).toBe(60)
+    expect(transaction).toMatchObject({ type: 'bet', amount: -40, reference_id: 'b1' })
+  })
+
+  test('passes balance parts, splits and draw orders through to the wallet leg', async () => {
+    await postWalletMovement({
+      wallet: db.tables.wallets[0],
+      amount: 10,
+      type: 'win',
+      account: ACCOUNTS.GAMING,
+      split: { cash: 6, locked: 4 }
+    })
+
+    const { params } = db.calls.find(call => call.rpc === 'ledger_post')
+    expect(params.p_legs[0].split).toEqual({ cash: 6, locked: 4 })
+    expect(params.p_legs[0]).not.toHaveProperty('draw')
+    expect(params.p_legs[0]).not.toHaveProperty('balance')
+  })
+
+  test('maps ledger_post errors to LedgerError', async () => {
+    const error = await postWalletMovement({
+      wallet: db.tables.wallets[0],
+      amount: -500,
+      type: 'withdrawal',
+      account: ACCOUNTS.WITHDRAWALS
+    }).catch(error => error)
+
+    expect(error).toBeInstanceOf(LedgerError)
+    expect(error).toMatchObject({ code: 'insufficient_funds', status: 400 })
+    expect(db.tables.wallets[0].balance).toBe(100)
+  })
+})
+
+describe('postJournal', () => {
+  test('refuses an unbalanced journal', async () => {
+    const error = await postJournal({
+      type: 'adjustment',
+      legs: [
+        { wallet_id: 'w1', amount: 10 },
+        { account: ACCOUNTS.ADJUSTMENTS, currency: 'USD', amount: -5 }
+      ]
+    }).catch(error => error)
+
+    expect(error).toBeInstanceOf(LedgerError)
+    expect(error).toMatchObject({ code: 'unbalanced_journal', status: 500 })
+  })
+
+  test('passes other database errors through unchanged', async () => {
+    const rpc = db.client.rpc
+    db.client.rpc = async () => ({ data: null, error: { message: 'connection reset' } })
+    const error = await postJournal({ type: 'x', legs: [] }).catch(error => error)
+    db.client.rpc = rpc
+
+    expect(error).not.toBeInstanceOf(LedgerError)
+    expect(error.message).toBe('connection reset')
+  })
+})
+
+describe('getOrCreateWallet', () => {
+  test('returns the existing wallet', async () => {
+    expect(await getOrCreateWallet('u1', 'USD')).toMatchObject({ id: 'w1' })
+  })
+
+  test('creates an empty wallet for a new currency', async () => {
+    const wallet = await getOrCreateWallet('u1', 'BTC')
+    expect(wallet).toMatchObject({ user_id: 'u1', currency: 'BTC', balance: 0 })
+    expect(db.tables.wallets).toHaveLength(2)
+  })
+})
+
+describe('toPublicWallet', () => {
+  test('breaks the balance down, treating wallets without parts as all cash', () => {
+    expect(toPublicWallet({ balance: 5 })).toMatchObject({
+      withdrawable_balance: 5,
+      breakdown: { cash: 5, bonus: 0, locked: 0 }
+    })
+    expect(toPublicWallet({ balance: 10, cash_balance: 4, bonus_balance: 5, locked_balance: 1 }).breakdown)
+      .toEqual({ cash: 4, bonus: 5, locked: 1 })
+  })
+})
@@ -0,0 +1,245 @@
+import { supabase } from './supabase.js'
+import { getPayoutAdapter } from '../payouts/index.js'
+
+// Payout queue for approved withdrawals.
+//
+// Approval moves a withdrawal to 'processing'. The payout job sends it through the
+// payout adapter, retrying with exponential backoff (PAYOUT_RETRY_BASE_MS, doubling,
+// capped at PAYOUT_RETRY_MAX_MS) up to PAYOUT_MAX_ATTEMPTS times before marking it
+// 'failed'. Once the adapter accepts it the withdrawal is 'broadcast', and the job
+// polls the adapter until it is 'confirmed'.
+
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '5')
+const RETRY_BASE_MS = parseInt(process.env.PAYOUT_RETRY_BASE_MS || '60000')
+const RETRY_MAX_MS = parseInt(process.env.PAYOUT_RETRY_MAX_MS || String(60 * 60 * 1000))
+
+export class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'PayoutError'
+    this.status = status
+  }
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS)
+}
+
+// Approve a pending withdrawal. With txHash it was paid out by hand and is recorded
+// as confirmed; otherwise it is queued and the first send is attempted straight away.
+export async function approveWithdrawal(withdrawal, { adminId, txHash }) {
+  const now = new Date().toISOString()
+
+  if (txHash) {
+    const { data: confirmed } = await supabase
+      .from('transactions')
+      .update({
+        status: 'confirmed',
+        tx_hash: txHash,
+        payout_adapter: 'manual',
+        broadcast_at: now,
+        completed_at: now,
+        admin_id: adminId
+      })
+      .eq('id', withdrawal.id)
+      .eq('status', 'pending')
+      .select()
+      .single()
+
+    return confirmed
+  }
+
+  const adapter = getPayoutAdapter()
+  if (!adapter) {
+    throw new PayoutError('No payout adapter configured. Pay out manually and pass txHash', 503)
+  }
+
+  const { data: queued } = await supabase
+    .from('transactions')
+    .update({
+      status: 'processing',
+      payout_adapter: adapter.id,
+      payout_attempts: 0,
+      payout_next_attempt_at: now,
+      payout_error: null,
+      admin_id: adminId
+    })
+    .eq('id', withdrawal.id)
+    .eq('status', 'pending')
+    .select()
+    .single()
+
+  if (!queued) return null
+
+  return (await sendPayout(queued)) || queued
+}
+
+// Put a failed withdrawal back in the queue
+export async function retryWithdrawal(withdrawal, { adminId }) {
+  const adapter = getPayoutAdapter()
+  if (!adapter) {
+    throw new PayoutError('No payout adapter configured', 503)
+  }
+
+  const { data: queued } = await supabase
+    .from('transactions')
+    .update({
+      status: 'processing',
+      payout_adapter: adapter.id,
+      payout_attempts: 0,
+      payout_next_attempt_at: new Date().toISOString(),
+      payout_error: null,
+      admin_id: adminId
+    })
+    .eq('id', withdrawal.id)
+    .eq('status', 'failed')
+    .select()
+    .single()
+
+  if (!queued) return null
+
+  return (await sendPayout(queued)) || queued
+}
+
+// One send attempt. The attempt is claimed first (and the next one scheduled) so two
+// workers can't send the same withdrawal; adapters also dedupe on the reference.
+async function sendPayout(withdrawal) {
+  const attempt = withdrawal.payout_attempts + 1
+
+  const { data: claimed } = await supabase
+    .from('transactions')
+    .update({
+      payout_attempts: attempt,
+      payout_next_attempt_at: new Date(Date.now() + retryDelay(attempt)).toISOString()
+    })
+    .eq('id', withdrawal.id)
+    .eq('status', 'processing')
+    .eq('payout_attempts', withdrawal.payout_attempts)
+    .select()
+    .single()
+
+  if (!claimed) return null
+
+  try {
+    const adapter = getPayoutAdapter()
+    if (!adapter || adapter.id !== claimed.payout_adapter) {
+      throw new Error(`Payout adapter '${claimed.payout_adapter}' is not available`)
+    }
+
+    const result = await adapter.send({
+      reference: claimed.id,
+      network: claimed.destination_network,
+      address: claimed.destination_address,
+      memo: claimed.destination_memo,
+      amount: Math.abs(claimed.amount),
+      currency: claimed.currency
+    })
+
+    const { data: broadcast } = await supabase
+      .from('transactions')
+      .update({
+        status: 'broadcast',
+        payout_id: result.payout_id,
+        tx_hash: result.tx_hash || null,
+        payout_error: null,
+        payout_next_attempt_at: null,
+        broadcast_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id)
+      .eq('status', 'processing')
+      .select()
+      .single()
+
+    return broadcast
+  } catch (error) {
+    const failed = attempt >= MAX_ATTEMPTS
+    console.error(`Payout error (${claimed.id}, attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message)
+
+    const { data: updated } = await supabase
+      .from('transactions')
+      .update({
+        payout_error: error.message,
+        ...(failed && { status: 'failed', payout_next_attempt_at: null })
+      })
+      .eq('id', claimed.id)
+      .eq('status', 'processing')
+      .select()
+      .single()
+
+    return updated
+  }
+}
+
+// Ask the adapter how a broadcast payout is doing
+async function checkPayout(withdrawal) {
+  const adapter = getPayoutAdapter()
+  if (!adapter || adapter.id !== withdrawal.payout_adapter) return null
+
+  const result = await adapter.getPayout(withdrawal.payout_id)
+  const txHash = result.tx_hash || withdrawal.tx_hash
+
+  let update
+  if (result.status === 'confirmed') {
+    update = { status: 'confirmed', tx_hash: txHash, completed_at: new Date().toISOString() }
+  } else if (result.status === 'failed') {
+    update = { status: 'failed', payout_error: result.error || 'Payout failed after broadcast' }
+  } else if (txHash !== withdrawal.tx_hash) {
+    update = { tx_hash: txHash }
+  } else {
+    return null
+  }
+
+  const { data: updated } = await supabase
+    .from('transactions')
+    .update(update)
+    .eq('id', withdrawal.id)
+    .eq('status', 'broadcast')
+    .select()
+    .single()
+
+  return updated
+}
+
+// Send due payouts and check broadcast ones (run by the scheduler)
+export async function processPayouts() {
+  const summary = { sent: 0, failed: 0, confirmed: 0 }
+
+  const { data: due, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('type', 'withdrawal')
+    .eq('status', 'processing')
+    .lte('payout_next_attempt_at', new Date().toISOString())
+    .order('payout_next_attempt_at')
+    .limit(100)
+
+  if (error) throw error
+
+  for (const withdrawal of due || []) {
+    const result = await sendPayout(withdrawal)
+    if (result?.status === 'broadcast') summary.sent++
+    if (result?.status === 'failed') summary.failed++
+  }
+
+  const { data: broadcast, error: broadcastError } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('type', 'withdrawal')
+    .eq('status', 'broadcast')
+    .order('broadcast_at')
+    .limit(200)
+
+  if (broadcastError) throw broadcastError
+
+  for (const withdrawal of broadcast || []) {
+    try {
+      const result = await checkPayout(withdrawal)
+      if (result?.status === 'confirmed') summary.confirmed++
+      if (result?.status === 'failed') summary.failed++
+    } catch (checkError) {
+      console.error(`Payout status error (${withdrawal.id}):`, checkError.message)
+    }
+  }
+
+  return summary
+}
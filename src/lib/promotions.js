@@ -0,0 +1,273 @@
+import { supabase } from './supabase.js'
+import { issueBonus } from './bonuses.js'
+import { getLinkedAccounts, getBlockSignals } from './accountLinks.js'
+
+// Campaigns that hand out bonuses through issueBonus():
+//   promo_code    -> a fixed bonus for players who redeem the code
+//   deposit_match -> a percentage of each qualifying deposit, up to max_bonus,
+//                    applied automatically when the deposit completes
+
+export const PROMOTION_TYPES = ['promo_code', 'deposit_match']
+
+// Fields admins may set on create / update
+export const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'code',
+  'currency',
+  'bonus_amount',
+  'match_percent',
+  'max_bonus',
+  'min_deposit',
+  'wagering_multiplier',
+  'bonus_expiry_days',
+  'max_redemptions',
+  'max_per_user',
+  'starts_at',
+  'ends_at',
+  'new_users_only',
+  'new_user_days',
+  'min_vip_level',
+  'first_deposit_only',
+  'block_linked_accounts',
+  'active'
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Errors raised by the promotion_claim database function
+const CLAIM_ERRORS = {
+  promotion_not_found: { message: 'Promotion not found', status: 404 },
+  promotion_limit_reached: { message: 'This promotion has reached its redemption limit', status: 409 },
+  promotion_user_limit: { message: 'You have already redeemed this promotion', status: 409 }
+}
+
+export class PromotionError extends Error {
+  constructor(code, message, status = 400, reasons = []) {
+    super(message)
+    this.name = 'PromotionError'
+    this.code = code
+    this.status = status
+    this.reasons = reasons
+  }
+}
+
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : null
+}
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+// Check a promotion as it would be saved. Returns the list of problems (empty when valid).
+export function validatePromotion(promotion) {
+  const reasons = []
+
+  if (!promotion.name) reasons.push('name is required')
+
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    reasons.push(`type must be one of: ${PROMOTION_TYPES.join(', ')}`)
+  }
+
+  if (promotion.type === 'promo_code') {
+    if (!promotion.code) reasons.push('code is required for promo codes')
+    if (!(promotion.bonus_amount > 0)) reasons.push('bonus_amount must be positive for promo codes')
+  }
+
+  if (promotion.type === 'deposit_match') {
+    if (!(promotion.match_percent > 0)) reasons.push('match_percent must be positive for deposit matches')
+    if (promotion.max_bonus != null && !(promotion.max_bonus > 0)) reasons.push('max_bonus must be positive')
+  }
+
+  for (const field of ['min_deposit', 'wagering_multiplier', 'min_vip_level']) {
+    if (promotion[field] != null && !isNonNegative(promotion[field])) {
+      reasons.push(`${field} must be a non-negative number`)
+    }
+  }
+
+  for (const field of ['bonus_expiry_days', 'max_per_user', 'max_redemptions', 'new_user_days']) {
+    if (promotion[field] != null && !(Number.isInteger(promotion[field]) && promotion[field] > 0)) {
+      reasons.push(`${field} must be a positive integer`)
+    }
+  }
+
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.ends_at) <= new Date(promotion.starts_at)) {
+    reasons.push('ends_at must be after starts_at')
+  }
+
+  return reasons
+}
+
+async function hasCompletedDeposit(userId, excludeId) {
+  let query = supabase
+    .from('transactions')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('type', 'deposit')
+    .eq('status', 'completed')
+
+  if (excludeId) query = query.neq('id', excludeId)
+
+  const { count, error } = await query
+  if (error) throw error
+  return count > 0
+}
+
+// Reasons a user can't use a promotion right now (empty when eligible).
+// For deposit matches, pass the completed deposit.
+export async function checkEligibility(promotion, profile, { deposit, currency } = {}) {
+  const reasons = []
+  const now = new Date()
+
+  if (!promotion.active) reasons.push('Promotion is not active')
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) reasons.push('Promotion has not started yet')
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) reasons.push('Promotion has ended')
+
+  const targetCurrency = deposit?.currency || currency
+  if (promotion.currency && targetCurrency && promotion.currency !== targetCurrency) {
+    reasons.push(`Promotion is only available for ${promotion.currency}`)
+  }
+
+  if (promotion.new_users_only) {
+    const age = now - new Date(profile.created_at)
+    if (!(age <= promotion.new_user_days * DAY_MS)) reasons.push('Promotion is only available to new players')
+  }
+
+  if ((profile.vip_level || 0) < promotion.min_vip_level) {
+    reasons.push(`Promotion requires VIP level ${promotion.min_vip_level}`)
+  }
+
+  if (deposit && deposit.amount < (promotion.min_deposit || 0)) {
+    reasons.push(`Minimum deposit is ${promotion.min_deposit}`)
+  }
+
+  if (promotion.first_deposit_only && await hasCompletedDeposit(profile.id, deposit?.id)) {
+    reasons.push('Promotion is only available on the first deposit')
+  }
+
+  if (promotion.block_linked_accounts && (await getLinkedAccounts(profile.id, { signals: getBlockSignals() })).length) {
+    reasons.push('Promotion is not available to accounts linked to other accounts')
+  }
+
+  return reasons
+}
+
+function getBonusAmount(promotion, deposit) {
+  if (promotion.type === 'promo_code') return promotion.bonus_amount
+
+  const matched = Math.floor(deposit.amount * promotion.match_percent * 1e6) / 1e8
+  return promotion.max_bonus != null ? Math.min(matched, promotion.max_bonus) : matched
+}
+
+// Reserve a redemption against the promotion's limits, then issue its bonus
+async function redeem(promotion, profile, { deposit, currency }) {
+  const amount = getBonusAmount(promotion, deposit)
+  if (!(amount > 0)) {
+    throw new PromotionError('nothing_to_award', 'Promotion awards nothing for this deposit')
+  }
+
+  const { data: redemption, error: claimError } = await supabase.rpc('promotion_claim', {
+    p_promotion_id: promotion.id,
+    p_user_id: profile.id,
+    p_deposit_id: deposit?.id || null
+  })
+
+  if (claimError) {
+    const code = Object.keys(CLAIM_ERRORS).find(key => claimError.message?.includes(key))
+    if (code) throw new PromotionError(code, CLAIM_ERRORS[code].message, CLAIM_ERRORS[code].status)
+    if (claimError.code === '23505') {
+      throw new PromotionError('already_applied', 'Promotion already applied to this deposit', 409)
+    }
+    throw claimError
+  }
+
+  let bonus
+  try {
+    bonus = await issueBonus({
+      userId: profile.id,
+      amount,
+      currency: deposit?.currency || promotion.currency || currency,
+      type: promotion.type,
+      wageringRequirement: amount * (promotion.wagering_multiplier || 0),
+      reason: promotion.name,
+      expiresInDays: promotion.bonus_expiry_days,
+      fields: { promotion_id: promotion.id }
+    })
+  } catch (error) {
+    await supabase.from('promotion_redemptions').delete().eq('id', redemption.id)
+    throw error
+  }
+
+  await supabase
+    .from('promotion_redemptions')
+    .update({ bonus_id: bonus.id })
+    .eq('id', redemption.id)
+
+  return bonus
+}
+
+// Redeem a promo code for a player
+export async function redeemCode(code, profile, { currency = 'USD' } = {}) {
+  const { data: promotion } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('code', normalizeCode(code))
+    .eq('type', 'promo_code')
+    .single()
+
+  if (!promotion) {
+    throw new PromotionError('invalid_code', 'Invalid promo code', 404)
+  }
+
+  const reasons = await checkEligibility(promotion, profile, { currency })
+  if (reasons.length) {
+    throw new PromotionError('not_eligible', 'Not eligible for this promotion', 400, reasons)
+  }
+
+  return redeem(promotion, profile, { currency })
+}
+
+// Apply every eligible deposit-match campaign to a completed deposit
+export async function applyDepositMatch(deposit) {
+  const { data: promotions, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('type', 'deposit_match')
+    .eq('active', true)
+
+  if (error) throw error
+  if (!promotions?.length) return []
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('id', deposit.user_id)
+    .single()
+
+  if (!profile) return []
+
+  const bonuses = []
+
+  for (const promotion of promotions) {
+    const reasons = await checkEligibility(promotion, profile, { deposit })
+    if (reasons.length) continue
+
+    try {
+      bonuses.push(await redeem(promotion, profile, { deposit }))
+    } catch (error) {
+      // Limits reached or already applied just mean this campaign doesn't match
+      if (!(error instanceof PromotionError)) throw error
+    }
+  }
+
+  return bonuses
+}
+
+// Same as applyDepositMatch, but never fails the deposit it's called for
+export function trackDepositMatch(deposit) {
+  return applyDepositMatch(deposit).catch(error => {
+    console.error('Deposit match error:', error)
+    return []
+  })
+}
@@ -0,0 +1,321 @@
+import { supabase } from './supabase.js'
+import { getLatestRates } from './fx.js'
+
+// Responsible gaming limits set by players.
+//
+//   deposit / wager / loss   max amount per rolling day (24h), week (7d) or month (30d),
+//                            in the limit's currency; activity in other currencies is
+//                            converted at current rates
+//   session                  max minutes of continuous play; a session ends after
+//                            RG_SESSION_BREAK_MINUTES (default 30) without a bet
+//
+// Lowering a limit (or adding one) applies at once. Raising or removing one only
+// applies after RG_COOLING_OFF_HOURS (default 24).
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+const PAGE_SIZE = 1000
+
+export const LIMIT_TYPES = ['deposit', 'loss', 'wager', 'session']
+export const LIMIT_PERIODS = { day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS }
+const PERIOD_NAMES = { day: 'daily', week: 'weekly', month: 'monthly' }
+
+const COOLING_OFF_HOURS = parseFloat(process.env.RG_COOLING_OFF_HOURS || '24')
+const SESSION_BREAK_MINUTES = parseFloat(process.env.RG_SESSION_BREAK_MINUTES || '30')
+
+export class ResponsibleGamingError extends Error {
+  constructor(code, message, status = 403, details = {}) {
+    super(message)
+    this.name = 'ResponsibleGamingError'
+    this.code = code
+    this.status = status
+    this.details = details
+  }
+}
+
+// Apply a pending raise or removal once its cooling-off period is over
+async function applyPending(limit, now) {
+  if (!limit.pending_effective_at || new Date(limit.pending_effective_at) > now) return limit
+
+  if (limit.pending_remove) {
+    await supabase.from('responsible_gaming_limits').delete().eq('id', limit.id)
+    return null
+  }
+
+  const { data: updated } = await supabase
+    .from('responsible_gaming_limits')
+    .update({
+      amount: limit.pending_amount,
+      pending_amount: null,
+      pending_effective_at: null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', limit.id)
+    .eq('pending_effective_at', limit.pending_effective_at)
+    .select()
+    .single()
+
+  return updated || { ...limit, amount: limit.pending_amount, pending_amount: null, pending_effective_at: null }
+}
+
+// The user's limits currently in force
+export async function getLimits(userId, now = new Date()) {
+  const { data, error } = await supabase
+    .from('responsible_gaming_limits')
+    .select('*')
+    .eq('user_id', userId)
+
+  if (error) throw error
+
+  const limits = await Promise.all((data || []).map(limit => applyPending(limit, now)))
+  return limits.filter(Boolean)
+}
+
+export function toPublicLimit(limit) {
+  return {
+    type: limit.type,
+    period: limit.period,
+    amount: Number(limit.amount),
+    currency: limit.currency,
+    pending: limit.pending_effective_at
+      ? {
+          amount: limit.pending_remove ? null : Number(limit.pending_amount),
+          effective_at: limit.pending_effective_at
+        }
+      : null,
+    ...(limit.used !== undefined && {
+      used: limit.used,
+      ...(limit.in_play !== undefined && { in_play: limit.in_play }),
+      remaining: Math.max(Number(limit.amount) - limit.used - (limit.in_play || 0), 0)
+    }),
+    updated_at: limit.updated_at
+  }
+}
+
+// Set, change or (with amount null) remove a limit
+export async function setLimit(userId, { type, period, amount, currency }) {
+  if (!LIMIT_TYPES.includes(type)) {
+    throw new ResponsibleGamingError('invalid_limit', `type must be one of: ${LIMIT_TYPES.join(', ')}`, 400)
+  }
+
+  const limitPeriod = type === 'session' ? 'session' : period
+  if (type !== 'session' && !LIMIT_PERIODS[limitPeriod]) {
+    throw new ResponsibleGamingError('invalid_limit', `period must be one of: ${Object.keys(LIMIT_PERIODS).join(', ')}`, 400)
+  }
+
+  const remove = amount === null
+  if (!remove && !(amount > 0)) {
+    throw new ResponsibleGamingError('invalid_limit', type === 'session' ? 'Minutes must be positive' : 'Amount must be positive', 400)
+  }
+  if (!remove && type !== 'session' && !currency) {
+    throw new ResponsibleGamingError('invalid_limit', 'Currency required', 400)
+  }
+
+  const now = new Date()
+  const existing = (await getLimits(userId, now)).find(limit => limit.type === type && limit.period === limitPeriod)
+
+  if (!existing) {
+    if (remove) return null
+
+    const { data, error } = await supabase
+      .from('responsible_gaming_limits')
+      .insert({
+        user_id: userId,
+        type,
+        period: limitPeriod,
+        amount,
+        currency: type === 'session' ? null : currency
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  if (!remove && type !== 'session' && currency !== existing.currency) {
+    throw new ResponsibleGamingError('invalid_limit', `This limit is set in ${existing.currency}; remove it to use another currency`, 400)
+  }
+
+  // Lowering takes effect now and cancels any pending raise
+  const update = !remove && amount <= Number(existing.amount)
+    ? { amount, pending_amount: null, pending_remove: false, pending_effective_at: null }
+    : {
+        pending_amount: remove ? null : amount,
+        pending_remove: remove,
+        pending_effective_at: new Date(now.getTime() + COOLING_OFF_HOURS * 60 * MINUTE_MS).toISOString()
+      }
+
+  const { data, error } = await supabase
+    .from('responsible_gaming_limits')
+    .update({ ...update, updated_at: now.toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+async function fetchAll(buildQuery) {
+  const rows = []
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery()
+      .order('created_at')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return rows
+  }
+}
+
+async function getConverter() {
+  const rates = await getLatestRates()
+
+  return (amount, from, to) => {
+    if (!amount || from === to) return amount || 0
+    const fromRate = from === 'USD' ? 1 : rates[from]?.rate
+    const toRate = to === 'USD' ? 1 : rates[to]?.rate
+    if (!fromRate || !toRate) {
+      throw new ResponsibleGamingError('rates_unavailable', 'Unable to check your limits right now, try again shortly', 503)
+    }
+    return amount * fromRate / toRate
+  }
+}
+
+// Add `used` to each amount limit: deposits, stakes, or net losses on settled bets
+// over its period (loss limits also get `in_play`, the stakes not settled yet)
+async function withUsage(userId, limits, now) {
+  const amountLimits = limits.filter(limit => limit.type !== 'session')
+  if (!amountLimits.length) return limits
+
+  const windowFor = matches => Math.max(0, ...amountLimits.filter(matches).map(limit => LIMIT_PERIODS[limit.period]))
+  const depositWindow = windowFor(limit => limit.type === 'deposit')
+  const betWindow = windowFor(limit => limit.type !== 'deposit')
+
+  const deposits = depositWindow
+    ? await fetchAll(() => supabase
+      .from('transactions')
+      .select('amount, currency, created_at')
+      .eq('user_id', userId)
+      .eq('type', 'deposit')
+      .in('status', ['pending', 'completed'])
+      .gte('created_at', new Date(now.getTime() - depositWindow).toISOString()))
+    : []
+
+  const bets = betWindow
+    ? await fetchAll(() => supabase
+      .from('bets')
+      .select('stake, win_amount, outcome, currency, created_at')
+      .eq('user_id', userId)
+      .neq('outcome', 'cancelled')
+      .gte('created_at', new Date(now.getTime() - betWindow).toISOString()))
+    : []
+
+  const convert = await getConverter()
+
+  return limits.map(limit => {
+    if (limit.type === 'session') return limit
+
+    const since = now.getTime() - LIMIT_PERIODS[limit.period]
+    const inPeriod = row => Date.parse(row.created_at) >= since
+    let used = 0
+
+    if (limit.type === 'deposit') {
+      used = deposits.filter(inPeriod).reduce((sum, tx) => sum + convert(tx.amount, tx.currency, limit.currency), 0)
+    } else if (limit.type === 'wager') {
+      used = bets.filter(inPeriod).reduce((sum, bet) => sum + convert(bet.stake, bet.currency, limit.currency), 0)
+    } else {
+      // Only settled bets have won or lost; stakes still in play are tracked
+      // separately so a bet can't take the player past the limit meanwhile
+      const settled = bets.filter(bet => inPeriod(bet) && bet.outcome !== 'pending')
+      used = settled.reduce((sum, bet) => sum + convert(bet.stake - (bet.win_amount || 0), bet.currency, limit.currency), 0)
+      used = Math.max(used, 0)
+
+      const open = bets.filter(bet => inPeriod(bet) && bet.outcome === 'pending')
+        .reduce((sum, bet) => sum + convert(bet.stake, bet.currency, limit.currency), 0)
+      return { ...limit, used: Number(used.toFixed(8)), in_play: Number(open.toFixed(8)) }
+    }
+
+    return { ...limit, used: Number(used.toFixed(8)) }
+  })
+}
+
+// Limits with current usage, for the player and staff
+export async function getLimitStatus(userId) {
+  const now = new Date()
+  return withUsage(userId, await getLimits(userId, now), now)
+}
+
+function limitError(limit, message, extra = {}) {
+  return new ResponsibleGamingError(`${limit.type}_limit`, message, 403, { limit: toPublicLimit(limit), ...extra })
+}
+
+// Refuse a deposit that would go over a deposit limit. Without an amount (crypto
+// addresses) it is refused only once a limit is already reached.
+export async function checkDeposit(userId, { amount = 0, currency }) {
+  const now = new Date()
+  const limits = (await getLimits(userId, now)).filter(limit => limit.type === 'deposit')
+  if (!limits.length) return
+
+  const convert = await getConverter()
+
+  for (const limit of await withUsage(userId, limits, now)) {
+    const requested = convert(amount, currency, limit.currency)
+    const over = requested > 0 ? limit.used + requested > Number(limit.amount) : limit.used >= Number(limit.amount)
+
+    if (over) {
+      throw limitError(limit, `This deposit would exceed your ${PERIOD_NAMES[limit.period]} deposit limit`)
+    }
+  }
+}
+
+// Refuse a bet that would go over a wager or loss limit, or that falls outside the session limit
+export async function checkBet(profile, { stake, currency }) {
+  const now = new Date()
+  const limits = await getLimits(profile.id, now)
+  if (!limits.length) return
+
+  const session = limits.find(limit => limit.type === 'session')
+  if (session && profile.play_session_started_at && profile.play_last_active_at) {
+    const breakEndsAt = Date.parse(profile.play_last_active_at) + SESSION_BREAK_MINUTES * MINUTE_MS
+    const playedMs = now.getTime() - Date.parse(profile.play_session_started_at)
+
+    if (now.getTime() < breakEndsAt && playedMs >= Number(session.amount) * MINUTE_MS) {
+      throw limitError(session, 'You have reached your session time limit. Take a break before playing again', {
+        resumes_at: new Date(breakEndsAt).toISOString()
+      })
+    }
+  }
+
+  const amountLimits = limits.filter(limit => limit.type === 'wager' || limit.type === 'loss')
+  if (!amountLimits.length) return
+
+  const convert = await getConverter()
+
+  for (const limit of await withUsage(profile.id, amountLimits, now)) {
+    // The whole stake can be lost, so it counts fully towards both limits, as do
+    // other stakes still in play against a loss limit
+    if (limit.used + (limit.in_play || 0) + convert(stake, currency, limit.currency) > Number(limit.amount)) {
+      throw limitError(limit, `This bet would exceed your ${PERIOD_NAMES[limit.period]} ${limit.type} limit`)
+    }
+  }
+}
+
+// Track the play session after an accepted bet
+export async function recordPlay(profile) {
+  const now = new Date()
+  const lastActive = profile.play_last_active_at ? Date.parse(profile.play_last_active_at) : 0
+  const newSession = !profile.play_session_started_at || now.getTime() - lastActive >= SESSION_BREAK_MINUTES * MINUTE_MS
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({
+      play_last_active_at: now.toISOString(),
+      ...(newSession && { play_session_started_at: now.toISOString() })
+    })
+    .eq('id', profile.id)
+
+  if (error) console.error('Record play session error:', error)
+}
@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./fx.js', () => ({
+  getLatestRates: async () => ({ BTC: { rate: 50000 } })
+}))
+
+const { setLimit, getLimitStatus, checkBet, checkDeposit, recordPlay, toPublicLimit, ResponsibleGamingError } =
+  await import('./responsibleGaming.js')
+
+const profile = { id: 'u1' }
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+
+function bet(stake, outcome, winAmount = 0, extra = {}) {
+  return { user_id: 'u1', stake, outcome, win_amount: winAmount, currency: 'USD', created_at: hoursAgo(1), ...extra }
+}
+
+function limit(type, amount, extra = {}) {
+  return { id: `l-${type}`, user_id: 'u1', type, period: 'day', amount, currency: 'USD', ...extra }
+}
+
+async function refusal(promise) {
+  const error = await promise.catch(error => error)
+  expect(error).toBeInstanceOf(ResponsibleGamingError)
+  return error
+}
+
+beforeEach(() => {
+  db.tables.responsible_gaming_limits = []
+  db.tables.bets = []
+  db.tables.transactions = []
+  db.tables.profiles = [{ id: 'u1' }]
+})
+
+describe('setLimit', () => {
+  test('adds a new limit at once', async () => {
+    await setLimit('u1', { type: 'loss', period: 'day', amount: 100, currency: 'USD' })
+    expect(db.tables.responsible_gaming_limits).toMatchObject([{ type: 'loss', amount: 100 }])
+  })
+
+  test('lowers a limit at once and raises it only after the cooling-off period', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 100))
+
+    await setLimit('u1', { type: 'loss', period: 'day', amount: 50, currency: 'USD' })
+    expect(db.tables.responsible_gaming_limits[0]).toMatchObject({ amount: 50, pending_effective_at: null })
+
+    await setLimit('u1', { type: 'loss', period: 'day', amount: 500, currency: 'USD' })
+    expect(db.tables.responsible_gaming_limits[0]).toMatchObject({ amount: 50, pending_amount: 500 })
+    expect(Date.parse(db.tables.responsible_gaming_limits[0].pending_effective_at)).toBeGreaterThan(Date.now())
+  })
+
+  test('applies a pending raise once it is due', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 50, { pending_amount: 500, pending_effective_at: hoursAgo(1) }))
+
+    const [status] = await getLimitStatus('u1')
+    expect(status.amount).toBe(500)
+  })
+
+  test('rejects invalid limits', async () => {
+    expect((await refusal(setLimit('u1', { type: 'bonus', period: 'day', amount: 1 }))).status).toBe(400)
+    expect((await refusal(setLimit('u1', { type: 'loss', period: 'year', amount: 1 }))).status).toBe(400)
+    expect((await refusal(setLimit('u1', { type: 'loss', period: 'day', amount: -1, currency: 'USD' }))).status).toBe(400)
+  })
+})
+
+describe('loss usage', () => {
+  test('counts net losses on settled bets only', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 100))
+    db.tables.bets.push(
+      bet(30, 'loss'),
+      bet(10, 'win', 25),
+      bet(20, 'pending'),
+      bet(40, 'cancelled'),
+      bet(50, 'loss', 0, { created_at: hoursAgo(30) })
+    )
+
+    const [status] = await getLimitStatus('u1')
+
+    expect(status).toMatchObject({ used: 15, in_play: 20 })
+    expect(toPublicLimit(status)).toMatchObject({ used: 15, in_play: 20, remaining: 65 })
+  })
+
+  test('never goes below zero after a net win', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 100))
+    db.tables.bets.push(bet(10, 'win', 100))
+
+    const [status] = await getLimitStatus('u1')
+    expect(status.used).toBe(0)
+  })
+
+  test('converts bets in other currencies', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 100))
+    db.tables.bets.push(bet(0.001, 'loss', 0, { currency: 'BTC' }))
+
+    const [status] = await getLimitStatus('u1')
+    expect(status.used).toBe(50)
+  })
+})
+
+describe('checkBet', () => {
+  test('allows bets when no limits are set', async () => {
+    await expect(checkBet(profile, { stake: 1000, currency: 'USD' })).resolves.toBeUndefined()
+  })
+
+  test('refuses a bet over the wager limit, counting cancelled bets as never staked', async () => {
+    db.tables.responsible_gaming_limits.push(limit('wager', 100))
+    db.tables.bets.push(bet(60, 'loss'), bet(50, 'cancelled'))
+
+    await expect(checkBet(profile, { stake: 40, currency: 'USD' })).resolves.toBeUndefined()
+    const error = await refusal(checkBet(profile, { stake: 41, currency: 'USD' }))
+    expect(error).toMatchObject({ code: 'wager_limit', status: 403 })
+  })
+
+  test('counts stakes still in play against the loss limit', async () => {
+    db.tables.responsible_gaming_limits.push(limit('loss', 100))
+    db.tables.bets.push(bet(30, 'loss'), bet(50, 'pending'))
+
+    await expect(checkBet(profile, { stake: 20, currency: 'USD' })).resolves.toBeUndefined()
+    expect((await refusal(checkBet(profile, { stake: 21, currency: 'USD' }))).code).toBe('loss_limit')
+  })
+
+  test('refuses bets once the session limit is reached, until the break is over', async () => {
+    db.tables.responsible_gaming_limits.push(limit('session', 60, { period: 'session', currency: null }))
+
+    const playing = { id: 'u1', play_session_started_at: hoursAgo(2), play_last_active_at: hoursAgo(0.1) }
+    const error = await refusal(checkBet(playing, { stake: 1, currency: 'USD' }))
+    expect(error.code).toBe('session_limit')
+    expect(error.details.resumes_at).toBeDefined()
+
+    const rested = { ...playing, play_last_active_at: hoursAgo(1) }
+    await expect(checkBet(rested, { stake: 1, currency: 'USD' })).resolves.toBeUndefined()
+  })
+})
+
+describe('checkDeposit', () => {
+  test('refuses a deposit over the limit, counting pending deposits', async () => {
+    db.tables.responsible_gaming_limits.push(limit('deposit', 100))
+    db.tables.transactions.push(
+      { user_id: 'u1', type: 'deposit', status: 'pending', amount: 70, currency: 'USD', created_at: hoursAgo(1) },
+      { user_id: 'u1', type: 'deposit', status: 'failed', amount: 500, currency: 'USD', created_at: hoursAgo(1) }
+    )
+
+    await expect(checkDeposit('u1', { amount: 30, currency: 'USD' })).resolves.toBeUndefined()
+    expect((await refusal(checkDeposit('u1', { amount: 31, currency: 'USD' }))).code).toBe('deposit_limit')
+  })
+})
+
+describe('recordPlay', () => {
+  test('starts a new session after a break and extends it otherwise', async () => {
+    await recordPlay({ id: 'u1', play_session_started_at: hoursAgo(3), play_last_active_at: hoursAgo(2) })
+    const started = db.tables.profiles[0].play_session_started_at
+    expect(Date.parse(started)).toBeGreaterThan(Date.now() - 1000)
+
+    await recordPlay({ id: 'u1', play_session_started_at: hoursAgo(1), play_last_active_at: hoursAgo(0.1) })
+    expect(db.tables.profiles[0].play_session_started_at).toBe(started)
+  })
+})
@@ -0,0 +1,169 @@
+import { supabase } from './supabase.js'
+import { getBetWallet, transitionBet, winningsMovement } from './bets.js'
+import { trackWager } from './bonuses.js'
+import { trackVipPoints } from './vip.js'
+
+const OUTCOMES = ['win', 'loss', 'push']
+
+// Amounts are compared to 8 decimal places, the precision wallets are stored at
+const EPSILON = 1e-8
+
+// Default max win per bet, overridable per game with MAX_WIN_CAPS='{"<game_id>": 50000}'
+const DEFAULT_MAX_WIN = parseFloat(process.env.MAX_WIN_DEFAULT || '100000')
+
+function loadMaxWinCaps() {
+  try {
+    return JSON.parse(process.env.MAX_WIN_CAPS || '{}')
+  } catch (error) {
+    console.error('Invalid MAX_WIN_CAPS, using default cap for all games:', error)
+    return {}
+  }
+}
+
+const maxWinCaps = loadMaxWinCaps()
+
+export class SettlementError extends Error {
+  constructor(message, reasons = [], status = 400) {
+    super(message)
+    this.name = 'SettlementError'
+    this.reasons = reasons
+    this.status = status
+  }
+}
+
+export function getMaxWin(gameId) {
+  const cap = maxWinCaps[gameId]
+  return typeof cap === 'number' ? cap : DEFAULT_MAX_WIN
+}
+
+// Check that a proposed result is internally consistent and within the game's cap.
+// Returns the list of problems found (empty when the result is valid).
+export function validateOutcome({ bet, outcome, winAmount, multiplier }) {
+  const reasons = []
+
+  if (!OUTCOMES.includes(outcome)) {
+    reasons.push(`Outcome must be one of: ${OUTCOMES.join(', ')}`)
+  }
+
+  if (typeof winAmount !== 'number' || !Number.isFinite(winAmount) || winAmount < 0) {
+    reasons.push('win_amount must be a non-negative number')
+  }
+
+  if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0) {
+    reasons.push('multiplier must be a non-negative number')
+  }
+
+  if (reasons.length) return reasons
+
+  if (Math.abs(bet.stake * multiplier - winAmount) > EPSILON) {
+    reasons.push('win_amount must equal stake × multiplier')
+  }
+
+  if (outcome === 'loss' && winAmount !== 0) {
+    reasons.push('A losing bet cannot pay out')
+  }
+
+  if (outcome === 'win' && winAmount <= 0) {
+    reasons.push('A winning bet must pay out')
+  }
+
+  if (outcome === 'push' && Math.abs(multiplier - 1) > EPSILON) {
+    reasons.push('A push must return the stake (multiplier 1)')
+  }
+
+  const maxWin = getMaxWin(bet.game_id)
+  if (winAmount > maxWin) {
+    reasons.push(`win_amount exceeds the max win of ${maxWin} for this game`)
+  }
+
+  return reasons
+}
+
+// Record a refused settlement attempt against the bet owner
+export async function logRejectedSettlement({ bet, source, actorId, reasons, attempted }) {
+  const { error } = await supabase.from('activity_logs').insert({
+    user_id: bet.user_id,
+    action: 'settlement_rejected',
+    details: {
+      bet_id: bet.id,
+      game_id: bet.game_id,
+      source,
+      actor_id: actorId || null,
+      reasons,
+      attempted
+    }
+  })
+
+  if (error) console.error('Log rejected settlement error:', error)
+}
+
+// Settle a pending bet and pay out any winnings.
+// Throws SettlementError (after logging it) if the result fails validation or the
+// bet is no longer pending.
+export async function settleBet({ bet, outcome, winAmount, multiplier, source, actorId, reason }) {
+  const reasons = validateOutcome({ bet, outcome, winAmount, multiplier })
+
+  if (reasons.length) {
+    await logRejectedSettlement({
+      bet,
+      source,
+      actorId,
+      reasons,
+      attempted: { outcome, win_amount: winAmount, multiplier }
+    })
+    throw new SettlementError('Settlement rejected', reasons)
+  }
+
+  let movement
+  if (winAmount > 0) {
+    const wallet = await getBetWallet(bet)
+    if (!wallet) throw new Error(`Wallet not found for bet ${bet.id}`)
+    movement = await winningsMovement({ bet, wallet, amount: winAmount })
+  }
+
+  // Only a still-pending bet can be settled, and the payout is posted in the same
+  // transaction, so concurrent settles can't pay twice
+  const settled = await transitionBet({
+    bet,
+    update: {
+      outcome,
+      win_amount: winAmount,
+      multiplier,
+      settled_at: new Date().toISOString()
+    },
+    movement
+  })
+
+  if (!settled) {
+    await logRejectedSettlement({
+      bet,
+      source,
+      actorId,
+      reasons: ['Bet is not pending'],
+      attempted: { outcome, win_amount: winAmount, multiplier }
+    })
+    throw new SettlementError('Bet already settled', ['Bet is not pending'], 409)
+  }
+
+  const settledBet = settled.bet
+
+  await trackWager(settledBet)
+  await trackVipPoints(settledBet)
+
+  if (source === 'admin') {
+    await supabase.from('activity_logs').insert({
+      user_id: bet.user_id,
+      action: 'bet_settled_manually',
+      details: {
+        bet_id: bet.id,
+        outcome,
+        win_amount: winAmount,
+        multiplier,
+        reason,
+        admin_id: actorId
+      }
+    })
+  }
+
+  return settledBet
+}
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock, betPlace, betTransition, ledgerPost } from '../test/supabase.js'
+
+const db = createSupabaseMock({
+  rpc: { ledger_post: ledgerPost, bet_place: betPlace, bet_transition: betTransition }
+})
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('./bonuses.js', () => ({ trackWager: jest.fn() }))
+jest.unstable_mockModule('./vip.js', () => ({ trackVipPoints: jest.fn() }))
+
+const { placeBet } = await import('./bets.js')
+const { settleBet, validateOutcome, getMaxWin, SettlementError } = await import('./settlement.js')
+
+const wallet = { id: 'w1', user_id: 'u1', currency: 'USD' }
+
+async function pendingBet(stake = 10) {
+  const { bet } = await placeBet({ wallet, gameId: 'dice', stake })
+  return bet
+}
+
+beforeEach(() => {
+  db.tables.wallets = [{ ...wallet, balance: 100 }]
+  db.tables.transactions = []
+  db.tables.bets = []
+  db.tables.activity_logs = []
+})
+
+describe('validateOutcome', () => {
+  const bet = { stake: 10, game_id: 'dice' }
+
+  test('accepts consistent results', () => {
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: 25, multiplier: 2.5 })).toEqual([])
+    expect(validateOutcome({ bet, outcome: 'loss', winAmount: 0, multiplier: 0 })).toEqual([])
+    expect(validateOutcome({ bet, outcome: 'push', winAmount: 10, multiplier: 1 })).toEqual([])
+  })
+
+  test('rejects unknown outcomes and non-numeric amounts', () => {
+    expect(validateOutcome({ bet, outcome: 'jackpot', winAmount: 0, multiplier: 0 }))
+      .toEqual(['Outcome must be one of: win, loss, push'])
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: '25', multiplier: 2.5 }))
+      .toEqual(['win_amount must be a non-negative number'])
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: 25, multiplier: -1 }))
+      .toEqual(['multiplier must be a non-negative number'])
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: Infinity, multiplier: Infinity })).toHaveLength(2)
+  })
+
+  test('requires the win to match stake × multiplier', () => {
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: 30, multiplier: 2.5 }))
+      .toContain('win_amount must equal stake × multiplier')
+  })
+
+  test('rejects results that contradict their outcome', () => {
+    expect(validateOutcome({ bet, outcome: 'loss', winAmount: 20, multiplier: 2 }))
+      .toContain('A losing bet cannot pay out')
+    expect(validateOutcome({ bet, outcome: 'win', winAmount: 0, multiplier: 0 }))
+      .toContain('A winning bet must pay out')
+    expect(validateOutcome({ bet, outcome: 'push', winAmount: 20, multiplier: 2 }))
+      .toContain('A push must return the stake (multiplier 1)')
+  })
+
+  test('rejects wins above the game\'s max win', () => {
+    const cap = getMaxWin('dice')
+    const big = { stake: cap, game_id: 'dice' }
+
+    expect(validateOutcome({ bet: big, outcome: 'win', winAmount: cap * 2, multiplier: 2 }))
+      .toEqual([`win_amount exceeds the max win of ${cap} for this game`])
+  })
+})
+
+describe('settleBet', () => {
+  test('settles the bet and pays the win in one call', async () => {
+    const bet = await pendingBet()
+    db.calls.length = 0
+
+    const settled = await settleBet({ bet, outcome: 'win', winAmount: 25, multiplier: 2.5, source: 'engine' })
+
+    expect(settled).toMatchObject({ outcome: 'win', win_amount: 25, multiplier: 2.5 })
+    expect(db.tables.wallets[0].balance).toBe(115)
+    expect(db.calls.filter(call => call.rpc).map(call => call.rpc)).toEqual(['bet_transition'])
+  })
+
+  test('settles a loss without posting a journal', async () => {
+    const bet = await pendingBet()
+
+    await settleBet({ bet, outcome: 'loss', winAmount: 0, multiplier: 0, source: 'engine' })
+
+    expect(db.tables.transactions.filter(tx => tx.type === 'win')).toHaveLength(0)
+    expect(db.tables.bets[0].outcome).toBe('loss')
+  })
+
+  test('refuses to settle twice and pays only once', async () => {
+    const bet = await pendingBet()
+    await settleBet({ bet, outcome: 'win', winAmount: 20, multiplier: 2, source: 'engine' })
+
+    const error = await settleBet({ bet, outcome: 'win', winAmount: 20, multiplier: 2, source: 'engine' })
+      .catch(error => error)
+
+    expect(error).toBeInstanceOf(SettlementError)
+    expect(error.status).toBe(409)
+    expect(db.tables.wallets[0].balance).toBe(110)
+    expect(db.tables.activity_logs).toMatchObject([
+      { user_id: 'u1', action: 'settlement_rejected', details: { bet_id: bet.id, reasons: ['Bet is not pending'] } }
+    ])
+  })
+
+  test('logs and refuses an invalid result without touching the bet', async () => {
+    const bet = await pendingBet()
+
+    const error = await settleBet({ bet, outcome: 'win', winAmount: 50, multiplier: 2, source: 'admin', actorId: 'a1' })
+      .catch(error => error)
+
+    expect(error).toBeInstanceOf(SettlementError)
+    expect(error.reasons).toEqual(['win_amount must equal stake × multiplier'])
+    expect(db.tables.bets[0].outcome).toBe('pending')
+    expect(db.tables.activity_logs).toMatchObject([
+      {
+        user_id: 'u1',
+        action: 'settlement_rejected',
+        details: { source: 'admin', actor_id: 'a1', attempted: { outcome: 'win', win_amount: 50, multiplier: 2 } }
+      }
+    ])
+  })
+
+  test('leaves the bet pending when the payout is refused', async () => {
+    const bet = await pendingBet()
+    const rpc = db.client.rpc
+    db.client.rpc = async () => ({ data: null, error: { message: 'wallet_not_found' } })
+
+    const error = await settleBet({ bet, outcome: 'win', winAmount: 20, multiplier: 2, source: 'engine' })
+      .catch(error => error)
+    db.client.rpc = rpc
+
+    expect(error.code).toBe('wallet_not_found')
+    expect(db.calls.some(call => call.table === 'bets' && call.op === 'update')).toBe(false)
+    expect(db.tables.bets[0].outcome).toBe('pending')
+  })
+})
@@ -0,0 +1,208 @@
+import { supabase } from './supabase.js'
+
+// Loyalty engine: settled stakes earn points, and the points earned over the
+// last VIP_WINDOW_DAYS decide the VIP level (0-10).
+//
+//   VIP_TIERS           points needed for levels 1..10, as a JSON array
+//   VIP_POINT_RATES     points per unit staked, per currency ('{"BTC": 60000}'), default 1
+//   VIP_RETAIN_RATIO    share of a tier's points needed to keep it at review (default 0.5)
+//
+// Promotions happen as soon as a settled bet crosses a threshold; demotions only
+// happen in the periodic review, and never within a window of the last change.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_LEVEL = 10
+
+const DEFAULT_TIERS = [1000, 5000, 15000, 50000, 100000, 250000, 500000, 1000000, 2500000, 5000000]
+
+const WINDOW_DAYS = parseInt(process.env.VIP_WINDOW_DAYS || '90')
+const RETAIN_RATIO = parseFloat(process.env.VIP_RETAIN_RATIO || '0.5')
+
+function loadJson(name, fallback) {
+  try {
+    return JSON.parse(process.env[name] || 'null') ?? fallback
+  } catch (error) {
+    console.error(`Invalid ${name}, using defaults:`, error)
+    return fallback
+  }
+}
+
+function loadTiers() {
+  const tiers = loadJson('VIP_TIERS', DEFAULT_TIERS)
+  const valid = Array.isArray(tiers) &&
+    tiers.length === MAX_LEVEL &&
+    tiers.every((points, i) => typeof points === 'number' && points > 0 && (i === 0 || points > tiers[i - 1]))
+
+  if (!valid) {
+    console.error(`VIP_TIERS must be ${MAX_LEVEL} increasing positive numbers, using defaults`)
+    return DEFAULT_TIERS
+  }
+  return tiers
+}
+
+const tiers = loadTiers()
+const pointRates = loadJson('VIP_POINT_RATES', {})
+
+// Points needed to reach a level (0 for level 0)
+export function getTierPoints(level) {
+  return level > 0 ? tiers[Math.min(level, MAX_LEVEL) - 1] : 0
+}
+
+// Highest level the given points qualify for
+export function getLevelForPoints(points, ratio = 1) {
+  let level = 0
+  while (level < MAX_LEVEL && points >= tiers[level] * ratio) level++
+  return level
+}
+
+export function getPointsForStake(stake, currency) {
+  const rate = typeof pointRates[currency] === 'number' ? pointRates[currency] : 1
+  return Math.round(stake * rate * 100) / 100
+}
+
+// Points earned in the review window
+export async function getPeriodPoints(userId) {
+  const { data: points, error } = await supabase.rpc('vip_period_points', {
+    p_user_id: userId,
+    p_window_days: WINDOW_DAYS
+  })
+
+  if (error) throw error
+  return Number(points) || 0
+}
+
+// Move a user between levels if they're still on the expected one, logging it
+// like a manual change
+async function changeLevel({ userId, from, to, reason, points }) {
+  const now = new Date().toISOString()
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .update({ vip_level: to, vip_level_changed_at: now, vip_reviewed_at: now })
+    .eq('id', userId)
+    .eq('vip_level', from)
+    .select()
+    .single()
+
+  if (!profile) return null
+
+  await supabase.from('activity_logs').insert({
+    user_id: userId,
+    action: 'vip_level_change',
+    details: { new_level: to, previous_level: from, reason, points, automatic: true }
+  })
+
+  return profile
+}
+
+// Award points for a settled bet and promote the player if they crossed a tier
+export async function awardPoints(bet) {
+  if (!bet || !['win', 'loss'].includes(bet.outcome) || !(bet.stake > 0)) return null
+
+  const points = getPointsForStake(bet.stake, bet.currency)
+  if (!(points > 0)) return null
+
+  const { data: rows, error } = await supabase.rpc('vip_add_points', {
+    p_user_id: bet.user_id,
+    p_bet_id: bet.id,
+    p_points: points,
+    p_window_days: WINDOW_DAYS
+  })
+
+  if (error) throw error
+
+  const totals = rows?.[0]
+  if (!totals) return null
+
+  const level = getLevelForPoints(totals.period_points)
+  if (level <= totals.vip_level) return null
+
+  return changeLevel({
+    userId: bet.user_id,
+    from: totals.vip_level,
+    to: level,
+    reason: 'Automatic promotion',
+    points: totals.period_points
+  })
+}
+
+// Same as awardPoints, but never fails the caller
+export function trackVipPoints(bet) {
+  return awardPoints(bet).catch(error => {
+    console.error('VIP points error:', error)
+    return null
+  })
+}
+
+// Demote players whose recent play no longer holds their level (run by the scheduler)
+export async function reviewLevels({ batchSize = 500 } = {}) {
+  const cutoff = new Date(Date.now() - WINDOW_DAYS * DAY_MS).toISOString()
+  let demoted = 0
+  let lastId = null
+
+  // Page by id, since demoted players drop out of the filter as we go
+  for (;;) {
+    let query = supabase
+      .from('profiles')
+      .select('id, vip_level, vip_level_changed_at')
+      .gt('vip_level', 0)
+      .or(`vip_level_changed_at.is.null,vip_level_changed_at.lt.${cutoff}`)
+      .order('id')
+      .limit(batchSize)
+
+    if (lastId) query = query.gt('id', lastId)
+
+    const { data: profiles, error } = await query
+
+    if (error) throw error
+    if (!profiles?.length) break
+
+    for (const profile of profiles) {
+      const points = await getPeriodPoints(profile.id)
+      const level = Math.min(getLevelForPoints(points, RETAIN_RATIO), profile.vip_level)
+
+      if (level < profile.vip_level) {
+        const changed = await changeLevel({
+          userId: profile.id,
+          from: profile.vip_level,
+          to: level,
+          reason: 'Periodic review',
+          points
+        })
+        if (changed) demoted++
+      } else {
+        await supabase
+          .from('profiles')
+          .update({ vip_reviewed_at: new Date().toISOString() })
+          .eq('id', profile.id)
+      }
+    }
+
+    if (profiles.length < batchSize) break
+    lastId = profiles[profiles.length - 1].id
+  }
+
+  return demoted
+}
+
+// A player's progress towards the next level
+export async function getVipProgress(profile) {
+  const level = profile.vip_level || 0
+  const periodPoints = await getPeriodPoints(profile.id)
+  const nextPoints = level < MAX_LEVEL ? getTierPoints(level + 1) : null
+  const currentPoints = getTierPoints(level)
+
+  return {
+    level,
+    points: profile.vip_points || 0,
+    period_points: periodPoints,
+    window_days: WINDOW_DAYS,
+    next_level: level < MAX_LEVEL ? level + 1 : null,
+    next_level_points: nextPoints,
+    points_to_next_level: nextPoints != null ? Math.max(nextPoints - periodPoints, 0) : null,
+    progress_percent: nextPoints != null
+      ? Math.min(100, Math.max(0, Math.round(((periodPoints - currentPoints) / (nextPoints - currentPoints)) * 10000) / 100))
+      : 100,
+    retain_points: Math.round(currentPoints * RETAIN_RATIO * 100) / 100
+  }
+}
@@ -0,0 +1,29 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const db = createSupabaseMock({
+  rpc: {
+    vip_period_points: ({ p_user_id: userId, p_window_days: days }, db) => db.tables.vip_point_entries
+      .filter(entry => entry.user_id === userId && new Date(entry.created_at) > new Date(Date.now() - days * DAY_MS))
+      .reduce((sum, entry) => sum + entry.points, 0)
+  }
+})
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { getPeriodPoints } = await import('./vip.js')
+
+describe('getPeriodPoints', () => {
+  test('counts every entry in the window, however many there are', async () => {
+    const recent = new Date().toISOString()
+    db.tables.vip_point_entries = [
+      ...Array.from({ length: 1500 }, () => ({ user_id: 'u1', points: 2, created_at: recent })),
+      { user_id: 'u1', points: 1000, created_at: new Date(Date.now() - 365 * DAY_MS).toISOString() },
+      { user_id: 'u2', points: 1000, created_at: recent }
+    ]
+
+    await expect(getPeriodPoints('u1')).resolves.toBe(3000)
+    expect(db.calls.some(call => call.table === 'vip_point_entries')).toBe(false)
+  })
+})
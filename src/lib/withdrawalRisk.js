@@ -0,0 +1,212 @@
+import { supabase } from './supabase.js'
+
+// Withdrawal risk rules, evaluated when a withdrawal is requested.
+//
+// Each rule that fires adds a hit with its action: 'review' (an admin must approve)
+// or 'block' (the withdrawal is refused). The decision is 'block' if any hit blocks,
+// 'review' if any hit needs review, otherwise 'auto_approve' when the amount is
+// within the currency's auto-approval threshold, else 'review'.
+//
+// WITHDRAWAL_RISK_RULES overrides rule settings by rule ID, e.g.
+//   '{"account_age": {"min_days": 14}, "velocity": {"action": "block"}, "turnover": {"enabled": false}}'
+// WITHDRAWAL_AUTO_APPROVE_MAX sets the thresholds per currency ('{"USD": 500}');
+// currencies without one are never auto-approved.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+const PAGE_SIZE = 1000
+
+const DEFAULT_RULES = {
+  // Active bonuses in the currency that still need wagering
+  bonus_wagering: { enabled: true, action: 'review' },
+  // Wagered less than min_ratio × deposited over the last lookback_days
+  turnover: { enabled: true, action: 'review', min_ratio: 1, lookback_days: 30 },
+  // More than max_count withdrawals in the last window_hours
+  velocity: { enabled: true, action: 'review', max_count: 3, window_hours: 24 },
+  // Account younger than min_days
+  account_age: { enabled: true, action: 'review', min_days: 7 },
+  // Address differs from the one the last paid-out withdrawal went to
+  new_address: { enabled: true, action: 'review' },
+  // Amount over the limit for the player's VIP level (index 0-10), per currency
+  vip_limit: {
+    enabled: true,
+    action: 'review',
+    limits: {
+      USD: [1000, 2000, 3000, 5000, 7500, 10000, 15000, 25000, 50000, 100000, 250000]
+    }
+  }
+}
+
+const DEFAULT_AUTO_APPROVE_MAX = { USD: 500, EUR: 500, USDT: 500, USDC: 500 }
+
+function loadJson(name, fallback) {
+  try {
+    return JSON.parse(process.env[name] || 'null') ?? fallback
+  } catch (error) {
+    console.error(`Invalid ${name}, using defaults:`, error)
+    return fallback
+  }
+}
+
+function loadRules() {
+  const overrides = loadJson('WITHDRAWAL_RISK_RULES', {})
+
+  return Object.fromEntries(Object.entries(DEFAULT_RULES).map(([id, defaults]) => {
+    const rule = { ...defaults, ...overrides[id] }
+    if (!['review', 'block'].includes(rule.action)) {
+      console.error(`Invalid action for withdrawal rule ${id}, using '${defaults.action}'`)
+      rule.action = defaults.action
+    }
+    return [id, rule]
+  }))
+}
+
+const rules = loadRules()
+const autoApproveMax = loadJson('WITHDRAWAL_AUTO_APPROVE_MAX', DEFAULT_AUTO_APPROVE_MAX)
+
+// Sum a column over every matching row, a page at a time
+async function sum(buildQuery, column) {
+  let total = 0
+
+  for (let page = 0; ; page++) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+
+    if (error) throw error
+    total += (data || []).reduce((acc, row) => acc + Math.abs(row[column] || 0), 0)
+    if (!data || data.length < PAGE_SIZE) return total
+  }
+}
+
+// Rule checks: each returns a hit ({ details }) or null
+const CHECKS = {
+  async bonus_wagering({ userId, currency }) {
+    const { data: bonuses, error } = await supabase
+      .from('bonuses')
+      .select('id, wagering_requirement, wagering_progress')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .eq('status', 'pending')
+
+    if (error) throw error
+
+    const open = (bonuses || []).filter(bonus => (bonus.wagering_progress || 0) < bonus.wagering_requirement)
+    if (!open.length) return null
+
+    return {
+      details: {
+        bonuses: open.length,
+        wagering_remaining: open.reduce((acc, bonus) => acc + bonus.wagering_requirement - (bonus.wagering_progress || 0), 0)
+      }
+    }
+  },
+
+  async turnover({ userId, currency }, rule) {
+    const since = new Date(Date.now() - rule.lookback_days * DAY_MS).toISOString()
+
+    const deposited = await sum(() => supabase
+      .from('transactions')
+      .select('id, amount')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .eq('type', 'deposit')
+      .eq('status', 'completed')
+      .gte('created_at', since), 'amount')
+
+    if (!deposited) return null
+
+    const wagered = await sum(() => supabase
+      .from('bets')
+      .select('id, stake')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .gte('created_at', since), 'stake')
+
+    const ratio = wagered / deposited
+    if (ratio >= rule.min_ratio) return null
+
+    return { details: { deposited, wagered, ratio: Math.round(ratio * 100) / 100, min_ratio: rule.min_ratio } }
+  },
+
+  async velocity({ userId }, rule) {
+    const { count, error } = await supabase
+      .from('transactions')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('type', 'withdrawal')
+      .not('status', 'in', '(rejected,blocked)')
+      .gte('created_at', new Date(Date.now() - rule.window_hours * HOUR_MS).toISOString())
+
+    if (error) throw error
+
+    // This withdrawal counts too
+    const withdrawals = (count || 0) + 1
+    if (withdrawals <= rule.max_count) return null
+
+    return { details: { withdrawals, max_count: rule.max_count, window_hours: rule.window_hours } }
+  },
+
+  async account_age({ profile }, rule) {
+    if (!profile.created_at) return null
+
+    const ageDays = (Date.now() - new Date(profile.created_at).getTime()) / DAY_MS
+    if (ageDays >= rule.min_days) return null
+
+    return { details: { age_days: Math.floor(ageDays * 10) / 10, min_days: rule.min_days } }
+  },
+
+  async new_address({ userId, currency, destination }) {
+    const { data: previous } = await supabase
+      .from('transactions')
+      .select('destination_address, destination_memo')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .eq('type', 'withdrawal')
+      .in('status', ['completed', 'broadcast', 'confirmed'])
+      .not('destination_address', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single()
+
+    if (!previous) return null
+    if (previous.destination_address === destination.address &&
+      (previous.destination_memo || null) === (destination.memo || null)) return null
+
+    return { details: { previous_address: previous.destination_address, address: destination.address } }
+  },
+
+  async vip_limit({ profile, currency, amount }, rule) {
+    const limits = rule.limits?.[currency]
+    if (!Array.isArray(limits)) return null
+
+    const level = profile.vip_level || 0
+    const limit = limits[Math.min(level, limits.length - 1)]
+    if (amount <= limit) return null
+
+    return { details: { amount, limit, vip_level: level } }
+  }
+}
+
+// Evaluate every enabled rule for a withdrawal request
+export async function evaluateWithdrawal({ profile, currency, amount, destination }) {
+  const context = { profile, userId: profile.id, currency, amount, destination }
+
+  const results = await Promise.all(Object.entries(rules)
+    .filter(([, rule]) => rule.enabled)
+    .map(async ([id, rule]) => {
+      const hit = await CHECKS[id](context, rule)
+      return hit && { rule: id, action: rule.action, ...hit }
+    }))
+
+  const hits = results.filter(Boolean)
+
+  let decision = 'review'
+  if (hits.some(hit => hit.action === 'block')) {
+    decision = 'block'
+  } else if (!hits.length && typeof autoApproveMax[currency] === 'number' && amount <= autoApproveMax[currency]) {
+    decision = 'auto_approve'
+  }
+
+  return { decision, hits }
+}
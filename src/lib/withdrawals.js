@@ -0,0 +1,261 @@
+import { supabase } from './supabase.js'
+import { getWithdrawalNetworks } from '../chains/index.js'
+import { validateAddress, validateMemo } from '../chains/addresses.js'
+
+// Withdrawal destinations and the address book.
+//
+// Crypto withdrawals name a network and an address that passes that network's
+// format check. Saved addresses become usable after WITHDRAWAL_ADDRESS_COOLING_HOURS;
+// with whitelist mode on, withdrawals may only go to saved, usable addresses.
+//
+// Currencies that live on a chain can only be withdrawn on-chain. Other currencies
+// use the methods in WITHDRAWAL_FIAT_METHODS (default 'bank_transfer'), which take a
+// free-form destination such as a bank reference.
+
+const COOLING_HOURS = parseFloat(process.env.WITHDRAWAL_ADDRESS_COOLING_HOURS || '24')
+const FIAT_METHODS = (process.env.WITHDRAWAL_FIAT_METHODS || 'bank_transfer')
+  .split(',')
+  .map(method => method.trim())
+  .filter(method => method && method !== 'crypto')
+
+export class WithdrawalError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'WithdrawalError'
+    this.status = status
+  }
+}
+
+function coolingOffEnd(from = new Date()) {
+  return new Date(from.getTime() + COOLING_HOURS * 3600000)
+}
+
+// Methods a currency can be withdrawn with
+export function getWithdrawalMethods(currency) {
+  return getWithdrawalNetworks(currency).length ? ['crypto'] : FIAT_METHODS
+}
+
+// Network for a crypto withdrawal; it must be named when the currency is on several
+export function resolveWithdrawalNetwork(currency, networkId) {
+  const candidates = getWithdrawalNetworks(currency)
+
+  if (!candidates.length) {
+    throw new WithdrawalError(`Crypto withdrawals are not available for ${currency}`)
+  }
+
+  if (!networkId) {
+    if (candidates.length > 1) {
+      throw new WithdrawalError(`Network required for ${currency}. Use one of: ${candidates.map(c => c.id).join(', ')}`)
+    }
+    return candidates[0]
+  }
+
+  const network = candidates.find(candidate => candidate.id === networkId)
+  if (!network) {
+    throw new WithdrawalError(`${currency} cannot be withdrawn on ${networkId}. Use one of: ${candidates.map(c => c.id).join(', ')}`)
+  }
+  return network
+}
+
+// Validate an address (and memo / destination tag) for a network, returning canonical forms
+export function validateDestination(network, address, memo) {
+  if (!address) {
+    throw new WithdrawalError('Withdrawal address required')
+  }
+
+  const canonical = validateAddress(network, address)
+  if (!canonical) {
+    throw new WithdrawalError(`Invalid ${network.name} address`)
+  }
+
+  const hasMemo = memo !== undefined && memo !== null && memo !== ''
+  if (hasMemo && !network.memo) {
+    throw new WithdrawalError(`${network.name} does not use a memo or destination tag`)
+  }
+
+  let canonicalMemo = null
+  if (hasMemo) {
+    canonicalMemo = validateMemo(network, memo)
+    if (canonicalMemo === null) {
+      throw new WithdrawalError(`Invalid ${network.name} destination tag`)
+    }
+  }
+
+  return { address: canonical, memo: canonicalMemo }
+}
+
+// Whitelist mode stays in force for the cooling-off period after it is switched off
+export function isWhitelistEnforced(profile, now = new Date()) {
+  if (profile.withdrawal_whitelist) return true
+  if (!profile.withdrawal_whitelist_disabled_at) return false
+  return coolingOffEnd(new Date(profile.withdrawal_whitelist_disabled_at)) > now
+}
+
+export function toPublicWithdrawalAddress(row, now = new Date()) {
+  return {
+    id: row.id,
+    currency: row.currency,
+    network: row.network,
+    address: row.address,
+    memo: row.memo,
+    label: row.label,
+    available_at: row.available_at,
+    usable: new Date(row.available_at) <= now,
+    created_at: row.created_at
+  }
+}
+
+export async function listWithdrawalAddresses(userId) {
+  const { data, error } = await supabase
+    .from('withdrawal_addresses')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+export async function addWithdrawalAddress(userId, { currency, network: networkId, address, memo, label }) {
+  if (!currency) {
+    throw new WithdrawalError('Currency required')
+  }
+
+  const network = resolveWithdrawalNetwork(currency, networkId)
+  const destination = validateDestination(network, address, memo)
+
+  const { data, error } = await supabase
+    .from('withdrawal_addresses')
+    .insert({
+      user_id: userId,
+      currency,
+      network: network.id,
+      address: destination.address,
+      memo: destination.memo,
+      label: label ? String(label).slice(0, 100) : null,
+      available_at: coolingOffEnd().toISOString()
+    })
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new WithdrawalError('Address already saved', 409)
+    }
+    throw error
+  }
+
+  return data
+}
+
+export async function removeWithdrawalAddress(userId, id) {
+  const { data, error } = await supabase
+    .from('withdrawal_addresses')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+
+  if (error) throw error
+  if (!data?.length) {
+    throw new WithdrawalError('Address not found', 404)
+  }
+}
+
+// Switching whitelist mode on is immediate; switching it off starts the cooling-off period
+export async function setWhitelist(profile, enabled) {
+  if (enabled === !!profile.withdrawal_whitelist) {
+    return profile
+  }
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .update(enabled
+      ? { withdrawal_whitelist: true, withdrawal_whitelist_disabled_at: null }
+      : { withdrawal_whitelist: false, withdrawal_whitelist_disabled_at: new Date().toISOString() })
+    .eq('id', profile.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+export function toPublicWhitelist(profile, now = new Date()) {
+  const disabledAt = profile.withdrawal_whitelist_disabled_at
+  return {
+    enabled: !!profile.withdrawal_whitelist,
+    enforced: isWhitelistEnforced(profile, now),
+    enforced_until: !profile.withdrawal_whitelist && disabledAt && isWhitelistEnforced(profile, now)
+      ? coolingOffEnd(new Date(disabledAt)).toISOString()
+      : null,
+    cooling_off_hours: COOLING_HOURS
+  }
+}
+
+// Work out where a withdrawal goes: a saved address (addressId) or an address given
+// inline. Fiat methods keep a free-form destination (e.g. a bank reference).
+export async function resolveDestination(profile, { currency, method, network: networkId, address, memo, addressId }) {
+  const methods = getWithdrawalMethods(currency)
+  if (!methods.includes(method)) {
+    throw new WithdrawalError(methods.length
+      ? `${currency} can only be withdrawn by ${methods.join(', ')}`
+      : `Withdrawals are not available for ${currency}`)
+  }
+
+  if (addressId) {
+    const { data: saved } = await supabase
+      .from('withdrawal_addresses')
+      .select('*')
+      .eq('id', addressId)
+      .eq('user_id', profile.id)
+      .single()
+
+    if (!saved) {
+      throw new WithdrawalError('Saved address not found', 404)
+    }
+    if (saved.currency !== currency) {
+      throw new WithdrawalError(`Saved address is for ${saved.currency}, not ${currency}`)
+    }
+    if (new Date(saved.available_at) > new Date()) {
+      throw new WithdrawalError(`Saved address can be used from ${saved.available_at}`, 403)
+    }
+
+    return { network: saved.network, address: saved.address, memo: saved.memo, addressId: saved.id }
+  }
+
+  if (method !== 'crypto') {
+    if (!address) {
+      throw new WithdrawalError('Withdrawal address required')
+    }
+    if (isWhitelistEnforced(profile)) {
+      throw new WithdrawalError('Withdrawals are limited to saved addresses', 403)
+    }
+    return { network: null, address: String(address).trim(), memo: null, addressId: null }
+  }
+
+  const network = resolveWithdrawalNetwork(currency, networkId)
+  const destination = validateDestination(network, address, memo)
+
+  // An address typed in that matches a saved entry counts as that entry
+  const { data: matches } = await supabase
+    .from('withdrawal_addresses')
+    .select('*')
+    .eq('user_id', profile.id)
+    .eq('currency', currency)
+    .eq('network', network.id)
+    .eq('address', destination.address)
+
+  const saved = (matches || []).find(row => (row.memo || null) === destination.memo)
+
+  if (isWhitelistEnforced(profile)) {
+    if (!saved) {
+      throw new WithdrawalError('Withdrawals are limited to saved addresses', 403)
+    }
+    if (new Date(saved.available_at) > new Date()) {
+      throw new WithdrawalError(`Saved address can be used from ${saved.available_at}`, 403)
+    }
+  }
+
+  return { network: network.id, ...destination, addressId: saved?.id || null }
+}
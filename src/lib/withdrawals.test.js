@@ -0,0 +1,39 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('./supabase.js', () => ({ supabase: db.client }))
+
+const { resolveDestination, getWithdrawalMethods } = await import('./withdrawals.js')
+
+const profile = { id: 'u1' }
+const BTC_ADDRESS = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'
+
+beforeEach(() => {
+  db.tables.withdrawal_addresses = []
+})
+
+describe('resolveDestination', () => {
+  test('crypto currencies can only be withdrawn on-chain', async () => {
+    expect(getWithdrawalMethods('BTC')).toEqual(['crypto'])
+
+    await expect(resolveDestination(profile, { currency: 'BTC', method: 'bank_transfer', address: 'anything' }))
+      .rejects.toThrow('BTC can only be withdrawn by crypto')
+  })
+
+  test('checks the address of a crypto withdrawal against its network', async () => {
+    await expect(resolveDestination(profile, { currency: 'BTC', method: 'crypto', address: 'not-an-address' }))
+      .rejects.toThrow('Invalid Bitcoin address')
+
+    await expect(resolveDestination(profile, { currency: 'BTC', method: 'crypto', address: BTC_ADDRESS }))
+      .resolves.toMatchObject({ network: 'bitcoin', address: BTC_ADDRESS })
+  })
+
+  test('fiat currencies go out by a fiat method with a free-form destination', async () => {
+    await expect(resolveDestination(profile, { currency: 'USD', method: 'crypto', address: BTC_ADDRESS }))
+      .rejects.toThrow('USD can only be withdrawn by bank_transfer')
+
+    await expect(resolveDestination(profile, { currency: 'USD', method: 'bank_transfer', address: ' GB29NWBK60161331926819 ' }))
+      .resolves.toEqual({ network: null, address: 'GB29NWBK60161331926819', memo: null, addressId: null })
+  })
+})
@@ -1,4 +1,6 @@
 import { verifyToken, getUserProfile } from '../lib/supabase.js'
+import { getAccountState, getAccess, describeAccountState, isAllowedWhileRestricted } from '../lib/accountState.js'
+import { recordFingerprint } from '../lib/fingerprints.js'
 
 // Extract token from Authorization header
 function extractToken(req) {
@@ -9,46 +11,64 @@ function extractToken(req) {
   return null
 }
 
+// Resolve a bearer token to the user and profile, or the reason it was refused.
+// Shared by the HTTP middleware and the WebSocket server.
+export async function resolveSession(token) {
+  if (!token) {
+    return { status: 401, message: 'Authentication required' }
+  }
+
+  const user = await verifyToken(token)
+
+  if (!user) {
+    return { status: 401, message: 'Invalid or expired token' }
+  }
+
+  // Get user profile with role
+  const profile = await getUserProfile(user.id)
+
+  if (!profile) {
+    return { status: 401, message: 'User profile not found' }
+  }
+
+  if (!profile.is_active) {
+    return { status: 403, message: 'Account is deactivated' }
+  }
+
+  // access is 'full' or 'restricted' (see lib/accountState.js)
+  const access = getAccess(profile)
+  if (access === 'none') {
+    return { status: 403, message: describeAccountState(profile), account_state: getAccountState(profile) }
+  }
+
+  return { user, profile, access }
+}
+
 // Authenticate user (required)
 export async function authenticate(req, res, next) {
   try {
-    const token = extractToken(req)
-    
-    if (!token) {
-      return res.status(401).json({ 
-        ok: false, 
-        message: 'Authentication required' 
-      })
-    }
+    const session = await resolveSession(extractToken(req))
 
-    const user = await verifyToken(token)
-    
-    if (!user) {
-      return res.status(401).json({ 
+    if (!session.user) {
+      return res.status(session.status).json({ 
         ok: false, 
-        message: 'Invalid or expired token' 
+        message: session.message,
+        ...(session.account_state && { account_state: session.account_state })
       })
     }
 
-    // Get user profile with role
-    const profile = await getUserProfile(user.id)
-    
-    if (!profile) {
-      return res.status(401).json({ 
-        ok: false, 
-        message: 'User profile not found' 
-      })
-    }
-
-    if (!profile.is_active) {
-      return res.status(403).json({ 
-        ok: false, 
-        message: 'Account is deactivated' 
+    if (session.access === 'restricted' && !isAllowedWhileRestricted(req.method, req.baseUrl + req.path)) {
+      return res.status(403).json({
+        ok: false,
+        message: describeAccountState(session.profile),
+        account_state: getAccountState(session.profile),
+        until: session.profile.account_state_until
       })
     }
 
-    req.user = user
-    req.profile = profile
+    req.user = session.user
+    req.profile = session.profile
+    recordFingerprint(req, 'auth')
     next()
   } catch (error) {
     console.error('Auth middleware error:', error)
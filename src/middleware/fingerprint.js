@@ -0,0 +1,9 @@
+import { recordFingerprint } from '../lib/fingerprints.js'
+
+// Record the device and IP behind a bet or wallet request (after authenticate)
+export function captureFingerprint(source) {
+  return (req, res, next) => {
+    recordFingerprint(req, source)
+    next()
+  }
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import { supabase } from '../lib/supabase.js'
+
+// Keys are kept for 24 hours, after which the same key can be reused
+const KEY_TTL_MS = 24 * 60 * 60 * 1000
+const MAX_KEY_LENGTH = 255
+
+// JSON with sorted object keys so equivalent bodies hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key =>
+      `${JSON.stringify(key)}:${stableStringify(value[key])}`
+    ).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest('hex')
+}
+
+async function claimKey(record) {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .insert(record)
+    .select()
+    .single()
+
+  // 23505 = unique violation: the key was already used by this user
+  if (error && error.code !== '23505') throw error
+  return data || null
+}
+
+async function findKey(userId, key) {
+  const { data } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('key', key)
+    .single()
+
+  return data
+}
+
+// Honor the Idempotency-Key header on money-moving routes (must run after authenticate).
+// The first request with a key is processed and its response stored; a retry with the
+// same key and body gets the stored response, a retry with a different body gets a 422.
+export async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key')
+  if (!key) return next()
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ 
+      ok: false, 
+      message: 'Invalid Idempotency-Key' 
+    })
+  }
+
+  try {
+    const record = {
+      user_id: req.user.id,
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      request_hash: hashRequest(req)
+    }
+
+    let claimed = await claimKey(record)
+
+    if (!claimed) {
+      const existing = await findKey(req.user.id, key)
+
+      if (existing && Date.now() - new Date(existing.created_at).getTime() > KEY_TTL_MS) {
+        await supabase.from('idempotency_keys').delete().eq('id', existing.id)
+        claimed = await claimKey(record)
+      } else if (existing) {
+        if (existing.request_hash !== record.request_hash) {
+          return res.status(422).json({
+            ok: false,
+            message: 'Idempotency-Key was already used with a different request'
+          })
+        }
+
+        if (existing.status !== 'completed') {
+          return res.status(409).json({
+            ok: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          })
+        }
+
+        res.set('Idempotent-Replayed', 'true')
+        return res.status(existing.response_status).json(existing.response_body)
+      }
+
+      if (!claimed) {
+        return res.status(409).json({
+          ok: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        })
+      }
+    }
+
+    // Capture the response so retries can replay it
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      const settle = res.statusCode >= 500
+        // Server errors are not stored, so the client may retry with the same key
+        ? supabase.from('idempotency_keys').delete().eq('id', claimed.id)
+        : supabase
+          .from('idempotency_keys')
+          .update({
+            status: 'completed',
+            response_status: res.statusCode,
+            response_body: body,
+            completed_at: new Date().toISOString()
+          })
+          .eq('id', claimed.id)
+
+      settle.then(({ error }) => {
+        if (error) console.error('Idempotency store error:', error)
+      })
+
+      return json(body)
+    }
+
+    next()
+  } catch (error) {
+    console.error('Idempotency middleware error:', error)
+    res.status(500).json({ 
+      ok: false, 
+      message: 'Failed to process Idempotency-Key' 
+    })
+  }
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto'
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock({ unique: { idempotency_keys: [['user_id', 'key']] } })
+jest.unstable_mockModule('../lib/supabase.js', () => ({ supabase: db.client }))
+
+const { idempotent } = await import('./idempotency.js')
+
+let server
+let baseUrl
+let handled
+let status
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use((req, res, next) => {
+    req.user = { id: req.get('X-User') || 'u1' }
+    next()
+  })
+  app.post('/pay', idempotent, (req, res) => {
+    handled += 1
+    res.status(status).json({ handled })
+  })
+
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  db.tables.idempotency_keys = []
+  handled = 0
+  status = 200
+})
+
+// Stored responses are written after the response is sent
+const flush = () => new Promise(resolve => setTimeout(resolve, 10))
+
+function pay(body, headers = {}) {
+  return fetch(`${baseUrl}/pay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  })
+}
+
+describe('idempotent', () => {
+  test('processes requests without a key every time', async () => {
+    await pay({ amount: 1 })
+    await pay({ amount: 1 })
+
+    expect(handled).toBe(2)
+    expect(db.tables.idempotency_keys).toHaveLength(0)
+  })
+
+  test('replays the stored response for a retry with the same key and body', async () => {
+    const first = await pay({ amount: 1, to: 'x' }, { 'Idempotency-Key': 'k1' })
+    await flush()
+    const retry = await pay({ to: 'x', amount: 1 }, { 'Idempotency-Key': 'k1' })
+
+    expect(handled).toBe(1)
+    expect(await first.json()).toEqual({ handled: 1 })
+    expect(retry.status).toBe(200)
+    expect(retry.headers.get('Idempotent-Replayed')).toBe('true')
+    expect(await retry.json()).toEqual({ handled: 1 })
+  })
+
+  test('refuses a key reused with a different body', async () => {
+    await pay({ amount: 1 }, { 'Idempotency-Key': 'k1' })
+    await flush()
+    const retry = await pay({ amount: 2 }, { 'Idempotency-Key': 'k1' })
+
+    expect(retry.status).toBe(422)
+    expect(handled).toBe(1)
+  })
+
+  test('refuses a retry while the first request is still processing', async () => {
+    db.tables.idempotency_keys.push({
+      id: 'i1',
+      user_id: 'u1',
+      key: 'k1',
+      status: 'processing',
+      request_hash: crypto.createHash('sha256').update('POST\n/pay\n{"amount":1}').digest('hex'),
+      created_at: new Date().toISOString()
+    })
+
+    const retry = await pay({ amount: 1 }, { 'Idempotency-Key': 'k1' })
+
+    expect(retry.status).toBe(409)
+    expect(handled).toBe(0)
+  })
+
+  test('scopes keys to the user', async () => {
+    await pay({ amount: 1 }, { 'Idempotency-Key': 'k1', 'X-User': 'u1' })
+    await flush()
+    await pay({ amount: 1 }, { 'Idempotency-Key': 'k1', 'X-User': 'u2' })
+
+    expect(handled).toBe(2)
+  })
+
+  test('forgets the key after a server error so the client can retry', async () => {
+    status = 500
+    await pay({ amount: 1 }, { 'Idempotency-Key': 'k1' })
+    await flush()
+    status = 200
+    const retry = await pay({ amount: 1 }, { 'Idempotency-Key': 'k1' })
+
+    expect(retry.status).toBe(200)
+    expect(handled).toBe(2)
+  })
+
+  test('reuses a key once it has expired', async () => {
+    await pay({ amount: 1 }, { 'Idempotency-Key': 'k1' })
+    await flush()
+    db.tables.idempotency_keys[0].created_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString()
+    await pay({ amount: 2 }, { 'Idempotency-Key': 'k1' })
+
+    expect(handled).toBe(2)
+  })
+
+  test('rejects overlong keys', async () => {
+    const res = await pay({ amount: 1 }, { 'Idempotency-Key': 'k'.repeat(256) })
+
+    expect(res.status).toBe(400)
+    expect(handled).toBe(0)
+  })
+})
@@ -0,0 +1,71 @@
+import crypto from 'crypto'
+
+// Reject callbacks signed more than 5 minutes ago (replay protection)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+// Per-provider shared secret, e.g. PROVIDER_SECRET_SPRIBE for provider 'spribe'
+export function getProviderSecret(providerId) {
+  const envKey = `PROVIDER_SECRET_${providerId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`
+  return process.env[envKey] || null
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex')
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'hex')
+  const bufB = Buffer.from(b, 'hex')
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Authenticate a game provider callback.
+// Expects X-Timestamp (ms since epoch) and X-Signature = hex HMAC-SHA256 of
+// "<timestamp>.<raw body>" with the provider's secret. Provider comes from :provider.
+export function authenticateProvider(req, res, next) {
+  const providerId = req.params.provider
+  const secret = providerId && getProviderSecret(providerId)
+
+  if (!secret) {
+    return res.status(401).json({
+      ok: false,
+      code: 'UNKNOWN_PROVIDER',
+      message: 'Unknown provider'
+    })
+  }
+
+  const timestamp = req.get('X-Timestamp')
+  const signature = req.get('X-Signature')
+
+  if (!timestamp || !signature || !/^[0-9a-f]+$/i.test(signature)) {
+    return res.status(401).json({
+      ok: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Signature required'
+    })
+  }
+
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+    return res.status(401).json({
+      ok: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Signature expired'
+    })
+  }
+
+  const expected = signPayload(secret, timestamp, req.rawBody || '')
+
+  if (!safeEqual(expected, signature)) {
+    return res.status(401).json({
+      ok: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Invalid signature'
+    })
+  }
+
+  req.provider = { id: providerId }
+  next()
+}
@@ -0,0 +1,48 @@
+import { gateway as mock } from './mock.js'
+
+// Payment gateway registry.
+//
+// Every gateway implements:
+//   id, name
+//   createInvoice({ transaction, amount, currency, method, baseUrl })
+//       -> { invoice_id, payment_url, address?, expires_at? }
+//   verifyWebhook(req)     -> boolean (checks the signature over req.rawBody)
+//   parseWebhook(body)     -> { event_id, invoice_id, status, amount?, currency? }
+//       status is 'pending', 'completed' or 'failed'
+//
+// PAYMENT_GATEWAYS picks the enabled gateways (none by default); PAYMENT_GATEWAY
+// is the default for deposits that don't name one. The mock gateway credits
+// deposits on request, so it is only loaded when listed explicitly and given its
+// own PAYMENT_MOCK_SECRET.
+
+const BUILT_IN = { mock }
+
+function loadGateways() {
+  return (process.env.PAYMENT_GATEWAYS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+    .map(id => {
+      if (id === mock.id && !process.env.PAYMENT_MOCK_SECRET) {
+        throw new Error('PAYMENT_MOCK_SECRET must be set to enable the mock payment gateway')
+      }
+      if (BUILT_IN[id]) return BUILT_IN[id]
+      console.warn(`Warning: payment gateway '${id}' is not available, skipping`)
+      return null
+    })
+    .filter(Boolean)
+}
+
+const gateways = loadGateways()
+
+export function getGateways() {
+  return gateways
+}
+
+export function getGateway(id) {
+  return gateways.find(gateway => gateway.id === id) || null
+}
+
+export function getDefaultGateway() {
+  return getGateway(process.env.PAYMENT_GATEWAY) || gateways[0] || null
+}
@@ -0,0 +1,32 @@
+import { jest } from '@jest/globals'
+
+const env = { ...process.env }
+
+afterEach(() => {
+  process.env = { ...env }
+  jest.resetModules()
+})
+
+describe('payment gateway registry', () => {
+  test('enables no gateway unless configured', async () => {
+    delete process.env.PAYMENT_GATEWAYS
+    const { getGateways } = await import('./index.js')
+
+    expect(getGateways()).toEqual([])
+  })
+
+  test('refuses to load the mock gateway without its own secret', async () => {
+    process.env.PAYMENT_GATEWAYS = 'mock'
+    delete process.env.PAYMENT_MOCK_SECRET
+
+    await expect(import('./index.js')).rejects.toThrow('PAYMENT_MOCK_SECRET')
+  })
+
+  test('loads the mock gateway when listed with a secret', async () => {
+    process.env.PAYMENT_GATEWAYS = 'mock'
+    process.env.PAYMENT_MOCK_SECRET = 'test-mock-secret'
+    const { getGateways } = await import('./index.js')
+
+    expect(getGateways().map(gateway => gateway.id)).toEqual(['mock'])
+  })
+})
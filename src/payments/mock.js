@@ -0,0 +1,89 @@
+import crypto from 'crypto'
+import { signPayload } from '../middleware/providerAuth.js'
+
+// Local payment gateway for development and testing. Invoices live in memory;
+// "paying" one through /api/payments/mock/:invoiceId sends a signed webhook back
+// to this server exactly like a real gateway would. Only admins can pay invoices,
+// and only for the amount invoiced.
+
+export const GATEWAY_ID = 'mock'
+
+const INVOICE_TTL_MS = 60 * 60 * 1000
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+const secret = process.env.PAYMENT_MOCK_SECRET
+const invoices = new Map()
+
+export function getMockInvoice(invoiceId) {
+  return invoices.get(invoiceId) || null
+}
+
+// Body and headers of the webhook the mock gateway sends for an invoice
+export function buildMockWebhook(invoice, status) {
+  const body = JSON.stringify({
+    event_id: `evt_${crypto.randomUUID()}`,
+    invoice_id: invoice.id,
+    status,
+    amount: invoice.amount,
+    currency: invoice.currency
+  })
+  const timestamp = String(Date.now())
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Timestamp': timestamp,
+      'X-Signature': signPayload(secret, timestamp, body)
+    }
+  }
+}
+
+export const gateway = {
+  id: GATEWAY_ID,
+  name: 'Mock Gateway',
+
+  async createInvoice({ transaction, amount, currency, method, baseUrl }) {
+    const id = `mock_${crypto.randomUUID()}`
+    const expiresAt = new Date(Date.now() + INVOICE_TTL_MS).toISOString()
+
+    invoices.set(id, {
+      id,
+      transaction_id: transaction.id,
+      amount,
+      currency,
+      method,
+      status: 'pending',
+      expires_at: expiresAt
+    })
+
+    return {
+      invoice_id: id,
+      payment_url: `${baseUrl}/api/payments/mock/${id}`,
+      address: method === 'crypto' ? `mock-${currency.toLowerCase()}-${id.slice(-12)}` : null,
+      expires_at: expiresAt
+    }
+  },
+
+  verifyWebhook(req) {
+    const timestamp = req.get('X-Timestamp')
+    const signature = req.get('X-Signature')
+
+    if (!timestamp || !signature || !/^[0-9a-f]+$/i.test(signature)) return false
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) return false
+
+    const expected = Buffer.from(signPayload(secret, timestamp, req.rawBody || ''), 'hex')
+    const actual = Buffer.from(signature, 'hex')
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+  },
+
+  parseWebhook(body) {
+    return {
+      event_id: body.event_id,
+      invoice_id: body.invoice_id,
+      status: body.status,
+      amount: typeof body.amount === 'number' ? body.amount : null,
+      currency: body.currency
+    }
+  }
+}
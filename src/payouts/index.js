@@ -0,0 +1,34 @@
+import { adapter as mock } from './mock.js'
+
+// Payout (custody) adapter registry.
+//
+// Every adapter implements:
+//   id, name
+//   send({ reference, network, address, memo, amount, currency })
+//       -> { payout_id, tx_hash? }   the adapter has accepted the payout
+//       reference is the withdrawal ID; sending the same reference twice must not pay twice
+//   getPayout(payout_id)
+//       -> { status: 'pending' | 'broadcast' | 'confirmed' | 'failed', tx_hash?, error? }
+//
+// PAYOUT_ADAPTER picks the adapter and must be set: 'manual' means there is none
+// and approved withdrawals have to be paid out by hand. The server won't start
+// without it, so a missing setting never falls back to the mock.
+
+const BUILT_IN = { mock }
+
+function loadAdapter() {
+  const id = process.env.PAYOUT_ADAPTER?.trim()
+  if (!id) {
+    throw new Error(`PAYOUT_ADAPTER must be set (one of: manual, ${Object.keys(BUILT_IN).join(', ')})`)
+  }
+  if (id === 'manual') return null
+
+  if (BUILT_IN[id]) return BUILT_IN[id]
+  throw new Error(`Payout adapter '${id}' is not available`)
+}
+
+const adapter = loadAdapter()
+
+export function getPayoutAdapter() {
+  return adapter
+}
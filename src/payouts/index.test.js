@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals'
+
+const env = { ...process.env }
+
+afterEach(() => {
+  process.env = { ...env }
+  jest.resetModules()
+})
+
+describe('payout adapter registry', () => {
+  test('refuses to start without PAYOUT_ADAPTER', async () => {
+    delete process.env.PAYOUT_ADAPTER
+
+    await expect(import('./index.js')).rejects.toThrow('PAYOUT_ADAPTER must be set')
+  })
+
+  test('refuses an unknown adapter', async () => {
+    process.env.PAYOUT_ADAPTER = 'acme'
+
+    await expect(import('./index.js')).rejects.toThrow("Payout adapter 'acme' is not available")
+  })
+
+  test('manual means no adapter', async () => {
+    process.env.PAYOUT_ADAPTER = 'manual'
+    const { getPayoutAdapter } = await import('./index.js')
+
+    expect(getPayoutAdapter()).toBeNull()
+  })
+
+  test('loads the mock only when asked for', async () => {
+    process.env.PAYOUT_ADAPTER = 'mock'
+    const { getPayoutAdapter } = await import('./index.js')
+
+    expect(getPayoutAdapter().id).toBe('mock')
+  })
+})
+
+describe('mock payout adapter', () => {
+  test('never reports a payout it has lost as failed', async () => {
+    const { adapter } = await import('./mock.js')
+
+    await expect(adapter.getPayout('payout_lost')).rejects.toThrow('Unknown payout')
+  })
+})
@@ -0,0 +1,54 @@
+import crypto from 'crypto'
+
+// Local payout adapter for development and testing. Payouts live in memory, are
+// "broadcast" straight away with a random tx hash and confirm after
+// PAYOUT_MOCK_CONFIRM_MS. PAYOUT_MOCK_FAIL_RATE (0-1) makes sends fail at random
+// so retries can be exercised.
+
+const CONFIRM_MS = parseInt(process.env.PAYOUT_MOCK_CONFIRM_MS || '30000')
+const FAIL_RATE = parseFloat(process.env.PAYOUT_MOCK_FAIL_RATE || '0')
+
+const payouts = new Map()
+
+export const adapter = {
+  id: 'mock',
+  name: 'Mock Payouts',
+
+  async send({ reference, network, address, memo, amount, currency }) {
+    // Same reference, same payout: a retried send never pays twice
+    const existing = [...payouts.values()].find(payout => payout.reference === reference)
+    if (existing) return { payout_id: existing.id, tx_hash: existing.tx_hash }
+
+    if (Math.random() < FAIL_RATE) {
+      throw new Error('Mock payout failure')
+    }
+
+    const payout = {
+      id: `payout_${crypto.randomUUID()}`,
+      reference,
+      network,
+      address,
+      memo,
+      amount,
+      currency,
+      tx_hash: crypto.randomBytes(32).toString('hex'),
+      broadcast_at: Date.now()
+    }
+    payouts.set(payout.id, payout)
+
+    return { payout_id: payout.id, tx_hash: payout.tx_hash }
+  },
+
+  async getPayout(payoutId) {
+    const payout = payouts.get(payoutId)
+
+    // Lost on restart. It may well have been paid, so never report it as failed:
+    // the withdrawal stays broadcast and the error is logged for an admin to check.
+    if (!payout) throw new Error(`Unknown payout ${payoutId}`)
+
+    return {
+      status: Date.now() - payout.broadcast_at >= CONFIRM_MS ? 'confirmed' : 'broadcast',
+      tx_hash: payout.tx_hash
+    }
+  }
+}
@@ -0,0 +1,120 @@
+import fetch from 'node-fetch'
+import NodeCache from 'node-cache'
+
+// Generic adapter for JSON game aggregators, one instance per configured aggregator.
+// The aggregator is expected to expose (Bearer API key):
+//   GET  /games                 -> { games: [...] } or [...]
+//   GET  /games/:id             -> game
+//   POST /sessions              -> { launch_url }
+//   GET  /bets?from=&to=&page=  -> { bets: [...], total }
+//   GET  /health                -> 200 when up
+
+// Cache game lists for 10 minutes
+const cache = new NodeCache({ stdTTL: 600 })
+
+// Aggregator game IDs are namespaced so they can't collide across adapters
+function toGameId(adapterId, gameId) {
+  return `${adapterId}:${gameId}`
+}
+
+function fromGameId(adapterId, gameId) {
+  const prefix = `${adapterId}:`
+  return gameId.startsWith(prefix) ? gameId.slice(prefix.length) : null
+}
+
+export function createAggregatorAdapter({ id, name, baseUrl, apiKey }) {
+  async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+        ...options.headers
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`${name} error: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  function normalizeGame(game) {
+    return {
+      id: toGameId(id, String(game.id)),
+      external_id: String(game.id),
+      name: game.name || game.title,
+      provider: game.provider || game.studio || name,
+      provider_id: id,
+      category: (game.category || 'slots').toLowerCase(),
+      thumbnail: game.thumbnail || game.image || null,
+      description: game.description || null,
+      rtp: game.rtp || null,
+      isNew: !!game.is_new,
+      isHot: !!game.is_hot
+    }
+  }
+
+  return {
+    id,
+    name,
+
+    ownsGame(gameId) {
+      return fromGameId(id, gameId) !== null
+    },
+
+    async listGames() {
+      const cached = cache.get(`${id}:games`)
+      if (cached) return cached
+
+      const data = await request('/games')
+      const games = (Array.isArray(data) ? data : data.games || []).map(normalizeGame)
+
+      cache.set(`${id}:games`, games)
+      return games
+    },
+
+    async getGame(gameId) {
+      const externalId = fromGameId(id, gameId)
+      if (!externalId) return null
+
+      try {
+        return normalizeGame(await request(`/games/${encodeURIComponent(externalId)}`))
+      } catch (error) {
+        console.error(`${name} get game error:`, error)
+        return null
+      }
+    },
+
+    async getLaunchUrl({ game, playerId, currency, mode, token, returnUrl }) {
+      const data = await request('/sessions', {
+        method: 'POST',
+        body: JSON.stringify({
+          game_id: game.external_id || fromGameId(id, game.id),
+          player_id: playerId,
+          currency,
+          mode,
+          token,
+          return_url: returnUrl
+        })
+      })
+
+      return data.launch_url || data.url
+    },
+
+    async fetchBets({ page = 1, limit = 25, startDate, endDate } = {}) {
+      const params = new URLSearchParams({ page, limit })
+      if (startDate) params.set('from', startDate)
+      if (endDate) params.set('to', endDate)
+
+      const data = await request(`/bets?${params}`)
+      return { bets: data.bets || [], total: data.total || 0 }
+    },
+
+    async health() {
+      await request('/health')
+      return { ok: true }
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { adapter as inhouse } from './inhouse.js'
+import { adapter as rapidapi } from './rapidapi.js'
+import { createAggregatorAdapter } from './aggregator.js'
+
+// Game provider registry.
+//
+// Every adapter implements:
+//   id, name
+//   ownsGame(gameId)                       -> boolean
+//   listGames()                            -> [game]
+//   getGame(gameId)                        -> game | null
+//   getLaunchUrl({ game, playerId, currency, mode, token, returnUrl }) -> url
+//   fetchBets({ page, limit, startDate, endDate }) -> { bets, total }
+//   health()                               -> { ok }
+//
+// GAME_PROVIDERS picks the enabled adapters, e.g. 'inhouse,rapidapi,hub88' (default 'inhouse';
+// rapidapi is a free-to-play demo catalog, not real-money games).
+// Any ID that isn't built in is treated as a JSON aggregator configured with
+// PROVIDER_<ID>_URL, PROVIDER_<ID>_KEY and optionally PROVIDER_<ID>_NAME.
+
+const BUILT_IN = { inhouse, rapidapi }
+
+function envKey(id) {
+  return id.toUpperCase().replace(/[^A-Z0-9]/g, '_')
+}
+
+function loadAdapters() {
+  const ids = (process.env.GAME_PROVIDERS || 'inhouse')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+
+  return ids.map(id => {
+    if (BUILT_IN[id]) return BUILT_IN[id]
+
+    const baseUrl = process.env[`PROVIDER_${envKey(id)}_URL`]
+    const apiKey = process.env[`PROVIDER_${envKey(id)}_KEY`]
+
+    if (!baseUrl || !apiKey) {
+      console.warn(`Warning: game provider '${id}' is enabled but not configured, skipping`)
+      return null
+    }
+
+    return createAggregatorAdapter({
+      id,
+      name: process.env[`PROVIDER_${envKey(id)}_NAME`] || id,
+      baseUrl,
+      apiKey
+    })
+  }).filter(Boolean)
+}
+
+const adapters = loadAdapters()
+
+export function getAdapters() {
+  return adapters
+}
+
+export function getAdapter(id) {
+  return adapters.find(adapter => adapter.id === id) || null
+}
+
+export function getAdapterForGame(gameId) {
+  return adapters.find(adapter => adapter.ownsGame(String(gameId))) || null
+}
+
+// Merge the catalogs of every enabled adapter.
+// An adapter that fails is skipped so one outage doesn't empty the lobby.
+export async function listGames({ provider = 'all' } = {}) {
+  const sources = provider === 'all'
+    ? adapters
+    : adapters.filter(adapter => adapter.id === provider)
+
+  const results = await Promise.allSettled(sources.map(adapter => adapter.listGames()))
+
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return result.value
+    console.error(`List games error (${sources[index].id}):`, result.reason)
+    return []
+  })
+}
+
+export async function getGame(gameId) {
+  const adapter = getAdapterForGame(gameId)
+  return adapter ? adapter.getGame(String(gameId)) : null
+}
+
+// Studios across all adapters (e.g. Pragmatic Play via an aggregator), with game counts
+export async function listProviders() {
+  const games = await listGames()
+  const studios = new Map()
+
+  for (const game of games) {
+    const name = game.provider || 'Unknown'
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    const studio = studios.get(id) || { id, name, logo: null, sources: [], games: 0 }
+
+    studio.games += 1
+    if (!studio.sources.includes(game.provider_id)) studio.sources.push(game.provider_id)
+    studios.set(id, studio)
+  }
+
+  return [...studios.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export async function checkHealth() {
+  return Promise.all(adapters.map(async adapter => {
+    const started = Date.now()
+    try {
+      const result = await adapter.health()
+      return { id: adapter.id, name: adapter.name, ok: !!result.ok, latency_ms: Date.now() - started }
+    } catch (error) {
+      return { id: adapter.id, name: adapter.name, ok: false, error: error.message, latency_ms: Date.now() - started }
+    }
+  }))
+}
@@ -0,0 +1,29 @@
+import { jest } from '@jest/globals'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('../lib/supabase.js', () => ({ supabase: db.client }))
+
+describe('GAME_PROVIDERS', () => {
+  const original = process.env.GAME_PROVIDERS
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.GAME_PROVIDERS
+    else process.env.GAME_PROVIDERS = original
+    jest.resetModules()
+  })
+
+  test('enables only the in-house games by default', async () => {
+    delete process.env.GAME_PROVIDERS
+    const { getAdapters } = await import('./index.js')
+
+    expect(getAdapters().map(adapter => adapter.id)).toEqual(['inhouse'])
+  })
+
+  test('enables the listed adapters', async () => {
+    process.env.GAME_PROVIDERS = 'inhouse, rapidapi'
+    const { getAdapters } = await import('./index.js')
+
+    expect(getAdapters().map(adapter => adapter.id)).toEqual(['inhouse', 'rapidapi'])
+  })
+})
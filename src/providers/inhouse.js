@@ -0,0 +1,274 @@
+import { supabase } from '../lib/supabase.js'
+import { generateFloats, nextRound } from '../lib/fairness.js'
+import { settleBet } from '../lib/settlement.js'
+
+// In-house provably-fair games: crash, dice and plinko.
+// Results are pure functions of (server seed, client seed, nonce, params), so any
+// round can be re-computed by the player once the server seed is revealed.
+
+export const PROVIDER_ID = 'inhouse'
+
+// 1% house edge on every game
+const HOUSE_EDGE = 0.01
+
+const PLINKO_PAYOUTS = {
+  8: {
+    low: [5.6, 2.1, 1.1, 1, 0.5, 1, 1.1, 2.1, 5.6],
+    medium: [13, 3, 1.3, 0.7, 0.4, 0.7, 1.3, 3, 13],
+    high: [29, 4, 1.5, 0.3, 0.2, 0.3, 1.5, 4, 29]
+  },
+  12: {
+    low: [10, 3, 1.6, 1.4, 1.1, 1, 0.5, 1, 1.1, 1.4, 1.6, 3, 10],
+    medium: [33, 11, 4, 2, 1.1, 0.6, 0.3, 0.6, 1.1, 2, 4, 11, 33],
+    high: [170, 24, 8.1, 2, 0.7, 0.2, 0.2, 0.2, 0.7, 2, 8.1, 24, 170]
+  },
+  16: {
+    low: [16, 9, 2, 1.4, 1.4, 1.2, 1.1, 1, 0.5, 1, 1.1, 1.2, 1.4, 1.4, 2, 9, 16],
+    medium: [110, 41, 10, 5, 3, 1.5, 1, 0.5, 0.3, 0.5, 1, 1.5, 3, 5, 10, 41, 110],
+    high: [1000, 130, 26, 9, 4, 2, 0.2, 0.2, 0.2, 0.2, 0.2, 2, 4, 9, 26, 130, 1000]
+  }
+}
+
+const MAX_CRASH_TARGET = 1000000
+
+function round2(value) {
+  return Math.floor(value * 100) / 100
+}
+
+// Crash: the player picks an auto cash-out; they win if the round busts at or above it
+const crash = {
+  validate(params = {}) {
+    const target = Number(params.cashout_at)
+    if (!Number.isFinite(target) || target < 1.01 || target > MAX_CRASH_TARGET) {
+      return { error: `cashout_at must be between 1.01 and ${MAX_CRASH_TARGET}` }
+    }
+    return { params: { cashout_at: round2(target) } }
+  },
+
+  maxMultiplier(params) {
+    return params.cashout_at
+  },
+
+  crashPoint(float) {
+    return Math.max(1, round2((1 - HOUSE_EDGE) / (1 - float)))
+  },
+
+  resolve(params, floats) {
+    const crashPoint = this.crashPoint(floats[0])
+    const won = crashPoint >= params.cashout_at
+    return {
+      result: { crash_point: crashPoint },
+      multiplier: won ? params.cashout_at : 0
+    }
+  },
+
+  floatCount() {
+    return 1
+  }
+}
+
+// Dice: roll 0.00–100.00, win by rolling under/over the target
+const dice = {
+  validate(params = {}) {
+    const target = Number(params.target)
+    const direction = params.direction || 'under'
+
+    if (!['under', 'over'].includes(direction)) {
+      return { error: "direction must be 'under' or 'over'" }
+    }
+
+    const winChance = direction === 'under' ? target : 100 - target
+    if (!Number.isFinite(target) || winChance < 0.01 || winChance > 98) {
+      return { error: 'target must give a win chance between 0.01 and 98' }
+    }
+
+    return { params: { target: round2(target), direction } }
+  },
+
+  payout(params) {
+    const winChance = params.direction === 'under' ? params.target : 100 - params.target
+    return Math.floor(((100 * (1 - HOUSE_EDGE)) / winChance) * 10000) / 10000
+  },
+
+  maxMultiplier(params) {
+    return this.payout(params)
+  },
+
+  resolve(params, floats) {
+    const roll = Math.floor(floats[0] * 10001) / 100
+    const won = params.direction === 'under' ? roll < params.target : roll > params.target
+    return {
+      result: { roll },
+      multiplier: won ? this.payout(params) : 0
+    }
+  },
+
+  floatCount() {
+    return 1
+  }
+}
+
+// Plinko: one float per row decides left/right, the bucket sets the payout
+const plinko = {
+  validate(params = {}) {
+    const rows = Number(params.rows || 16)
+    const risk = params.risk || 'medium'
+
+    if (!PLINKO_PAYOUTS[rows]) {
+      return { error: `rows must be one of ${Object.keys(PLINKO_PAYOUTS).join(', ')}` }
+    }
+    if (!PLINKO_PAYOUTS[rows][risk]) {
+      return { error: "risk must be 'low', 'medium' or 'high'" }
+    }
+
+    return { params: { rows, risk } }
+  },
+
+  maxMultiplier(params) {
+    return Math.max(...PLINKO_PAYOUTS[params.rows][params.risk])
+  },
+
+  resolve(params, floats) {
+    const path = floats.map(f => (f < 0.5 ? 'L' : 'R'))
+    const bucket = path.filter(step => step === 'R').length
+    return {
+      result: { path: path.join(''), bucket },
+      multiplier: PLINKO_PAYOUTS[params.rows][params.risk][bucket]
+    }
+  },
+
+  floatCount(params) {
+    return params.rows
+  }
+}
+
+export const ENGINES = { crash, dice, plinko }
+
+export const GAMES = [
+  { id: 'inhouse-crash', engine: 'crash', name: 'Crash', category: 'crash' },
+  { id: 'inhouse-dice', engine: 'dice', name: 'Dice', category: 'crash' },
+  { id: 'inhouse-plinko', engine: 'plinko', name: 'Plinko', category: 'crash' }
+].map(game => ({
+  ...game,
+  provider: 'Cryptino Originals',
+  provider_id: PROVIDER_ID,
+  thumbnail: null,
+  provably_fair: true,
+  rtp: (1 - HOUSE_EDGE) * 100
+}))
+
+export function getInhouseGame(gameId) {
+  return GAMES.find(game => game.id === gameId) || null
+}
+
+export function isInhouseGame(gameId) {
+  return !!getInhouseGame(gameId)
+}
+
+// Validate and normalise a player's bet parameters for a game
+export function validateParams(gameId, params) {
+  const game = getInhouseGame(gameId)
+  if (!game) return { error: 'Unknown in-house game' }
+  return ENGINES[game.engine].validate(params)
+}
+
+export function getMaxMultiplier(gameId, params) {
+  const game = getInhouseGame(gameId)
+  return ENGINES[game.engine].maxMultiplier(params)
+}
+
+// Compute a round's result from its seeds. Same inputs always give the same result.
+export function resolveRound({ gameId, params, serverSeed, clientSeed, nonce }) {
+  const engine = ENGINES[getInhouseGame(gameId).engine]
+  const floats = generateFloats({
+    serverSeed,
+    clientSeed,
+    nonce,
+    count: engine.floatCount(params)
+  })
+  return engine.resolve(params, floats)
+}
+
+// Resolve a freshly placed (pending) bet on the player's active seed and settle it
+export async function playRound({ bet, params }) {
+  const round = await nextRound(bet.user_id)
+  const { result, multiplier } = resolveRound({
+    gameId: bet.game_id,
+    params,
+    serverSeed: round.serverSeed,
+    clientSeed: round.clientSeed,
+    nonce: round.nonce
+  })
+
+  await supabase
+    .from('bets')
+    .update({
+      seed_id: round.seedId,
+      nonce: round.nonce,
+      game_data: {
+        params,
+        result,
+        server_seed_hash: round.serverSeedHash,
+        client_seed: round.clientSeed
+      }
+    })
+    .eq('id', bet.id)
+
+  const winAmount = Math.round(bet.stake * multiplier * 1e8) / 1e8
+  let outcome = 'win'
+  if (multiplier === 0) outcome = 'loss'
+  if (multiplier === 1) outcome = 'push'
+
+  return settleBet({
+    bet,
+    outcome,
+    winAmount,
+    multiplier,
+    source: 'engine'
+  })
+}
+
+// Provider adapter (see providers/index.js)
+export const adapter = {
+  id: PROVIDER_ID,
+  name: 'Cryptino Originals',
+
+  ownsGame(gameId) {
+    return isInhouseGame(gameId)
+  },
+
+  async listGames() {
+    return GAMES
+  },
+
+  async getGame(gameId) {
+    return getInhouseGame(gameId)
+  },
+
+  // In-house games run in our own frontend
+  async getLaunchUrl({ game, token }) {
+    const url = `${process.env.FRONTEND_URL || ''}/originals/${game.engine}`
+    return token ? `${url}?session=${encodeURIComponent(token)}` : url
+  },
+
+  async fetchBets({ page = 1, limit = 25, startDate, endDate } = {}) {
+    let query = supabase
+      .from('bets')
+      .select('*', { count: 'exact' })
+      .eq('provider', PROVIDER_ID)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (startDate) query = query.gte('created_at', startDate)
+    if (endDate) query = query.lte('created_at', endDate)
+
+    const { data: bets, error, count } = await query
+    if (error) throw error
+
+    return { bets: bets || [], total: count || 0 }
+  },
+
+  async health() {
+    return { ok: true }
+  }
+}
@@ -98,8 +98,10 @@ export async function fetchGames({ provider = 'all', page = 1, limit = 50, categ
     cache.set(cacheKey, result)
     return result
   } catch (error) {
+    // Fail loudly so a catalog sync keeps the last good games instead of
+    // replacing them with placeholders
     console.error('Fetch games error:', error)
-    return getEnhancedMockGames(provider, category)
+    throw error
   }
 }
 
@@ -161,73 +163,35 @@ export async function fetchGameById(id) {
   }
 }
 
-// Fetch bets (mock - would need real casino API for actual bets)
-export async function fetchBets({ 
-  provider = 'spribe', 
-  page = 1, 
-  limit = 25, 
-  startDate, 
-  endDate 
-}) {
-  return getMockBets()
-}
+// Provider adapter (see providers/index.js). Serves the free-to-play demo catalog.
+export const adapter = {
+  id: 'rapidapi',
+  name: 'RapidAPI demo catalog',
 
-// Enhanced mock games with realistic casino data
-function getEnhancedMockGames(provider, category) {
-  const games = [
-    { id: '1', name: 'Sweet Bonanza 1000', provider: 'Pragmatic Play', category: 'slots', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1596838132731-3301c3fd4317?w=400', players: 45230, rating: '4.8' },
-    { id: '2', name: 'Gates of Olympus 1000', provider: 'Pragmatic Play', category: 'slots', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1518770660439-4636190af475?w=400', players: 38420, rating: '4.9' },
-    { id: '3', name: 'Aviator', provider: 'Spribe', category: 'crash', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1436891620584-47fd0e565afb?w=400', players: 52100, rating: '4.7' },
-    { id: '4', name: 'Le Viking', provider: 'Hacksaw Gaming', category: 'slots', thumbnail: 'https://images.unsplash.com/photo-1534796636912-3b95b3ab5986?w=400', players: 12340, rating: '4.5' },
-    { id: '5', name: 'Wanted Dead or Wild', provider: 'Hacksaw Gaming', category: 'slots', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1539186607619-df476afe6ff1?w=400', players: 28900, rating: '4.6' },
-    { id: '6', name: 'Space XY', provider: 'BGaming', category: 'crash', thumbnail: 'https://images.unsplash.com/photo-1518133910546-b6c2fb7d79e3?w=400', players: 19500, rating: '4.4' },
-    { id: '7', name: 'Lightning Roulette', provider: 'Evolution Gaming', category: 'live', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1606167668584-78701c57f13d?w=400', players: 67800, rating: '4.9' },
-    { id: '8', name: 'Blackjack VIP', provider: 'Evolution Gaming', category: 'live', thumbnail: 'https://images.unsplash.com/photo-1541278107931-e006523892df?w=400', players: 34200, rating: '4.8' },
-    { id: '9', name: 'Sugar Rush 1000', provider: 'Pragmatic Play', category: 'slots', isNew: true, thumbnail: 'https://images.unsplash.com/photo-1563941433-b6a094db1719?w=400', players: 22100, rating: '4.6' },
-    { id: '10', name: 'Crazy Time', provider: 'Evolution Gaming', category: 'live', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1596731497977-f4f7d14bcc75?w=400', players: 89000, rating: '4.9' },
-    { id: '11', name: 'Book of Dead', provider: 'Play\'n GO', category: 'slots', thumbnail: 'https://images.unsplash.com/photo-1550745165-9bc0b252726f?w=400', players: 41200, rating: '4.7' },
-    { id: '12', name: 'Mega Moolah', provider: 'Microgaming', category: 'slots', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1553481187-be93c21490a9?w=400', players: 56700, rating: '4.8' },
-    { id: '13', name: 'Gonzo\'s Quest', provider: 'NetEnt', category: 'slots', thumbnail: 'https://images.unsplash.com/photo-1605870445919-838d190e8e1b?w=400', players: 33400, rating: '4.6' },
-    { id: '14', name: 'Starburst', provider: 'NetEnt', category: 'slots', thumbnail: 'https://images.unsplash.com/photo-1462331940025-496dfbfc7564?w=400', players: 44100, rating: '4.5' },
-    { id: '15', name: 'Baccarat Squeeze', provider: 'Evolution Gaming', category: 'live', thumbnail: 'https://images.unsplash.com/photo-1585314062340-f1a5a7c9328d?w=400', players: 25600, rating: '4.7' },
-    { id: '16', name: 'JetX', provider: 'SmartSoft', category: 'crash', isNew: true, thumbnail: 'https://images.unsplash.com/photo-1446776811953-b23d57bd21aa?w=400', players: 31200, rating: '4.6' },
-    { id: '17', name: 'Plinko', provider: 'Spribe', category: 'crash', thumbnail: 'https://images.unsplash.com/photo-1511512578047-dfb367046420?w=400', players: 27800, rating: '4.5' },
-    { id: '18', name: 'Dice', provider: 'Spribe', category: 'crash', thumbnail: 'https://images.unsplash.com/photo-1522069169874-c58ec4b76be5?w=400', players: 18900, rating: '4.4' },
-    { id: '19', name: 'Dragon Tiger', provider: 'Evolution Gaming', category: 'live', thumbnail: 'https://images.unsplash.com/photo-1494059980473-813e73ee784b?w=400', players: 42300, rating: '4.7' },
-    { id: '20', name: 'Monopoly Live', provider: 'Evolution Gaming', category: 'live', isHot: true, thumbnail: 'https://images.unsplash.com/photo-1609743522653-52354461eb27?w=400', players: 78500, rating: '4.9' },
-  ]
-
-  let filtered = games
-  if (category && category !== 'all') {
-    filtered = filtered.filter(g => g.category === category)
-  }
-  if (provider && provider !== 'all') {
-    filtered = filtered.filter(g => g.provider.toLowerCase().includes(provider.toLowerCase()))
-  }
+  ownsGame(gameId) {
+    return /^\d+$/.test(gameId)
+  },
 
-  return { games: filtered, total: filtered.length, rapidapi_configured: true }
-}
+  async listGames() {
+    const result = await fetchGames({ page: 1, limit: 1000 })
+    return (result.games || []).map(game => ({ ...game, provider_id: 'rapidapi' }))
+  },
 
-// Mock bets for development
-function getMockBets() {
-  const gameNames = ['Aviator', 'Sweet Bonanza', 'Gates of Olympus', 'Lightning Roulette', 'Crazy Time', 'Space XY', 'JetX']
-  const outcomes = ['win', 'loss']
-  
-  const bets = Array.from({ length: 50 }, (_, i) => {
-    const isWin = Math.random() > 0.45
-    const stake = (Math.random() * 100 + 5).toFixed(2)
-    const multiplier = (Math.random() * 5 + 1).toFixed(2)
-    return {
-      id: `bet_${i + 1}`,
-      user_id: `user_${Math.floor(Math.random() * 100)}`,
-      game_name: gameNames[Math.floor(Math.random() * gameNames.length)],
-      stake: parseFloat(stake),
-      outcome: isWin ? 'win' : 'loss',
-      win_amount: isWin ? (stake * multiplier).toFixed(2) : '0.00',
-      multiplier: isWin ? multiplier : '0.00',
-      created_at: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString()
-    }
-  })
+  async getGame(gameId) {
+    const game = await fetchGameById(gameId)
+    return game && { ...game, provider_id: 'rapidapi' }
+  },
+
+  async getLaunchUrl({ game }) {
+    return game.game_url || null
+  },
 
-  return { bets, total: bets.length, page: 1, limit: 50 }
+  // The demo catalog has no bet feed
+  async fetchBets() {
+    return { bets: [], total: 0 }
+  },
+
+  async health() {
+    return { ok: isConfigured() }
+  }
 }
@@ -0,0 +1,36 @@
+import { jest } from '@jest/globals'
+
+const fetch = jest.fn()
+jest.unstable_mockModule('node-fetch', () => ({ default: fetch }))
+
+const { adapter, fetchGames } = await import('./rapidapi.js')
+
+describe('fetchGames', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterAll(() => jest.restoreAllMocks())
+
+  test('maps the API catalog to games', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => [{ id: 7, title: 'Game', publisher: 'Studio', genre: 'Card Game' }]
+    })
+
+    const result = await fetchGames({ category: 'table' })
+
+    expect(result.games).toMatchObject([{ id: '7', name: 'Game', provider: 'Studio', category: 'table' }])
+  })
+
+  test('throws when the API answers with an error', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+    await expect(fetchGames({ category: 'slots' })).rejects.toThrow('RapidAPI error: 503')
+  })
+
+  test('throws when the API cannot be reached, failing the adapter\'s listing', async () => {
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+    await expect(adapter.listGames()).rejects.toThrow('ECONNRESET')
+  })
+})
@@ -0,0 +1,469 @@
+import { WebSocketServer } from 'ws'
+import { resolveSession } from '../middleware/auth.js'
+import { describeAccountState, getAccess } from '../lib/accountState.js'
+import { supabase, getUserProfile } from '../lib/supabase.js'
+import { generateServerSeed, hashServerSeed, generateFloats } from '../lib/fairness.js'
+import { LedgerError } from '../lib/ledger.js'
+import { placeBet } from '../lib/bets.js'
+import { settleBet, getMaxWin } from '../lib/settlement.js'
+import { ENGINES } from '../providers/inhouse.js'
+import { ResponsibleGamingError, checkBet, recordPlay } from '../lib/responsibleGaming.js'
+
+// Shared real-time crash rounds over WebSocket.
+//
+// Each table (Aviator, JetX, Space XY) runs its own loop:
+//   betting (BETTING_MS) -> running (multiplier ticks) -> crashed (COOLDOWN_MS) -> next round
+// Crash points are committed up front as the hash of a per-round server seed and
+// derived like the in-house crash game; the seed is revealed when the round busts.
+//
+// Clients connect to /ws/crash?game=<table>&token=<Supabase JWT> and send JSON:
+//   { type: 'bet', stake, currency, auto_cashout?, request_id? }
+//   { type: 'cashout', request_id? }
+
+const BETTING_MS = parseInt(process.env.CRASH_BETTING_MS || '7000')
+const COOLDOWN_MS = parseInt(process.env.CRASH_COOLDOWN_MS || '3000')
+const TICK_MS = 100
+const HEARTBEAT_MS = 30000
+
+const TABLES = [
+  { id: 'aviator', name: 'Aviator' },
+  { id: 'jetx', name: 'JetX' },
+  { id: 'space-xy', name: 'Space XY' }
+]
+
+// Multiplier curve: doubles roughly every 11.5 seconds
+function multiplierAt(elapsedMs) {
+  return Math.floor(Math.pow(Math.E, 0.00006 * elapsedMs) * 100) / 100
+}
+
+// Player-facing errors (sent back over the socket as-is)
+class CrashError extends Error {}
+
+function round8(value) {
+  return Math.round(value * 1e8) / 1e8
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message))
+  }
+}
+
+function createTable({ id, name }) {
+  const sockets = new Set()
+  let round = null
+  let roundNumber = 0
+  let timer = null
+
+  function broadcast(message) {
+    for (const socket of sockets) send(socket, message)
+  }
+
+  function publicRound() {
+    if (!round) return null
+    return {
+      round_id: round.id,
+      game_id: id,
+      phase: round.phase,
+      server_seed_hash: round.serverSeedHash,
+      betting_ends_at: round.bettingEndsAt,
+      multiplier: round.multiplier,
+      players: [...round.bets.values()].filter(entry => entry.bet).map(entry => ({
+        username: entry.username,
+        stake: entry.bet.stake,
+        currency: entry.bet.currency,
+        cashed_out_at: entry.cashedOutAt || null
+      }))
+    }
+  }
+
+  async function startRound() {
+    const serverSeed = generateServerSeed()
+    roundNumber += 1
+
+    const [float] = generateFloats({ serverSeed, clientSeed: id, nonce: roundNumber, count: 1 })
+
+    const { data: row, error } = await supabase
+      .from('crash_rounds')
+      .insert({
+        game_id: id,
+        round_number: roundNumber,
+        server_seed_hash: hashServerSeed(serverSeed),
+        status: 'betting'
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    round = {
+      id: row.id,
+      serverSeed,
+      serverSeedHash: row.server_seed_hash,
+      crashPoint: ENGINES.crash.crashPoint(float),
+      phase: 'betting',
+      bettingEndsAt: new Date(Date.now() + BETTING_MS).toISOString(),
+      startedAt: null,
+      multiplier: 1,
+      bets: new Map()
+    }
+
+    broadcast({ type: 'round', ...publicRound() })
+    timer = setTimeout(runRound, BETTING_MS)
+  }
+
+  async function runRound() {
+    round.phase = 'running'
+    round.startedAt = Date.now()
+
+    await supabase
+      .from('crash_rounds')
+      .update({ status: 'running', started_at: new Date(round.startedAt).toISOString() })
+      .eq('id', round.id)
+
+    broadcast({ type: 'running', round_id: round.id })
+    timer = setInterval(tick, TICK_MS)
+  }
+
+  function tick() {
+    const multiplier = Math.min(multiplierAt(Date.now() - round.startedAt), round.crashPoint)
+    round.multiplier = multiplier
+
+    for (const [userId, entry] of round.bets) {
+      if (!entry.bet || entry.cashedOutAt || entry.settling) continue
+
+      // Auto cash-out, and forced cash-out once the game's max win is reached
+      // (an auto cash-out at or below the crash point wins, as in the in-house crash game)
+      const hitsAuto = entry.autoCashout && multiplier >= entry.autoCashout &&
+        entry.autoCashout <= round.crashPoint
+      const hitsCap = entry.bet.stake * multiplier >= getMaxWin(id) && multiplier < round.crashPoint
+      if (hitsAuto || hitsCap) {
+        cashOut(userId, hitsAuto ? entry.autoCashout : multiplier).catch(error => {
+          console.error('Auto cash-out error:', error)
+        })
+      }
+    }
+
+    if (multiplier >= round.crashPoint) {
+      clearInterval(timer)
+      crash().catch(error => console.error('Crash round error:', error))
+      return
+    }
+
+    broadcast({ type: 'tick', round_id: round.id, multiplier })
+  }
+
+  async function crash() {
+    const finished = round
+    finished.phase = 'crashed'
+
+    broadcast({
+      type: 'crashed',
+      round_id: finished.id,
+      crash_point: finished.crashPoint,
+      server_seed: finished.serverSeed
+    })
+
+    await supabase
+      .from('crash_rounds')
+      .update({
+        status: 'crashed',
+        crash_point: finished.crashPoint,
+        server_seed: finished.serverSeed,
+        crashed_at: new Date().toISOString()
+      })
+      .eq('id', finished.id)
+
+    // Everyone still in lost their stake
+    for (const entry of finished.bets.values()) {
+      if (!entry.bet || entry.cashedOutAt || entry.settling) continue
+      entry.settling = true
+      await settleBet({
+        bet: entry.bet,
+        outcome: 'loss',
+        winAmount: 0,
+        multiplier: 0,
+        source: 'engine'
+      }).catch(error => console.error('Settle crash loss error:', error))
+    }
+
+    timer = setTimeout(() => {
+      startRound().catch(handleLoopError)
+    }, COOLDOWN_MS)
+  }
+
+  function handleLoopError(error) {
+    console.error(`Crash table ${id} error:`, error)
+    timer = setTimeout(() => startRound().catch(handleLoopError), COOLDOWN_MS)
+  }
+
+  async function placeRoundBet(session, { stake, currency = 'USD', auto_cashout }) {
+    if (!round || round.phase !== 'betting') {
+      throw new CrashError('Betting is closed for this round')
+    }
+
+    if (typeof stake !== 'number' || !(stake > 0)) {
+      throw new CrashError('Invalid stake')
+    }
+
+    if (auto_cashout !== undefined && auto_cashout !== null &&
+      (typeof auto_cashout !== 'number' || auto_cashout < 1.01)) {
+      throw new CrashError('auto_cashout must be at least 1.01')
+    }
+
+    if (round.bets.has(session.user.id)) {
+      throw new CrashError('You already have a bet in this round')
+    }
+
+    // Reserve the seat before any await so a double-send can't bet twice
+    const current = round
+    const entry = { bet: null, username: session.profile.username, autoCashout: auto_cashout || null }
+    current.bets.set(session.user.id, entry)
+
+    try {
+      const { data: wallet } = await supabase
+        .from('wallets')
+        .select('*')
+        .eq('user_id', session.user.id)
+        .eq('currency', currency)
+        .single()
+
+      if (!wallet) throw new CrashError('Wallet not found')
+
+      // Account state and limits are checked against the current profile, not the
+      // one the socket authenticated with (the player may have self-excluded since)
+      const profile = await getUserProfile(session.user.id)
+      if (!profile || !profile.is_active) throw new CrashError('Account is deactivated')
+      if (getAccess(profile) !== 'full') throw new CrashError(describeAccountState(profile))
+
+      await checkBet(profile, { stake, currency })
+
+      const { bet, wallet: updatedWallet } = await placeBet({
+        wallet,
+        gameId: id,
+        stake,
+        fields: { provider: 'inhouse', provider_round_id: current.id }
+      })
+      entry.bet = bet
+
+      await recordPlay(profile)
+
+      // The debit landed after the round already busted: the bet rode it and lost
+      if (current.phase === 'crashed' && !entry.settling) {
+        entry.settling = true
+        await settleBet({ bet, outcome: 'loss', winAmount: 0, multiplier: 0, source: 'engine' })
+      }
+
+      broadcast({
+        type: 'bet_placed',
+        round_id: current.id,
+        username: entry.username,
+        stake,
+        currency
+      })
+
+      return { bet, balance: updatedWallet.balance }
+    } catch (error) {
+      current.bets.delete(session.user.id)
+      throw error
+    }
+  }
+
+  async function cashOut(userId, atMultiplier) {
+    const current = round
+    const entry = current?.bets.get(userId)
+
+    if (!current || current.phase !== 'running') {
+      throw new CrashError('Round is not running')
+    }
+    if (!entry || !entry.bet) {
+      throw new CrashError('No active bet in this round')
+    }
+    if (entry.cashedOutAt || entry.settling) {
+      throw new CrashError('Already cashed out')
+    }
+
+    const multiplier = atMultiplier || current.multiplier
+    entry.settling = true
+    entry.cashedOutAt = multiplier
+
+    const winAmount = round8(entry.bet.stake * multiplier)
+    const bet = await settleBet({
+      bet: entry.bet,
+      outcome: 'win',
+      winAmount,
+      multiplier,
+      source: 'engine'
+    })
+
+    broadcast({
+      type: 'cashed_out',
+      round_id: current.id,
+      username: entry.username,
+      multiplier,
+      win_amount: winAmount
+    })
+
+    return { bet, multiplier, win_amount: winAmount }
+  }
+
+  async function start() {
+    const { data: last } = await supabase
+      .from('crash_rounds')
+      .select('round_number')
+      .eq('game_id', id)
+      .order('round_number', { ascending: false })
+      .limit(1)
+      .single()
+
+    roundNumber = last?.round_number || 0
+    await startRound()
+  }
+
+  function stop() {
+    clearTimeout(timer)
+    clearInterval(timer)
+  }
+
+  return {
+    id,
+    name,
+    sockets,
+    publicRound,
+    placeRoundBet,
+    cashOut,
+    start: () => start().catch(handleLoopError),
+    stop
+  }
+}
+
+async function handleMessage(table, socket, raw) {
+  let message
+  try {
+    message = JSON.parse(raw)
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid JSON' })
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return send(socket, { type: 'error', message: 'Message must be a JSON object' })
+  }
+
+  let requestId
+  try {
+    requestId = message.request_id
+
+    if (message.type === 'auth') {
+      const session = await resolveSession(message.token)
+      if (!session.user) {
+        return send(socket, { type: 'error', request_id: requestId, message: session.message })
+      }
+      socket.session = session
+      return send(socket, { type: 'authenticated', request_id: requestId, user_id: session.user.id })
+    }
+
+    if (message.type === 'bet' || message.type === 'cashout') {
+      if (!socket.session) {
+        return send(socket, { type: 'error', request_id: requestId, message: 'Authentication required' })
+      }
+    }
+
+    // Cashing out a bet already placed is still allowed for restricted accounts
+    if (message.type === 'bet' && socket.session.access !== 'full') {
+      return send(socket, { type: 'error', request_id: requestId, message: describeAccountState(socket.session.profile) })
+    }
+
+    if (message.type === 'bet') {
+      const result = await table.placeRoundBet(socket.session, message)
+      return send(socket, { type: 'bet_accepted', request_id: requestId, ...result })
+    }
+
+    if (message.type === 'cashout') {
+      const result = await table.cashOut(socket.session.user.id)
+      return send(socket, { type: 'cashout_accepted', request_id: requestId, ...result })
+    }
+
+    send(socket, { type: 'error', request_id: requestId, message: 'Unknown message type' })
+  } catch (error) {
+    if (error instanceof CrashError || error instanceof LedgerError) {
+      return send(socket, { type: 'error', request_id: requestId, message: error.message })
+    }
+    if (error instanceof ResponsibleGamingError) {
+      return send(socket, { type: 'error', request_id: requestId, message: error.message, code: error.code, ...error.details })
+    }
+    console.error('Crash socket message error:', error)
+    send(socket, { type: 'error', request_id: requestId, message: 'Request failed' })
+  }
+}
+
+// Attach the crash WebSocket server to the app's HTTP server and start all tables
+export function attachCrashServer(server) {
+  const tables = new Map(TABLES.map(config => [config.id, createTable(config)]))
+  const wss = new WebSocketServer({ noServer: true })
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname !== '/ws/crash') {
+      socket.destroy()
+      return
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, url))
+  })
+
+  wss.on('connection', async (socket, req, url) => {
+    const table = tables.get(url.searchParams.get('game') || TABLES[0].id)
+
+    if (!table) {
+      send(socket, { type: 'error', message: 'Unknown game' })
+      socket.close(1008, 'Unknown game')
+      return
+    }
+
+    socket.isAlive = true
+    socket.on('pong', () => { socket.isAlive = true })
+    socket.on('message', raw => handleMessage(table, socket, raw.toString()))
+    socket.on('close', () => table.sockets.delete(socket))
+
+    // Browsers can't set headers on a WebSocket, so the JWT may come as ?token=
+    const token = url.searchParams.get('token')
+    if (token) {
+      const session = await resolveSession(token).catch(() => ({ message: 'Authentication error' }))
+      if (!session.user) {
+        send(socket, { type: 'error', message: session.message })
+        socket.close(1008, session.message)
+        return
+      }
+      socket.session = session
+    }
+
+    table.sockets.add(socket)
+    send(socket, {
+      type: 'welcome',
+      game: { id: table.id, name: table.name },
+      authenticated: !!socket.session,
+      round: table.publicRound()
+    })
+  })
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate()
+        continue
+      }
+      socket.isAlive = false
+      socket.ping()
+    }
+  }, HEARTBEAT_MS)
+
+  wss.on('close', () => {
+    clearInterval(heartbeat)
+    for (const table of tables.values()) table.stop()
+  })
+
+  for (const table of tables.values()) table.start()
+
+  return wss
+}
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals'
+import http from 'http'
+import WebSocket from 'ws'
+import { createSupabaseMock, betPlace, ledgerPost } from '../test/supabase.js'
+
+// Keep every table in its betting phase for the whole run
+process.env.CRASH_BETTING_MS = '600000'
+process.env.LAUNCH_TOKEN_SECRET = 'test-secret'
+
+const db = createSupabaseMock({ rpc: { ledger_post: ledgerPost, bet_place: betPlace } })
+const session = { user: { id: 'u1' }, profile: { id: 'u1', username: 'player' }, access: 'full' }
+
+jest.unstable_mockModule('../lib/supabase.js', () => ({
+  supabase: db.client,
+  getUserProfile: async id => db.tables.profiles.find(profile => profile.id === id) || null
+}))
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  resolveSession: jest.fn(async token => (token === 'good' ? session : { message: 'Invalid token' }))
+}))
+
+const { attachCrashServer } = await import('./crash.js')
+
+let server
+let wss
+let url
+
+beforeAll(async () => {
+  server = http.createServer()
+  wss = attachCrashServer(server)
+  await new Promise(resolve => server.listen(0, resolve))
+  url = `ws://127.0.0.1:${server.address().port}/ws/crash`
+})
+
+afterAll(async () => {
+  await new Promise(resolve => wss.close(resolve))
+  await new Promise(resolve => server.close(resolve))
+})
+
+// Open a socket and collect what the server sends
+async function connect({ game = 'aviator', token } = {}) {
+  const socket = new WebSocket(`${url}?game=${game}${token ? `&token=${token}` : ''}`)
+  const messages = []
+  const waiting = []
+
+  socket.on('message', raw => {
+    const message = JSON.parse(raw.toString())
+    const index = waiting.findIndex(entry => entry.match(message))
+    if (index === -1) return messages.push(message)
+    waiting.splice(index, 1)[0].resolve(message)
+  })
+
+  socket.next = (match = () => true) => {
+    const index = messages.findIndex(match)
+    if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0])
+    return new Promise(resolve => waiting.push({ match, resolve }))
+  }
+
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve)
+    socket.once('error', reject)
+  })
+  await socket.next(message => message.type === 'welcome')
+  return socket
+}
+
+describe('crash socket messages', () => {
+  let socket
+
+  beforeEach(async () => {
+    socket = await connect()
+  })
+
+  afterEach(() => socket.close())
+
+  test.each(['null', '42', '"bet"', 'true', '[]'])('rejects %s without dropping the socket', async raw => {
+    socket.send(raw)
+    expect(await socket.next(message => message.type === 'error'))
+      .toEqual({ type: 'error', message: 'Message must be a JSON object' })
+
+    socket.send(JSON.stringify({ type: 'ping', request_id: 'r1' }))
+    expect(await socket.next(message => message.type === 'error'))
+      .toEqual({ type: 'error', request_id: 'r1', message: 'Unknown message type' })
+  })
+
+  test('rejects invalid JSON', async () => {
+    socket.send('{')
+    expect(await socket.next()).toEqual({ type: 'error', message: 'Invalid JSON' })
+  })
+
+  test('requires authentication before betting', async () => {
+    socket.send(JSON.stringify({ type: 'bet', stake: 1, request_id: 'r2' }))
+    expect(await socket.next()).toEqual({ type: 'error', request_id: 'r2', message: 'Authentication required' })
+  })
+
+  test('authenticates with a token message', async () => {
+    socket.send(JSON.stringify({ type: 'auth', token: 'good', request_id: 'r3' }))
+    expect(await socket.next()).toEqual({ type: 'authenticated', request_id: 'r3', user_id: 'u1' })
+  })
+})
+
+// Each test bets at its own table, as a player gets one bet per round
+describe('crash bets', () => {
+  let socket
+
+  beforeEach(async () => {
+    db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'USD', balance: 100 }]
+    db.tables.transactions = []
+    db.tables.bets = []
+    db.tables.profiles = [{ id: 'u1', username: 'player', is_active: true }]
+    db.tables.responsible_gaming_limits = []
+  })
+
+  afterEach(() => socket.close())
+
+  function bet(stake, requestId) {
+    socket.send(JSON.stringify({ type: 'bet', stake, currency: 'USD', request_id: requestId }))
+    return socket.next(message => message.request_id === requestId)
+  }
+
+  test('takes the stake and tracks the play session', async () => {
+    socket = await connect({ game: 'jetx', token: 'good' })
+    const reply = await bet(10, 'b1')
+
+    expect(reply).toMatchObject({ type: 'bet_accepted', balance: 90 })
+    expect(db.tables.bets).toMatchObject([{ game_id: 'jetx', stake: 10, outcome: 'pending' }])
+    expect(db.tables.profiles[0].play_last_active_at).toBeDefined()
+  })
+
+  test('refuses a bet once the player has self-excluded since connecting', async () => {
+    socket = await connect({ game: 'aviator', token: 'good' })
+    Object.assign(db.tables.profiles[0], {
+      account_state: 'self_excluded',
+      account_state_until: new Date(Date.now() + 86400000).toISOString()
+    })
+
+    const reply = await bet(10, 'b3')
+
+    expect(reply).toMatchObject({ type: 'error', message: expect.stringMatching(/self-excluded/) })
+    expect(db.tables.bets).toHaveLength(0)
+  })
+
+  test('refuses a bet over the player\'s wager limit', async () => {
+    db.tables.responsible_gaming_limits.push({ id: 'l1', user_id: 'u1', type: 'wager', period: 'day', amount: 5, currency: 'USD' })
+    socket = await connect({ game: 'space-xy', token: 'good' })
+
+    const reply = await bet(10, 'b2')
+
+    expect(reply).toMatchObject({ type: 'error', code: 'wager_limit' })
+    expect(db.tables.bets).toHaveLength(0)
+    expect(db.tables.wallets[0].balance).toBe(100)
+  })
+})
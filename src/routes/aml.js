@@ -0,0 +1,258 @@
+import { Router } from 'express'
+import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import {
+  AmlError,
+  CASE_STATUSES,
+  addNote,
+  assignCase,
+  closeCase,
+  escalateCase,
+  exportCase,
+  getCase
+} from '../lib/amlCases.js'
+import { getRules, runMonitor } from '../lib/amlMonitor.js'
+
+const router = Router()
+
+// Staff: Monitoring rules in force
+router.get('/rules', authenticate, requireStaff, (req, res) => {
+  res.json({ rules: getRules() })
+})
+
+// Staff: Alerts, newest first
+router.get('/alerts', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, rule, userId } = req.query
+
+    let query = supabase
+      .from('aml_alerts')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (rule) {
+      query = query.eq('rule', rule)
+    }
+
+    if (userId) {
+      query = query.contains('user_ids', [userId])
+    }
+
+    const { data: alerts, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      alerts: alerts || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get AML alerts error:', error)
+    res.status(500).json({ error: 'Failed to fetch alerts' })
+  }
+})
+
+// Staff: Cases, newest first (assignedTo=me for your own)
+router.get('/cases', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, status, severity, assignedTo, userId } = req.query
+
+    let query = supabase
+      .from('aml_cases')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (status) {
+      if (!CASE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${CASE_STATUSES.join(', ')}` })
+      }
+      query = query.eq('status', status)
+    }
+
+    if (severity) {
+      query = query.eq('severity', severity)
+    }
+
+    if (assignedTo) {
+      query = query.eq('assigned_to', assignedTo === 'me' ? req.user.id : assignedTo)
+    }
+
+    if (userId) {
+      query = query.contains('user_ids', [userId])
+    }
+
+    const { data: cases, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      cases: cases || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get AML cases error:', error)
+    res.status(500).json({ error: 'Failed to fetch cases' })
+  }
+})
+
+// Staff: Case with its alerts and history
+router.get('/cases/:id', authenticate, requireStaff, async (req, res) => {
+  try {
+    const amlCase = await getCase(req.params.id)
+
+    if (!amlCase) {
+      return res.status(404).json({ error: 'Case not found' })
+    }
+
+    res.json(amlCase)
+  } catch (error) {
+    console.error('Get AML case error:', error)
+    res.status(500).json({ error: 'Failed to fetch case' })
+  }
+})
+
+// Load the case for the case actions below
+async function loadCase(req, res, next) {
+  try {
+    const { data: amlCase } = await supabase
+      .from('aml_cases')
+      .select('*')
+      .eq('id', req.params.id)
+      .single()
+
+    if (!amlCase) {
+      return res.status(404).json({ error: 'Case not found' })
+    }
+
+    req.amlCase = amlCase
+    next()
+  } catch (error) {
+    console.error('Load AML case error:', error)
+    res.status(500).json({ error: 'Failed to fetch case' })
+  }
+}
+
+function handleCaseError(res, error, label, message) {
+  if (error instanceof AmlError) {
+    return res.status(error.status).json({ error: error.message })
+  }
+  console.error(`${label} error:`, error)
+  res.status(500).json({ error: message })
+}
+
+// Staff: Assign a case ({ assigneeId }, null to unassign)
+router.post('/cases/:id/assign', authenticate, requireStaff, loadCase, async (req, res) => {
+  try {
+    const { assigneeId = null } = req.body
+
+    const amlCase = await assignCase(req.amlCase, { assigneeId, actorId: req.user.id })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'aml_case_assigned',
+      details: { case_id: amlCase.id, assigned_to: amlCase.assigned_to }
+    })
+
+    res.json(amlCase)
+  } catch (error) {
+    handleCaseError(res, error, 'Assign AML case', 'Failed to assign case')
+  }
+})
+
+// Staff: Add a note to a case
+router.post('/cases/:id/notes', authenticate, requireStaff, loadCase, async (req, res) => {
+  try {
+    const event = await addNote(req.amlCase, { body: req.body.body, actorId: req.user.id })
+
+    res.status(201).json(event)
+  } catch (error) {
+    handleCaseError(res, error, 'Add AML note', 'Failed to add note')
+  }
+})
+
+// Staff: Escalate an open case for an admin to decide
+router.post('/cases/:id/escalate', authenticate, requireStaff, loadCase, async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    const amlCase = await escalateCase(req.amlCase, { reason, actorId: req.user.id })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'aml_case_escalated',
+      details: { case_id: amlCase.id, user_ids: amlCase.user_ids, reason }
+    })
+
+    res.json(amlCase)
+  } catch (error) {
+    handleCaseError(res, error, 'Escalate AML case', 'Failed to escalate case')
+  }
+})
+
+// Staff: Close a case ({ resolution, notes }); escalated cases need an admin
+router.post('/cases/:id/close', authenticate, requireStaff, loadCase, async (req, res) => {
+  try {
+    const { resolution, notes } = req.body
+
+    const amlCase = await closeCase(req.amlCase, {
+      resolution,
+      notes,
+      actorId: req.user.id,
+      isAdmin: req.profile.role === 'admin'
+    })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'aml_case_closed',
+      details: { case_id: amlCase.id, user_ids: amlCase.user_ids, resolution }
+    })
+
+    res.json(amlCase)
+  } catch (error) {
+    handleCaseError(res, error, 'Close AML case', 'Failed to close case')
+  }
+})
+
+// Staff: Download the case file as JSON
+router.get('/cases/:id/export', authenticate, requireStaff, async (req, res) => {
+  try {
+    const caseFile = await exportCase(req.params.id, { actorId: req.user.id })
+
+    if (!caseFile) {
+      return res.status(404).json({ error: 'Case not found' })
+    }
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'aml_case_exported',
+      details: { case_id: req.params.id }
+    })
+
+    res.set({
+      'Content-Disposition': `attachment; filename="aml-case-${req.params.id}.json"`,
+      'Cache-Control': 'no-store'
+    })
+    res.json(caseFile)
+  } catch (error) {
+    console.error('Export AML case error:', error)
+    res.status(500).json({ error: 'Failed to export case' })
+  }
+})
+
+// Admin: Run the monitor now
+router.post('/run', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json(await runMonitor())
+  } catch (error) {
+    console.error('AML monitor error:', error)
+    res.status(500).json({ error: 'Failed to run monitor' })
+  }
+})
+
+export default router
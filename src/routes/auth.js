@@ -1,5 +1,7 @@
 import { Router } from 'express'
 import { authenticate } from '../middleware/auth.js'
+import { getVipProgress } from '../lib/vip.js'
+import { toPublicAccountState } from '../lib/accountState.js'
 
 const router = Router()
 
@@ -16,17 +18,26 @@ router.get('/verify', authenticate, (req, res) => {
   })
 })
 
-// Get current user profile
-router.get('/me', authenticate, (req, res) => {
-  res.json({
-    id: req.user.id,
-    email: req.user.email,
-    username: req.user.username,
-    role: req.user.role,
-    vip_level: req.user.vip_level || 0,
-    avatar_url: req.user.avatar_url,
-    created_at: req.user.created_at
-  })
+// Get current user profile, with VIP progress
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const vip = await getVipProgress(req.profile)
+
+    res.json({
+      id: req.user.id,
+      email: req.user.email,
+      username: req.user.username,
+      role: req.user.role,
+      vip_level: req.profile.vip_level || 0,
+      vip,
+      account: toPublicAccountState(req.profile),
+      avatar_url: req.user.avatar_url,
+      created_at: req.user.created_at
+    })
+  } catch (error) {
+    console.error('Get profile error:', error)
+    res.status(500).json({ error: 'Failed to fetch profile' })
+  }
 })
 
 export default router
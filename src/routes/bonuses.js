@@ -0,0 +1,73 @@
+import { Router } from 'express'
+import { authenticate } from '../middleware/auth.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { supabase } from '../lib/supabase.js'
+import { claimBonus, forfeitBonus, toPublicBonus } from '../lib/bonuses.js'
+
+const router = Router()
+
+// Get the current user's bonuses with wagering progress
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, status } = req.query
+
+    let query = supabase
+      .from('bonuses')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (status) {
+      query = query.eq('status', status)
+    }
+
+    const { data: bonuses, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      bonuses: (bonuses || []).map(toPublicBonus),
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get bonuses error:', error)
+    res.status(500).json({ error: 'Failed to fetch bonuses' })
+  }
+})
+
+// Claim an available bonus (e.g. cashback)
+router.post('/:id/claim', authenticate, idempotent, async (req, res) => {
+  try {
+    const bonus = await claimBonus(req.params.id, req.user.id)
+
+    if (!bonus) {
+      return res.status(404).json({ error: 'Claimable bonus not found' })
+    }
+
+    res.json({ bonus: toPublicBonus(bonus), message: 'Bonus claimed' })
+  } catch (error) {
+    console.error('Claim bonus error:', error)
+    res.status(500).json({ error: 'Failed to claim bonus' })
+  }
+})
+
+// Give up one of the current user's pending bonuses
+router.post('/:id/forfeit', authenticate, idempotent, async (req, res) => {
+  try {
+    const bonus = await forfeitBonus(req.params.id, req.user.id)
+
+    if (!bonus) {
+      return res.status(404).json({ error: 'Pending bonus not found' })
+    }
+
+    res.json({ bonus: toPublicBonus(bonus), message: 'Bonus forfeited' })
+  } catch (error) {
+    console.error('Forfeit bonus error:', error)
+    res.status(500).json({ error: 'Failed to forfeit bonus' })
+  }
+})
+
+export default router
@@ -0,0 +1,131 @@
+import { Router } from 'express'
+import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { supabase } from '../lib/supabase.js'
+import { CashbackError, calculateRun, commitRun } from '../lib/cashback.js'
+
+const router = Router()
+
+// Staff: List cashback / rakeback runs
+router.get('/runs', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, type, period } = req.query
+
+    let query = supabase
+      .from('cashback_runs')
+      .select('*', { count: 'exact' })
+      .order('period_start', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (type) query = query.eq('type', type)
+    if (period) query = query.eq('period', period)
+
+    const { data: runs, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      runs: runs || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get cashback runs error:', error)
+    res.status(500).json({ error: 'Failed to fetch cashback runs' })
+  }
+})
+
+// Staff: Get a run with the bonuses it issued and any payouts that failed
+router.get('/runs/:id', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { data: run, error } = await supabase
+      .from('cashback_runs')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (error || !run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+
+    const { data: bonuses } = await supabase
+      .from('bonuses')
+      .select(`
+        id,
+        user_id,
+        amount,
+        currency,
+        status,
+        expires_at,
+        profiles:user_id (
+          id,
+          email,
+          username,
+          vip_level
+        )
+      `)
+      .eq('cashback_run_id', id)
+      .order('amount', { ascending: false })
+
+    const { data: failures } = await supabase
+      .from('cashback_payout_failures')
+      .select('*')
+      .eq('run_id', id)
+      .order('created_at')
+
+    res.json({ run, bonuses: bonuses || [], failures: failures || [] })
+  } catch (error) {
+    console.error('Get cashback run error:', error)
+    res.status(500).json({ error: 'Failed to fetch cashback run' })
+  }
+})
+
+// Admin: Preview a run without paying anything
+router.post('/preview', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { type, period = 'weekly', period_start } = req.body
+
+    const preview = await calculateRun({ type, period, periodStart: period_start })
+
+    res.json(preview)
+  } catch (error) {
+    if (error instanceof CashbackError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Preview cashback error:', error)
+    res.status(500).json({ error: 'Failed to preview cashback run' })
+  }
+})
+
+// Admin: Commit a run, issuing its payouts as claimable bonuses
+router.post('/runs', authenticate, requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { type, period = 'weekly', period_start } = req.body
+
+    const { run, issued, failed } = await commitRun({
+      type,
+      period,
+      periodStart: period_start,
+      adminId: req.user.id
+    })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'cashback_run',
+      details: { run_id: run.id, type, period, period_start: run.period_start, issued, failed: failed.length }
+    })
+
+    res.status(201).json({ run, issued, failed })
+  } catch (error) {
+    if (error instanceof CashbackError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Commit cashback error:', error)
+    res.status(500).json({ error: 'Failed to run cashback' })
+  }
+})
+
+export default router
@@ -0,0 +1,196 @@
+import { Router } from 'express'
+import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import { CryptoDepositError, getDepositAddress, releaseCryptoDeposit, scanNetwork, toPublicAddress } from '../lib/cryptoDeposits.js'
+import { getNetworks, getNetwork, toPublicNetwork, stub, stubEnabled } from '../chains/index.js'
+
+const router = Router()
+
+// List networks available for deposits
+router.get('/networks', (req, res) => {
+  res.json({ networks: getNetworks().map(toPublicNetwork) })
+})
+
+// Get the current user's deposit addresses
+router.get('/addresses', authenticate, async (req, res) => {
+  try {
+    const { data: addresses, error } = await supabase
+      .from('crypto_addresses')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('currency')
+
+    if (error) throw error
+
+    res.json({ addresses: (addresses || []).map(toPublicAddress) })
+  } catch (error) {
+    console.error('Get deposit addresses error:', error)
+    res.status(500).json({ error: 'Failed to fetch deposit addresses' })
+  }
+})
+
+// Get (or create) the current user's deposit address for a currency
+router.post('/addresses', authenticate, async (req, res) => {
+  try {
+    const { currency, network } = req.body
+
+    if (!currency) {
+      return res.status(400).json({ error: 'Currency required' })
+    }
+
+    const address = await getDepositAddress(req.user.id, currency, network)
+
+    res.json(toPublicAddress(address))
+  } catch (error) {
+    if (error instanceof CryptoDepositError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Create deposit address error:', error)
+    res.status(500).json({ error: 'Failed to get deposit address' })
+  }
+})
+
+// Get the current user's on-chain deposits with confirmation progress
+router.get('/deposits', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, status } = req.query
+
+    let query = supabase
+      .from('crypto_deposits')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('detected_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (status) query = query.eq('status', status)
+
+    const { data: deposits, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      deposits: deposits || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get crypto deposits error:', error)
+    res.status(500).json({ error: 'Failed to fetch deposits' })
+  }
+})
+
+// Staff: List on-chain deposits
+router.get('/admin/deposits', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, status, network, userId } = req.query
+
+    let query = supabase
+      .from('crypto_deposits')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          email,
+          username
+        )
+      `, { count: 'exact' })
+      .order('detected_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (status) query = query.eq('status', status)
+    if (network) query = query.eq('network', network)
+    if (userId) query = query.eq('user_id', userId)
+
+    const { data: deposits, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      deposits: deposits || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get all crypto deposits error:', error)
+    res.status(500).json({ error: 'Failed to fetch deposits' })
+  }
+})
+
+// Admin: credit a deposit held for going over the player's deposit limit
+router.post('/admin/deposits/:id/release', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const deposit = await releaseCryptoDeposit(req.params.id, req.user.id)
+
+    if (deposit) {
+      await supabase.from('activity_logs').insert({
+        user_id: deposit.user_id,
+        action: 'crypto_deposit_released',
+        details: { deposit_id: deposit.id, amount: deposit.amount, currency: deposit.currency, admin_id: req.user.id }
+      })
+    }
+
+    res.json({ deposit, message: deposit ? 'Deposit released and credited' : 'Deposit released, crediting in progress' })
+  } catch (error) {
+    if (error instanceof CryptoDepositError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Release crypto deposit error:', error)
+    res.status(500).json({ error: 'Failed to release deposit' })
+  }
+})
+
+// Stub chain (development): send a transfer to an address
+router.post('/stub/send', authenticate, requireAdmin, (req, res) => {
+  if (!stubEnabled) {
+    return res.status(404).json({ error: 'Stub chain is not enabled' })
+  }
+
+  const { network, address, amount, currency, memo } = req.body
+
+  if (!getNetwork(network) || !address || !(amount > 0) || !currency) {
+    return res.status(400).json({ error: 'network, address, amount and currency are required' })
+  }
+
+  res.json({ transfer: stub.send({ network, address, amount, currency, memo }) })
+})
+
+// Stub chain (development): mine blocks, then scan so deposits update straight away
+router.post('/stub/mine', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!stubEnabled) {
+      return res.status(404).json({ error: 'Stub chain is not enabled' })
+    }
+
+    const { network, blocks = 1 } = req.body
+    const target = getNetwork(network)
+
+    if (!target || !Number.isInteger(blocks) || blocks < 1 || blocks > 1000) {
+      return res.status(400).json({ error: 'Valid network and blocks (1-1000) required' })
+    }
+
+    const mined = stub.mine(network, blocks)
+    const scan = target.watcher === stub.watcher ? await scanNetwork(target) : null
+
+    res.json({ ...mined, scan })
+  } catch (error) {
+    console.error('Stub mine error:', error)
+    res.status(500).json({ error: 'Failed to mine blocks' })
+  }
+})
+
+// Stub chain (development): chain height and pending transfers
+router.get('/stub/:network', authenticate, requireAdmin, (req, res) => {
+  if (!stubEnabled) {
+    return res.status(404).json({ error: 'Stub chain is not enabled' })
+  }
+
+  if (!getNetwork(req.params.network)) {
+    return res.status(404).json({ error: 'Network not found' })
+  }
+
+  res.json(stub.getStatus(req.params.network))
+})
+
+export default router
@@ -0,0 +1,170 @@
+import { Router } from 'express'
+import { authenticate } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import { getActiveSeed, rotateSeed, hashServerSeed, toPublicSeed } from '../lib/fairness.js'
+import { isInhouseGame, validateParams, resolveRound } from '../providers/inhouse.js'
+
+const router = Router()
+
+const MAX_CLIENT_SEED_LENGTH = 64
+
+// Get the player's active seed pair (server seed hash only)
+router.get('/seeds', authenticate, async (req, res) => {
+  try {
+    const seed = await getActiveSeed(req.user.id)
+    res.json({ seed: toPublicSeed(seed) })
+  } catch (error) {
+    console.error('Get seed error:', error)
+    res.status(500).json({ error: 'Failed to fetch seed' })
+  }
+})
+
+// Rotate seeds: reveals the current server seed and commits to a new one
+router.post('/seeds/rotate', authenticate, async (req, res) => {
+  try {
+    const { client_seed } = req.body
+
+    if (client_seed !== undefined &&
+      (typeof client_seed !== 'string' || !client_seed.trim() || client_seed.length > MAX_CLIENT_SEED_LENGTH)) {
+      return res.status(400).json({ error: `client_seed must be 1-${MAX_CLIENT_SEED_LENGTH} characters` })
+    }
+
+    const { previous, active } = await rotateSeed(req.user.id, client_seed?.trim())
+
+    res.json({
+      previous: previous ? toPublicSeed(previous) : null,
+      active: toPublicSeed(active)
+    })
+  } catch (error) {
+    console.error('Rotate seed error:', error)
+    res.status(500).json({ error: 'Failed to rotate seed' })
+  }
+})
+
+// List the player's past seeds (server seeds included once revealed)
+router.get('/seeds/history', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query
+
+    const { data: seeds, error, count } = await supabase
+      .from('fairness_seeds')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (error) throw error
+
+    res.json({
+      seeds: (seeds || []).map(toPublicSeed),
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get seed history error:', error)
+    res.status(500).json({ error: 'Failed to fetch seeds' })
+  }
+})
+
+// Verify a past round of the player's own, once its server seed is revealed
+router.get('/verify/:betId', authenticate, async (req, res) => {
+  try {
+    const { betId } = req.params
+
+    const { data: bet, error: betError } = await supabase
+      .from('bets')
+      .select('*')
+      .eq('id', betId)
+      .single()
+
+    if (betError || !bet || !bet.seed_id) {
+      return res.status(404).json({ error: 'Round not found' })
+    }
+
+    if (bet.user_id !== req.user.id && req.profile.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden' })
+    }
+
+    const { data: seed } = await supabase
+      .from('fairness_seeds')
+      .select('*')
+      .eq('id', bet.seed_id)
+      .single()
+
+    if (!seed) {
+      return res.status(404).json({ error: 'Seed not found' })
+    }
+
+    if (seed.status !== 'revealed') {
+      return res.status(400).json({
+        error: 'Rotate your seed to reveal the server seed for this round',
+        server_seed_hash: seed.server_seed_hash
+      })
+    }
+
+    const recomputed = resolveRound({
+      gameId: bet.game_id,
+      params: bet.game_data.params,
+      serverSeed: seed.server_seed,
+      clientSeed: seed.client_seed,
+      nonce: bet.nonce
+    })
+
+    res.json({
+      bet_id: bet.id,
+      game_id: bet.game_id,
+      server_seed: seed.server_seed,
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      nonce: bet.nonce,
+      params: bet.game_data.params,
+      hash_matches: hashServerSeed(seed.server_seed) === seed.server_seed_hash,
+      recorded: { result: bet.game_data.result, multiplier: bet.multiplier },
+      recomputed,
+      verified: JSON.stringify(recomputed.result) === JSON.stringify(bet.game_data.result) &&
+        recomputed.multiplier === bet.multiplier
+    })
+  } catch (error) {
+    console.error('Verify round error:', error)
+    res.status(500).json({ error: 'Failed to verify round' })
+  }
+})
+
+// Compute a result from any seeds (public calculator, no account needed)
+router.post('/verify', async (req, res) => {
+  try {
+    const { game_id, server_seed, client_seed, nonce, params } = req.body
+
+    if (!isInhouseGame(game_id)) {
+      return res.status(400).json({ error: 'Unknown in-house game' })
+    }
+
+    if (!server_seed || typeof server_seed !== 'string' ||
+      !client_seed || typeof client_seed !== 'string' ||
+      !Number.isInteger(nonce) || nonce < 0) {
+      return res.status(400).json({ error: 'server_seed, client_seed and a non-negative integer nonce are required' })
+    }
+
+    const validation = validateParams(game_id, params)
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error })
+    }
+
+    res.json({
+      server_seed_hash: hashServerSeed(server_seed),
+      ...resolveRound({
+        gameId: game_id,
+        params: validation.params,
+        serverSeed: server_seed,
+        clientSeed: client_seed,
+        nonce
+      })
+    })
+  } catch (error) {
+    console.error('Verify error:', error)
+    res.status(500).json({ error: 'Failed to verify' })
+  }
+})
+
+export default router
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock } from '../test/supabase.js'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('../lib/supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => next()
+}))
+
+const { default: fairnessRoutes } = await import('./fairness.js')
+const { hashServerSeed } = await import('../lib/fairness.js')
+const { resolveRound } = await import('../providers/inhouse.js')
+
+let server
+let baseUrl
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use('/api/fairness', fairnessRoutes)
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+async function verify(body) {
+  const res = await fetch(`${baseUrl}/api/fairness/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+const round = {
+  game_id: 'inhouse-dice',
+  server_seed: 'server',
+  client_seed: 'client',
+  nonce: 7,
+  params: { target: 50, direction: 'under' }
+}
+
+describe('POST /verify', () => {
+  test('recomputes a round from the given seeds', async () => {
+    const res = await verify(round)
+
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({
+      server_seed_hash: hashServerSeed('server'),
+      ...resolveRound({
+        gameId: 'inhouse-dice',
+        params: round.params,
+        serverSeed: 'server',
+        clientSeed: 'client',
+        nonce: 7
+      })
+    })
+  })
+
+  test.each([
+    ['a numeric server seed', { server_seed: 123 }],
+    ['an object client seed', { client_seed: { a: 1 } }],
+    ['an array server seed', { server_seed: ['x'] }],
+    ['a missing client seed', { client_seed: undefined }],
+    ['a fractional nonce', { nonce: 1.5 }],
+    ['a negative nonce', { nonce: -1 }]
+  ])('rejects %s with a 400', async (name, override) => {
+    const res = await verify({ ...round, ...override })
+
+    expect(res.status).toBe(400)
+    expect(res.body.error).toMatch(/server_seed, client_seed/)
+  })
+
+  test('rejects unknown games and invalid params', async () => {
+    expect((await verify({ ...round, game_id: 'slots' })).status).toBe(400)
+    expect((await verify({ ...round, params: { target: 150 } })).status).toBe(400)
+  })
+})
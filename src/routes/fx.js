@@ -0,0 +1,118 @@
+import { Router } from 'express'
+import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import { FxError, getLatestRates, quoteSwap, refreshRates } from '../lib/fx.js'
+
+const router = Router()
+
+// Latest rates, as the price of one unit of each currency in `base`
+router.get('/rates', async (req, res) => {
+  try {
+    const { base = 'USD' } = req.query
+    const rates = await getLatestRates()
+
+    const baseRate = base === 'USD' ? 1 : rates[base]?.rate
+    if (!baseRate) {
+      return res.status(404).json({ error: `No rate for ${base}` })
+    }
+
+    res.json({
+      base,
+      rates: Object.fromEntries(Object.entries(rates).map(([currency, { rate }]) => [currency, rate / baseRate])),
+      captured_at: Object.values(rates).reduce((oldest, { captured_at }) => (!oldest || captured_at < oldest ? captured_at : oldest), null)
+    })
+  } catch (error) {
+    console.error('Get FX rates error:', error)
+    res.status(500).json({ error: 'Failed to fetch rates' })
+  }
+})
+
+// Quote a swap between two currencies (nothing is booked)
+router.get('/quote', authenticate, async (req, res) => {
+  try {
+    const { from, to, amount } = req.query
+
+    res.json(await quoteSwap({ from, to, amount: parseFloat(amount) }))
+  } catch (error) {
+    if (error instanceof FxError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('FX quote error:', error)
+    res.status(500).json({ error: 'Failed to quote swap' })
+  }
+})
+
+// Get the current user's swaps
+router.get('/swaps', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query
+
+    const { data: swaps, error, count } = await supabase
+      .from('currency_swaps')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (error) throw error
+
+    res.json({
+      swaps: swaps || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get swaps error:', error)
+    res.status(500).json({ error: 'Failed to fetch swaps' })
+  }
+})
+
+// Staff: Rate history for a currency
+router.get('/rates/history', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { currency, startDate, endDate, page = 1, limit = 100 } = req.query
+
+    if (!currency) {
+      return res.status(400).json({ error: 'Currency required' })
+    }
+
+    let query = supabase
+      .from('fx_rates')
+      .select('*', { count: 'exact' })
+      .eq('currency', currency)
+      .order('captured_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (startDate) query = query.gte('captured_at', startDate)
+    if (endDate) query = query.lte('captured_at', endDate)
+
+    const { data: rates, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      rates: rates || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get FX history error:', error)
+    res.status(500).json({ error: 'Failed to fetch rate history' })
+  }
+})
+
+// Admin: Capture rates now
+router.post('/rates/refresh', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rows = await refreshRates()
+
+    res.json({ rates: rows })
+  } catch (error) {
+    console.error('FX refresh error:', error)
+    res.status(502).json({ error: 'Failed to refresh rates' })
+  }
+})
+
+export default router
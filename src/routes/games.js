@@ -1,45 +1,74 @@
 import { Router } from 'express'
 import { authenticate, optionalAuth, requireAdmin } from '../middleware/auth.js'
-import { fetchGames, fetchBets, isConfigured } from '../providers/rapidapi.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { captureFingerprint } from '../middleware/fingerprint.js'
+import { listGames, getGame, listProviders, getAdapter, getAdapters, checkHealth } from '../providers/index.js'
+import { PROVIDER_ID as INHOUSE_PROVIDER, isInhouseGame, validateParams, getMaxMultiplier, playRound } from '../providers/inhouse.js'
 import { supabase } from '../lib/supabase.js'
+import { containsPattern, orIlike } from '../lib/filters.js'
+import { syncCatalog, toPublicGame, getRequestCountry, findPlayableGame, CURATION_FIELDS } from '../lib/catalog.js'
+import { createSession, listActiveSessions, closeSession, toPublicSession } from '../lib/gameSessions.js'
+import { LedgerError, getOrCreateWallet } from '../lib/ledger.js'
+import { FX_CURRENCIES } from '../lib/fx.js'
+import { placeBet, cancelBet, getBetWallet } from '../lib/bets.js'
+import { settleBet, logRejectedSettlement, getMaxWin, SettlementError } from '../lib/settlement.js'
+import { ResponsibleGamingError, checkBet, recordPlay } from '../lib/responsibleGaming.js'
 
 const router = Router()
 
-// Get games (public endpoint)
+// Get games (public endpoint) from the persisted catalog.
+// Falls back to the live adapters until the first catalog sync has run.
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const { provider = 'all', category, page = 1, limit = 50, search } = req.query
+    const country = getRequestCountry(req)
 
-    const result = await fetchGames({
-      provider,
-      page: parseInt(page),
-      limit: parseInt(limit)
-    })
-
-    let games = result.games || []
+    let query = supabase
+      .from('games')
+      .select('*', { count: 'exact' })
+      .eq('enabled', true)
+      .eq('available', true)
+      .order('featured', { ascending: false })
+      .order('sort_order')
+      .order('name')
+      .range((page - 1) * limit, page * limit - 1)
 
-    // Filter by category if provided
-    if (category && category !== 'all') {
-      games = games.filter(g => 
-        g.category?.toLowerCase() === category.toLowerCase()
-      )
+    // provider is either an adapter ID or (part of) a studio name
+    if (provider !== 'all') {
+      query = getAdapter(provider)
+        ? query.eq('adapter_id', provider)
+        : query.ilike('provider', containsPattern(provider.replace(/-/g, ' ')))
     }
+    if (category && category !== 'all') query = query.eq('category', category.toLowerCase())
+    if (search) query = query.or(orIlike(['name', 'provider'], search))
+    if (country) query = query.not('restricted_countries', 'cs', `{${country}}`)
+
+    const { data: rows, error, count } = await query
 
-    // Search filter
-    if (search) {
-      const searchLower = search.toLowerCase()
-      games = games.filter(g =>
-        g.name?.toLowerCase().includes(searchLower) ||
-        g.provider?.toLowerCase().includes(searchLower)
-      )
+    if (error) throw error
+
+    let games = (rows || []).map(toPublicGame)
+    let total = count || 0
+
+    if (total === 0 && !search && (!category || category === 'all') && provider === 'all') {
+      const { count: catalogSize } = await supabase
+        .from('games')
+        .select('*', { count: 'exact', head: true })
+
+      if (!catalogSize) {
+        const live = await listGames()
+        const startIndex = (parseInt(page) - 1) * parseInt(limit)
+        games = live.slice(startIndex, startIndex + parseInt(limit))
+        total = live.length
+      }
     }
 
     res.json({
       games,
-      total: games.length,
+      total,
       page: parseInt(page),
       limit: parseInt(limit),
-      rapidapi_configured: isConfigured()
+      sources: getAdapters().map(a => a.id)
     })
   } catch (error) {
     console.error('Get games error:', error)
@@ -47,19 +76,64 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 })
 
+// Get game providers (studios) across all enabled adapters
+router.get('/providers', optionalAuth, async (req, res) => {
+  try {
+    const providers = await listProviders()
+    res.json({ providers })
+  } catch (error) {
+    console.error('Get providers error:', error)
+    res.status(500).json({ error: 'Failed to fetch providers' })
+  }
+})
+
+// Admin: Provider adapter health
+router.get('/providers/health', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const adapters = await checkHealth()
+    res.json({ adapters, ok: adapters.every(a => a.ok) })
+  } catch (error) {
+    console.error('Provider health error:', error)
+    res.status(500).json({ error: 'Failed to check providers' })
+  }
+})
+
+// Get game categories
+router.get('/categories', optionalAuth, async (req, res) => {
+  const categories = [
+    { id: 'slots', name: 'Slots', icon: 'slot-machine' },
+    { id: 'live', name: 'Live Casino', icon: 'cards' },
+    { id: 'crash', name: 'Crash Games', icon: 'rocket' },
+    { id: 'table', name: 'Table Games', icon: 'table' },
+    { id: 'lottery', name: 'Lottery', icon: 'ticket' },
+    { id: 'sports', name: 'Sports', icon: 'football' },
+  ]
+
+  res.json({ categories })
+})
+
 // Get game by ID
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params
 
-    // For now, return from Supabase or mock
-    const { data: game, error } = await supabase
+    const { data: stored } = await supabase
       .from('games')
       .select('*')
       .eq('id', id)
       .single()
 
-    if (error || !game) {
+    if (stored) {
+      const country = getRequestCountry(req)
+      if (!stored.enabled || (country && stored.restricted_countries?.includes(country))) {
+        return res.status(404).json({ error: 'Game not found' })
+      }
+      return res.json(toPublicGame(stored))
+    }
+
+    const game = await getGame(id)
+
+    if (!game) {
       return res.status(404).json({ error: 'Game not found' })
     }
 
@@ -70,11 +144,226 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 })
 
+// Launch a game: opens a session and returns a signed launch URL
+router.post('/:id/launch', authenticate, captureFingerprint('bet'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { currency = 'USD', mode = 'real', return_url } = req.body
+
+    if (!['real', 'demo'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'real' or 'demo'" })
+    }
+
+    // Only open wallets in currencies the platform prices and pays out
+    if (!FX_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}` })
+    }
+
+    const game = await findPlayableGame(id, getRequestCountry(req))
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' })
+    }
+
+    const adapter = getAdapter(game.provider_id)
+
+    if (!adapter) {
+      return res.status(503).json({ error: 'Game provider is not available' })
+    }
+
+    const wallet = mode === 'real' ? await getOrCreateWallet(req.user.id, currency) : null
+
+    const { session, token } = await createSession({
+      userId: req.user.id,
+      game,
+      wallet,
+      currency,
+      mode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    })
+
+    const launchUrl = await adapter.getLaunchUrl({
+      game,
+      playerId: req.user.id,
+      currency,
+      mode,
+      token,
+      returnUrl: return_url || process.env.FRONTEND_URL
+    })
+
+    res.json({
+      session: toPublicSession(session),
+      launch_url: launchUrl,
+      token
+    })
+  } catch (error) {
+    console.error('Launch game error:', error)
+    res.status(500).json({ error: 'Failed to launch game' })
+  }
+})
+
+// List the user's active game sessions
+router.get('/sessions/me', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id)
+    res.json({ sessions: sessions.map(toPublicSession) })
+  } catch (error) {
+    console.error('Get sessions error:', error)
+    res.status(500).json({ error: 'Failed to fetch sessions' })
+  }
+})
+
+// Close one of the user's game sessions
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await closeSession(req.params.id, req.user.id)
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    res.json({ session: toPublicSession(session) })
+  } catch (error) {
+    console.error('Close session error:', error)
+    res.status(500).json({ error: 'Failed to close session' })
+  }
+})
+
+// Admin: Full catalog including disabled and unavailable games
+router.get('/admin/catalog', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, provider, enabled, featured, search } = req.query
+
+    let query = supabase
+      .from('games')
+      .select('*', { count: 'exact' })
+      .order('featured', { ascending: false })
+      .order('sort_order')
+      .order('name')
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (provider) query = query.eq('adapter_id', provider)
+    if (enabled !== undefined) query = query.eq('enabled', enabled === 'true')
+    if (featured !== undefined) query = query.eq('featured', featured === 'true')
+    if (search) query = query.ilike('name', containsPattern(search))
+
+    const { data: games, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      games: games || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get catalog error:', error)
+    res.status(500).json({ error: 'Failed to fetch catalog' })
+  }
+})
+
+// Admin: Edit a game's curation fields
+router.patch('/admin/catalog/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const updates = {}
+    for (const field of CURATION_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field]
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No updates provided' })
+    }
+
+    if (updates.enabled !== undefined && typeof updates.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' })
+    }
+    if (updates.featured !== undefined && typeof updates.featured !== 'boolean') {
+      return res.status(400).json({ error: 'featured must be a boolean' })
+    }
+    if (updates.sort_order !== undefined && !Number.isInteger(updates.sort_order)) {
+      return res.status(400).json({ error: 'sort_order must be an integer' })
+    }
+    if (updates.restricted_countries !== undefined) {
+      if (!Array.isArray(updates.restricted_countries) ||
+        !updates.restricted_countries.every(c => typeof c === 'string' && /^[A-Za-z]{2}$/.test(c))) {
+        return res.status(400).json({ error: 'restricted_countries must be ISO 3166-1 alpha-2 codes' })
+      }
+      updates.restricted_countries = updates.restricted_countries.map(c => c.toUpperCase())
+    }
+
+    const { data: game, error } = await supabase
+      .from('games')
+      .update({ ...updates, updated_at: new Date().toISOString(), updated_by: req.user.id })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error || !game) {
+      return res.status(404).json({ error: 'Game not found' })
+    }
+
+    res.json(game)
+  } catch (error) {
+    console.error('Update catalog error:', error)
+    res.status(500).json({ error: 'Failed to update game' })
+  }
+})
+
+// Admin: Sync the catalog from providers now
+router.post('/admin/catalog/sync', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { provider } = req.body
+
+    if (provider && !getAdapter(provider)) {
+      return res.status(404).json({ error: 'Provider not enabled' })
+    }
+
+    const summary = await syncCatalog({ provider })
+    res.json({ summary })
+  } catch (error) {
+    console.error('Sync catalog error:', error)
+    res.status(500).json({ error: 'Failed to sync catalog' })
+  }
+})
+
+// Admin: Bet feed straight from a provider adapter
+router.get('/bets/feed', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { provider = INHOUSE_PROVIDER, page = 1, limit = 25, startDate, endDate } = req.query
+
+    const adapter = getAdapter(provider)
+    if (!adapter) {
+      return res.status(404).json({ error: 'Provider not enabled' })
+    }
+
+    const result = await adapter.fetchBets({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      startDate,
+      endDate
+    })
+
+    res.json({
+      bets: result.bets,
+      total: result.total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get bet feed error:', error)
+    res.status(500).json({ error: 'Failed to fetch bet feed' })
+  }
+})
+
 // Get all bets (admin only)
 router.get('/bets/all', authenticate, requireAdmin, async (req, res) => {
   try {
     const { 
-      provider = 'spribe', 
+      provider, 
       page = 1, 
       limit = 25, 
       startDate, 
@@ -82,24 +371,24 @@ router.get('/bets/all', authenticate, requireAdmin, async (req, res) => {
       userId
     } = req.query
 
-    const result = await fetchBets({
-      provider,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      startDate,
-      endDate
-    })
+    let query = supabase
+      .from('bets')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
 
-    let bets = result.bets || []
+    if (provider) query = query.eq('provider', provider)
+    if (userId) query = query.eq('user_id', userId)
+    if (startDate) query = query.gte('created_at', startDate)
+    if (endDate) query = query.lte('created_at', endDate)
 
-    // Filter by user if provided
-    if (userId) {
-      bets = bets.filter(b => b.user_id === userId)
-    }
+    const { data: bets, error, count } = await query
+
+    if (error) throw error
 
     res.json({
-      bets,
-      total: result.total || bets.length,
+      bets: bets || [],
+      total: count || 0,
       page: parseInt(page),
       limit: parseInt(limit)
     })
@@ -136,15 +425,32 @@ router.get('/bets/me', authenticate, async (req, res) => {
   }
 })
 
-// Create a bet (game session)
-router.post('/bets', authenticate, async (req, res) => {
+// Create a bet (game session).
+// In-house games are resolved and settled immediately from the player's fairness seed.
+router.post('/bets', authenticate, captureFingerprint('bet'), idempotent, async (req, res) => {
   try {
-    const { game_id, stake, currency = 'USD' } = req.body
+    const { game_id, stake, currency = 'USD', params } = req.body
 
     if (!game_id || !stake || stake <= 0) {
       return res.status(400).json({ error: 'Invalid bet parameters' })
     }
 
+    const inhouse = isInhouseGame(game_id)
+    let gameParams = null
+
+    if (inhouse) {
+      const validation = validateParams(game_id, params)
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error })
+      }
+      gameParams = validation.params
+
+      const maxWin = getMaxWin(game_id)
+      if (stake * getMaxMultiplier(game_id, gameParams) > maxWin) {
+        return res.status(400).json({ error: `Potential win exceeds the max win of ${maxWin} for this game` })
+      }
+    }
+
     // Check user wallet balance
     const { data: wallet, error: walletError } = await supabase
       .from('wallets')
@@ -157,61 +463,59 @@ router.post('/bets', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Wallet not found' })
     }
 
-    if (wallet.balance < stake) {
-      return res.status(400).json({ error: 'Insufficient balance' })
-    }
+    await checkBet(req.profile, { stake, currency })
 
-    // Deduct stake from wallet
-    const { error: updateError } = await supabase
-      .from('wallets')
-      .update({ balance: wallet.balance - stake })
-      .eq('id', wallet.id)
+    const { bet, wallet: updatedWallet } = await placeBet({
+      wallet,
+      gameId: game_id,
+      stake,
+      fields: inhouse ? { provider: INHOUSE_PROVIDER } : {}
+    })
 
-    if (updateError) throw updateError
+    await recordPlay(req.profile)
 
-    // Create bet record
-    const { data: bet, error: betError } = await supabase
-      .from('bets')
-      .insert({
-        user_id: req.user.id,
-        game_id,
-        stake,
-        currency,
-        outcome: 'pending',
-        win_amount: 0
-      })
-      .select()
-      .single()
-
-    if (betError) throw betError
+    if (inhouse) {
+      let settledBet
+      try {
+        settledBet = await playRound({ bet, params: gameParams })
+      } catch (error) {
+        // Don't keep the stake for a round that never resolved
+        await cancelBet({ bet, wallet: updatedWallet }).catch(cancelError => {
+          console.error(`Cancel bet ${bet.id} error:`, cancelError)
+        })
+        throw error
+      }
+      const settledWallet = await getBetWallet(bet)
 
-    // Create transaction record
-    await supabase.from('transactions').insert({
-      user_id: req.user.id,
-      wallet_id: wallet.id,
-      type: 'bet',
-      amount: -stake,
-      currency,
-      status: 'completed',
-      reference_id: bet.id,
-      reference_type: 'bet'
-    })
+      return res.json({
+        bet: settledBet,
+        result: settledBet.game_data?.result,
+        new_balance: settledWallet?.balance ?? updatedWallet.balance
+      })
+    }
 
     res.json({
       bet,
-      new_balance: wallet.balance - stake
+      new_balance: updatedWallet.balance
     })
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    if (error instanceof ResponsibleGamingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details })
+    }
     console.error('Create bet error:', error)
     res.status(500).json({ error: 'Failed to create bet' })
   }
 })
 
-// Settle a bet (callback from provider or admin)
-router.post('/bets/:id/settle', authenticate, async (req, res) => {
+// Settle a bet manually (admin only, reason required).
+// Providers settle through the signed callbacks in routes/provider.js.
+router.post('/bets/:id/settle', authenticate, idempotent, async (req, res) => {
   try {
     const { id } = req.params
-    const { outcome, win_amount = 0, multiplier = 1 } = req.body
+    const { outcome, win_amount = 0, multiplier = 0, reason } = req.body
 
     // Get bet
     const { data: bet, error: betError } = await supabase
@@ -224,99 +528,59 @@ router.post('/bets/:id/settle', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Bet not found' })
     }
 
-    // Check ownership or admin
-    if (bet.user_id !== req.user.id && req.user.role !== 'admin') {
+    const attempted = { outcome, win_amount, multiplier, reason }
+
+    if (req.profile.role !== 'admin') {
+      await logRejectedSettlement({
+        bet,
+        source: 'user',
+        actorId: req.user.id,
+        reasons: ['Only admins can settle bets manually'],
+        attempted
+      })
       return res.status(403).json({ error: 'Forbidden' })
     }
 
-    if (bet.outcome !== 'pending') {
-      return res.status(400).json({ error: 'Bet already settled' })
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      await logRejectedSettlement({
+        bet,
+        source: 'admin',
+        actorId: req.user.id,
+        reasons: ['Reason is required'],
+        attempted
+      })
+      return res.status(400).json({ error: 'Reason is required' })
     }
 
-    // Update bet
-    const { data: updatedBet, error: updateError } = await supabase
-      .from('bets')
-      .update({
-        outcome,
-        win_amount,
-        multiplier,
-        settled_at: new Date().toISOString()
+    if (bet.outcome !== 'pending') {
+      await logRejectedSettlement({
+        bet,
+        source: 'admin',
+        actorId: req.user.id,
+        reasons: ['Bet is not pending'],
+        attempted
       })
-      .eq('id', id)
-      .select()
-      .single()
-
-    if (updateError) throw updateError
-
-    // Credit winnings if any
-    if (win_amount > 0) {
-      const { data: wallet } = await supabase
-        .from('wallets')
-        .select('*')
-        .eq('user_id', bet.user_id)
-        .eq('currency', bet.currency)
-        .single()
-
-      if (wallet) {
-        await supabase
-          .from('wallets')
-          .update({ balance: wallet.balance + win_amount })
-          .eq('id', wallet.id)
-
-        await supabase.from('transactions').insert({
-          user_id: bet.user_id,
-          wallet_id: wallet.id,
-          type: 'win',
-          amount: win_amount,
-          currency: bet.currency,
-          status: 'completed',
-          reference_id: bet.id,
-          reference_type: 'bet'
-        })
-      }
+      return res.status(400).json({ error: 'Bet already settled' })
     }
 
-    res.json(updatedBet)
+    const settledBet = await settleBet({
+      bet,
+      outcome,
+      winAmount: win_amount,
+      multiplier,
+      source: 'admin',
+      actorId: req.user.id,
+      reason: reason.trim()
+    })
+
+    res.json(settledBet)
   } catch (error) {
+    if (error instanceof SettlementError) {
+      return res.status(error.status).json({ error: error.message, reasons: error.reasons })
+    }
     console.error('Settle bet error:', error)
     res.status(500).json({ error: 'Failed to settle bet' })
   }
 })
 
-// Get game providers list
-router.get('/providers', optionalAuth, async (req, res) => {
-  try {
-    // Return static provider list or fetch from RapidAPI
-    const providers = [
-      { id: 'pragmatic', name: 'Pragmatic Play', logo: null },
-      { id: 'evolution', name: 'Evolution Gaming', logo: null },
-      { id: 'hacksaw', name: 'Hacksaw Gaming', logo: null },
-      { id: 'spribe', name: 'Spribe', logo: null },
-      { id: 'netent', name: 'NetEnt', logo: null },
-      { id: 'play-n-go', name: "Play'n GO", logo: null },
-      { id: 'nolimit', name: 'NoLimit City', logo: null },
-      { id: 'relax', name: 'Relax Gaming', logo: null },
-    ]
-
-    res.json({ providers })
-  } catch (error) {
-    console.error('Get providers error:', error)
-    res.status(500).json({ error: 'Failed to fetch providers' })
-  }
-})
-
-// Get game categories
-router.get('/categories', optionalAuth, async (req, res) => {
-  const categories = [
-    { id: 'slots', name: 'Slots', icon: 'slot-machine' },
-    { id: 'live', name: 'Live Casino', icon: 'cards' },
-    { id: 'crash', name: 'Crash Games', icon: 'rocket' },
-    { id: 'table', name: 'Table Games', icon: 'table' },
-    { id: 'lottery', name: 'Lottery', icon: 'ticket' },
-    { id: 'sports', name: 'Sports', icon: 'football' },
-  ]
-
-  res.json({ categories })
-})
-
 export default router
@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock } from '../test/supabase.js'
+
+process.env.LAUNCH_TOKEN_SECRET = 'test-launch-secret'
+
+const db = createSupabaseMock()
+jest.unstable_mockModule('../lib/supabase.js', () => ({ supabase: db.client }))
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'u1' }
+    next()
+  },
+  optionalAuth: (req, res, next) => next(),
+  requireAdmin: (req, res, next) => next()
+}))
+jest.unstable_mockModule('../middleware/fingerprint.js', () => ({
+  captureFingerprint: () => (req, res, next) => next()
+}))
+
+const { default: gameRoutes } = await import('./games.js')
+
+let server
+let baseUrl
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use('/api/games', gameRoutes)
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  db.tables.wallets = []
+  db.tables.game_sessions = []
+})
+
+describe('POST /:id/launch', () => {
+  test('refuses a currency the platform does not support', async () => {
+    const res = await fetch(`${baseUrl}/api/games/inhouse-dice/launch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currency: 'DOGGO' })
+    })
+
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('Unsupported currency: DOGGO')
+    expect(db.tables.wallets).toHaveLength(0)
+    expect(db.tables.game_sessions).toHaveLength(0)
+  })
+})
@@ -0,0 +1,46 @@
+import { Router } from 'express'
+import { authenticate } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import { DOCUMENT_TYPES, KycError, getKycStatus, toPublicDocument, uploadDocument } from '../lib/kyc.js'
+
+const router = Router()
+
+// Get the current user's KYC level, limits and documents
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const status = await getKycStatus(req.profile)
+
+    res.json({ ...status, document_types: DOCUMENT_TYPES })
+  } catch (error) {
+    console.error('Get KYC status error:', error)
+    res.status(500).json({ error: 'Failed to fetch verification status' })
+  }
+})
+
+// Upload a document for review: { type, kind, file_name, content_type, data (base64) }
+router.post('/documents', authenticate, async (req, res) => {
+  try {
+    const { type, kind, file_name: fileName, content_type: contentType, data } = req.body
+
+    const document = await uploadDocument(req.user.id, { type, kind, fileName, contentType, data })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'kyc_document_uploaded',
+      details: { document_id: document.id, type, kind }
+    })
+
+    res.status(201).json({
+      document: toPublicDocument(document),
+      message: 'Document received. We will review it shortly.'
+    })
+  } catch (error) {
+    if (error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message, code: error.code })
+    }
+    console.error('KYC upload error:', error)
+    res.status(500).json({ error: 'Failed to upload document' })
+  }
+})
+
+export default router
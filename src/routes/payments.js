@@ -0,0 +1,157 @@
+import { Router } from 'express'
+import fetch from 'node-fetch'
+import { supabase } from '../lib/supabase.js'
+import { authenticate, requireAdmin } from '../middleware/auth.js'
+import { completeDeposit, failDeposit, findDepositByInvoice } from '../lib/deposits.js'
+import { getGateways, getGateway } from '../payments/index.js'
+import { GATEWAY_ID as MOCK_GATEWAY_ID, getMockInvoice, buildMockWebhook } from '../payments/mock.js'
+
+const router = Router()
+
+// List enabled payment gateways
+router.get('/gateways', (req, res) => {
+  res.json({
+    gateways: getGateways().map(gateway => ({ id: gateway.id, name: gateway.name }))
+  })
+})
+
+// Gateway webhook: verify the signature, then complete or fail the deposit once.
+// Redelivered events are acknowledged without being processed again.
+router.post('/webhook/:gateway', async (req, res) => {
+  const gateway = getGateway(req.params.gateway)
+
+  if (!gateway) {
+    return res.status(404).json({ error: 'Unknown payment gateway' })
+  }
+
+  if (!gateway.verifyWebhook(req)) {
+    return res.status(401).json({ error: 'Invalid signature' })
+  }
+
+  let event
+  try {
+    event = gateway.parseWebhook(req.body)
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid webhook payload' })
+  }
+
+  if (!event?.event_id || !event.invoice_id || !['pending', 'completed', 'failed'].includes(event.status)) {
+    return res.status(400).json({ error: 'Invalid webhook payload' })
+  }
+
+  const { data: record, error: recordError } = await supabase
+    .from('payment_webhook_events')
+    .insert({
+      gateway: gateway.id,
+      event_id: event.event_id,
+      invoice_id: event.invoice_id,
+      status: event.status,
+      payload: req.body
+    })
+    .select()
+    .single()
+
+  if (recordError) {
+    if (recordError.code === '23505') {
+      return res.json({ ok: true, duplicate: true })
+    }
+    console.error('Record webhook error:', recordError)
+    return res.status(500).json({ error: 'Failed to process webhook' })
+  }
+
+  try {
+    const deposit = await findDepositByInvoice(gateway.id, event.invoice_id)
+
+    let result
+    if (!deposit) {
+      result = 'unknown_invoice'
+    } else if (event.currency && event.currency !== deposit.currency) {
+      result = 'currency_mismatch'
+      await failDeposit(deposit.id, { notes: `${deposit.notes} | Paid in ${event.currency}` })
+    } else if (event.status === 'completed') {
+      const completed = await completeDeposit(deposit.id, { amount: event.amount })
+      result = completed ? 'completed' : `ignored_${deposit.status}`
+    } else if (event.status === 'failed') {
+      const failed = await failDeposit(deposit.id)
+      result = failed ? 'failed' : `ignored_${deposit.status}`
+    } else {
+      result = 'pending'
+    }
+
+    await supabase
+      .from('payment_webhook_events')
+      .update({ transaction_id: deposit?.id || null, result })
+      .eq('id', record.id)
+
+    res.json({ ok: true, result })
+  } catch (error) {
+    // Forget the event so the gateway's retry is processed
+    await supabase.from('payment_webhook_events').delete().eq('id', record.id)
+    console.error('Payment webhook error:', error)
+    res.status(500).json({ error: 'Failed to process webhook' })
+  }
+})
+
+// Mock gateway: show an invoice
+router.get('/mock/:invoiceId', authenticate, requireAdmin, (req, res) => {
+  if (!getGateway(MOCK_GATEWAY_ID)) {
+    return res.status(404).json({ error: 'Mock gateway is not enabled' })
+  }
+
+  const invoice = getMockInvoice(req.params.invoiceId)
+
+  if (!invoice) {
+    return res.status(404).json({ error: 'Invoice not found' })
+  }
+
+  res.json({
+    invoice,
+    actions: {
+      pay: `POST ${req.baseUrl}/mock/${invoice.id}/pay`,
+      fail: `POST ${req.baseUrl}/mock/${invoice.id}/fail`
+    }
+  })
+})
+
+// Mock gateway: pay or fail an invoice, delivering the signed webhook to this server
+router.post('/mock/:invoiceId/:outcome', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!getGateway(MOCK_GATEWAY_ID)) {
+      return res.status(404).json({ error: 'Mock gateway is not enabled' })
+    }
+
+    const { invoiceId, outcome } = req.params
+
+    if (!['pay', 'fail'].includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome' })
+    }
+
+    const invoice = getMockInvoice(invoiceId)
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' })
+    }
+
+    if (invoice.status !== 'pending') {
+      return res.status(409).json({ error: `Invoice is already ${invoice.status}` })
+    }
+
+    const status = outcome === 'pay' ? 'completed' : 'failed'
+    const { body, headers } = buildMockWebhook(invoice, status)
+
+    const response = await fetch(`${req.protocol}://${req.get('host')}${req.baseUrl}/webhook/${MOCK_GATEWAY_ID}`, {
+      method: 'POST',
+      headers,
+      body
+    })
+
+    if (response.ok) invoice.status = status
+
+    res.status(response.ok ? 200 : 502).json({ invoice, webhook: await response.json() })
+  } catch (error) {
+    console.error('Mock payment error:', error)
+    res.status(500).json({ error: 'Failed to simulate payment' })
+  }
+})
+
+export default router
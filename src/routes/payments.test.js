@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock } from '../test/supabase.js'
+
+process.env.PAYMENT_GATEWAYS = 'mock'
+process.env.PAYMENT_MOCK_SECRET = 'test-mock-secret'
+process.env.LAUNCH_TOKEN_SECRET = 'test-launch-secret'
+
+const db = createSupabaseMock({ unique: { payment_webhook_events: [['gateway', 'event_id']] } })
+const users = { admin: { id: 'a1', role: 'admin' }, player: { id: 'u1', role: 'user' } }
+
+jest.unstable_mockModule('../lib/supabase.js', () => ({
+  supabase: db.client,
+  verifyToken: async token => (users[token] ? { id: users[token].id } : null),
+  getUserProfile: async id => {
+    const user = Object.values(users).find(candidate => candidate.id === id)
+    return user && { ...user, is_active: true }
+  }
+}))
+jest.unstable_mockModule('../lib/fingerprints.js', () => ({ recordFingerprint: jest.fn() }))
+
+const completeDeposit = jest.fn(async () => ({ id: 't1' }))
+jest.unstable_mockModule('../lib/deposits.js', () => ({
+  completeDeposit,
+  failDeposit: jest.fn(async () => ({ id: 't1' })),
+  findDepositByInvoice: async () => ({ id: 't1', currency: 'USD', status: 'pending', notes: '' })
+}))
+
+const { gateway } = await import('../payments/mock.js')
+const { default: paymentRoutes } = await import('./payments.js')
+
+let server
+let baseUrl
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8') } }))
+  app.use('/api/payments', paymentRoutes)
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  db.tables.payment_webhook_events = []
+  completeDeposit.mockClear()
+})
+
+async function createInvoice() {
+  const { invoice_id: invoiceId } = await gateway.createInvoice({
+    transaction: { id: 't1' },
+    amount: 25,
+    currency: 'USD',
+    method: 'card',
+    baseUrl
+  })
+  return invoiceId
+}
+
+function pay(invoiceId, { as, body = {} } = {}) {
+  return fetch(`${baseUrl}/api/payments/mock/${invoiceId}/pay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(as && { Authorization: `Bearer ${as}` }) },
+    body: JSON.stringify(body)
+  })
+}
+
+describe('mock gateway routes', () => {
+  test('refuse anonymous callers', async () => {
+    const invoiceId = await createInvoice()
+
+    expect((await fetch(`${baseUrl}/api/payments/mock/${invoiceId}`)).status).toBe(401)
+    expect((await pay(invoiceId)).status).toBe(401)
+    expect(completeDeposit).not.toHaveBeenCalled()
+  })
+
+  test('refuse players', async () => {
+    const invoiceId = await createInvoice()
+
+    expect((await pay(invoiceId, { as: 'player' })).status).toBe(403)
+    expect(completeDeposit).not.toHaveBeenCalled()
+  })
+
+  test('credit the invoiced amount whatever the request asks for', async () => {
+    const invoiceId = await createInvoice()
+
+    const res = await pay(invoiceId, { as: 'admin', body: { amount: 1000000 } })
+
+    expect(res.status).toBe(200)
+    expect((await res.json()).webhook.result).toBe('completed')
+    expect(completeDeposit).toHaveBeenCalledWith('t1', { amount: 25 })
+  })
+})
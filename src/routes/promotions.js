@@ -0,0 +1,280 @@
+import { Router } from 'express'
+import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { supabase } from '../lib/supabase.js'
+import { toPublicBonus } from '../lib/bonuses.js'
+import {
+  PROMOTION_FIELDS,
+  PromotionError,
+  normalizeCode,
+  validatePromotion,
+  redeemCode
+} from '../lib/promotions.js'
+
+const router = Router()
+
+function pickFields(body) {
+  const fields = {}
+  for (const field of PROMOTION_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field]
+  }
+  if (fields.code !== undefined) fields.code = fields.code ? normalizeCode(fields.code) : null
+  return fields
+}
+
+// Redeem a promo code
+router.post('/redeem', authenticate, idempotent, async (req, res) => {
+  try {
+    const { code, currency } = req.body
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Promo code required' })
+    }
+
+    const bonus = await redeemCode(code, req.profile, { currency })
+
+    res.json({
+      bonus: toPublicBonus(bonus),
+      message: 'Promo code redeemed'
+    })
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({ error: error.message, reasons: error.reasons })
+    }
+    console.error('Redeem promo code error:', error)
+    res.status(500).json({ error: 'Failed to redeem promo code' })
+  }
+})
+
+// Staff: List promotions
+router.get('/', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, type, active } = req.query
+
+    let query = supabase
+      .from('promotions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (type) query = query.eq('type', type)
+    if (active !== undefined) query = query.eq('active', active === 'true')
+
+    const { data: promotions, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      promotions: promotions || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get promotions error:', error)
+    res.status(500).json({ error: 'Failed to fetch promotions' })
+  }
+})
+
+// Staff: Get promotion with redemption count
+router.get('/:id', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { data: promotion, error } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (error || !promotion) {
+      return res.status(404).json({ error: 'Promotion not found' })
+    }
+
+    const { count } = await supabase
+      .from('promotion_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promotion_id', id)
+
+    res.json({ ...promotion, redemptions: count || 0 })
+  } catch (error) {
+    console.error('Get promotion error:', error)
+    res.status(500).json({ error: 'Failed to fetch promotion' })
+  }
+})
+
+// Staff: List a promotion's redemptions
+router.get('/:id/redemptions', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { page = 1, limit = 25 } = req.query
+
+    const { data: redemptions, error, count } = await supabase
+      .from('promotion_redemptions')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          email,
+          username
+        ),
+        bonuses:bonus_id (
+          id,
+          amount,
+          currency,
+          status
+        )
+      `, { count: 'exact' })
+      .eq('promotion_id', id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (error) throw error
+
+    res.json({
+      redemptions: redemptions || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get redemptions error:', error)
+    res.status(500).json({ error: 'Failed to fetch redemptions' })
+  }
+})
+
+// Admin: Create promotion
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const promotion = { ...pickFields(req.body), type: req.body.type }
+
+    const reasons = validatePromotion(promotion)
+    if (reasons.length) {
+      return res.status(400).json({ error: 'Invalid promotion', reasons })
+    }
+
+    const { data: created, error } = await supabase
+      .from('promotions')
+      .insert({ ...promotion, created_by: req.user.id })
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Promo code already exists' })
+      }
+      throw error
+    }
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'promotion_created',
+      details: { promotion_id: created.id, name: created.name, type: created.type, code: created.code }
+    })
+
+    res.status(201).json(created)
+  } catch (error) {
+    console.error('Create promotion error:', error)
+    res.status(500).json({ error: 'Failed to create promotion' })
+  }
+})
+
+// Admin: Update promotion
+router.patch('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const updates = pickFields(req.body)
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No updates provided' })
+    }
+
+    const { data: existing } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' })
+    }
+
+    const reasons = validatePromotion({ ...existing, ...updates })
+    if (reasons.length) {
+      return res.status(400).json({ error: 'Invalid promotion', reasons })
+    }
+
+    const { data: promotion, error } = await supabase
+      .from('promotions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Promo code already exists' })
+      }
+      throw error
+    }
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'promotion_updated',
+      details: { promotion_id: id, changes: updates }
+    })
+
+    res.json(promotion)
+  } catch (error) {
+    console.error('Update promotion error:', error)
+    res.status(500).json({ error: 'Failed to update promotion' })
+  }
+})
+
+// Admin: Delete promotion (deactivated instead once it has been redeemed)
+router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { count } = await supabase
+      .from('promotion_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promotion_id', id)
+
+    let result
+    if (count > 0) {
+      result = await supabase
+        .from('promotions')
+        .update({ active: false, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single()
+    } else {
+      result = await supabase
+        .from('promotions')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single()
+    }
+
+    if (result.error || !result.data) {
+      return res.status(404).json({ error: 'Promotion not found' })
+    }
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: count > 0 ? 'promotion_deactivated' : 'promotion_deleted',
+      details: { promotion_id: id, name: result.data.name }
+    })
+
+    res.json({
+      message: count > 0 ? 'Promotion has redemptions and was deactivated' : 'Promotion deleted'
+    })
+  } catch (error) {
+    console.error('Delete promotion error:', error)
+    res.status(500).json({ error: 'Failed to delete promotion' })
+  }
+})
+
+export default router
@@ -0,0 +1,570 @@
+import { Router } from 'express'
+import { authenticateProvider } from '../middleware/providerAuth.js'
+import { supabase, getUserProfile } from '../lib/supabase.js'
+import { ACCOUNTS, LedgerError } from '../lib/ledger.js'
+import { placeBet, stakeMovement, transitionBet, winningsMovement } from '../lib/bets.js'
+import { getMaxWin, logRejectedSettlement } from '../lib/settlement.js'
+import { resolveLaunchToken, touchSession } from '../lib/gameSessions.js'
+import { trackWager } from '../lib/bonuses.js'
+import { trackVipPoints } from '../lib/vip.js'
+import { ResponsibleGamingError, checkBet, recordPlay } from '../lib/responsibleGaming.js'
+import { describeAccountState, getAccess } from '../lib/accountState.js'
+
+// Seamless-wallet API called by game providers (aggregator shape).
+// Every call is signed per provider and keyed by the provider's round and
+// transaction IDs; a retried transaction ID gets the original response back.
+const router = Router()
+
+function fail(res, status, code, message) {
+  return res.status(status).json({ ok: false, code, message })
+}
+
+function isValidAmount(amount) {
+  return typeof amount === 'number' && Number.isFinite(amount) && amount >= 0
+}
+
+async function getPlayerWallet(playerId, currency) {
+  if (!playerId || !currency) return null
+
+  const { data: wallet } = await supabase
+    .from('wallets')
+    .select('*')
+    .eq('user_id', playerId)
+    .eq('currency', currency)
+    .single()
+
+  return wallet
+}
+
+async function findProviderTx(provider, providerTxId) {
+  const { data } = await supabase
+    .from('provider_transactions')
+    .select('*')
+    .eq('provider', provider)
+    .eq('provider_tx_id', providerTxId)
+    .single()
+
+  return data
+}
+
+// Reserve a provider transaction ID. Returns null if it was already used.
+async function claimProviderTx(record) {
+  const { data, error } = await supabase
+    .from('provider_transactions')
+    .insert(record)
+    .select()
+    .single()
+
+  if (error && error.code !== '23505') throw error
+  return data || null
+}
+
+async function completeProviderTx(id, updates) {
+  await supabase
+    .from('provider_transactions')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+}
+
+// Answer a repeated transaction ID from what was stored the first time
+function replayProviderTx(res, existing, type) {
+  if (existing.type !== type) {
+    return fail(res, 409, 'DUPLICATE_TRANSACTION', 'Transaction ID already used for a different operation')
+  }
+  if (existing.status === 'processing') {
+    return fail(res, 409, 'TRANSACTION_IN_PROGRESS', 'Transaction is still being processed')
+  }
+  if (existing.status === 'tombstone') {
+    return fail(res, 409, 'TRANSACTION_ROLLED_BACK', 'Transaction was already rolled back')
+  }
+  return res.json(existing.response)
+}
+
+// Check an optional launch token against the callback: same provider, player and
+// currency, and a real-money session. Returns { session } or { error: [status, code, message] }.
+async function checkSession(provider, token, wallet) {
+  if (!token) return { session: null }
+
+  const session = await resolveLaunchToken(token)
+
+  if (!session) {
+    return { error: [401, 'INVALID_TOKEN', 'Session token is invalid or expired'] }
+  }
+  if (session.adapter_id !== provider || session.user_id !== wallet.user_id || session.currency !== wallet.currency) {
+    return { error: [403, 'SESSION_MISMATCH', 'Session does not match this player or currency'] }
+  }
+  if (session.mode !== 'real') {
+    return { error: [400, 'DEMO_SESSION', 'Demo sessions cannot move real money'] }
+  }
+
+  await touchSession(session.id)
+  return { session }
+}
+
+function ledgerFailure(res, error) {
+  if (error.code === 'insufficient_funds') {
+    return fail(res, 402, 'INSUFFICIENT_FUNDS', error.message)
+  }
+  return fail(res, error.status, error.code.toUpperCase(), error.message)
+}
+
+// Resolve a launch token to the player and session (called when the game loads)
+router.post('/:provider/session', authenticateProvider, async (req, res) => {
+  try {
+    const session = await resolveLaunchToken(req.body.token)
+
+    if (!session || session.adapter_id !== req.provider.id) {
+      return fail(res, 401, 'INVALID_TOKEN', 'Session token is invalid or expired')
+    }
+
+    let balance = null
+    if (session.mode === 'real') {
+      const wallet = await getPlayerWallet(session.user_id, session.currency)
+      balance = wallet?.balance ?? 0
+    }
+
+    await touchSession(session.id)
+
+    res.json({
+      ok: true,
+      session_id: session.id,
+      player_id: session.user_id,
+      game_id: session.game_id,
+      currency: session.currency,
+      mode: session.mode,
+      balance,
+      expires_at: session.expires_at
+    })
+  } catch (error) {
+    console.error('Provider session error:', error)
+    fail(res, 500, 'INTERNAL_ERROR', 'Failed to resolve session')
+  }
+})
+
+// Get player balance
+router.post('/:provider/balance', authenticateProvider, async (req, res) => {
+  try {
+    const { player_id, currency } = req.body
+
+    const wallet = await getPlayerWallet(player_id, currency)
+
+    if (!wallet) {
+      return fail(res, 404, 'PLAYER_NOT_FOUND', 'Player wallet not found')
+    }
+
+    res.json({ ok: true, balance: wallet.balance, currency: wallet.currency })
+  } catch (error) {
+    console.error('Provider balance error:', error)
+    fail(res, 500, 'INTERNAL_ERROR', 'Failed to fetch balance')
+  }
+})
+
+// Debit a stake for a round
+router.post('/:provider/debit', authenticateProvider, async (req, res) => {
+  const provider = req.provider.id
+
+  try {
+    const { player_id, currency, amount, round_id, transaction_id, game_id, token } = req.body
+
+    if (!transaction_id || !round_id || !isValidAmount(amount) || amount === 0) {
+      return fail(res, 400, 'INVALID_REQUEST', 'Invalid debit parameters')
+    }
+
+    const wallet = await getPlayerWallet(player_id, currency)
+
+    if (!wallet) {
+      return fail(res, 404, 'PLAYER_NOT_FOUND', 'Player wallet not found')
+    }
+
+    const { session, error: sessionError } = await checkSession(provider, token, wallet)
+
+    if (sessionError) {
+      return fail(res, ...sessionError)
+    }
+
+    const claimed = await claimProviderTx({
+      provider,
+      provider_tx_id: transaction_id,
+      type: 'debit',
+      round_id,
+      user_id: wallet.user_id,
+      wallet_id: wallet.id,
+      amount,
+      currency: wallet.currency
+    })
+
+    if (!claimed) {
+      return replayProviderTx(res, await findProviderTx(provider, transaction_id), 'debit')
+    }
+
+    let result
+    let profile
+    try {
+      // Only players with full access can stake, whether or not a token was sent,
+      // and their wager, loss and session limits apply to provider games too
+      profile = await getUserProfile(wallet.user_id)
+      if (!profile) {
+        await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+        return fail(res, 404, 'PLAYER_NOT_FOUND', 'Player not found')
+      }
+      if (!profile.is_active || getAccess(profile) !== 'full') {
+        await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+        return fail(res, 403, 'ACCOUNT_RESTRICTED', profile.is_active ? describeAccountState(profile) : 'Account is deactivated')
+      }
+
+      await checkBet(profile, { stake: amount, currency: wallet.currency })
+
+      const { data: existingBet } = await supabase
+        .from('bets')
+        .select('*')
+        .eq('provider', provider)
+        .eq('provider_round_id', round_id)
+        .eq('user_id', wallet.user_id)
+        .single()
+
+      if (existingBet && existingBet.outcome !== 'pending') {
+        await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+        return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+      }
+
+      if (existingBet) {
+        // Additional stake on an open round (e.g. a second bet in the same crash round)
+        result = await transitionBet({
+          bet: existingBet,
+          increment: { stake: amount },
+          movement: stakeMovement({ bet: existingBet, wallet, amount })
+        })
+
+        if (!result) {
+          await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+          return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+        }
+      } else {
+        result = await placeBet({
+          wallet,
+          gameId: game_id || session?.game_id,
+          stake: amount,
+          fields: { provider, provider_round_id: round_id, session_id: session?.id || null }
+        })
+      }
+    } catch (error) {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      throw error
+    }
+
+    await recordPlay(profile)
+
+    const response = {
+      ok: true,
+      balance: result.wallet.balance,
+      currency: result.wallet.currency,
+      transaction_id: result.transaction.id
+    }
+
+    await completeProviderTx(claimed.id, {
+      status: 'completed',
+      bet_id: result.bet.id,
+      transaction_id: result.transaction.id,
+      response
+    })
+
+    res.json(response)
+  } catch (error) {
+    if (error instanceof LedgerError) return ledgerFailure(res, error)
+    if (error instanceof ResponsibleGamingError) {
+      return fail(res, error.status, error.code.toUpperCase(), error.message)
+    }
+    console.error('Provider debit error:', error)
+    fail(res, 500, 'INTERNAL_ERROR', 'Failed to debit')
+  }
+})
+
+// Credit winnings for a round (amount 0 closes a losing round)
+router.post('/:provider/credit', authenticateProvider, async (req, res) => {
+  const provider = req.provider.id
+
+  try {
+    const { player_id, currency, amount, round_id, transaction_id, round_closed = true, token } = req.body
+
+    if (!transaction_id || !round_id || !isValidAmount(amount)) {
+      return fail(res, 400, 'INVALID_REQUEST', 'Invalid credit parameters')
+    }
+
+    const wallet = await getPlayerWallet(player_id, currency)
+
+    if (!wallet) {
+      return fail(res, 404, 'PLAYER_NOT_FOUND', 'Player wallet not found')
+    }
+
+    // Wins for a round are paid even if the session expired after the stake was taken
+    const { error: sessionError } = token
+      ? await checkSession(provider, token, wallet)
+      : {}
+
+    if (sessionError && sessionError[1] !== 'INVALID_TOKEN') {
+      return fail(res, ...sessionError)
+    }
+
+    const { data: bet } = await supabase
+      .from('bets')
+      .select('*')
+      .eq('provider', provider)
+      .eq('provider_round_id', round_id)
+      .eq('user_id', wallet.user_id)
+      .single()
+
+    if (!bet) {
+      return fail(res, 404, 'ROUND_NOT_FOUND', 'Round not found')
+    }
+
+    const claimed = await claimProviderTx({
+      provider,
+      provider_tx_id: transaction_id,
+      type: 'credit',
+      round_id,
+      bet_id: bet.id,
+      user_id: wallet.user_id,
+      wallet_id: wallet.id,
+      amount,
+      currency: wallet.currency
+    })
+
+    if (!claimed) {
+      return replayProviderTx(res, await findProviderTx(provider, transaction_id), 'credit')
+    }
+
+    if (bet.outcome === 'cancelled') {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      return fail(res, 409, 'ROUND_CANCELLED', 'Round was rolled back')
+    }
+
+    if (bet.outcome !== 'pending') {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+    }
+
+    const maxWin = getMaxWin(bet.game_id)
+    if ((bet.win_amount || 0) + amount > maxWin) {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      await logRejectedSettlement({
+        bet,
+        source: `provider:${provider}`,
+        reasons: [`Total win exceeds the max win of ${maxWin} for this game`],
+        attempted: { transaction_id, round_id, amount }
+      })
+      return fail(res, 422, 'MAX_WIN_EXCEEDED', 'Win exceeds the max win for this game')
+    }
+
+    // The win is added to the bet's total in the database, which also settles a
+    // closed round as a win or loss by that total
+    const betUpdates = round_closed
+      ? { outcome: (bet.win_amount || 0) + amount > 0 ? 'win' : 'loss', settled_at: new Date().toISOString() }
+      : {}
+
+    let result
+    try {
+      result = await transitionBet({
+        bet,
+        update: betUpdates,
+        increment: { win_amount: amount },
+        movement: amount > 0 ? await winningsMovement({ bet, wallet, amount }) : undefined
+      })
+    } catch (error) {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      throw error
+    }
+
+    if (!result) {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+    }
+
+    const updatedBet = result.bet
+    const updatedWallet = result.wallet || wallet
+    const transaction = result.transaction
+
+    if (round_closed) {
+      await trackWager(updatedBet)
+      await trackVipPoints(updatedBet)
+    }
+
+    const response = {
+      ok: true,
+      balance: updatedWallet.balance,
+      currency: updatedWallet.currency,
+      transaction_id: transaction?.id || null
+    }
+
+    await completeProviderTx(claimed.id, {
+      status: 'completed',
+      transaction_id: transaction?.id || null,
+      response
+    })
+
+    res.json(response)
+  } catch (error) {
+    if (error instanceof LedgerError) return ledgerFailure(res, error)
+    console.error('Provider credit error:', error)
+    fail(res, 500, 'INTERNAL_ERROR', 'Failed to credit')
+  }
+})
+
+// Roll back an earlier debit (e.g. the provider failed to start the round)
+router.post('/:provider/rollback', authenticateProvider, async (req, res) => {
+  const provider = req.provider.id
+
+  try {
+    const { player_id, currency, transaction_id, reference_transaction_id, round_id } = req.body
+
+    if (!transaction_id || !reference_transaction_id) {
+      return fail(res, 400, 'INVALID_REQUEST', 'Invalid rollback parameters')
+    }
+
+    const wallet = await getPlayerWallet(player_id, currency)
+
+    if (!wallet) {
+      return fail(res, 404, 'PLAYER_NOT_FOUND', 'Player wallet not found')
+    }
+
+    const claimed = await claimProviderTx({
+      provider,
+      provider_tx_id: transaction_id,
+      type: 'rollback',
+      round_id,
+      reference_tx_id: reference_transaction_id,
+      user_id: wallet.user_id,
+      wallet_id: wallet.id,
+      currency: wallet.currency
+    })
+
+    if (!claimed) {
+      return replayProviderTx(res, await findProviderTx(provider, transaction_id), 'rollback')
+    }
+
+    const original = await findProviderTx(provider, reference_transaction_id)
+
+    if (!original) {
+      // The debit never reached us: leave a tombstone so a late debit is refused
+      await claimProviderTx({
+        provider,
+        provider_tx_id: reference_transaction_id,
+        type: 'debit',
+        round_id,
+        user_id: wallet.user_id,
+        wallet_id: wallet.id,
+        currency: wallet.currency,
+        status: 'tombstone'
+      })
+    }
+
+    if (original && original.type !== 'debit') {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      return fail(res, 400, 'INVALID_REQUEST', 'Only debits can be rolled back')
+    }
+
+    // The debit is still being applied: refuse, so the provider retries once it is done
+    if (original?.status === 'processing') {
+      await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+      return fail(res, 409, 'TRANSACTION_IN_PROGRESS', 'Referenced transaction is still being processed')
+    }
+
+    let updatedWallet = wallet
+    let transaction = null
+
+    if (original && original.status === 'completed') {
+      const { data: bet } = await supabase
+        .from('bets')
+        .select('*')
+        .eq('id', original.bet_id)
+        .single()
+
+      // Once a round is settled its stake has been won or lost; refunding it as
+      // well would pay the player twice
+      if (!bet || bet.outcome !== 'pending') {
+        await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+        return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+      }
+
+      // Flip the status first so two rollbacks for the same debit can't both refund
+      const { data: reversed } = await supabase
+        .from('provider_transactions')
+        .update({ status: 'rolled_back', updated_at: new Date().toISOString() })
+        .eq('id', original.id)
+        .eq('status', 'completed')
+        .select()
+        .single()
+
+      if (reversed) {
+        // Put the stake back into the balance parts it was drawn from
+        const { data: debit } = await supabase
+          .from('transactions')
+          .select('cash_amount, bonus_amount, locked_amount')
+          .eq('id', original.transaction_id)
+          .single()
+
+        const undoRollback = async () => {
+          await supabase
+            .from('provider_transactions')
+            .update({ status: 'completed', updated_at: new Date().toISOString() })
+            .eq('id', original.id)
+          await supabase.from('provider_transactions').delete().eq('id', claimed.id)
+        }
+
+        let result
+        try {
+          // Refunded in the same transaction as the bet update, and only while the bet is
+          // pending. A bet left with no stake is cancelled by the database.
+          result = await transitionBet({
+            bet,
+            increment: { stake: -original.amount },
+            movement: {
+              wallet,
+              amount: original.amount,
+              type: 'rollback',
+              account: ACCOUNTS.GAMING,
+              split: debit
+                ? { cash: -debit.cash_amount, bonus: -debit.bonus_amount, locked: -debit.locked_amount }
+                : undefined,
+              referenceId: bet.id,
+              referenceType: 'bet'
+            }
+          })
+        } catch (error) {
+          await undoRollback()
+          throw error
+        }
+
+        if (!result) {
+          // Settled between the check above and the refund
+          await undoRollback()
+          return fail(res, 409, 'ROUND_CLOSED', 'Round is already settled')
+        }
+
+        updatedWallet = result.wallet
+        transaction = result.transaction
+      }
+    }
+
+    const response = {
+      ok: true,
+      balance: updatedWallet.balance,
+      currency: updatedWallet.currency,
+      transaction_id: transaction?.id || null
+    }
+
+    await completeProviderTx(claimed.id, {
+      status: 'completed',
+      bet_id: original?.bet_id || null,
+      transaction_id: transaction?.id || null,
+      response
+    })
+
+    res.json(response)
+  } catch (error) {
+    if (error instanceof LedgerError) return ledgerFailure(res, error)
+    console.error('Provider rollback error:', error)
+    fail(res, 500, 'INTERNAL_ERROR', 'Failed to roll back')
+  }
+})
+
+export default router
@@ -0,0 +1,293 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock, betPlace, betTransition, ledgerPost } from '../test/supabase.js'
+
+process.env.PROVIDER_SECRET_ACME = 'test-secret'
+
+const db = createSupabaseMock({
+  unique: { provider_transactions: [['provider', 'provider_tx_id']] },
+  rpc: { ledger_post: ledgerPost, bet_place: betPlace, bet_transition: betTransition }
+})
+jest.unstable_mockModule('../lib/supabase.js', () => ({
+  supabase: db.client,
+  getUserProfile: async id => db.tables.profiles.find(profile => profile.id === id) || null
+}))
+jest.unstable_mockModule('../lib/gameSessions.js', () => ({
+  resolveLaunchToken: jest.fn(async () => null),
+  touchSession: jest.fn(),
+  listActiveSessions: jest.fn(async () => []),
+  closeSession: jest.fn()
+}))
+jest.unstable_mockModule('../lib/bonuses.js', () => ({ trackWager: jest.fn() }))
+jest.unstable_mockModule('../lib/vip.js', () => ({ trackVipPoints: jest.fn() }))
+
+const { signPayload } = await import('../middleware/providerAuth.js')
+const { default: providerRoutes } = await import('./provider.js')
+
+let server
+let baseUrl
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8') } }))
+  app.use('/api/provider', providerRoutes)
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'USD', balance: 100 }]
+  db.tables.transactions = []
+  db.tables.bets = []
+  db.tables.provider_transactions = []
+  db.tables.activity_logs = []
+  db.tables.profiles = [{ id: 'u1', is_active: true }]
+  db.tables.responsible_gaming_limits = []
+})
+
+async function call(action, body, { provider = 'acme', secret = 'test-secret', timestamp = Date.now(), signature } = {}) {
+  const raw = JSON.stringify(body)
+  const res = await fetch(`${baseUrl}/api/provider/${provider}/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Timestamp': String(timestamp),
+      'X-Signature': signature ?? signPayload(secret, timestamp, raw)
+    },
+    body: raw
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+const player = { player_id: 'u1', currency: 'USD', game_id: 'acme-crash' }
+
+function debit(transactionId, amount, roundId = 'r1') {
+  return call('debit', { ...player, round_id: roundId, transaction_id: transactionId, amount })
+}
+
+function credit(transactionId, amount, roundId = 'r1') {
+  return call('credit', { ...player, round_id: roundId, transaction_id: transactionId, amount })
+}
+
+function rollback(transactionId, referenceId, roundId = 'r1') {
+  return call('rollback', { ...player, round_id: roundId, transaction_id: transactionId, reference_transaction_id: referenceId })
+}
+
+const balance = () => db.tables.wallets[0].balance
+
+describe('signature', () => {
+  test('accepts a correctly signed callback', async () => {
+    const res = await call('balance', player)
+    expect(res.status).toBe(200)
+    expect(res.body).toMatchObject({ ok: true, balance: 100 })
+  })
+
+  test('rejects an unknown provider', async () => {
+    const res = await call('balance', player, { provider: 'other' })
+    expect(res).toMatchObject({ status: 401, body: { code: 'UNKNOWN_PROVIDER' } })
+  })
+
+  test('rejects a body signed with the wrong secret', async () => {
+    const res = await call('balance', player, { secret: 'wrong' })
+    expect(res).toMatchObject({ status: 401, body: { code: 'INVALID_SIGNATURE' } })
+  })
+
+  test('rejects a missing or malformed signature', async () => {
+    expect((await call('balance', player, { signature: '' })).status).toBe(401)
+    expect((await call('balance', player, { signature: 'not-hex' })).status).toBe(401)
+  })
+
+  test('rejects an old timestamp even when correctly signed', async () => {
+    const res = await call('balance', player, { timestamp: Date.now() - 10 * 60 * 1000 })
+    expect(res).toMatchObject({ status: 401, body: { message: 'Signature expired' } })
+  })
+})
+
+describe('transaction dedupe', () => {
+  test('a retried debit returns the first response and debits once', async () => {
+    const first = await debit('t1', 10)
+    const retry = await debit('t1', 10)
+
+    expect(first.body).toMatchObject({ ok: true, balance: 90 })
+    expect(retry.body).toEqual(first.body)
+    expect(balance()).toBe(90)
+    expect(db.tables.bets).toHaveLength(1)
+  })
+
+  test('a transaction ID reused for another operation is refused', async () => {
+    await debit('t1', 10)
+    const res = await credit('t1', 10)
+
+    expect(res).toMatchObject({ status: 409, body: { code: 'DUPLICATE_TRANSACTION' } })
+  })
+
+  test('a second debit on an open round adds to its stake', async () => {
+    await debit('t1', 10)
+    await debit('t2', 5)
+
+    expect(db.tables.bets).toMatchObject([{ stake: 15, outcome: 'pending' }])
+    expect(balance()).toBe(85)
+  })
+
+  test('a refused debit frees its transaction ID', async () => {
+    const res = await debit('t1', 500)
+
+    expect(res).toMatchObject({ status: 402, body: { code: 'INSUFFICIENT_FUNDS' } })
+    expect(db.tables.provider_transactions).toHaveLength(0)
+    expect(db.tables.bets).toHaveLength(0)
+  })
+
+  test('a retried credit pays once', async () => {
+    await debit('t1', 10)
+    await credit('t2', 30)
+    await credit('t2', 30)
+
+    expect(balance()).toBe(120)
+    expect(db.tables.bets[0]).toMatchObject({ outcome: 'win', win_amount: 30 })
+  })
+})
+
+describe('account state', () => {
+  test('a debit for a self-excluded player is refused, with or without a token', async () => {
+    Object.assign(db.tables.profiles[0], {
+      account_state: 'self_excluded',
+      account_state_until: new Date(Date.now() + 86400000).toISOString()
+    })
+
+    const res = await debit('t1', 10)
+
+    expect(res).toMatchObject({ status: 403, body: { code: 'ACCOUNT_RESTRICTED' } })
+    expect(balance()).toBe(100)
+    expect(db.tables.provider_transactions).toHaveLength(0)
+  })
+
+  test('a round already open is still paid after the player is restricted', async () => {
+    await debit('t1', 10)
+    db.tables.profiles[0].account_state = 'permanently_excluded'
+
+    const res = await credit('t2', 20)
+
+    expect(res.body).toMatchObject({ ok: true, balance: 110 })
+  })
+
+  test('a debit for a deactivated player is refused', async () => {
+    db.tables.profiles[0].is_active = false
+
+    expect((await debit('t1', 10)).status).toBe(403)
+  })
+})
+
+describe('responsible gaming', () => {
+  test('a debit over the player\'s wager limit is refused and frees its transaction ID', async () => {
+    db.tables.responsible_gaming_limits.push({ id: 'l1', user_id: 'u1', type: 'wager', period: 'day', amount: 15, currency: 'USD' })
+
+    await debit('t1', 10)
+    const res = await debit('t2', 10, 'r2')
+
+    expect(res).toMatchObject({ status: 403, body: { code: 'WAGER_LIMIT' } })
+    expect(balance()).toBe(90)
+    expect(db.tables.provider_transactions.map(tx => tx.provider_tx_id)).toEqual(['t1'])
+  })
+
+  test('an accepted debit tracks the play session', async () => {
+    await debit('t1', 10)
+    expect(db.tables.profiles[0].play_last_active_at).toBeDefined()
+  })
+})
+
+describe('rollback', () => {
+  test('refunds the debit and cancels the round', async () => {
+    await debit('t1', 10)
+    const res = await rollback('t2', 't1')
+
+    expect(res.body).toMatchObject({ ok: true, balance: 100 })
+    expect(db.tables.bets[0].outcome).toBe('cancelled')
+    expect(db.tables.provider_transactions.find(tx => tx.provider_tx_id === 't1').status).toBe('rolled_back')
+  })
+
+  test('refunds once when the same debit is rolled back twice', async () => {
+    await debit('t1', 10)
+    await rollback('t2', 't1')
+    await rollback('t3', 't1')
+
+    expect(balance()).toBe(100)
+  })
+
+  test('only lowers the stake when the round has other debits', async () => {
+    await debit('t1', 10)
+    await debit('t2', 5)
+    await rollback('t3', 't2')
+
+    expect(db.tables.bets[0]).toMatchObject({ stake: 10, outcome: 'pending' })
+    expect(balance()).toBe(90)
+  })
+
+  test('is refused once the round is settled', async () => {
+    await debit('t1', 10)
+    await credit('t2', 30)
+    const res = await rollback('t3', 't1')
+
+    expect(res).toMatchObject({ status: 409, body: { code: 'ROUND_CLOSED' } })
+    expect(balance()).toBe(120)
+    expect(db.tables.provider_transactions.find(tx => tx.provider_tx_id === 't1').status).toBe('completed')
+    expect(db.tables.provider_transactions.find(tx => tx.provider_tx_id === 't3')).toBeUndefined()
+  })
+
+  test('of an unknown debit blocks that debit arriving late', async () => {
+    const res = await rollback('t2', 't1')
+    const late = await debit('t1', 10)
+
+    expect(res.body).toMatchObject({ ok: true, balance: 100 })
+    expect(late).toMatchObject({ status: 409, body: { code: 'TRANSACTION_ROLLED_BACK' } })
+    expect(balance()).toBe(100)
+  })
+
+  test('of a debit still being processed is refused so the provider retries it', async () => {
+    db.tables.provider_transactions.push({ id: 'p1', provider: 'acme', provider_tx_id: 't1', type: 'debit', status: 'processing' })
+
+    const res = await rollback('t2', 't1')
+
+    expect(res).toMatchObject({ status: 409, body: { code: 'TRANSACTION_IN_PROGRESS' } })
+    expect(db.tables.provider_transactions.map(tx => tx.provider_tx_id)).toEqual(['t1'])
+  })
+
+  test('of a credit is refused', async () => {
+    await debit('t1', 10)
+    await call('credit', { ...player, round_id: 'r1', transaction_id: 't2', amount: 5, round_closed: false })
+    const res = await rollback('t3', 't2')
+
+    expect(res).toMatchObject({ status: 400, body: { code: 'INVALID_REQUEST' } })
+  })
+})
+
+describe('concurrent callbacks for one round', () => {
+  const partialCredit = (transactionId, amount) =>
+    call('credit', { ...player, round_id: 'r1', transaction_id: transactionId, amount, round_closed: false })
+
+  test('debits all add to the stake', async () => {
+    await debit('t1', 10)
+    await Promise.all([debit('t2', 5), debit('t3', 7)])
+
+    expect(db.tables.bets).toMatchObject([{ stake: 22, outcome: 'pending' }])
+    expect(balance()).toBe(78)
+  })
+
+  test('credits all add to the win', async () => {
+    await debit('t1', 10)
+    await Promise.all([partialCredit('t2', 5), partialCredit('t3', 7)])
+
+    expect(db.tables.bets[0]).toMatchObject({ win_amount: 12, multiplier: 1.2, outcome: 'pending' })
+    expect(balance()).toBe(102)
+  })
+
+  test('a rollback and a new debit both change the stake', async () => {
+    await debit('t1', 10)
+    await debit('t2', 5)
+    await Promise.all([rollback('t3', 't2'), debit('t4', 8)])
+
+    expect(db.tables.bets[0]).toMatchObject({ stake: 18, outcome: 'pending' })
+    expect(balance()).toBe(82)
+  })
+})
@@ -1,16 +1,22 @@
 import { Router } from 'express'
 import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
 import { supabase } from '../lib/supabase.js'
+import { REPORTING_CURRENCY, createConverter, roundAmount } from '../lib/fx.js'
 
 const router = Router()
 
+// Amounts from every currency are converted to ?currency= (default REPORTING_CURRENCY)
+// at the rate in force when the bet or transaction happened.
+function reportingCurrency(req) {
+  return (req.query.currency || REPORTING_CURRENCY).toUpperCase()
+}
+
 // Dashboard stats
 router.get('/dashboard', authenticate, requireStaff, async (req, res) => {
   try {
     const now = new Date()
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
-    const thisWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000)
-    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1)
+    const fx = await createConverter(reportingCurrency(req))
 
     // Total users
     const { count: totalUsers } = await supabase
@@ -26,21 +32,21 @@ router.get('/dashboard', authenticate, requireStaff, async (req, res) => {
     // Total bets
     const { data: betsData } = await supabase
       .from('bets')
-      .select('stake, win_amount, outcome')
+      .select('stake, win_amount, outcome, currency, created_at')
 
     const totalBets = betsData?.length || 0
-    const totalWagered = betsData?.reduce((sum, b) => sum + (b.stake || 0), 0) || 0
-    const totalPaidOut = betsData?.reduce((sum, b) => sum + (b.win_amount || 0), 0) || 0
+    const totalWagered = betsData?.reduce((sum, b) => sum + fx.convert(b.stake, b.currency, b.created_at), 0) || 0
+    const totalPaidOut = betsData?.reduce((sum, b) => sum + fx.convert(b.win_amount, b.currency, b.created_at), 0) || 0
     const ggr = totalWagered - totalPaidOut // Gross Gaming Revenue
 
     // Today's bets
     const { data: todayBets } = await supabase
       .from('bets')
-      .select('stake, win_amount')
+      .select('stake, win_amount, currency, created_at')
       .gte('created_at', today.toISOString())
 
-    const todayWagered = todayBets?.reduce((sum, b) => sum + (b.stake || 0), 0) || 0
-    const todayPaidOut = todayBets?.reduce((sum, b) => sum + (b.win_amount || 0), 0) || 0
+    const todayWagered = todayBets?.reduce((sum, b) => sum + fx.convert(b.stake, b.currency, b.created_at), 0) || 0
+    const todayPaidOut = todayBets?.reduce((sum, b) => sum + fx.convert(b.win_amount, b.currency, b.created_at), 0) || 0
     const todayGGR = todayWagered - todayPaidOut
 
     // Pending withdrawals
@@ -50,33 +56,43 @@ router.get('/dashboard', authenticate, requireStaff, async (req, res) => {
       .eq('type', 'withdrawal')
       .eq('status', 'pending')
 
+    // Payouts that ran out of retries and need an admin
+    const { count: failedPayouts } = await supabase
+      .from('transactions')
+      .select('*', { count: 'exact', head: true })
+      .eq('type', 'withdrawal')
+      .eq('status', 'failed')
+
     // Total deposits today
     const { data: todayDeposits } = await supabase
       .from('transactions')
-      .select('amount')
+      .select('amount, currency, created_at')
       .eq('type', 'deposit')
       .eq('status', 'completed')
       .gte('created_at', today.toISOString())
 
-    const depositsToday = todayDeposits?.reduce((sum, d) => sum + (d.amount || 0), 0) || 0
+    const depositsToday = todayDeposits?.reduce((sum, d) => sum + fx.convert(d.amount, d.currency, d.created_at), 0) || 0
 
     res.json({
+      currency: fx.currency,
+      missing_rates: [...fx.missing],
       users: {
         total: totalUsers || 0,
         new_today: newUsersToday || 0
       },
       bets: {
         total: totalBets,
-        total_wagered: totalWagered,
-        total_paid_out: totalPaidOut
+        total_wagered: roundAmount(totalWagered),
+        total_paid_out: roundAmount(totalPaidOut)
       },
       revenue: {
-        ggr_total: ggr,
-        ggr_today: todayGGR,
-        deposits_today: depositsToday
+        ggr_total: roundAmount(ggr),
+        ggr_today: roundAmount(todayGGR),
+        deposits_today: roundAmount(depositsToday)
       },
       pending: {
-        withdrawals: pendingWithdrawals || 0
+        withdrawals: pendingWithdrawals || 0,
+        failed_payouts: failedPayouts || 0
       }
     })
   } catch (error) {
@@ -88,15 +104,16 @@ router.get('/dashboard', authenticate, requireStaff, async (req, res) => {
 // Revenue report
 router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { startDate, endDate, groupBy = 'day' } = req.query
+    const { startDate, endDate } = req.query
 
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
     const end = endDate ? new Date(endDate) : new Date()
+    const fx = await createConverter(reportingCurrency(req), { start, end })
 
     // Get bets in date range
     const { data: bets } = await supabase
       .from('bets')
-      .select('stake, win_amount, created_at')
+      .select('stake, win_amount, currency, created_at')
       .gte('created_at', start.toISOString())
       .lte('created_at', end.toISOString())
       .order('created_at')
@@ -104,18 +121,18 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
     // Get deposits in date range
     const { data: deposits } = await supabase
       .from('transactions')
-      .select('amount, created_at')
+      .select('amount, currency, created_at')
       .eq('type', 'deposit')
       .eq('status', 'completed')
       .gte('created_at', start.toISOString())
       .lte('created_at', end.toISOString())
 
-    // Get withdrawals in date range
+    // Get withdrawals in date range (sent or confirmed; 'completed' is the pre-payout-queue status)
     const { data: withdrawals } = await supabase
       .from('transactions')
-      .select('amount, created_at')
+      .select('amount, currency, created_at')
       .eq('type', 'withdrawal')
-      .eq('status', 'completed')
+      .in('status', ['completed', 'broadcast', 'confirmed'])
       .gte('created_at', start.toISOString())
       .lte('created_at', end.toISOString())
 
@@ -127,8 +144,8 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
       if (!dailyStats[date]) {
         dailyStats[date] = { wagered: 0, paidOut: 0, deposits: 0, withdrawals: 0 }
       }
-      dailyStats[date].wagered += bet.stake || 0
-      dailyStats[date].paidOut += bet.win_amount || 0
+      dailyStats[date].wagered += fx.convert(bet.stake, bet.currency, bet.created_at)
+      dailyStats[date].paidOut += fx.convert(bet.win_amount, bet.currency, bet.created_at)
     })
 
     deposits?.forEach(tx => {
@@ -136,7 +153,7 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
       if (!dailyStats[date]) {
         dailyStats[date] = { wagered: 0, paidOut: 0, deposits: 0, withdrawals: 0 }
       }
-      dailyStats[date].deposits += tx.amount || 0
+      dailyStats[date].deposits += fx.convert(tx.amount, tx.currency, tx.created_at)
     })
 
     withdrawals?.forEach(tx => {
@@ -144,19 +161,19 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
       if (!dailyStats[date]) {
         dailyStats[date] = { wagered: 0, paidOut: 0, deposits: 0, withdrawals: 0 }
       }
-      dailyStats[date].withdrawals += Math.abs(tx.amount) || 0
+      dailyStats[date].withdrawals += fx.convert(Math.abs(tx.amount), tx.currency, tx.created_at)
     })
 
     // Convert to array
     const report = Object.entries(dailyStats)
       .map(([date, stats]) => ({
         date,
-        wagered: stats.wagered,
-        paid_out: stats.paidOut,
-        ggr: stats.wagered - stats.paidOut,
-        deposits: stats.deposits,
-        withdrawals: stats.withdrawals,
-        net_flow: stats.deposits - stats.withdrawals
+        wagered: roundAmount(stats.wagered),
+        paid_out: roundAmount(stats.paidOut),
+        ggr: roundAmount(stats.wagered - stats.paidOut),
+        deposits: roundAmount(stats.deposits),
+        withdrawals: roundAmount(stats.withdrawals),
+        net_flow: roundAmount(stats.deposits - stats.withdrawals)
       }))
       .sort((a, b) => a.date.localeCompare(b.date))
 
@@ -171,8 +188,10 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
     }), { wagered: 0, paid_out: 0, ggr: 0, deposits: 0, withdrawals: 0, net_flow: 0 })
 
     res.json({
+      currency: fx.currency,
+      missing_rates: [...fx.missing],
       report,
-      totals,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundAmount(value)])),
       period: {
         start: start.toISOString(),
         end: end.toISOString()
@@ -251,11 +270,12 @@ router.get('/games', authenticate, requireStaff, async (req, res) => {
 
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
     const end = endDate ? new Date(endDate) : new Date()
+    const fx = await createConverter(reportingCurrency(req), { start, end })
 
     // Get bets with game info
     const { data: bets } = await supabase
       .from('bets')
-      .select('game_id, stake, win_amount, outcome, created_at')
+      .select('game_id, stake, win_amount, outcome, currency, created_at')
       .gte('created_at', start.toISOString())
       .lte('created_at', end.toISOString())
 
@@ -273,8 +293,8 @@ router.get('/games', authenticate, requireStaff, async (req, res) => {
         }
       }
       gameStats[gameId].bets++
-      gameStats[gameId].wagered += bet.stake || 0
-      gameStats[gameId].paid_out += bet.win_amount || 0
+      gameStats[gameId].wagered += fx.convert(bet.stake, bet.currency, bet.created_at)
+      gameStats[gameId].paid_out += fx.convert(bet.win_amount, bet.currency, bet.created_at)
       if (bet.outcome === 'win') gameStats[gameId].wins++
       if (bet.outcome === 'loss') gameStats[gameId].losses++
     })
@@ -284,9 +304,9 @@ router.get('/games', authenticate, requireStaff, async (req, res) => {
       .map(([game_id, stats]) => ({
         game_id,
         total_bets: stats.bets,
-        total_wagered: stats.wagered,
-        total_paid_out: stats.paid_out,
-        ggr: stats.wagered - stats.paid_out,
+        total_wagered: roundAmount(stats.wagered),
+        total_paid_out: roundAmount(stats.paid_out),
+        ggr: roundAmount(stats.wagered - stats.paid_out),
         rtp: stats.wagered > 0 ? ((stats.paid_out / stats.wagered) * 100).toFixed(2) : 0,
         wins: stats.wins,
         losses: stats.losses
@@ -294,11 +314,13 @@ router.get('/games', authenticate, requireStaff, async (req, res) => {
       .sort((a, b) => b.total_wagered - a.total_wagered)
 
     res.json({
+      currency: fx.currency,
+      missing_rates: [...fx.missing],
       games: report,
       totals: {
         bets: bets?.length || 0,
-        wagered: bets?.reduce((sum, b) => sum + (b.stake || 0), 0) || 0,
-        paid_out: bets?.reduce((sum, b) => sum + (b.win_amount || 0), 0) || 0
+        wagered: roundAmount(report.reduce((sum, game) => sum + game.total_wagered, 0)),
+        paid_out: roundAmount(report.reduce((sum, game) => sum + game.total_paid_out, 0))
       },
       period: {
         start: start.toISOString(),
@@ -315,10 +337,11 @@ router.get('/games', authenticate, requireStaff, async (req, res) => {
 router.get('/top-players', authenticate, requireStaff, async (req, res) => {
   try {
     const { limit = 10, metric = 'wagered' } = req.query
+    const fx = await createConverter(reportingCurrency(req))
 
     const { data: bets } = await supabase
       .from('bets')
-      .select('user_id, stake, win_amount')
+      .select('user_id, stake, win_amount, currency, created_at')
 
     // Group by user
     const playerStats = {}
@@ -327,8 +350,8 @@ router.get('/top-players', authenticate, requireStaff, async (req, res) => {
       if (!playerStats[userId]) {
         playerStats[userId] = { wagered: 0, won: 0, bets: 0 }
       }
-      playerStats[userId].wagered += bet.stake || 0
-      playerStats[userId].won += bet.win_amount || 0
+      playerStats[userId].wagered += fx.convert(bet.stake, bet.currency, bet.created_at)
+      playerStats[userId].won += fx.convert(bet.win_amount, bet.currency, bet.created_at)
       playerStats[userId].bets++
     })
 
@@ -336,8 +359,10 @@ router.get('/top-players', authenticate, requireStaff, async (req, res) => {
     const sorted = Object.entries(playerStats)
       .map(([user_id, stats]) => ({
         user_id,
-        ...stats,
-        profit: stats.won - stats.wagered
+        bets: stats.bets,
+        wagered: roundAmount(stats.wagered),
+        won: roundAmount(stats.won),
+        profit: roundAmount(stats.won - stats.wagered)
       }))
       .sort((a, b) => b[metric] - a[metric])
       .slice(0, parseInt(limit))
@@ -357,7 +382,7 @@ router.get('/top-players', authenticate, requireStaff, async (req, res) => {
       user: userMap[p.user_id] || { id: p.user_id, username: 'Unknown' }
     }))
 
-    res.json({ players: report })
+    res.json({ currency: fx.currency, missing_rates: [...fx.missing], players: report })
   } catch (error) {
     console.error('Top players report error:', error)
     res.status(500).json({ error: 'Failed to generate report' })
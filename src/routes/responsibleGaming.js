@@ -0,0 +1,121 @@
+import { Router } from 'express'
+import { authenticate } from '../middleware/auth.js'
+import { supabase } from '../lib/supabase.js'
+import { ResponsibleGamingError, getLimitStatus, setLimit, toPublicLimit } from '../lib/responsibleGaming.js'
+import { AccountStateError, EXCLUSION_DAYS, selfExclude, requestReinstatement, toPublicAccountState } from '../lib/accountState.js'
+
+const router = Router()
+
+// Get the current user's limits with what has been used in each period
+router.get('/limits', authenticate, async (req, res) => {
+  try {
+    const limits = await getLimitStatus(req.user.id)
+
+    res.json({ limits: limits.map(toPublicLimit) })
+  } catch (error) {
+    if (error instanceof ResponsibleGamingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code })
+    }
+    console.error('Get limits error:', error)
+    res.status(500).json({ error: 'Failed to fetch limits' })
+  }
+})
+
+// Set, change or remove (amount: null) a limit.
+// Lower limits apply immediately; higher or removed ones after the cooling-off period.
+router.put('/limits', authenticate, async (req, res) => {
+  try {
+    const { type, period, amount, currency } = req.body
+
+    if (amount === undefined) {
+      return res.status(400).json({ error: 'amount required (null removes the limit)' })
+    }
+
+    const limit = await setLimit(req.user.id, { type, period, amount, currency })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'rg_limit_changed',
+      details: {
+        type,
+        period: type === 'session' ? 'session' : period,
+        amount,
+        currency: currency || null,
+        effective_at: limit?.pending_effective_at || new Date().toISOString()
+      }
+    })
+
+    if (!limit) {
+      return res.json({ message: 'No limit to remove' })
+    }
+
+    res.json({
+      limit: toPublicLimit(limit),
+      message: limit.pending_effective_at
+        ? `Your change takes effect on ${limit.pending_effective_at}`
+        : 'Your limit is in effect'
+    })
+  } catch (error) {
+    if (error instanceof ResponsibleGamingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code })
+    }
+    console.error('Set limit error:', error)
+    res.status(500).json({ error: 'Failed to update limit' })
+  }
+})
+
+// Get the current user's account state and the exclusion options
+router.get('/exclusion', authenticate, async (req, res) => {
+  res.json({ account: toPublicAccountState(req.profile), options: EXCLUSION_DAYS })
+})
+
+// Take a timeout (type: timeout, days 1-42), self-exclude (type: self_excluded,
+// days 180-1825) or self-exclude permanently (type: permanently_excluded).
+// Exclusions can't be shortened or lifted by the player.
+router.post('/exclusion', authenticate, async (req, res) => {
+  try {
+    const { type, days } = req.body
+
+    const profile = await selfExclude(req.profile, { type, days })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'self_exclusion',
+      details: { type, days: days ?? null, until: profile.account_state_until }
+    })
+
+    res.json({ account: toPublicAccountState(profile) })
+  } catch (error) {
+    if (error instanceof AccountStateError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Self-exclusion error:', error)
+    res.status(500).json({ error: 'Failed to update exclusion' })
+  }
+})
+
+// Ask to be reinstated once a self-exclusion has ended
+router.post('/reinstatement', authenticate, async (req, res) => {
+  try {
+    const profile = await requestReinstatement(req.profile)
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'reinstatement_requested',
+      details: { account_state_until: profile.account_state_until }
+    })
+
+    res.json({
+      account: toPublicAccountState(profile),
+      message: 'Your request has been sent. Our team will review it'
+    })
+  } catch (error) {
+    if (error instanceof AccountStateError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Reinstatement request error:', error)
+    res.status(500).json({ error: 'Failed to request reinstatement' })
+  }
+})
+
+export default router
@@ -1,6 +1,13 @@
 import { Router } from 'express'
 import { authenticate, requireAdmin, requireStaff } from '../middleware/auth.js'
+import { idempotent } from '../middleware/idempotency.js'
 import { supabase } from '../lib/supabase.js'
+import { orIlike } from '../lib/filters.js'
+import { issueBonus, forfeitBonus } from '../lib/bonuses.js'
+import { getLimitStatus, toPublicLimit } from '../lib/responsibleGaming.js'
+import { AccountStateError, setAccountState, liftBan, reinstate, toPublicAccountState } from '../lib/accountState.js'
+import { LinkedAccountError, getLinkedAccounts, toLinkSummary } from '../lib/accountLinks.js'
+import { KycError, getDocument, getDocumentFile, getKycStatus, reviewDocument, setKycLevel, toPublicDocument } from '../lib/kyc.js'
 
 const router = Router()
 
@@ -13,6 +20,7 @@ router.get('/', authenticate, requireStaff, async (req, res) => {
       search, 
       role, 
       status,
+      accountState,
       sortBy = 'created_at',
       sortOrder = 'desc'
     } = req.query
@@ -24,7 +32,7 @@ router.get('/', authenticate, requireStaff, async (req, res) => {
       .range((page - 1) * limit, page * limit - 1)
 
     if (search) {
-      query = query.or(`email.ilike.%${search}%,username.ilike.%${search}%`)
+      query = query.or(orIlike(['email', 'username'], search))
     }
 
     if (role) {
@@ -35,6 +43,10 @@ router.get('/', authenticate, requireStaff, async (req, res) => {
       query = query.eq('status', status)
     }
 
+    if (accountState) {
+      query = query.eq('account_state', accountState)
+    }
+
     const { data: users, error, count } = await query
 
     if (error) throw error
@@ -51,6 +63,145 @@ router.get('/', authenticate, requireStaff, async (req, res) => {
   }
 })
 
+// Staff: Self-excluded players asking to come back, oldest request first
+router.get('/reinstatements', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query
+
+    const { data: users, error, count } = await supabase
+      .from('profiles')
+      .select('id, email, username, account_state, account_state_until, account_state_reason, account_state_changed_at, reinstatement_requested_at', { count: 'exact' })
+      .not('reinstatement_requested_at', 'is', null)
+      .order('reinstatement_requested_at', { ascending: true })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (error) throw error
+
+    res.json({
+      users: users || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get reinstatements error:', error)
+    res.status(500).json({ error: 'Failed to fetch reinstatement requests' })
+  }
+})
+
+// Staff: KYC documents waiting for review, oldest first
+router.get('/kyc/queue', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { page = 1, limit = 25, type } = req.query
+
+    let query = supabase
+      .from('kyc_documents')
+      .select('*', { count: 'exact' })
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (type) {
+      query = query.eq('type', type)
+    }
+
+    const { data: documents, error, count } = await query
+
+    if (error) throw error
+
+    const userIds = [...new Set((documents || []).map(doc => doc.user_id))]
+    const { data: users } = userIds.length
+      ? await supabase
+        .from('profiles')
+        .select('id, email, username, kyc_level, created_at')
+        .in('id', userIds)
+      : { data: [] }
+
+    const usersById = Object.fromEntries((users || []).map(user => [user.id, user]))
+
+    res.json({
+      documents: (documents || []).map(doc => ({
+        ...toPublicDocument(doc),
+        user: usersById[doc.user_id] || { id: doc.user_id }
+      })),
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get KYC queue error:', error)
+    res.status(500).json({ error: 'Failed to fetch KYC queue' })
+  }
+})
+
+// Staff: Download a KYC document
+router.get('/kyc/documents/:documentId/file', authenticate, requireStaff, async (req, res) => {
+  try {
+    const document = await getDocument(req.params.documentId)
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const file = await getDocumentFile(document)
+
+    await supabase.from('activity_logs').insert({
+      user_id: document.user_id,
+      action: 'kyc_document_viewed',
+      details: { document_id: document.id, admin_id: req.user.id }
+    })
+
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `inline; filename="${document.id}"`,
+      'Cache-Control': 'no-store'
+    })
+    res.send(file)
+  } catch (error) {
+    if (error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Get KYC document error:', error)
+    res.status(500).json({ error: 'Failed to fetch document' })
+  }
+})
+
+// Staff: Approve or reject a KYC document ({ decision: 'approve' | 'reject', reason })
+router.post('/kyc/documents/:documentId/review', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { decision, reason } = req.body
+
+    const { document, previousLevel, level } = await reviewDocument(req.params.documentId, {
+      decision,
+      reason,
+      reviewerId: req.user.id
+    })
+
+    await supabase.from('activity_logs').insert({
+      user_id: document.user_id,
+      action: 'kyc_document_reviewed',
+      details: {
+        document_id: document.id,
+        type: document.type,
+        kind: document.kind,
+        decision,
+        reason: reason || null,
+        previous_level: previousLevel,
+        kyc_level: level,
+        admin_id: req.user.id
+      }
+    })
+
+    res.json({ document: toPublicDocument(document), kyc_level: level })
+  } catch (error) {
+    if (error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Review KYC document error:', error)
+    res.status(500).json({ error: 'Failed to review document' })
+  }
+})
+
 // Admin: Get user by ID
 router.get('/:id', authenticate, requireStaff, async (req, res) => {
   try {
@@ -87,10 +238,25 @@ router.get('/:id', authenticate, requireStaff, async (req, res) => {
         : 0
     }
 
+    // Responsible gaming limits, with usage in the current periods
+    const limits = await getLimitStatus(id).catch(error => {
+      console.error('Get user limits error:', error)
+      return null
+    })
+
+    // Accounts sharing a device, IP or payout address with this one
+    const linkedAccounts = await getLinkedAccounts(id).catch(error => {
+      console.error('Get linked accounts error:', error)
+      return null
+    })
+
     res.json({
       ...user,
       wallets: wallets || [],
-      stats
+      stats,
+      account: toPublicAccountState(user),
+      linked_accounts: linkedAccounts ? toLinkSummary(linkedAccounts) : null,
+      limits: limits ? limits.map(toPublicLimit) : null
     })
   } catch (error) {
     console.error('Get user error:', error)
@@ -102,13 +268,16 @@ router.get('/:id', authenticate, requireStaff, async (req, res) => {
 router.patch('/:id', authenticate, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params
-    const { username, role, status, vip_level, notes } = req.body
+    const { username, role, vip_level, notes } = req.body
 
+    // Account state is changed through /:id/account-state, /:id/ban and /:id/reinstate
     const updates = {}
     if (username !== undefined) updates.username = username
     if (role !== undefined) updates.role = role
-    if (status !== undefined) updates.status = status
-    if (vip_level !== undefined) updates.vip_level = vip_level
+    if (vip_level !== undefined) {
+      updates.vip_level = vip_level
+      updates.vip_level_changed_at = new Date().toISOString()
+    }
     if (notes !== undefined) updates.notes = notes
 
     if (Object.keys(updates).length === 0) {
@@ -137,30 +306,194 @@ router.post('/:id/ban', authenticate, requireAdmin, async (req, res) => {
     const { id } = req.params
     const { banned, reason } = req.body
 
-    const { data: user, error } = await supabase
+    const { data: profile } = await supabase
       .from('profiles')
-      .update({
-        status: banned ? 'banned' : 'active',
-        ban_reason: banned ? reason : null,
-        banned_at: banned ? new Date().toISOString() : null,
-        banned_by: banned ? req.user.id : null
-      })
+      .select('*')
       .eq('id', id)
-      .select()
       .single()
 
-    if (error) throw error
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    // Unbanning puts back whatever exclusion the ban went on top of
+    const user = banned
+      ? await setAccountState(profile, { state: 'banned', reason, adminId: req.user.id })
+      : await liftBan(profile, { reason, adminId: req.user.id })
+
+    await supabase.from('activity_logs').insert({
+      user_id: id,
+      action: banned ? 'account_state_changed' : 'account_reinstated',
+      details: { state: user.account_state, previous_state: profile.account_state, reason: reason || null, admin_id: req.user.id }
+    })
 
     res.json({
       user,
       message: banned ? 'User banned successfully' : 'User unbanned successfully'
     })
   } catch (error) {
+    if (error instanceof AccountStateError) {
+      return res.status(error.status).json({ error: error.message })
+    }
     console.error('Ban user error:', error)
     res.status(500).json({ error: 'Failed to update user status' })
   }
 })
 
+// Admin: Time out, exclude or ban an account (until is required for timeout and self_excluded)
+router.post('/:id/account-state', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { state, until, reason } = req.body
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const user = await setAccountState(profile, { state, until, reason, adminId: req.user.id })
+
+    await supabase.from('activity_logs').insert({
+      user_id: id,
+      action: 'account_state_changed',
+      details: { state, until: user.account_state_until, previous_state: profile.account_state, reason: reason || null, admin_id: req.user.id }
+    })
+
+    res.json({ user, account: toPublicAccountState(user) })
+  } catch (error) {
+    if (error instanceof AccountStateError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Set account state error:', error)
+    res.status(500).json({ error: 'Failed to update account state' })
+  }
+})
+
+// Admin: Reinstate an excluded or suspended account
+router.post('/:id/reinstate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason } = req.body
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const user = await reinstate(profile, { reason, adminId: req.user.id })
+
+    await supabase.from('activity_logs').insert({
+      user_id: id,
+      action: 'account_reinstated',
+      details: {
+        previous_state: profile.account_state,
+        requested_at: profile.reinstatement_requested_at,
+        reason: reason || null,
+        admin_id: req.user.id
+      }
+    })
+
+    res.json({ user, account: toPublicAccountState(user), message: 'Account reinstated' })
+  } catch (error) {
+    if (error instanceof AccountStateError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Reinstate user error:', error)
+    res.status(500).json({ error: 'Failed to reinstate account' })
+  }
+})
+
+// Staff: Devices and IPs the user has been seen on, most recent first
+router.get('/:id/devices', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { page = 1, limit = 50, source } = req.query
+
+    let query = supabase
+      .from('device_fingerprints')
+      .select('*', { count: 'exact' })
+      .eq('user_id', id)
+      .order('last_seen_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (source) {
+      query = query.eq('source', source)
+    }
+
+    const { data: devices, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      devices: devices || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get user devices error:', error)
+    res.status(500).json({ error: 'Failed to fetch devices' })
+  }
+})
+
+// Staff: Get user's KYC level, limits and documents
+router.get('/:id/kyc', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', req.params.id)
+      .single()
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    res.json(await getKycStatus(user))
+  } catch (error) {
+    console.error('Get user KYC error:', error)
+    res.status(500).json({ error: 'Failed to fetch verification status' })
+  }
+})
+
+// Admin: Set user's KYC level directly
+router.post('/:id/kyc/level', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { level, reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' })
+    }
+
+    const user = await setKycLevel(id, level)
+
+    await supabase.from('activity_logs').insert({
+      user_id: id,
+      action: 'kyc_level_changed',
+      details: { kyc_level: level, reason, admin_id: req.user.id }
+    })
+
+    res.json({ user, message: `KYC level set to ${level}` })
+  } catch (error) {
+    if (error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Set KYC level error:', error)
+    res.status(500).json({ error: 'Failed to update KYC level' })
+  }
+})
+
 // Admin: Get user activity log
 router.get('/:id/activity', authenticate, requireStaff, async (req, res) => {
   try {
@@ -260,7 +593,7 @@ router.post('/:id/vip', authenticate, requireAdmin, async (req, res) => {
 
     const { data: user, error } = await supabase
       .from('profiles')
-      .update({ vip_level: level })
+      .update({ vip_level: level, vip_level_changed_at: new Date().toISOString() })
       .eq('id', id)
       .select()
       .single()
@@ -285,81 +618,106 @@ router.post('/:id/vip', authenticate, requireAdmin, async (req, res) => {
 })
 
 // Admin: Send bonus to user
-router.post('/:id/bonus', authenticate, requireAdmin, async (req, res) => {
+router.post('/:id/bonus', authenticate, requireAdmin, idempotent, async (req, res) => {
   try {
     const { id } = req.params
-    const { amount, currency = 'USD', type = 'admin_bonus', wagering_requirement = 0, reason } = req.body
+    const {
+      amount,
+      currency = 'USD',
+      type = 'admin_bonus',
+      wagering_requirement = 0,
+      reason,
+      block_linked_accounts = false
+    } = req.body
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid bonus amount' })
     }
 
-    // Get or create wallet
-    let { data: wallet } = await supabase
-      .from('wallets')
-      .select('*')
-      .eq('user_id', id)
-      .eq('currency', currency)
-      .single()
-
-    if (!wallet) {
-      const { data: newWallet, error } = await supabase
-        .from('wallets')
-        .insert({ user_id: id, currency, balance: 0 })
-        .select()
-        .single()
-      if (error) throw error
-      wallet = newWallet
+    if (typeof wagering_requirement !== 'number' || wagering_requirement < 0) {
+      return res.status(400).json({ error: 'Invalid wagering requirement' })
     }
 
-    // Create bonus record
-    const { data: bonus, error: bonusError } = await supabase
-      .from('bonuses')
-      .insert({
-        user_id: id,
-        type,
-        amount,
-        currency,
-        wagering_requirement,
-        wagering_progress: 0,
-        status: wagering_requirement > 0 ? 'pending' : 'claimed',
-        expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-        notes: reason
-      })
-      .select()
-      .single()
-
-    if (bonusError) throw bonusError
-
-    // If no wagering requirement, credit immediately
-    if (wagering_requirement === 0) {
-      await supabase
-        .from('wallets')
-        .update({ balance: wallet.balance + amount })
-        .eq('id', wallet.id)
-
-      await supabase.from('transactions').insert({
-        user_id: id,
-        wallet_id: wallet.id,
-        type: 'bonus',
-        amount,
-        currency,
-        status: 'completed',
-        reference_id: bonus.id,
-        reference_type: 'bonus',
-        notes: reason,
-        admin_id: req.user.id
-      })
-    }
+    const bonus = await issueBonus({
+      userId: id,
+      amount,
+      currency,
+      type,
+      wageringRequirement: wagering_requirement,
+      reason,
+      adminId: req.user.id,
+      blockLinked: block_linked_accounts
+    })
 
     res.json({
       bonus,
       message: 'Bonus sent successfully'
     })
   } catch (error) {
+    if (error instanceof LinkedAccountError) {
+      return res.status(error.status).json({ error: error.message, linked_accounts: error.linkedAccounts })
+    }
     console.error('Send bonus error:', error)
     res.status(500).json({ error: 'Failed to send bonus' })
   }
 })
 
+// Admin: Get user's bonuses
+router.get('/:id/bonuses', authenticate, requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { page = 1, limit = 25, status } = req.query
+
+    let query = supabase
+      .from('bonuses')
+      .select('*', { count: 'exact' })
+      .eq('user_id', id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1)
+
+    if (status) {
+      query = query.eq('status', status)
+    }
+
+    const { data: bonuses, error, count } = await query
+
+    if (error) throw error
+
+    res.json({
+      bonuses: bonuses || [],
+      total: count || 0,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    })
+  } catch (error) {
+    console.error('Get user bonuses error:', error)
+    res.status(500).json({ error: 'Failed to fetch bonuses' })
+  }
+})
+
+// Admin: Forfeit a user's pending bonus
+router.post('/:id/bonuses/:bonusId/forfeit', authenticate, requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { id, bonusId } = req.params
+    const { reason } = req.body
+
+    const bonus = await forfeitBonus(bonusId, id)
+
+    if (!bonus) {
+      return res.status(404).json({ error: 'Pending bonus not found' })
+    }
+
+    await supabase.from('activity_logs').insert({
+      user_id: id,
+      action: 'bonus_forfeited',
+      details: { bonus_id: bonusId, reason, admin_id: req.user.id }
+    })
+
+    res.json({ bonus, message: 'Bonus forfeited' })
+  } catch (error) {
+    console.error('Forfeit bonus error:', error)
+    res.status(500).json({ error: 'Failed to forfeit bonus' })
+  }
+})
+
 export default router
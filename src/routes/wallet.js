@@ -1,10 +1,34 @@
 import { Router } from 'express'
 import { authenticate, requireAdmin } from '../middleware/auth.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { captureFingerprint } from '../middleware/fingerprint.js'
 import { supabase } from '../lib/supabase.js'
+import { ACCOUNTS, LedgerError, callLedger, postWalletMovement, toPublicWallet, walletMovement } from '../lib/ledger.js'
+import { DepositError, createDeposit, completeDeposit, rejectDeposit } from '../lib/deposits.js'
+import { getGateway, getDefaultGateway } from '../payments/index.js'
+import { getNetworksForCurrency } from '../chains/index.js'
+import { CryptoDepositError, getDepositAddress, toPublicAddress } from '../lib/cryptoDeposits.js'
+import {
+  WithdrawalError,
+  addWithdrawalAddress,
+  getWithdrawalMethods,
+  listWithdrawalAddresses,
+  removeWithdrawalAddress,
+  resolveDestination,
+  setWhitelist,
+  toPublicWhitelist,
+  toPublicWithdrawalAddress
+} from '../lib/withdrawals.js'
+import { PayoutError, approveWithdrawal, retryWithdrawal } from '../lib/payouts.js'
+import { evaluateWithdrawal } from '../lib/withdrawalRisk.js'
+import { getPayoutAdapter } from '../payouts/index.js'
+import { FxError, swapCurrency } from '../lib/fx.js'
+import { ResponsibleGamingError, checkDeposit } from '../lib/responsibleGaming.js'
+import { KycError, checkKycDeposit, checkKycWithdrawal } from '../lib/kyc.js'
 
 const router = Router()
 
-// Get user's wallets
+// Get user's wallets, with cash / bonus / locked breakdown
 router.get('/', authenticate, async (req, res) => {
   try {
     const { data: wallets, error } = await supabase
@@ -15,13 +39,97 @@ router.get('/', authenticate, async (req, res) => {
 
     if (error) throw error
 
-    res.json({ wallets: wallets || [] })
+    res.json({ wallets: (wallets || []).map(toPublicWallet) })
   } catch (error) {
     console.error('Get wallets error:', error)
     res.status(500).json({ error: 'Failed to fetch wallets' })
   }
 })
 
+// Withdrawal address book (declared before /:id so the paths don't clash)
+router.get('/addresses', authenticate, async (req, res) => {
+  try {
+    const addresses = await listWithdrawalAddresses(req.user.id)
+
+    res.json({
+      addresses: addresses.map(address => toPublicWithdrawalAddress(address)),
+      whitelist: toPublicWhitelist(req.profile)
+    })
+  } catch (error) {
+    console.error('Get withdrawal addresses error:', error)
+    res.status(500).json({ error: 'Failed to fetch withdrawal addresses' })
+  }
+})
+
+// Save a withdrawal address; it becomes usable after the cooling-off period
+router.post('/addresses', authenticate, captureFingerprint('wallet'), async (req, res) => {
+  try {
+    const { currency, network, address, memo, label } = req.body
+
+    const saved = await addWithdrawalAddress(req.user.id, { currency, network, address, memo, label })
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'withdrawal_address_added',
+      details: { address_id: saved.id, currency: saved.currency, network: saved.network, address: saved.address }
+    })
+
+    res.status(201).json(toPublicWithdrawalAddress(saved))
+  } catch (error) {
+    if (error instanceof WithdrawalError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Add withdrawal address error:', error)
+    res.status(500).json({ error: 'Failed to save withdrawal address' })
+  }
+})
+
+// Turn whitelist mode (withdrawals only to saved addresses) on or off
+router.put('/addresses/whitelist', authenticate, async (req, res) => {
+  try {
+    const { enabled } = req.body
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' })
+    }
+
+    const profile = await setWhitelist(req.profile, enabled)
+
+    if (profile !== req.profile) {
+      await supabase.from('activity_logs').insert({
+        user_id: req.user.id,
+        action: 'withdrawal_whitelist',
+        details: { enabled }
+      })
+    }
+
+    res.json(toPublicWhitelist(profile))
+  } catch (error) {
+    console.error('Set withdrawal whitelist error:', error)
+    res.status(500).json({ error: 'Failed to update withdrawal whitelist' })
+  }
+})
+
+router.delete('/addresses/:id', authenticate, async (req, res) => {
+  try {
+    await removeWithdrawalAddress(req.user.id, req.params.id)
+
+    await supabase.from('activity_logs').insert({
+      user_id: req.user.id,
+      action: 'withdrawal_address_removed',
+      details: { address_id: req.params.id }
+    })
+
+    res.json({ message: 'Withdrawal address removed' })
+  } catch (error) {
+    if (error instanceof WithdrawalError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Remove withdrawal address error:', error)
+    res.status(500).json({ error: 'Failed to remove withdrawal address' })
+  }
+})
+
 // Get wallet by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -42,7 +150,7 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' })
     }
 
-    res.json(wallet)
+    res.json(toPublicWallet(wallet))
   } catch (error) {
     console.error('Get wallet error:', error)
     res.status(500).json({ error: 'Failed to fetch wallet' })
@@ -100,7 +208,7 @@ router.get('/:id/transactions', authenticate, async (req, res) => {
 // Admin: Get all wallets
 router.get('/admin/all', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 25, search, currency } = req.query
+    const { page = 1, limit = 25, currency } = req.query
 
     let query = supabase
       .from('wallets')
@@ -136,7 +244,7 @@ router.get('/admin/all', authenticate, requireAdmin, async (req, res) => {
 })
 
 // Admin: Adjust wallet balance
-router.post('/:id/adjust', authenticate, requireAdmin, async (req, res) => {
+router.post('/:id/adjust', authenticate, requireAdmin, idempotent, async (req, res) => {
   try {
     const { id } = req.params
     const { amount, reason, type = 'adjustment' } = req.body
@@ -160,32 +268,17 @@ router.post('/:id/adjust', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Wallet not found' })
     }
 
-    const newBalance = wallet.balance + amount
-
-    if (newBalance < 0) {
-      return res.status(400).json({ error: 'Insufficient balance for deduction' })
+    if (amount === 0) {
+      return res.status(400).json({ error: 'Invalid amount' })
     }
 
-    // Update wallet
-    const { data: updatedWallet, error: updateError } = await supabase
-      .from('wallets')
-      .update({ balance: newBalance })
-      .eq('id', id)
-      .select()
-      .single()
-
-    if (updateError) throw updateError
-
-    // Create transaction record
-    await supabase.from('transactions').insert({
-      user_id: wallet.user_id,
-      wallet_id: id,
-      type,
+    const { wallet: updatedWallet } = await postWalletMovement({
+      wallet,
       amount,
-      currency: wallet.currency,
-      status: 'completed',
+      type,
+      account: ACCOUNTS.ADJUSTMENTS,
       notes: reason,
-      admin_id: req.user.id
+      adminId: req.user.id
     })
 
     res.json({
@@ -194,11 +287,15 @@ router.post('/:id/adjust', authenticate, requireAdmin, async (req, res) => {
         amount,
         reason,
         admin_id: req.user.id,
-        previous_balance: wallet.balance,
-        new_balance: newBalance
+        previous_balance: updatedWallet.balance - amount,
+        new_balance: updatedWallet.balance
       }
     })
   } catch (error) {
+    if (error instanceof LedgerError) {
+      const message = error.code === 'insufficient_funds' ? 'Insufficient balance for deduction' : error.message
+      return res.status(error.status).json({ error: message })
+    }
     console.error('Adjust wallet error:', error)
     res.status(500).json({ error: 'Failed to adjust wallet' })
   }
@@ -207,7 +304,7 @@ router.post('/:id/adjust', authenticate, requireAdmin, async (req, res) => {
 // Admin: Get all transactions
 router.get('/admin/transactions', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 25, type, status, userId, startDate, endDate } = req.query
+    const { page = 1, limit = 25, type, status, userId, startDate, endDate, riskDecision } = req.query
 
     let query = supabase
       .from('transactions')
@@ -231,6 +328,7 @@ router.get('/admin/transactions', authenticate, requireAdmin, async (req, res) =
     if (userId) query = query.eq('user_id', userId)
     if (startDate) query = query.gte('created_at', startDate)
     if (endDate) query = query.lte('created_at', endDate)
+    if (riskDecision) query = query.eq('risk_decision', riskDecision)
 
     const { data: transactions, error, count } = await query
 
@@ -248,79 +346,81 @@ router.get('/admin/transactions', authenticate, requireAdmin, async (req, res) =
   }
 })
 
-// Create deposit request (stub for payment integration)
-router.post('/deposit', authenticate, async (req, res) => {
+// Create deposit request: an on-chain address for crypto, otherwise a payment gateway invoice
+router.post('/deposit', authenticate, captureFingerprint('wallet'), idempotent, async (req, res) => {
   try {
-    const { amount, currency = 'USD', method = 'crypto' } = req.body
+    const { amount, currency = 'USD', method = 'crypto', gateway: gatewayId, network } = req.body
+
+    // On-chain deposits are credited by the watcher once confirmed. The amount isn't
+    // known yet, so deposit limits are checked again then (see cryptoDeposits.js)
+    if (method === 'crypto' && !gatewayId && getNetworksForCurrency(currency).length) {
+      await checkDeposit(req.user.id, { amount: amount > 0 ? amount : 0, currency })
+      await checkKycDeposit(req.profile, { amount: amount > 0 ? amount : 0, currency })
+
+      const address = toPublicAddress(await getDepositAddress(req.user.id, currency, network))
+
+      return res.json({
+        deposit_address: address,
+        message: `Send ${currency} to this address. It will be credited after ${address.confirmations_required} confirmations.`
+      })
+    }
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid amount' })
     }
 
-    // Get or create wallet
-    let { data: wallet } = await supabase
-      .from('wallets')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .eq('currency', currency)
-      .single()
-
-    if (!wallet) {
-      const { data: newWallet, error } = await supabase
-        .from('wallets')
-        .insert({
-          user_id: req.user.id,
-          currency,
-          balance: 0
-        })
-        .select()
-        .single()
+    const gateway = gatewayId ? getGateway(gatewayId) : getDefaultGateway()
 
-      if (error) throw error
-      wallet = newWallet
+    if (gatewayId && !gateway) {
+      return res.status(400).json({ error: 'Unknown payment gateway' })
     }
 
-    // Create pending transaction
-    const { data: transaction, error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: req.user.id,
-        wallet_id: wallet.id,
-        type: 'deposit',
-        amount,
-        currency,
-        status: 'pending',
-        notes: `${method} deposit`
-      })
-      .select()
-      .single()
+    await checkDeposit(req.user.id, { amount, currency })
+    await checkKycDeposit(req.profile, { amount, currency })
 
-    if (txError) throw txError
+    const { transaction, invoice } = await createDeposit({
+      userId: req.user.id,
+      amount,
+      currency,
+      method,
+      gateway,
+      baseUrl: process.env.API_URL || `${req.protocol}://${req.get('host')}`
+    })
 
     res.json({
       transaction,
-      message: 'Deposit request created. Awaiting confirmation.',
-      // In production, return payment gateway URL/details
-      payment_url: null
+      message: invoice
+        ? 'Deposit created. Complete the payment to credit your wallet.'
+        : 'Deposit request created. Awaiting confirmation.',
+      payment_url: invoice?.payment_url || null,
+      payment_address: invoice?.address || null,
+      expires_at: invoice?.expires_at || null
     })
   } catch (error) {
+    if (error instanceof DepositError || error instanceof CryptoDepositError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    if (error instanceof ResponsibleGamingError || error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details })
+    }
     console.error('Deposit error:', error)
     res.status(500).json({ error: 'Failed to create deposit' })
   }
 })
 
 // Create withdrawal request
-router.post('/withdraw', authenticate, async (req, res) => {
+router.post('/withdraw', authenticate, captureFingerprint('wallet'), idempotent, async (req, res) => {
   try {
-    const { amount, currency = 'USD', address, method = 'crypto' } = req.body
+    const { amount, currency = 'USD', address, network, memo, addressId } = req.body
+    const method = req.body.method || getWithdrawalMethods(currency)[0]
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid amount' })
     }
 
-    if (!address) {
-      return res.status(400).json({ error: 'Withdrawal address required' })
-    }
+    await checkKycWithdrawal(req.profile, { amount, currency })
+
+    const destination = await resolveDestination(req.profile, { currency, method, network, address, memo, addressId })
 
     // Get wallet
     const { data: wallet, error: walletError } = await supabase
@@ -334,104 +434,217 @@ router.post('/withdraw', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Wallet not found' })
     }
 
-    if (wallet.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' })
+    const destinationColumns = {
+      destination_network: destination.network,
+      destination_address: destination.address,
+      destination_memo: destination.memo,
+      withdrawal_address_id: destination.addressId
     }
 
-    // Hold the amount
-    await supabase
-      .from('wallets')
-      .update({ balance: wallet.balance - amount })
-      .eq('id', wallet.id)
+    const risk = await evaluateWithdrawal({ profile: req.profile, currency, amount, destination })
 
-    // Create pending withdrawal
-    const { data: transaction, error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: req.user.id,
-        wallet_id: wallet.id,
-        type: 'withdrawal',
+    // Blocked requests are recorded for review but never touch the wallet
+    if (risk.decision === 'block') {
+      const { error: blockError } = await supabase
+        .from('transactions')
+        .insert({
+          user_id: req.user.id,
+          wallet_id: wallet.id,
+          type: 'withdrawal',
+          amount: -amount,
+          currency,
+          status: 'blocked',
+          notes: `${method} withdrawal`,
+          ...destinationColumns,
+          risk_decision: risk.decision,
+          risk_hits: risk.hits
+        })
+
+      if (blockError) throw blockError
+
+      return res.status(403).json({
+        error: 'Withdrawal not allowed',
+        reasons: risk.hits.filter(hit => hit.action === 'block').map(hit => hit.rule)
+      })
+    }
+
+    // Hold the amount until the withdrawal is paid out or rejected, recording the
+    // destination and risk decision in the same transaction.
+    // Only cash is withdrawable; bonus and locked funds stay in the wallet.
+    const { wallets: [updatedWallet], transaction: withdrawal } = await callLedger('withdrawal_hold', {
+      p_fields: { ...destinationColumns, risk_decision: risk.decision, risk_hits: risk.hits },
+      ...walletMovement({
+        wallet,
         amount: -amount,
-        currency,
+        type: 'withdrawal',
+        account: ACCOUNTS.WITHDRAWALS,
+        balance: 'cash',
         status: 'pending',
-        notes: `${method} withdrawal to ${address}`
+        notes: `${method} withdrawal`
       })
-      .select()
-      .single()
+    })
 
-    if (txError) throw txError
+    // Low-risk withdrawals skip the admin and go straight to the payout queue
+    const approved = risk.decision === 'auto_approve' && getPayoutAdapter()
+      ? await approveWithdrawal(withdrawal, { adminId: null })
+      : null
 
     res.json({
-      transaction,
-      message: 'Withdrawal request submitted. Pending approval.',
-      new_balance: wallet.balance - amount
+      transaction: approved || withdrawal,
+      message: approved ? 'Withdrawal approved. Payout in progress.' : 'Withdrawal request submitted. Pending approval.',
+      new_balance: updatedWallet.balance,
+      withdrawable_balance: updatedWallet.cash_balance
     })
   } catch (error) {
+    if (error instanceof WithdrawalError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    if (error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details })
+    }
+    if (error instanceof LedgerError) {
+      const message = error.code === 'insufficient_funds' ? 'Insufficient withdrawable balance' : error.message
+      return res.status(error.status).json({ error: message })
+    }
     console.error('Withdrawal error:', error)
     res.status(500).json({ error: 'Failed to create withdrawal' })
   }
 })
 
-// Admin: Process withdrawal
-router.post('/admin/process-withdrawal/:id', authenticate, requireAdmin, async (req, res) => {
+// Swap cash from one of the user's wallets to another at the current rate
+router.post('/swap', authenticate, captureFingerprint('wallet'), idempotent, async (req, res) => {
+  try {
+    const { from, to, amount } = req.body
+
+    const { swap, wallets } = await swapCurrency({ userId: req.user.id, from, to, amount })
+
+    res.json({
+      swap,
+      wallets: wallets.map(toPublicWallet)
+    })
+  } catch (error) {
+    if (error instanceof FxError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    if (error instanceof LedgerError) {
+      const message = error.code === 'insufficient_funds' ? 'Insufficient cash balance' : error.message
+      return res.status(error.status).json({ error: message })
+    }
+    console.error('Swap error:', error)
+    res.status(500).json({ error: 'Failed to swap' })
+  }
+})
+
+// Admin: Confirm or reject a pending deposit
+router.post('/admin/process-deposit/:id', authenticate, requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { action, reason } = req.body // action: 'confirm' or 'reject'
+
+    if (!['confirm', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' })
+    }
+
+    if (action === 'confirm') {
+      const result = await completeDeposit(id, { adminId: req.user.id })
+
+      if (!result) {
+        return res.status(404).json({ error: 'Pending deposit not found' })
+      }
+
+      res.json({
+        message: 'Deposit confirmed',
+        status: 'completed',
+        transaction: result.transaction,
+        new_balance: result.wallet.balance,
+        bonuses: result.bonuses
+      })
+    } else {
+      const deposit = await rejectDeposit(id, {
+        adminId: req.user.id,
+        notes: reason ? `Rejected: ${reason}` : undefined
+      })
+
+      if (!deposit) {
+        return res.status(404).json({ error: 'Pending deposit not found' })
+      }
+
+      res.json({ message: 'Deposit rejected', status: 'rejected', transaction: deposit })
+    }
+  } catch (error) {
+    console.error('Process deposit error:', error)
+    res.status(500).json({ error: 'Failed to process deposit' })
+  }
+})
+
+// Admin: Process withdrawal. approve queues it for payout (or records a manual payout
+// when txHash is given), retry re-queues a failed payout, reject refunds the hold.
+router.post('/admin/process-withdrawal/:id', authenticate, requireAdmin, idempotent, async (req, res) => {
   try {
     const { id } = req.params
-    const { action, txHash } = req.body // action: 'approve' or 'reject'
+    const { action, txHash } = req.body // action: 'approve', 'retry' or 'reject'
 
-    if (!['approve', 'reject'].includes(action)) {
+    if (!['approve', 'retry', 'reject'].includes(action)) {
       return res.status(400).json({ error: 'Invalid action' })
     }
 
+    const allowed = { approve: ['pending'], retry: ['failed'], reject: ['pending', 'failed'] }[action]
+
     const { data: transaction, error: txError } = await supabase
       .from('transactions')
       .select('*')
       .eq('id', id)
       .eq('type', 'withdrawal')
-      .eq('status', 'pending')
+      .in('status', allowed)
       .single()
 
     if (txError || !transaction) {
       return res.status(404).json({ error: 'Transaction not found' })
     }
 
-    if (action === 'approve') {
-      // Mark as completed
-      await supabase
-        .from('transactions')
-        .update({
-          status: 'completed',
-          notes: transaction.notes + (txHash ? ` | TX: ${txHash}` : ''),
-          admin_id: req.user.id
-        })
-        .eq('id', id)
+    if (action === 'approve' || action === 'retry') {
+      const withdrawal = action === 'approve'
+        ? await approveWithdrawal(transaction, { adminId: req.user.id, txHash })
+        : await retryWithdrawal(transaction, { adminId: req.user.id })
 
-      res.json({ message: 'Withdrawal approved', status: 'completed' })
-    } else {
-      // Reject and refund
-      const { data: wallet } = await supabase
-        .from('wallets')
-        .select('*')
-        .eq('id', transaction.wallet_id)
-        .single()
-
-      if (wallet) {
-        await supabase
-          .from('wallets')
-          .update({ balance: wallet.balance + Math.abs(transaction.amount) })
-          .eq('id', wallet.id)
+      if (!withdrawal) {
+        return res.status(409).json({ error: 'Withdrawal already processed' })
       }
 
-      await supabase
-        .from('transactions')
-        .update({
-          status: 'rejected',
-          admin_id: req.user.id
-        })
-        .eq('id', id)
+      return res.json({
+        message: withdrawal.status === 'confirmed' ? 'Withdrawal recorded as paid' : 'Withdrawal queued for payout',
+        status: withdrawal.status,
+        transaction: withdrawal
+      })
+    }
 
-      res.json({ message: 'Withdrawal rejected and refunded', status: 'rejected' })
+    // Reject and refund in one transaction, so a concurrent request can't refund
+    // the same withdrawal twice and a failed refund leaves it unrejected
+    const rejected = await callLedger('transaction_transition', {
+      p_id: transaction.id,
+      p_from: [transaction.status],
+      p_update: { status: 'rejected', admin_id: req.user.id },
+      ...walletMovement({
+        wallet: { id: transaction.wallet_id, currency: transaction.currency },
+        amount: Math.abs(transaction.amount),
+        type: 'refund',
+        account: ACCOUNTS.WITHDRAWALS,
+        referenceId: transaction.id,
+        referenceType: 'withdrawal',
+        notes: 'Withdrawal rejected',
+        adminId: req.user.id
+      })
+    })
+
+    if (!rejected) {
+      return res.status(409).json({ error: 'Withdrawal already processed' })
     }
+
+    res.json({ message: 'Withdrawal rejected and refunded', status: 'rejected' })
   } catch (error) {
+    if (error instanceof PayoutError) {
+      return res.status(error.status).json({ error: error.message })
+    }
     console.error('Process withdrawal error:', error)
     res.status(500).json({ error: 'Failed to process withdrawal' })
   }
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import { createSupabaseMock, ledgerPost, withdrawalHold } from '../test/supabase.js'
+
+process.env.PAYOUT_ADAPTER = 'manual'
+process.env.LAUNCH_TOKEN_SECRET = 'test-launch-secret'
+
+const db = createSupabaseMock({
+  unique: { idempotency_keys: [['user_id', 'key']] },
+  rpc: { ledger_post: ledgerPost, withdrawal_hold: withdrawalHold }
+})
+jest.unstable_mockModule('../lib/supabase.js', () => ({
+  supabase: db.client,
+  verifyToken: async token => (token === 'player' ? { id: 'u1' } : null),
+  getUserProfile: async id => db.tables.profiles.find(profile => profile.id === id) || null
+}))
+jest.unstable_mockModule('../lib/fingerprints.js', () => ({ recordFingerprint: jest.fn() }))
+jest.unstable_mockModule('../lib/kyc.js', () => ({
+  KycError: class KycError extends Error {},
+  checkKycDeposit: jest.fn(),
+  checkKycWithdrawal: jest.fn()
+}))
+jest.unstable_mockModule('../lib/withdrawalRisk.js', () => ({
+  evaluateWithdrawal: async () => ({ decision: 'review', hits: [{ rule: 'new_address', action: 'review' }] })
+}))
+
+const { default: walletRoutes } = await import('./wallet.js')
+
+const BTC_ADDRESS = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'
+
+let server
+let baseUrl
+
+beforeAll(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use('/api/wallet', walletRoutes)
+  await new Promise(resolve => { server = app.listen(0, resolve) })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  db.tables.profiles = [{ id: 'u1', role: 'user', is_active: true }]
+  db.tables.wallets = [{ id: 'w1', user_id: 'u1', currency: 'BTC', balance: 1 }]
+  db.tables.transactions = []
+  db.tables.withdrawal_addresses = []
+  db.tables.idempotency_keys = []
+})
+
+function withdraw(body) {
+  return fetch(`${baseUrl}/api/wallet/withdraw`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer player' },
+    body: JSON.stringify(body)
+  })
+}
+
+describe('POST /withdraw', () => {
+  test('holds the funds together with the destination and risk decision', async () => {
+    const res = await withdraw({ amount: 0.4, currency: 'BTC', address: BTC_ADDRESS })
+
+    expect(res.status).toBe(200)
+    expect(db.tables.wallets[0].balance).toBe(0.6)
+    expect(db.tables.transactions).toMatchObject([{
+      type: 'withdrawal',
+      status: 'pending',
+      amount: -0.4,
+      destination_network: 'bitcoin',
+      destination_address: BTC_ADDRESS,
+      risk_decision: 'review'
+    }])
+    expect((await res.json()).transaction).toMatchObject({ id: db.tables.transactions[0].id, risk_decision: 'review' })
+  })
+
+  test('records nothing when the hold is refused', async () => {
+    const res = await withdraw({ amount: 2, currency: 'BTC', address: BTC_ADDRESS })
+
+    expect(res.status).toBe(400)
+    expect(db.tables.wallets[0].balance).toBe(1)
+    expect(db.tables.transactions).toHaveLength(0)
+  })
+})
@@ -0,0 +1,313 @@
+import crypto from 'crypto'
+
+// In-memory stand-in for the Supabase client, for unit tests.
+//
+//   const db = createSupabaseMock({
+//     tables: { wallets: [{ id: 'w1', balance: 10 }] },
+//     unique: { idempotency_keys: [['user_id', 'key']] },
+//     rpc: { ledger_post: (params, db) => ({ ... }) }
+//   })
+//   jest.unstable_mockModule('../lib/supabase.js', () => ({ supabase: db.client }))
+//
+// Supports the query builder calls this codebase makes: select / insert / update /
+// upsert / delete, the common filters, order, range, limit and single. Rows inserted
+// without an id get a UUID. An rpc handler can throw { message } to return an error.
+
+function compare(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return -1
+  if (b === null || b === undefined) return 1
+  return a < b ? -1 : 1
+}
+
+function parseList(value) {
+  return value.replace(/^\(|\)$/g, '').split(',').map(item => item.trim())
+}
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  gt: (value, expected) => value !== null && value !== undefined && value > expected,
+  gte: (value, expected) => value !== null && value !== undefined && value >= expected,
+  lt: (value, expected) => value !== null && value !== undefined && value < expected,
+  lte: (value, expected) => value !== null && value !== undefined && value <= expected,
+  in: (value, expected) => (typeof expected === 'string' ? parseList(expected) : expected).includes(value),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected),
+  contains: (value, expected) => Array.isArray(value) && expected.every(item => value.includes(item)),
+  overlaps: (value, expected) => Array.isArray(value) && expected.some(item => value.includes(item)),
+  ilike: (value, pattern) => typeof value === 'string' &&
+    new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i').test(value)
+}
+
+export function createSupabaseMock({ tables = {}, unique = {}, rpc = {} } = {}) {
+  const db = { tables, calls: [] }
+
+  function rowsOf(table) {
+    return (db.tables[table] ||= [])
+  }
+
+  function conflicts(table, row, except) {
+    return (unique[table] || []).some(columns => rowsOf(table).some(other =>
+      other !== except && columns.every(column => other[column] === row[column])))
+  }
+
+  function run(query) {
+    db.calls.push(query)
+    const rows = rowsOf(query.table)
+    const matches = row => query.filters.every(filter => filter(row))
+
+    let result = []
+
+    if (query.op === 'insert' || query.op === 'upsert') {
+      const values = Array.isArray(query.values) ? query.values : [query.values]
+
+      for (const value of values) {
+        const row = { ...value }
+        if (query.op === 'upsert' && query.onConflict) {
+          const columns = query.onConflict.split(',')
+          const existing = rows.find(other => columns.every(column => other[column] === row[column]))
+          if (existing) {
+            Object.assign(existing, row)
+            result.push(existing)
+            continue
+          }
+        }
+
+        if (row.id === undefined) row.id = crypto.randomUUID()
+        if (row.created_at === undefined) row.created_at = new Date().toISOString()
+
+        if (conflicts(query.table, row)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } }
+        }
+        rows.push(row)
+        result.push(row)
+      }
+    } else if (query.op === 'update') {
+      result = rows.filter(matches)
+      for (const row of result) Object.assign(row, query.values)
+    } else if (query.op === 'delete') {
+      result = rows.filter(matches)
+      db.tables[query.table] = rows.filter(row => !result.includes(row))
+    } else {
+      result = rows.filter(matches)
+    }
+
+    result = result.map(row => ({ ...row }))
+
+    for (const [column, ascending] of [...query.order].reverse()) {
+      result.sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1))
+    }
+
+    const count = result.length
+    if (query.range) result = result.slice(query.range[0], query.range[1] + 1)
+    if (query.limit !== undefined) result = result.slice(0, query.limit)
+
+    if (query.head) return { data: null, error: null, count }
+
+    if (query.single) {
+      if (result.length !== 1) {
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } }
+      }
+      return { data: result[0], error: null, count }
+    }
+
+    return { data: result, error: null, count }
+  }
+
+  function from(table) {
+    const query = { table, op: 'select', filters: [], order: [] }
+
+    const builder = {
+      select(columns, options = {}) {
+        if (options.head) query.head = true
+        return builder
+      },
+      insert(values) {
+        Object.assign(query, { op: 'insert', values })
+        return builder
+      },
+      upsert(values, options = {}) {
+        Object.assign(query, { op: 'upsert', values, onConflict: options.onConflict })
+        return builder
+      },
+      update(values) {
+        Object.assign(query, { op: 'update', values })
+        return builder
+      },
+      delete() {
+        query.op = 'delete'
+        return builder
+      },
+      not(column, operator, value) {
+        query.filters.push(row => !FILTERS[operator](row[column], value))
+        return builder
+      },
+      or() {
+        // Not evaluated: the query is recorded for assertions
+        return builder
+      },
+      order(column, { ascending = true } = {}) {
+        query.order.push([column, ascending])
+        return builder
+      },
+      range(from, to) {
+        query.range = [from, to]
+        return builder
+      },
+      limit(count) {
+        query.limit = count
+        return builder
+      },
+      single() {
+        query.single = true
+        return builder
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(() => run(query)).then(resolve, reject)
+      }
+    }
+
+    for (const [name, test] of Object.entries(FILTERS)) {
+      builder[name] = (column, value) => {
+        query.filters.push(row => test(row[column], value))
+        return builder
+      }
+    }
+
+    return builder
+  }
+
+  db.client = {
+    from,
+    async rpc(name, params) {
+      db.calls.push({ rpc: name, params })
+      if (!rpc[name]) return { data: null, error: { message: `function ${name} does not exist` } }
+      try {
+        return { data: await rpc[name](params, db), error: null }
+      } catch (error) {
+        return { data: null, error: { message: error.message, code: error.code } }
+      }
+    }
+  }
+
+  return db
+}
+
+// Simplified ledger_post for tests: checks each currency balances, moves wallet
+// balances (refusing to go below zero) and records a transaction per wallet leg.
+export function ledgerPost({ p_journal: journal, p_legs: legs }, db) {
+  const wallets = db.tables.wallets ||= []
+  const transactions = db.tables.transactions ||= []
+
+  const sums = {}
+  for (const leg of legs) {
+    const currency = leg.currency || wallets.find(wallet => wallet.id === leg.wallet_id)?.currency
+    sums[currency] = (sums[currency] || 0) + leg.amount
+  }
+  if (legs.length < 2 || Object.values(sums).some(sum => Math.abs(sum) > 1e-9)) {
+    throw new Error('unbalanced_journal')
+  }
+
+  const journalId = crypto.randomUUID()
+  const result = { journal_id: journalId, wallets: [], transactions: [] }
+
+  for (const leg of legs.filter(leg => leg.wallet_id)) {
+    const wallet = wallets.find(row => row.id === leg.wallet_id)
+    if (!wallet) throw new Error('wallet_not_found')
+    if (wallet.balance + leg.amount < -1e-9) throw new Error('insufficient_funds')
+  }
+
+  for (const leg of legs.filter(leg => leg.wallet_id)) {
+    const wallet = wallets.find(row => row.id === leg.wallet_id)
+    wallet.balance = Math.round((wallet.balance + leg.amount) * 1e8) / 1e8
+    result.wallets.push({ ...wallet })
+
+    const transaction = {
+      id: crypto.randomUUID(),
+      user_id: wallet.user_id,
+      wallet_id: wallet.id,
+      type: leg.type || journal.type,
+      amount: leg.amount,
+      cash_amount: leg.amount,
+      bonus_amount: 0,
+      locked_amount: 0,
+      currency: wallet.currency,
+      status: leg.status || 'completed',
+      reference_id: leg.reference_id || journal.reference_id,
+      reference_type: leg.reference_type || journal.reference_type,
+      journal_id: journalId,
+      created_at: new Date().toISOString()
+    }
+    transactions.push(transaction)
+    result.transactions.push({ ...transaction })
+  }
+
+  return result
+}
+
+// bet_place, bet_transition, transaction_transition, bonus_place, bonus_transition
+// and withdrawal_hold for tests. The ledger is posted before the row changes so a refused journal leaves
+// the tables untouched.
+export function betPlace({ p_bet: bet, p_journal, p_legs }, db) {
+  const ledger = ledgerPost({ p_journal, p_legs }, db)
+  const row = { created_at: new Date().toISOString(), ...bet }
+  ;(db.tables.bets ||= []).push(row)
+  return { bet: { ...row }, ...ledger }
+}
+
+export function betTransition({ p_bet_id, p_update, p_increment, p_journal, p_legs }, db) {
+  const bet = (db.tables.bets || []).find(row => row.id === p_bet_id && row.outcome === 'pending')
+  if (!bet) return null
+
+  const ledger = p_legs ? ledgerPost({ p_journal, p_legs }, db) : {}
+  Object.assign(bet, p_update)
+
+  if (p_increment) {
+    for (const [column, amount] of Object.entries(p_increment)) {
+      bet[column] = (bet[column] || 0) + amount
+    }
+    const win = bet.win_amount || 0
+    bet.stake = Math.max(bet.stake, 0)
+    bet.multiplier = bet.stake > 0 ? win / bet.stake : 0
+    if (bet.stake <= 0) {
+      bet.outcome = 'cancelled'
+      bet.settled_at ||= new Date().toISOString()
+    } else if (['win', 'loss'].includes(bet.outcome)) {
+      bet.outcome = win > 0 ? 'win' : 'loss'
+    }
+  }
+
+  return { bet: { ...bet }, ...ledger }
+}
+
+export function transactionTransition({ p_id, p_from, p_update, p_journal, p_legs }, db) {
+  const transaction = (db.tables.transactions || []).find(row => row.id === p_id && p_from.includes(row.status))
+  if (!transaction) return null
+
+  const ledger = ledgerPost({ p_journal, p_legs }, db)
+  Object.assign(transaction, p_update)
+  return { transaction: { ...transaction }, ...ledger }
+}
+
+export function bonusPlace({ p_bonus: bonus, p_journal, p_legs }, db) {
+  const ledger = p_legs ? ledgerPost({ p_journal, p_legs }, db) : {}
+  const row = { created_at: new Date().toISOString(), ...bonus }
+  ;(db.tables.bonuses ||= []).push(row)
+  return { bonus: { ...row }, ...ledger }
+}
+
+export function bonusTransition({ p_bonus_id, p_from, p_update, p_journal, p_legs }, db) {
+  const bonus = (db.tables.bonuses || []).find(row => row.id === p_bonus_id && p_from.includes(row.status))
+  if (!bonus) return null
+
+  const ledger = p_legs ? ledgerPost({ p_journal, p_legs }, db) : {}
+  Object.assign(bonus, p_update)
+  return { bonus: { ...bonus }, ...ledger }
+}
+
+export function withdrawalHold({ p_fields, p_journal, p_legs }, db) {
+  const ledger = ledgerPost({ p_journal, p_legs }, db)
+  const transaction = db.tables.transactions.find(row => row.id === ledger.transactions[0].id)
+  Object.assign(transaction, p_fields)
+  return { ...ledger, transaction: { ...transaction } }
+}
@@ -0,0 +1,175 @@
+-- Double-entry ledger behind every wallet balance change.
+--
+-- Each balance movement is a journal with two or more entries whose debits and
+-- credits net to zero per currency. Player wallets are liability accounts
+-- ('wallet:<id>'): a credit raises the balance, a debit lowers it. The other
+-- side is booked against a system account such as 'system:gaming'.
+
+create table if not exists ledger_journals (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  reference_id uuid,
+  reference_type text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ledger_entries (
+  id bigint generated always as identity primary key,
+  journal_id uuid not null references ledger_journals(id),
+  account text not null,
+  wallet_id uuid references wallets(id),
+  debit numeric(20, 8) not null default 0,
+  credit numeric(20, 8) not null default 0,
+  currency text not null,
+  created_at timestamptz not null default now(),
+  check (debit >= 0 and credit >= 0 and (debit = 0) <> (credit = 0))
+);
+
+create index if not exists ledger_entries_journal_idx on ledger_entries (journal_id);
+create index if not exists ledger_entries_account_idx on ledger_entries (account, created_at);
+create index if not exists ledger_entries_wallet_idx on ledger_entries (wallet_id, created_at);
+
+alter table transactions add column if not exists journal_id uuid references ledger_journals(id);
+
+alter table wallets drop constraint if exists wallets_balance_non_negative;
+alter table wallets add constraint wallets_balance_non_negative check (balance >= 0);
+
+-- Net position of every account, per currency. Wallet accounts should match wallets.balance.
+create or replace view ledger_account_balances as
+select account, wallet_id, currency, sum(credit) - sum(debit) as balance
+from ledger_entries
+group by account, wallet_id, currency;
+
+-- Post a journal atomically.
+--
+-- p_journal: { type, reference_id?, reference_type?, metadata? }
+-- p_legs:    array of legs, each either
+--   { wallet_id, amount, type?, status?, notes?, admin_id?, reference_id?, reference_type?, record? }
+--   { account, currency, amount }
+-- amount is signed from the account's point of view (positive = credit).
+-- Wallet legs only apply when the resulting balance stays non-negative, and
+-- write a transactions row unless record = false.
+create or replace function ledger_post(p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_journal_id uuid;
+  v_leg jsonb;
+  v_amount numeric;
+  v_wallet wallets%rowtype;
+  v_tx transactions%rowtype;
+  v_wallets jsonb := '[]'::jsonb;
+  v_transactions jsonb := '[]'::jsonb;
+begin
+  if jsonb_array_length(p_legs) < 2 then
+    raise exception 'unbalanced_journal';
+  end if;
+
+  if exists (
+    select 1
+    from (
+      select
+        coalesce(leg->>'currency', w.currency) as currency,
+        (leg->>'amount')::numeric as amount
+      from jsonb_array_elements(p_legs) leg
+      left join wallets w on w.id = (leg->>'wallet_id')::uuid
+    ) legs
+    group by currency
+    having sum(amount) <> 0 or bool_or(currency is null)
+  ) then
+    raise exception 'unbalanced_journal';
+  end if;
+
+  insert into ledger_journals (type, reference_id, reference_type, metadata)
+  values (
+    p_journal->>'type',
+    nullif(p_journal->>'reference_id', '')::uuid,
+    p_journal->>'reference_type',
+    coalesce(p_journal->'metadata', '{}'::jsonb)
+  )
+  returning id into v_journal_id;
+
+  -- Wallet legs first, in id order, so concurrent journals lock rows consistently
+  for v_leg in
+    select leg from jsonb_array_elements(p_legs) leg
+    order by leg->>'wallet_id' nulls last
+  loop
+    v_amount := (v_leg->>'amount')::numeric;
+
+    if v_amount = 0 then
+      raise exception 'invalid_amount';
+    end if;
+
+    if v_leg ? 'wallet_id' then
+      update wallets
+      set balance = balance + v_amount
+      where id = (v_leg->>'wallet_id')::uuid
+        and balance + v_amount >= 0
+      returning * into v_wallet;
+
+      if not found then
+        if exists (select 1 from wallets where id = (v_leg->>'wallet_id')::uuid) then
+          raise exception 'insufficient_funds';
+        end if;
+        raise exception 'wallet_not_found';
+      end if;
+
+      insert into ledger_entries (journal_id, account, wallet_id, debit, credit, currency)
+      values (
+        v_journal_id,
+        'wallet:' || v_wallet.id,
+        v_wallet.id,
+        greatest(-v_amount, 0),
+        greatest(v_amount, 0),
+        v_wallet.currency
+      );
+
+      v_wallets := v_wallets || to_jsonb(v_wallet);
+
+      if coalesce((v_leg->>'record')::boolean, true) then
+        insert into transactions (
+          user_id, wallet_id, type, amount, currency, status,
+          reference_id, reference_type, notes, admin_id, journal_id
+        )
+        values (
+          v_wallet.user_id,
+          v_wallet.id,
+          coalesce(v_leg->>'type', p_journal->>'type'),
+          v_amount,
+          v_wallet.currency,
+          coalesce(v_leg->>'status', 'completed'),
+          coalesce(nullif(v_leg->>'reference_id', ''), nullif(p_journal->>'reference_id', ''))::uuid,
+          coalesce(v_leg->>'reference_type', p_journal->>'reference_type'),
+          v_leg->>'notes',
+          nullif(v_leg->>'admin_id', '')::uuid,
+          v_journal_id
+        )
+        returning * into v_tx;
+
+        v_transactions := v_transactions || to_jsonb(v_tx);
+      end if;
+    else
+      insert into ledger_entries (journal_id, account, debit, credit, currency)
+      values (
+        v_journal_id,
+        v_leg->>'account',
+        greatest(-v_amount, 0),
+        greatest(v_amount, 0),
+        v_leg->>'currency'
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'journal_id', v_journal_id,
+    'wallets', v_wallets,
+    'transactions', v_transactions
+  );
+end;
+$$;
+
+revoke all on function ledger_post(jsonb, jsonb) from public, anon, authenticated;
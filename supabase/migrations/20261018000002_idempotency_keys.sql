@@ -0,0 +1,18 @@
+-- Stored responses for requests sent with an Idempotency-Key header
+
+create table if not exists idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  key text not null,
+  method text not null,
+  path text not null,
+  request_hash text not null,
+  status text not null default 'in_progress' check (status in ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  unique (user_id, key)
+);
+
+create index if not exists idempotency_keys_created_idx on idempotency_keys (created_at);
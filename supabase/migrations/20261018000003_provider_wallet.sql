@@ -0,0 +1,32 @@
+-- Seamless-wallet callbacks from game providers
+
+alter table bets add column if not exists provider text;
+alter table bets add column if not exists provider_round_id text;
+
+create unique index if not exists bets_provider_round_idx
+  on bets (provider, provider_round_id, user_id)
+  where provider_round_id is not null;
+
+-- One row per provider transaction ID, so retried callbacks are answered from the stored response
+create table if not exists provider_transactions (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null,
+  provider_tx_id text not null,
+  type text not null check (type in ('debit', 'credit', 'rollback')),
+  round_id text,
+  reference_tx_id text,
+  bet_id uuid references bets(id),
+  user_id uuid,
+  wallet_id uuid references wallets(id),
+  transaction_id uuid references transactions(id),
+  amount numeric(20, 8) not null default 0,
+  currency text,
+  status text not null default 'processing'
+    check (status in ('processing', 'completed', 'rolled_back', 'tombstone')),
+  response jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (provider, provider_tx_id)
+);
+
+create index if not exists provider_transactions_round_idx on provider_transactions (provider, round_id);
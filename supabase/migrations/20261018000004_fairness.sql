@@ -0,0 +1,25 @@
+-- Provably-fair seeds for in-house games
+
+create table if not exists fairness_seeds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  server_seed text not null,
+  server_seed_hash text not null,
+  client_seed text not null,
+  nonce integer not null default 0,
+  status text not null default 'active' check (status in ('active', 'revealed')),
+  created_at timestamptz not null default now(),
+  revealed_at timestamptz
+);
+
+-- At most one active seed per player
+create unique index if not exists fairness_seeds_active_idx
+  on fairness_seeds (user_id)
+  where status = 'active';
+
+-- The server seed is never readable by clients directly
+alter table fairness_seeds enable row level security;
+
+alter table bets add column if not exists seed_id uuid references fairness_seeds(id);
+alter table bets add column if not exists nonce integer;
+alter table bets add column if not exists game_data jsonb;
@@ -0,0 +1,17 @@
+-- Shared real-time crash rounds (one row per round per table)
+
+create table if not exists crash_rounds (
+  id uuid primary key default gen_random_uuid(),
+  game_id text not null,
+  round_number bigint not null,
+  server_seed_hash text not null,
+  server_seed text,
+  crash_point numeric(12, 2),
+  status text not null default 'betting' check (status in ('betting', 'running', 'crashed')),
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  crashed_at timestamptz,
+  unique (game_id, round_number)
+);
+
+create index if not exists crash_rounds_game_idx on crash_rounds (game_id, created_at desc);
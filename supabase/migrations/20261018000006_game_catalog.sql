@@ -0,0 +1,35 @@
+-- Persisted game catalog.
+-- Provider fields are overwritten by each sync; curation fields are only ever
+-- changed by admins and survive syncs.
+
+create table if not exists games (
+  id text primary key,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Provider-owned fields
+alter table games add column if not exists adapter_id text;
+alter table games add column if not exists external_id text;
+alter table games add column if not exists provider text;
+alter table games add column if not exists category text;
+alter table games add column if not exists thumbnail text;
+alter table games add column if not exists description text;
+alter table games add column if not exists rtp numeric(5, 2);
+alter table games add column if not exists is_new boolean not null default false;
+alter table games add column if not exists is_hot boolean not null default false;
+alter table games add column if not exists metadata jsonb not null default '{}'::jsonb;
+alter table games add column if not exists available boolean not null default true;
+alter table games add column if not exists synced_at timestamptz;
+
+-- Curation fields
+alter table games add column if not exists enabled boolean not null default true;
+alter table games add column if not exists featured boolean not null default false;
+alter table games add column if not exists sort_order integer not null default 0;
+alter table games add column if not exists custom_thumbnail text;
+alter table games add column if not exists restricted_countries text[] not null default '{}';
+alter table games add column if not exists updated_at timestamptz not null default now();
+alter table games add column if not exists updated_by uuid;
+
+create index if not exists games_lobby_idx on games (enabled, available, featured desc, sort_order, name);
+create index if not exists games_adapter_idx on games (adapter_id);
@@ -0,0 +1,23 @@
+-- Game launch sessions
+
+create table if not exists game_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  game_id text not null,
+  adapter_id text not null,
+  wallet_id uuid references wallets(id),
+  currency text not null,
+  mode text not null check (mode in ('real', 'demo')),
+  status text not null default 'active' check (status in ('active', 'expired', 'closed')),
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  last_seen_at timestamptz,
+  closed_at timestamptz
+);
+
+create index if not exists game_sessions_user_idx on game_sessions (user_id, status, created_at desc);
+create index if not exists game_sessions_expiry_idx on game_sessions (status, expires_at);
+
+alter table bets add column if not exists session_id uuid references game_sessions(id);
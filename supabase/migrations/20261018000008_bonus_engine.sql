@@ -0,0 +1,47 @@
+-- Bonus wagering engine
+
+alter table bonuses add column if not exists released_at timestamptz;
+alter table bonuses add column if not exists expired_at timestamptz;
+alter table bonuses add column if not exists forfeited_at timestamptz;
+alter table bonuses add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists bonuses_active_idx on bonuses (user_id, currency, status);
+create index if not exists bonuses_expiry_idx on bonuses (status, expires_at);
+
+-- Contributions already counted, so a re-settled or replayed bet never counts twice
+create table if not exists bonus_wagers (
+  bonus_id uuid not null references bonuses(id),
+  bet_id uuid not null references bets(id),
+  amount numeric(20, 8) not null,
+  created_at timestamptz not null default now(),
+  primary key (bonus_id, bet_id)
+);
+
+-- Add a bet's weighted stake to a pending bonus atomically.
+-- Returns the updated bonus, or nothing if it was no longer pending or the bet already counted.
+create or replace function bonus_add_wager(p_bonus_id uuid, p_bet_id uuid, p_amount numeric)
+returns setof bonuses
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into bonus_wagers (bonus_id, bet_id, amount)
+  values (p_bonus_id, p_bet_id, p_amount)
+  on conflict do nothing;
+
+  if not found then
+    return;
+  end if;
+
+  return query
+  update bonuses
+  set wagering_progress = wagering_progress + p_amount,
+      updated_at = now()
+  where id = p_bonus_id
+    and status = 'pending'
+  returning *;
+end;
+$$;
+
+revoke all on function bonus_add_wager(uuid, uuid, numeric) from public, anon, authenticated;
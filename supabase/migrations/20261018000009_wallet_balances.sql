@@ -0,0 +1,262 @@
+-- Split wallet balances into cash, bonus and locked funds.
+--
+--   cash   -> real money, the only part that can be withdrawn
+--   bonus  -> bonus funds still under a wagering requirement
+--   locked -> winnings from bonus-funded stakes, released with the bonus
+--
+-- wallets.balance stays the total of the three so existing readers keep working.
+
+alter table wallets add column if not exists cash_balance numeric(20, 8) not null default 0;
+alter table wallets add column if not exists bonus_balance numeric(20, 8) not null default 0;
+alter table wallets add column if not exists locked_balance numeric(20, 8) not null default 0;
+
+update wallets
+set cash_balance = balance
+where cash_balance = 0 and bonus_balance = 0 and locked_balance = 0;
+
+alter table wallets drop constraint if exists wallets_split_non_negative;
+alter table wallets add constraint wallets_split_non_negative
+  check (cash_balance >= 0 and bonus_balance >= 0 and locked_balance >= 0);
+
+alter table wallets drop constraint if exists wallets_balance_matches_split;
+alter table wallets add constraint wallets_balance_matches_split
+  check (balance = cash_balance + bonus_balance + locked_balance);
+
+-- How much of each transaction moved which part of the balance
+alter table transactions add column if not exists cash_amount numeric(20, 8) not null default 0;
+alter table transactions add column if not exists bonus_amount numeric(20, 8) not null default 0;
+alter table transactions add column if not exists locked_amount numeric(20, 8) not null default 0;
+
+update transactions
+set cash_amount = amount
+where cash_amount = 0 and bonus_amount = 0 and locked_amount = 0;
+
+-- Post a journal atomically.
+--
+-- p_journal: { type, reference_id?, reference_type?, metadata? }
+-- p_legs:    array of legs, each either
+--   { wallet_id, amount, balance?, split?, draw?, type?, status?, notes?, admin_id?, reference_id?, reference_type?, record? }
+--   { account, currency, amount }
+-- amount is signed from the account's point of view (positive = credit).
+-- A wallet leg moves one part of the balance ('cash' unless balance says otherwise),
+-- explicit amounts per part (split: { cash, bonus, locked } summing to amount),
+-- or for debits, draws from the parts in the order given (draw: ['cash', 'bonus', 'locked']).
+-- Wallet legs only apply when every part stays non-negative, and write a
+-- transactions row unless record = false.
+create or replace function ledger_post(p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_journal_id uuid;
+  v_leg jsonb;
+  v_amount numeric;
+  v_cash numeric;
+  v_bonus numeric;
+  v_locked numeric;
+  v_remaining numeric;
+  v_take numeric;
+  v_part text;
+  v_wallet wallets%rowtype;
+  v_tx transactions%rowtype;
+  v_wallets jsonb := '[]'::jsonb;
+  v_transactions jsonb := '[]'::jsonb;
+begin
+  if jsonb_array_length(p_legs) < 2 then
+    raise exception 'unbalanced_journal';
+  end if;
+
+  if exists (
+    select 1
+    from (
+      select
+        coalesce(leg->>'currency', w.currency) as currency,
+        (leg->>'amount')::numeric as amount
+      from jsonb_array_elements(p_legs) leg
+      left join wallets w on w.id = (leg->>'wallet_id')::uuid
+    ) legs
+    group by currency
+    having sum(amount) <> 0 or bool_or(currency is null)
+  ) then
+    raise exception 'unbalanced_journal';
+  end if;
+
+  insert into ledger_journals (type, reference_id, reference_type, metadata)
+  values (
+    p_journal->>'type',
+    nullif(p_journal->>'reference_id', '')::uuid,
+    p_journal->>'reference_type',
+    coalesce(p_journal->'metadata', '{}'::jsonb)
+  )
+  returning id into v_journal_id;
+
+  -- Wallet legs first, in id order, so concurrent journals lock rows consistently
+  for v_leg in
+    select leg from jsonb_array_elements(p_legs) leg
+    order by leg->>'wallet_id' nulls last
+  loop
+    v_amount := (v_leg->>'amount')::numeric;
+
+    if v_amount = 0 then
+      raise exception 'invalid_amount';
+    end if;
+
+    if v_leg ? 'wallet_id' then
+      v_cash := 0;
+      v_bonus := 0;
+      v_locked := 0;
+
+      if v_leg ? 'split' then
+        v_cash := round(coalesce((v_leg->'split'->>'cash')::numeric, 0), 8);
+        v_bonus := round(coalesce((v_leg->'split'->>'bonus')::numeric, 0), 8);
+        v_locked := round(coalesce((v_leg->'split'->>'locked')::numeric, 0), 8);
+
+        if v_cash + v_bonus + v_locked <> round(v_amount, 8) then
+          raise exception 'unbalanced_journal';
+        end if;
+      elsif v_leg ? 'draw' and v_amount < 0 then
+        select * into v_wallet
+        from wallets
+        where id = (v_leg->>'wallet_id')::uuid
+        for update;
+
+        if not found then
+          raise exception 'wallet_not_found';
+        end if;
+
+        v_remaining := -v_amount;
+
+        for v_part in select jsonb_array_elements_text(v_leg->'draw') loop
+          v_take := least(v_remaining, greatest(case v_part
+            when 'cash' then v_wallet.cash_balance
+            when 'bonus' then v_wallet.bonus_balance
+            when 'locked' then v_wallet.locked_balance
+            else 0
+          end, 0));
+
+          case v_part
+            when 'cash' then v_cash := v_cash - v_take;
+            when 'bonus' then v_bonus := v_bonus - v_take;
+            when 'locked' then v_locked := v_locked - v_take;
+            else null;
+          end case;
+
+          v_remaining := v_remaining - v_take;
+        end loop;
+
+        if v_remaining > 0 then
+          raise exception 'insufficient_funds';
+        end if;
+      else
+        case coalesce(v_leg->>'balance', 'cash')
+          when 'cash' then v_cash := v_amount;
+          when 'bonus' then v_bonus := v_amount;
+          when 'locked' then v_locked := v_amount;
+          else raise exception 'invalid_amount';
+        end case;
+      end if;
+
+      update wallets
+      set balance = balance + v_cash + v_bonus + v_locked,
+          cash_balance = cash_balance + v_cash,
+          bonus_balance = bonus_balance + v_bonus,
+          locked_balance = locked_balance + v_locked
+      where id = (v_leg->>'wallet_id')::uuid
+        and cash_balance + v_cash >= 0
+        and bonus_balance + v_bonus >= 0
+        and locked_balance + v_locked >= 0
+      returning * into v_wallet;
+
+      if not found then
+        if exists (select 1 from wallets where id = (v_leg->>'wallet_id')::uuid) then
+          raise exception 'insufficient_funds';
+        end if;
+        raise exception 'wallet_not_found';
+      end if;
+
+      insert into ledger_entries (journal_id, account, wallet_id, debit, credit, currency)
+      values (
+        v_journal_id,
+        'wallet:' || v_wallet.id,
+        v_wallet.id,
+        greatest(-v_amount, 0),
+        greatest(v_amount, 0),
+        v_wallet.currency
+      );
+
+      v_wallets := v_wallets || to_jsonb(v_wallet);
+
+      if coalesce((v_leg->>'record')::boolean, true) then
+        insert into transactions (
+          user_id, wallet_id, type, amount, currency, status,
+          reference_id, reference_type, notes, admin_id, journal_id,
+          cash_amount, bonus_amount, locked_amount
+        )
+        values (
+          v_wallet.user_id,
+          v_wallet.id,
+          coalesce(v_leg->>'type', p_journal->>'type'),
+          v_amount,
+          v_wallet.currency,
+          coalesce(v_leg->>'status', 'completed'),
+          coalesce(nullif(v_leg->>'reference_id', ''), nullif(p_journal->>'reference_id', ''))::uuid,
+          coalesce(v_leg->>'reference_type', p_journal->>'reference_type'),
+          v_leg->>'notes',
+          nullif(v_leg->>'admin_id', '')::uuid,
+          v_journal_id,
+          v_cash,
+          v_bonus,
+          v_locked
+        )
+        returning * into v_tx;
+
+        v_transactions := v_transactions || to_jsonb(v_tx);
+      end if;
+    else
+      insert into ledger_entries (journal_id, account, debit, credit, currency)
+      values (
+        v_journal_id,
+        v_leg->>'account',
+        greatest(-v_amount, 0),
+        greatest(v_amount, 0),
+        v_leg->>'currency'
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'journal_id', v_journal_id,
+    'wallets', v_wallets,
+    'transactions', v_transactions
+  );
+end;
+$$;
+
+revoke all on function ledger_post(jsonb, jsonb) from public, anon, authenticated;
+
+-- Bonuses still wagering were held outside the wallet until now; move them into bonus balances
+insert into wallets (user_id, currency, balance)
+select distinct b.user_id, b.currency, 0
+from bonuses b
+where b.status = 'pending'
+  and not exists (select 1 from wallets w where w.user_id = b.user_id and w.currency = b.currency);
+
+select ledger_post(
+  jsonb_build_object('type', 'bonus', 'reference_id', b.id, 'reference_type', 'bonus'),
+  jsonb_build_array(
+    jsonb_build_object(
+      'wallet_id', w.id,
+      'amount', b.amount,
+      'balance', 'bonus',
+      'type', 'bonus',
+      'notes', 'Pending bonus moved to bonus balance'
+    ),
+    jsonb_build_object('account', 'system:bonuses', 'currency', b.currency, 'amount', -b.amount)
+  )
+)
+from bonuses b
+join wallets w on w.user_id = b.user_id and w.currency = b.currency
+where b.status = 'pending'
+  and b.amount > 0;
@@ -0,0 +1,88 @@
+-- Promo codes and deposit-match campaigns
+
+create table if not exists promotions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  type text not null check (type in ('promo_code', 'deposit_match')),
+  code text unique,
+  currency text,
+  -- promo_code: fixed bonus; deposit_match: percentage of the deposit up to max_bonus
+  bonus_amount numeric(20, 8),
+  match_percent numeric(7, 2),
+  max_bonus numeric(20, 8),
+  min_deposit numeric(20, 8) not null default 0,
+  wagering_multiplier numeric(10, 2) not null default 0,
+  bonus_expiry_days integer not null default 30,
+  -- Limits and validity window
+  max_redemptions integer,
+  max_per_user integer not null default 1,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  -- Eligibility
+  new_users_only boolean not null default false,
+  new_user_days integer not null default 7,
+  min_vip_level integer not null default 0,
+  first_deposit_only boolean not null default false,
+  active boolean not null default true,
+  created_by uuid references profiles(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (code is null or code = upper(code)),
+  check (type <> 'promo_code' or (code is not null and bonus_amount > 0)),
+  check (type <> 'deposit_match' or match_percent > 0)
+);
+
+create index if not exists promotions_active_idx on promotions (type, active);
+
+create table if not exists promotion_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promotion_id uuid not null references promotions(id),
+  user_id uuid not null references profiles(id),
+  bonus_id uuid references bonuses(id),
+  deposit_id uuid references transactions(id),
+  created_at timestamptz not null default now(),
+  unique (promotion_id, deposit_id)
+);
+
+create index if not exists promotion_redemptions_user_idx on promotion_redemptions (promotion_id, user_id);
+
+alter table bonuses add column if not exists promotion_id uuid references promotions(id);
+
+-- Reserve a redemption while holding the promotion row, so usage limits can't be
+-- overrun by concurrent redeems. Raises promotion_limit_reached or promotion_user_limit.
+create or replace function promotion_claim(p_promotion_id uuid, p_user_id uuid, p_deposit_id uuid default null)
+returns promotion_redemptions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_promotion promotions%rowtype;
+  v_redemption promotion_redemptions%rowtype;
+begin
+  select * into v_promotion from promotions where id = p_promotion_id for update;
+
+  if not found then
+    raise exception 'promotion_not_found';
+  end if;
+
+  if v_promotion.max_redemptions is not null
+    and (select count(*) from promotion_redemptions where promotion_id = p_promotion_id) >= v_promotion.max_redemptions then
+    raise exception 'promotion_limit_reached';
+  end if;
+
+  if (select count(*) from promotion_redemptions
+      where promotion_id = p_promotion_id and user_id = p_user_id) >= v_promotion.max_per_user then
+    raise exception 'promotion_user_limit';
+  end if;
+
+  insert into promotion_redemptions (promotion_id, user_id, deposit_id)
+  values (p_promotion_id, p_user_id, p_deposit_id)
+  returning * into v_redemption;
+
+  return v_redemption;
+end;
+$$;
+
+revoke all on function promotion_claim(uuid, uuid, uuid) from public, anon, authenticated;
@@ -0,0 +1,51 @@
+-- VIP loyalty points earned from settled stakes
+
+alter table profiles add column if not exists vip_points numeric(20, 2) not null default 0;
+alter table profiles add column if not exists vip_level_changed_at timestamptz;
+alter table profiles add column if not exists vip_reviewed_at timestamptz;
+
+-- One entry per settled bet, so points are never counted twice and can be summed over a window
+create table if not exists vip_point_entries (
+  bet_id uuid primary key references bets(id),
+  user_id uuid not null references profiles(id),
+  points numeric(20, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vip_point_entries_user_idx on vip_point_entries (user_id, created_at);
+
+-- Credit points for a bet and return the user's lifetime and recent-window totals.
+-- Returns nothing if the bet was already counted.
+create or replace function vip_add_points(p_user_id uuid, p_bet_id uuid, p_points numeric, p_window_days integer)
+returns table (vip_level integer, vip_points numeric, period_points numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  insert into vip_point_entries (bet_id, user_id, points)
+  values (p_bet_id, p_user_id, p_points)
+  on conflict do nothing;
+
+  if not found then
+    return;
+  end if;
+
+  return query
+  update profiles p
+  set vip_points = p.vip_points + p_points
+  where p.id = p_user_id
+  returning
+    coalesce(p.vip_level, 0)::integer,
+    p.vip_points::numeric,
+    (
+      select coalesce(sum(e.points), 0)
+      from vip_point_entries e
+      where e.user_id = p_user_id
+        and e.created_at > now() - make_interval(days => p_window_days)
+    );
+end;
+$$;
+
+revoke all on function vip_add_points(uuid, uuid, numeric, integer) from public, anon, authenticated;
@@ -0,0 +1,21 @@
+-- Cashback / rakeback runs by VIP level, paid out as claimable bonuses
+
+create table if not exists cashback_runs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null check (type in ('cashback', 'rakeback')),
+  period text not null check (period in ('daily', 'weekly')),
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  players integer not null default 0,
+  totals jsonb not null default '{}'::jsonb,
+  created_by uuid references profiles(id),
+  created_at timestamptz not null default now(),
+  unique (type, period, period_start)
+);
+
+-- 'available' bonuses wait for the player to claim them before anything is credited
+alter table bonuses add column if not exists cashback_run_id uuid references cashback_runs(id);
+
+create unique index if not exists bonuses_cashback_run_user_idx
+  on bonuses (cashback_run_id, user_id, currency)
+  where cashback_run_id is not null;
@@ -0,0 +1,25 @@
+-- Deposits through payment gateways
+
+alter table transactions add column if not exists gateway text;
+alter table transactions add column if not exists gateway_invoice_id text;
+alter table transactions add column if not exists payment_url text;
+alter table transactions add column if not exists payment_address text;
+alter table transactions add column if not exists completed_at timestamptz;
+
+create unique index if not exists transactions_gateway_invoice_idx
+  on transactions (gateway, gateway_invoice_id)
+  where gateway_invoice_id is not null;
+
+-- Every verified webhook, keyed by the gateway's event ID so redeliveries are ignored
+create table if not exists payment_webhook_events (
+  id uuid primary key default gen_random_uuid(),
+  gateway text not null,
+  event_id text not null,
+  invoice_id text,
+  transaction_id uuid references transactions(id),
+  status text,
+  payload jsonb not null,
+  result text,
+  created_at timestamptz not null default now(),
+  unique (gateway, event_id)
+);
@@ -0,0 +1,75 @@
+-- On-chain deposit addresses and incoming transfers
+
+create table if not exists crypto_addresses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references profiles(id),
+  currency text not null,
+  network text not null,
+  address text not null,
+  memo text,
+  source text not null,
+  derivation_index integer,
+  created_at timestamptz not null default now(),
+  unique (user_id, currency, network)
+);
+
+create unique index if not exists crypto_addresses_address_idx
+  on crypto_addresses (network, address, coalesce(memo, ''));
+
+-- Next unused derivation index per network for xpub-derived addresses
+create table if not exists crypto_address_counters (
+  network text primary key,
+  next_index integer not null default 0
+);
+
+create or replace function crypto_allocate_index(p_network text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_index integer;
+begin
+  insert into crypto_address_counters (network, next_index)
+  values (p_network, 1)
+  on conflict (network) do update
+    set next_index = crypto_address_counters.next_index + 1
+  returning next_index - 1 into v_index;
+
+  return v_index;
+end;
+$$;
+
+revoke all on function crypto_allocate_index(text) from public, anon, authenticated;
+
+-- Where each network's watcher got to
+create table if not exists crypto_watch_state (
+  network text primary key,
+  cursor text,
+  height bigint,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists crypto_deposits (
+  id uuid primary key default gen_random_uuid(),
+  network text not null,
+  currency text not null,
+  tx_hash text not null,
+  output_index integer not null default 0,
+  address text not null,
+  memo text,
+  user_id uuid not null references profiles(id),
+  amount numeric(20, 8) not null check (amount > 0),
+  block_height bigint,
+  confirmations integer not null default 0,
+  required_confirmations integer not null,
+  status text not null default 'confirming' check (status in ('confirming', 'crediting', 'credited', 'failed')),
+  transaction_id uuid references transactions(id),
+  detected_at timestamptz not null default now(),
+  credited_at timestamptz,
+  unique (network, tx_hash, output_index)
+);
+
+create index if not exists crypto_deposits_status_idx on crypto_deposits (network, status);
+create index if not exists crypto_deposits_user_idx on crypto_deposits (user_id, detected_at);
@@ -0,0 +1,35 @@
+-- Structured withdrawal destinations and the withdrawal address book
+
+alter table transactions add column if not exists destination_network text;
+alter table transactions add column if not exists destination_address text;
+alter table transactions add column if not exists destination_memo text;
+
+-- Saved addresses only become usable for withdrawals once available_at has passed
+create table if not exists withdrawal_addresses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references profiles(id),
+  currency text not null,
+  network text not null,
+  address text not null,
+  memo text,
+  label text,
+  available_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists withdrawal_addresses_unique_idx
+  on withdrawal_addresses (user_id, currency, network, address, coalesce(memo, ''));
+
+alter table transactions add column if not exists withdrawal_address_id uuid references withdrawal_addresses(id) on delete set null;
+
+-- Whitelist mode: withdrawals only to saved addresses. Switching it off takes effect
+-- after the cooling-off period, counted from withdrawal_whitelist_disabled_at.
+alter table profiles add column if not exists withdrawal_whitelist boolean not null default false;
+alter table profiles add column if not exists withdrawal_whitelist_disabled_at timestamptz;
+
+-- Earlier withdrawals kept the address in notes as '<method> withdrawal to <address>'
+update transactions
+set destination_address = split_part(split_part(notes, ' withdrawal to ', 2), ' | TX: ', 1)
+where type = 'withdrawal'
+  and destination_address is null
+  and notes like '% withdrawal to %';
@@ -0,0 +1,25 @@
+-- Automated payouts for approved withdrawals
+--
+-- Withdrawal statuses: pending (awaiting approval) -> processing (queued for the
+-- payout adapter) -> broadcast (sent, tx hash known) -> confirmed.
+-- failed: the adapter gave up or the transaction was dropped; an admin retries or rejects.
+-- Withdrawals approved before this migration stay 'completed'.
+
+alter table transactions add column if not exists tx_hash text;
+alter table transactions add column if not exists payout_adapter text;
+alter table transactions add column if not exists payout_id text;
+alter table transactions add column if not exists payout_attempts integer not null default 0;
+alter table transactions add column if not exists payout_next_attempt_at timestamptz;
+alter table transactions add column if not exists payout_error text;
+alter table transactions add column if not exists broadcast_at timestamptz;
+
+create index if not exists transactions_payout_queue_idx
+  on transactions (status, payout_next_attempt_at)
+  where type = 'withdrawal' and status in ('processing', 'broadcast');
+
+-- Hashes pasted by admins used to live in notes as '... | TX: <hash>'
+update transactions
+set tx_hash = split_part(notes, ' | TX: ', 2)
+where type = 'withdrawal'
+  and tx_hash is null
+  and notes like '% | TX: %';
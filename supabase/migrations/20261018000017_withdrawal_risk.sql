@@ -0,0 +1,13 @@
+-- Withdrawal risk decisions
+--
+-- risk_decision: auto_approve | review | block. risk_hits lists the rules that fired:
+-- [{ "rule": "turnover", "action": "review", "details": { ... } }]
+-- Blocked requests are kept with status 'blocked' and never touch the wallet.
+
+alter table transactions add column if not exists risk_decision text
+  check (risk_decision in ('auto_approve', 'review', 'block'));
+alter table transactions add column if not exists risk_hits jsonb;
+
+create index if not exists transactions_risk_review_idx
+  on transactions (risk_decision, created_at)
+  where type = 'withdrawal' and status = 'pending';
@@ -0,0 +1,29 @@
+-- Exchange rates and currency swaps
+
+-- Rate history: the USD price of one unit of a currency at captured_at.
+-- Cross rates (e.g. BTC -> EUR) are derived from two USD prices.
+create table if not exists fx_rates (
+  id bigint generated always as identity primary key,
+  currency text not null,
+  rate numeric(30, 12) not null check (rate > 0),
+  source text not null,
+  captured_at timestamptz not null default now()
+);
+
+create index if not exists fx_rates_currency_idx on fx_rates (currency, captured_at desc);
+
+-- Swaps between a player's own wallets; the ledger journal moves the funds
+create table if not exists currency_swaps (
+  id uuid primary key,
+  user_id uuid not null references profiles(id),
+  from_currency text not null,
+  to_currency text not null,
+  from_amount numeric(20, 8) not null check (from_amount > 0),
+  to_amount numeric(20, 8) not null check (to_amount > 0),
+  rate numeric(30, 12) not null,
+  spread numeric(6, 4) not null default 0,
+  journal_id uuid not null references ledger_journals(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists currency_swaps_user_idx on currency_swaps (user_id, created_at desc);
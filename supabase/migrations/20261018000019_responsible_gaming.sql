@@ -0,0 +1,27 @@
+-- Player-set responsible gaming limits
+--
+-- type deposit | loss | wager: amount in `currency` per rolling period (day | week | month)
+-- type session: amount is the longest play session in minutes (period 'session')
+-- Raising or removing a limit is held in pending_* until pending_effective_at.
+
+create table if not exists responsible_gaming_limits (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references profiles(id),
+  type text not null check (type in ('deposit', 'loss', 'wager', 'session')),
+  period text not null check (period in ('day', 'week', 'month', 'session')),
+  amount numeric(20, 8) not null check (amount > 0),
+  currency text,
+  pending_amount numeric(20, 8) check (pending_amount > 0),
+  pending_remove boolean not null default false,
+  pending_effective_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, type, period),
+  check ((type = 'session') = (period = 'session')),
+  check (type = 'session' or currency is not null)
+);
+
+-- Play session tracking for session limits: a session starts with the first bet
+-- after a break and ends once the player has been idle for the break length
+alter table profiles add column if not exists play_session_started_at timestamptz;
+alter table profiles add column if not exists play_last_active_at timestamptz;
@@ -0,0 +1,34 @@
+-- Unified account state
+--
+-- active | timeout | self_excluded | permanently_excluded | banned
+-- account_state_until ends timeouts and self-exclusions. Timeouts lift on their own;
+-- an ended self-exclusion stays in force until the player asks to come back
+-- (reinstatement_requested_at) and an admin reinstates the account.
+
+alter table profiles add column if not exists account_state text not null default 'active'
+  check (account_state in ('active', 'timeout', 'self_excluded', 'permanently_excluded', 'banned'));
+alter table profiles add column if not exists account_state_until timestamptz;
+alter table profiles add column if not exists account_state_reason text;
+alter table profiles add column if not exists account_state_changed_at timestamptz;
+alter table profiles add column if not exists account_state_changed_by uuid references profiles(id);
+alter table profiles add column if not exists reinstatement_requested_at timestamptz;
+
+create index if not exists profiles_reinstatement_idx
+  on profiles (reinstatement_requested_at)
+  where reinstatement_requested_at is not null;
+
+-- Bans used to live in profiles.status, which authentication never checked
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'profiles' and column_name = 'status'
+  ) then
+    update profiles
+    set account_state = 'banned',
+        account_state_reason = ban_reason,
+        account_state_changed_at = coalesce(banned_at, now()),
+        account_state_changed_by = banned_by
+    where status = 'banned' and account_state = 'active';
+  end if;
+end $$;
@@ -0,0 +1,37 @@
+-- KYC verification
+--
+-- Players upload identity and proof-of-address documents; the files live in the
+-- storage adapter (storage_key), the review trail lives here. profiles.kyc_level
+-- gates deposit totals and withdrawal amounts:
+--   0  unverified
+--   1  identity document approved
+--   2  identity and proof of address approved
+
+create table if not exists kyc_documents (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references profiles(id),
+  type text not null check (type in ('identity', 'address')),
+  kind text not null,
+  file_name text,
+  content_type text not null,
+  size integer not null,
+  sha256 text not null,
+  storage_adapter text not null,
+  storage_key text not null unique,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  rejection_reason text,
+  reviewed_by uuid references profiles(id),
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists kyc_documents_user_idx on kyc_documents (user_id, created_at desc);
+
+-- Review queue, oldest first
+create index if not exists kyc_documents_pending_idx
+  on kyc_documents (created_at)
+  where status = 'pending';
+
+alter table profiles add column if not exists kyc_level integer not null default 0
+  check (kyc_level between 0 and 2);
+alter table profiles add column if not exists kyc_level_changed_at timestamptz;
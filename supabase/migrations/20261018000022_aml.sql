@@ -0,0 +1,55 @@
+-- AML transaction monitoring and case management
+--
+-- The aml-monitor job runs the rules in lib/amlMonitor.js over recent transactions,
+-- bets and swaps. Each finding is stored once as an alert (unique per rule and
+-- subject_key) and filed into a case: an open case for any of the same users, or
+-- a new one. Cases record every action as an event so the case file can be exported.
+
+create table if not exists aml_cases (
+  id uuid primary key default gen_random_uuid(),
+  user_ids uuid[] not null,
+  title text not null,
+  severity text not null check (severity in ('low', 'medium', 'high')),
+  status text not null default 'open' check (status in ('open', 'escalated', 'closed')),
+  assigned_to uuid references profiles(id),
+  escalated_at timestamptz,
+  escalated_by uuid references profiles(id),
+  resolution text check (resolution in ('no_action', 'false_positive', 'sar_filed', 'account_restricted')),
+  closed_at timestamptz,
+  closed_by uuid references profiles(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists aml_cases_status_idx on aml_cases (status, created_at desc);
+create index if not exists aml_cases_assigned_idx on aml_cases (assigned_to) where status <> 'closed';
+create index if not exists aml_cases_users_idx on aml_cases using gin (user_ids);
+
+create table if not exists aml_alerts (
+  id uuid primary key default gen_random_uuid(),
+  rule text not null,
+  subject_key text not null,
+  user_ids uuid[] not null,
+  severity text not null check (severity in ('low', 'medium', 'high')),
+  details jsonb not null default '{}',
+  case_id uuid references aml_cases(id),
+  created_at timestamptz not null default now(),
+  unique (rule, subject_key)
+);
+
+create index if not exists aml_alerts_case_idx on aml_alerts (case_id);
+create index if not exists aml_alerts_created_idx on aml_alerts (created_at desc);
+
+-- Case history: opened, alert, note, assigned, escalated, closed, exported.
+-- actor_id is null for the monitor.
+create table if not exists aml_case_events (
+  id bigint generated always as identity primary key,
+  case_id uuid not null references aml_cases(id),
+  actor_id uuid references profiles(id),
+  type text not null,
+  body text,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists aml_case_events_case_idx on aml_case_events (case_id, id);
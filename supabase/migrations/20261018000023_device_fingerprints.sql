@@ -0,0 +1,30 @@
+-- Where players use their accounts from
+--
+-- One row per user, IP, device fingerprint (X-Device-Fingerprint, '' when the client
+-- sends none), user agent and source ('auth' for any authenticated request, 'bet'
+-- and 'wallet' for money-moving routes), with when it was first and last seen.
+-- lib/accountLinks.js links accounts that share devices, IPs or payout addresses.
+
+create table if not exists device_fingerprints (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references profiles(id),
+  ip text not null default '',
+  device_id text not null default '',
+  user_agent text not null default '',
+  source text not null check (source in ('auth', 'bet', 'wallet')),
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  unique (user_id, ip, device_id, user_agent, source)
+);
+
+create index if not exists device_fingerprints_user_idx on device_fingerprints (user_id, last_seen_at desc);
+create index if not exists device_fingerprints_device_idx on device_fingerprints (device_id) where device_id <> '';
+create index if not exists device_fingerprints_ip_idx on device_fingerprints (ip, last_seen_at desc);
+
+create index if not exists withdrawal_addresses_address_idx on withdrawal_addresses (address);
+create index if not exists transactions_destination_address_idx
+  on transactions (destination_address)
+  where destination_address is not null;
+
+-- Promotions can refuse players whose accounts are linked to others
+alter table promotions add column if not exists block_linked_accounts boolean not null default false;
@@ -0,0 +1,101 @@
+-- Change a bet or transaction and post its journal in one database transaction,
+-- so a bet can't be settled without its payout (or placed without its stake)
+-- and a withdrawal can't be rejected without its refund.
+--
+-- Each takes the same p_journal and p_legs as ledger_post and returns the changed
+-- row as 'bet' / 'transaction' alongside ledger_post's result.
+
+-- Insert a bet (columns given in p_bet, id included) and debit its stake
+create or replace function bet_place(p_bet jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_bet bets%rowtype;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_bet) key;
+
+  execute format(
+    'insert into bets (%1$s) select %1$s from jsonb_populate_record(null::bets, $1) returning *',
+    v_columns
+  ) into v_bet using p_bet;
+
+  return jsonb_build_object('bet', to_jsonb(v_bet)) || ledger_post(p_journal, p_legs);
+end;
+$$;
+
+revoke all on function bet_place(jsonb, jsonb, jsonb) from public, anon, authenticated;
+
+-- Apply the columns in p_update to a still-pending bet (settling it, raising its
+-- stake or recording a partial win) and post the journal, if any (p_legs null
+-- for none). Returns null without posting anything when the bet is no longer pending.
+create or replace function bet_transition(p_bet_id uuid, p_update jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_bet bets%rowtype;
+  v_result jsonb;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_update) key;
+
+  execute format(
+    'update bets set (%1$s) = (select %1$s from jsonb_populate_record(null::bets, $1)) '
+    'where id = $2 and outcome = ''pending'' returning *',
+    v_columns
+  ) into v_bet using p_update, p_bet_id;
+
+  if v_bet.id is null then
+    return null;
+  end if;
+
+  v_result := jsonb_build_object('bet', to_jsonb(v_bet));
+
+  if p_legs is not null then
+    v_result := v_result || ledger_post(p_journal, p_legs);
+  end if;
+
+  return v_result;
+end;
+$$;
+
+revoke all on function bet_transition(uuid, jsonb, jsonb, jsonb) from public, anon, authenticated;
+
+-- Move a transaction out of one of the p_from statuses, applying the columns in
+-- p_update, and post the journal. Returns null when the status had already moved on.
+create or replace function transaction_transition(p_id uuid, p_from text[], p_update jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_tx transactions%rowtype;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_update) key;
+
+  execute format(
+    'update transactions set (%1$s) = (select %1$s from jsonb_populate_record(null::transactions, $1)) '
+    'where id = $2 and status = any($3) returning *',
+    v_columns
+  ) into v_tx using p_update, p_id, p_from;
+
+  if v_tx.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object('transaction', to_jsonb(v_tx)) || ledger_post(p_journal, p_legs);
+end;
+$$;
+
+revoke all on function transaction_transition(uuid, text[], jsonb, jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,8 @@
+-- A ban goes on top of whatever state the account was in. The state underneath
+-- (say, a self-exclusion that still has months to run) is kept here while the ban
+-- is in force and put back when it is lifted.
+
+alter table profiles add column if not exists account_state_before_ban text
+  check (account_state_before_ban in ('active', 'timeout', 'self_excluded', 'permanently_excluded'));
+alter table profiles add column if not exists account_state_until_before_ban timestamptz;
+alter table profiles add column if not exists account_state_reason_before_ban text;
@@ -0,0 +1,16 @@
+-- Points a user earned in the last p_window_days, summed in the database so a
+-- busy player's entries aren't cut off by the API's row limit.
+create or replace function vip_period_points(p_user_id uuid, p_window_days integer)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(points), 0)
+  from vip_point_entries
+  where user_id = p_user_id
+    and created_at > now() - make_interval(days => p_window_days);
+$$;
+
+revoke all on function vip_period_points(uuid, integer) from public, anon, authenticated;
@@ -0,0 +1,70 @@
+-- Provider callbacks for the same round can arrive at the same time: a second
+-- stake, a partial win and a rollback each change the bet's totals. Adding to the
+-- totals in the database, under the row lock, keeps one from overwriting another.
+--
+-- bet_transition gains p_increment: numeric columns to add to rather than set
+-- (e.g. {"stake": 5} or {"win_amount": 2.5}). When it is given the totals decide
+-- the rest: the multiplier is win_amount / stake, a bet left with no stake is
+-- cancelled, and a win or loss settlement follows the total win.
+
+drop function if exists bet_transition(uuid, jsonb, jsonb, jsonb);
+
+create or replace function bet_transition(p_bet_id uuid, p_update jsonb, p_increment jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_set text;
+  v_bet bets%rowtype;
+  v_result jsonb;
+begin
+  select string_agg(assignment, ', ') into v_set
+  from (
+    select format('%1$I = r.%1$I', key) as assignment
+    from jsonb_object_keys(coalesce(p_update, '{}')) key
+    union all
+    select format('%1$I = coalesce(b.%1$I, 0) + ($3 ->> %1$L)::numeric', key)
+    from jsonb_object_keys(coalesce(p_increment, '{}')) key
+  ) assignments;
+
+  if v_set is null then
+    raise exception 'bet_transition needs p_update or p_increment';
+  end if;
+
+  execute format(
+    'update bets b set %s from jsonb_populate_record(null::bets, $1) r '
+    'where b.id = $2 and b.outcome = ''pending'' returning b.*',
+    v_set
+  ) into v_bet using coalesce(p_update, '{}'), p_bet_id, p_increment;
+
+  if v_bet.id is null then
+    return null;
+  end if;
+
+  if p_increment is not null then
+    update bets
+    set stake = greatest(stake, 0),
+        multiplier = case when stake > 0 then coalesce(win_amount, 0) / stake else 0 end,
+        outcome = case
+          when stake <= 0 then 'cancelled'
+          when outcome in ('win', 'loss') then case when coalesce(win_amount, 0) > 0 then 'win' else 'loss' end
+          else outcome
+        end,
+        settled_at = case when stake <= 0 then coalesce(settled_at, now()) else settled_at end
+    where id = v_bet.id
+    returning * into v_bet;
+  end if;
+
+  v_result := jsonb_build_object('bet', to_jsonb(v_bet));
+
+  if p_legs is not null then
+    v_result := v_result || ledger_post(p_journal, p_legs);
+  end if;
+
+  return v_result;
+end;
+$$;
+
+revoke all on function bet_transition(uuid, jsonb, jsonb, jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,77 @@
+-- Change a bonus and post its journal in one database transaction, so a bonus
+-- can't be issued or claimed without its credit, or expire, be forfeited or be
+-- released while its funds stay where they were.
+--
+-- Same shape as bet_place / bet_transition: p_journal and p_legs are ledger_post's
+-- (p_legs null posts nothing), and the bonus row comes back as 'bonus'.
+
+-- Insert a bonus (columns given in p_bonus, id included) and post its credit
+create or replace function bonus_place(p_bonus jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_bonus bonuses%rowtype;
+  v_result jsonb;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_bonus) key;
+
+  execute format(
+    'insert into bonuses (%1$s) select %1$s from jsonb_populate_record(null::bonuses, $1) returning *',
+    v_columns
+  ) into v_bonus using p_bonus;
+
+  v_result := jsonb_build_object('bonus', to_jsonb(v_bonus));
+
+  if p_legs is not null then
+    v_result := v_result || ledger_post(p_journal, p_legs);
+  end if;
+
+  return v_result;
+end;
+$$;
+
+revoke all on function bonus_place(jsonb, jsonb, jsonb) from public, anon, authenticated;
+
+-- Move a bonus out of one of the p_from statuses, applying the columns in p_update,
+-- and post the journal. Returns null without posting anything when the status had
+-- already moved on.
+create or replace function bonus_transition(p_bonus_id uuid, p_from text[], p_update jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_bonus bonuses%rowtype;
+  v_result jsonb;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_update) key;
+
+  execute format(
+    'update bonuses set (%1$s) = (select %1$s from jsonb_populate_record(null::bonuses, $1)) '
+    'where id = $2 and status = any($3) returning *',
+    v_columns
+  ) into v_bonus using p_update, p_bonus_id, p_from;
+
+  if v_bonus.id is null then
+    return null;
+  end if;
+
+  v_result := jsonb_build_object('bonus', to_jsonb(v_bonus));
+
+  if p_legs is not null then
+    v_result := v_result || ledger_post(p_journal, p_legs);
+  end if;
+
+  return v_result;
+end;
+$$;
+
+revoke all on function bonus_transition(uuid, text[], jsonb, jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,34 @@
+-- Hold the funds for a withdrawal request and record where it goes and how it
+-- scored in one database transaction, so a held withdrawal never lacks its
+-- destination or risk decision.
+--
+-- p_journal and p_legs are ledger_post's; the first wallet leg's transaction is
+-- the withdrawal and gets the columns in p_fields. Returns ledger_post's result
+-- with the completed withdrawal as 'transaction'.
+create or replace function withdrawal_hold(p_fields jsonb, p_journal jsonb, p_legs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+  v_columns text;
+  v_tx transactions%rowtype;
+begin
+  v_result := ledger_post(p_journal, p_legs);
+
+  select string_agg(quote_ident(key), ', ') into v_columns
+  from jsonb_object_keys(p_fields) key;
+
+  execute format(
+    'update transactions set (%1$s) = (select %1$s from jsonb_populate_record(null::transactions, $1)) '
+    'where id = $2 returning *',
+    v_columns
+  ) into v_tx using p_fields, (v_result -> 'transactions' -> 0 ->> 'id')::uuid;
+
+  return v_result || jsonb_build_object('transaction', to_jsonb(v_tx));
+end;
+$$;
+
+revoke all on function withdrawal_hold(jsonb, jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,10 @@
+-- On-chain deposits that would take the player over a deposit limit are held
+-- ('held') instead of credited, until an admin releases them.
+
+alter table crypto_deposits drop constraint if exists crypto_deposits_status_check;
+alter table crypto_deposits add constraint crypto_deposits_status_check
+  check (status in ('confirming', 'crediting', 'held', 'credited', 'failed'));
+
+alter table crypto_deposits add column if not exists hold_reason text;
+alter table crypto_deposits add column if not exists released_by uuid references profiles(id);
+alter table crypto_deposits add column if not exists released_at timestamptz;
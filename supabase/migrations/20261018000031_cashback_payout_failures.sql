@@ -0,0 +1,23 @@
+-- Cashback / rakeback payouts that could not be issued with their run. The
+-- scheduler retries them until they are issued or run out of attempts; the
+-- row then records the bonus, or the last error for staff to look at.
+
+create table if not exists cashback_payout_failures (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references cashback_runs(id),
+  user_id uuid not null references profiles(id),
+  currency text not null,
+  amount numeric(20, 8) not null,
+  payout jsonb not null default '{}'::jsonb,
+  attempts integer not null default 1,
+  last_error text,
+  bonus_id uuid references bonuses(id),
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (run_id, user_id, currency)
+);
+
+create index if not exists cashback_payout_failures_open_idx
+  on cashback_payout_failures (created_at)
+  where resolved_at is null;